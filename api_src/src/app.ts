@@ -16,9 +16,10 @@ import { walletRoutes } from './routes/wallets.js';
 import { whaleDiscoveryRoutes } from './routes/whale-discovery.js';
 import { realtimeRoutes } from './websocket/realtime.js';
 import { API_VERSION } from './version.js';
+import { sdk } from './sdk.js';
 
 // SDK 版本 (手动同步自 src/version.ts)
-const SDK_VERSION = '0.2.2';
+const SDK_VERSION = '0.2.27';
 
 export async function buildApp(): Promise<FastifyInstance> {
     const app = Fastify({
@@ -60,9 +61,21 @@ export async function buildApp(): Promise<FastifyInstance> {
         },
     });
 
-    // 健康检查
+    // 健康检查 (任一上游 API 熔断打开时返回 degraded)
     app.get('/health', async () => {
-        return { status: 'ok', timestamp: new Date().toISOString() };
+        const circuits = sdk.getCircuitStates();
+        const degraded = circuits.some((c) => c.state !== 'closed');
+        return {
+            status: degraded ? 'degraded' : 'ok',
+            timestamp: new Date().toISOString(),
+            circuits: circuits.map((c) => ({
+                api: c.name,
+                state: c.state,
+                consecutiveFailures: c.consecutiveFailures,
+                nextAttemptAt: c.nextAttemptAt ? new Date(c.nextAttemptAt).toISOString() : null,
+                lastError: c.lastError,
+            })),
+        };
     });
 
     // 版本信息端点
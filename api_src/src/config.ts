@@ -20,6 +20,14 @@ export const config = {
         privateKey: process.env.POLY_PRIVKEY,           // 交易私钥，环境变量: POLY_PRIVKEY
     },
 
+    // ===== SDK 缓存配置 =====
+    cache: {
+        enabled: process.env.SDK_CACHE_ENABLED !== 'false',                        // 是否启用磁盘缓存，环境变量: SDK_CACHE_ENABLED
+        dir: process.env.SDK_CACHE_DIR || '../datas/cache',                         // 缓存目录（相对于启动目录），环境变量: SDK_CACHE_DIR
+        maxEntries: parseInt(process.env.SDK_CACHE_MAX_ENTRIES || '20000'),         // 最大缓存条数，环境变量: SDK_CACHE_MAX_ENTRIES
+        maxBytes: parseInt(process.env.SDK_CACHE_MAX_MB || '200') * 1024 * 1024,   // 最大缓存体积 (MB)，环境变量: SDK_CACHE_MAX_MB
+    },
+
     // ===== 套利配置 =====
     arbitrage: {
         profitThreshold: parseFloat(process.env.ARB_PROFIT_THRESHOLD || '0.005'),  // 最小利润阈值 (0.5%)，环境变量: ARB_PROFIT_THRESHOLD
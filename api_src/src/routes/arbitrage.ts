@@ -3,11 +3,10 @@
  */
 
 import { FastifyPluginAsync } from 'fastify';
-import { PolymarketSDK, checkArbitrage } from '../../../dist/index.js';
+import { checkArbitrage, resolveBinaryTokens } from '../../../dist/index.js';
+import { sdk } from '../sdk.js';
 import { config } from '../config.js';
 
-const sdk = new PolymarketSDK();
-
 export const arbitrageRoutes: FastifyPluginAsync = async (fastify) => {
     // 扫描所有市场的套利机会
     fastify.get('/scan', {
@@ -32,43 +31,57 @@ export const arbitrageRoutes: FastifyPluginAsync = async (fastify) => {
                 limit,
             });
 
+            // 先筛选市场，再批量获取所有订单簿（/books），避免每个市场两次请求
+            const candidates = markets
+                .filter((market) => market.conditionId && (market.volume24hr || 0) >= minVolume)
+                .map((market) => ({ market, tokens: resolveBinaryTokens(market) }))
+                .filter(({ tokens }) => tokens.yes.tokenId && tokens.no.tokenId);
+
+            // 单个分块失败会逐个回退到 /book；只有全部失败时才会抛出
+            let books;
+            try {
+                books = await sdk.clobApi.getOrderbooks(
+                    candidates.flatMap(({ tokens }) => [tokens.yes.tokenId, tokens.no.tokenId])
+                );
+            } catch (error) {
+                return reply.code(502).send({ error: `Failed to fetch orderbooks: ${(error as Error).message}` });
+            }
+
             const opportunities = [];
 
-            for (const market of markets) {
-                if (!market.conditionId) continue;
-                if ((market.volume24hr || 0) < minVolume) continue;
+            for (const { market, tokens } of candidates) {
+                const yesBook = books.get(tokens.yes.tokenId);
+                const noBook = books.get(tokens.no.tokenId);
+                // Skip markets where orderbook cannot be fetched
+                if (!yesBook || !noBook) continue;
 
-                try {
-                    const orderbook = await sdk.clobApi.getProcessedOrderbook(market.conditionId);
-                    const arb = checkArbitrage(
-                        orderbook.yes.ask,
-                        orderbook.no.ask,
-                        orderbook.yes.bid,
-                        orderbook.no.bid
-                    );
+                const orderbook = sdk.clobApi.processOrderbooks(yesBook, noBook, tokens.yes.tokenId, tokens.no.tokenId);
+                const arb = checkArbitrage(
+                    orderbook.yes.ask,
+                    orderbook.no.ask,
+                    orderbook.yes.bid,
+                    orderbook.no.bid
+                );
 
-                    if (arb && arb.profit > minProfit) {
-                        opportunities.push({
-                            market: {
-                                conditionId: market.conditionId,
-                                question: market.question,
-                                slug: market.slug,
-                                volume24hr: market.volume24hr,
-                            },
-                            arbType: arb.type,
-                            profit: arb.profit,
-                            profitPercent: arb.profit * 100,
-                            description: arb.description,
-                            orderbook: {
-                                yesAsk: orderbook.yes.ask,
-                                yesBid: orderbook.yes.bid,
-                                noAsk: orderbook.no.ask,
-                                noBid: orderbook.no.bid,
-                            },
-                        });
-                    }
-                } catch (error) {
-                    // Skip markets where orderbook cannot be fetched
+                if (arb && arb.profit > minProfit) {
+                    opportunities.push({
+                        market: {
+                            conditionId: market.conditionId,
+                            question: market.question,
+                            slug: market.slug,
+                            volume24hr: market.volume24hr,
+                        },
+                        arbType: arb.type,
+                        profit: arb.profit,
+                        profitPercent: arb.profit * 100,
+                        description: arb.description,
+                        orderbook: {
+                            yesAsk: orderbook.yes.ask,
+                            yesBid: orderbook.yes.bid,
+                            noAsk: orderbook.no.ask,
+                            noBid: orderbook.no.bid,
+                        },
+                    });
                 }
             }
 
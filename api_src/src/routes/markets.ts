@@ -3,9 +3,7 @@
  */
 
 import { FastifyPluginAsync } from 'fastify';
-import { PolymarketSDK } from '../../../dist/index.js';
-
-const sdk = new PolymarketSDK();
+import { sdk } from '../sdk.js';
 
 export const marketRoutes: FastifyPluginAsync = async (fastify) => {
     // 获取热门市场
@@ -103,13 +101,22 @@ export const marketRoutes: FastifyPluginAsync = async (fastify) => {
                 properties: {
                     interval: { type: 'string', default: '1h' },
                     limit: { type: 'number', default: 100 },
+                    source: { type: 'string', enum: ['trades', 'priceHistory', 'merged'], default: 'trades' },
+                    startTime: { type: 'number', description: '起始时间 (Unix ms)' },
+                    endTime: { type: 'number', description: '结束时间 (Unix ms)' },
                 },
             },
         },
         handler: async (request, reply) => {
             const { conditionId } = request.params as { conditionId: string };
-            const { interval = '1h', limit = 100 } = request.query as { interval?: string; limit?: number };
-            const klines = await sdk.markets.getKLines(conditionId, interval as any, { limit });
+            const { interval = '1h', limit = 100, source = 'trades', startTime, endTime } = request.query as {
+                interval?: string;
+                limit?: number;
+                source?: 'trades' | 'priceHistory' | 'merged';
+                startTime?: number;
+                endTime?: number;
+            };
+            const klines = await sdk.markets.getKLines(conditionId, interval as any, { limit, source, startTime, endTime });
             return klines;
         },
     });
@@ -3,11 +3,9 @@
  */
 
 import { FastifyPluginAsync } from 'fastify';
-import { PolymarketSDK } from '../../../dist/index.js';
+import { sdk } from '../sdk.js';
 import { triggerWhaleCacheUpdate } from './whale-discovery.js';
 
-const sdk = new PolymarketSDK();
-
 export const walletRoutes: FastifyPluginAsync = async (fastify) => {
     // 获取排行榜
     fastify.get('/leaderboard', {
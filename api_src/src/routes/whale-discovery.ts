@@ -5,7 +5,8 @@
 import { FastifyInstance, FastifyRequest, FastifyReply } from 'fastify';
 import { WhaleDiscoveryService, WhaleDiscoveryConfig } from '../services/whale-discovery-service.js';
 // 使用编译后的 SDK dist
-import { PolymarketSDK } from '../../../dist/index.js';
+import type { PolymarketSDK } from '../../../dist/index.js';
+import { sdk as sharedSdk } from '../sdk.js';
 import * as fs from 'fs';
 import * as path from 'path';
 import { initDb, getDb, saveDb } from '../db/index.js';
@@ -204,9 +205,8 @@ async function processUpdateQueue(): Promise<void> {
     while (updateQueue.length > 0) {
         const item = updateQueue.shift()!;
         try {
+            // 请求节奏由 SDK RateLimiter 控制（按端点限流，遇到 429 按 Retry-After 自动退避）
             await performWhaleCacheUpdate(item.address, item.force);
-            // 扫描任务之间增加 1.5 秒间隔，规避 429
-            await new Promise(r => setTimeout(r, 1500));
         } catch (error) {
             console.error(`[WhaleCache] Item process failed for ${item.address}:`, error);
         } finally {
@@ -217,11 +217,25 @@ async function processUpdateQueue(): Promise<void> {
     isProcessingQueue = false;
 }
 
-// 核心更新逻辑 - 执行真正的 API 请求和计算
-// 已禁用：直接使用 leaderboard 数据，不再拉取 100k 交易
+// 核心更新逻辑 - 同步本地活动存储并计算各时间段统计
+// 首次同步回填 30 天历史，之后只拉取上次游标之后的新记录
 async function performWhaleCacheUpdate(address: string, force = false): Promise<void> {
-    // 已禁用后台数据拉取，直接使用 leaderboard 数据
-    return;
+    const normalizedAddress = address.toLowerCase();
+    if (!force && isCacheValid(normalizedAddress)) return;
+
+    await sharedSdk.activityStore?.sync(normalizedAddress, { force });
+
+    // 四个时间段都从本地存储读取，不再重复请求网络
+    const periods: WhaleCache[string]['periods'] = {
+        '24h': await sharedSdk.wallets.getWalletProfileForPeriod(normalizedAddress, 1),
+        '7d': await sharedSdk.wallets.getWalletProfileForPeriod(normalizedAddress, 7),
+        '30d': await sharedSdk.wallets.getWalletProfileForPeriod(normalizedAddress, 30),
+        'all': await sharedSdk.wallets.getWalletProfileForPeriod(normalizedAddress, 0),
+    };
+
+    const data = { updatedAt: Date.now(), periods };
+    whaleCacheData[normalizedAddress] = data;
+    saveWhaleData(normalizedAddress, data);
 }
 
 // 批量触发缓存更新（供其他模块调用，如 leaderboard）
@@ -296,7 +310,7 @@ export async function whaleDiscoveryRoutes(fastify: FastifyInstance): Promise<vo
         });
 
         // 设置钱包分析函数 - 快速分析，不做缓存
-        sdk = new PolymarketSDK();
+        sdk = sharedSdk;
         whaleService.setWalletAnalyzer(async (address: string) => {
             try {
                 // 快速获取基础 profile 用于筛选（不拉取交易历史）
@@ -0,0 +1,29 @@
+/**
+ * 共享 SDK 实例
+ *
+ * 所有路由共用一个 PolymarketSDK，开启磁盘缓存后重启服务无需重新下载
+ * 市场、排行榜、交易等数据，钱包活动记录也只需增量同步
+ */
+
+import * as path from 'path';
+import { PolymarketSDK, FileCacheAdapter } from '../../dist/index.js';
+import { config } from './config.js';
+
+const cacheDir = path.resolve(process.cwd(), config.cache.dir);
+
+export const sdk = new PolymarketSDK({
+    cache: config.cache.enabled
+        ? new FileCacheAdapter({
+            directory: cacheDir,
+            namespace: 'sdk',
+            maxEntries: config.cache.maxEntries,
+            maxBytes: config.cache.maxBytes,
+        })
+        : undefined,
+    // 钱包活动本地存储：鲸鱼统计只增量同步新记录，不再每次拉取 10 万条
+    activityStore: {
+        storage: config.cache.enabled
+            ? new FileCacheAdapter({ directory: cacheDir, namespace: 'activity' })
+            : undefined,
+    },
+});
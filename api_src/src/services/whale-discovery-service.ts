@@ -15,8 +15,11 @@ import { EventEmitter } from 'events';
 // 使用编译后的 SDK
 import {
     ChainMonitorClient,
+    ConsoleLogger,
+    errorFields,
     TransferEvent,
     isOfficialAddress,
+    type Logger,
 } from '../../../dist/index.js';
 
 // ===== Types =====
@@ -54,6 +57,9 @@ export interface WhaleDiscoveryConfig {
 
     /** 最少观察到的交易次数 (default: 3) */
     minTradesObserved?: number;
+
+    /** 日志 (default: ConsoleLogger)，同时传给 ChainMonitorClient */
+    logger?: Logger;
 }
 
 export interface WalletProfile {
@@ -192,7 +198,8 @@ class CircularBuffer<T> {
 // ===== Whale Discovery Service =====
 
 export class WhaleDiscoveryService extends EventEmitter {
-    private config: Required<WhaleDiscoveryConfig>;
+    private config: Required<Omit<WhaleDiscoveryConfig, 'logger'>>;
+    private logger: Logger;
     private chainMonitor: ChainMonitorClient | null = null;
 
     private isRunning = false;
@@ -235,6 +242,7 @@ export class WhaleDiscoveryService extends EventEmitter {
             minVolume: config.minVolume ?? 5000,
             minTradesObserved: config.minTradesObserved ?? 3,
         };
+        this.logger = (config.logger ?? new ConsoleLogger()).child({ component: 'WhaleDiscovery' });
 
         // 初始化缓存
         const ttlMs = this.config.addressCacheTtlHours * 60 * 60 * 1000;
@@ -282,6 +290,7 @@ export class WhaleDiscoveryService extends EventEmitter {
             wsEnabled: this.config.wsEnabled,
             // 不在链上过滤金额，因为我们需要完整的交易数据来统计
             minTransferValue: '0',
+            logger: this.logger,
         });
 
         // 监听事件
@@ -527,7 +536,7 @@ export class WhaleDiscoveryService extends EventEmitter {
                         try {
                             await this.whaleConfirmedCallback(address);
                         } catch (err) {
-                            console.error(`[WhaleDiscovery] Cache callback failed for ${address}:`, err);
+                            this.logger.error('Whale cache callback failed', { address, ...errorFields(err) });
                         }
                     }
 
@@ -548,8 +557,7 @@ export class WhaleDiscoveryService extends EventEmitter {
                     });
                 }
             } catch (error) {
-                // eslint-disable-next-line no-console
-                console.error(`[WhaleDiscovery] Failed to analyze ${address}:`, error);
+                this.logger.error('Failed to analyze address', { address, ...errorFields(error) });
             }
 
             // 简单限速
@@ -1,7 +1,13 @@
 // API 模块版本号
 // 每次 api_src 代码变更时更新此版本
-export const API_VERSION = '1.0.1';
+export const API_VERSION = '1.0.7';
 
 // 更新日志
+// 1.0.7 - K 线接口支持 source/startTime/endTime 参数
+// 1.0.6 - 套利扫描改用批量订单簿接口
+// 1.0.5 - 鲸鱼统计基于本地活动存储增量同步，恢复后台缓存更新
+// 1.0.4 - 鲸鱼发现服务使用结构化日志
+// 1.0.3 - /health 返回上游 API 熔断状态
+// 1.0.2 - 路由共享 SDK 实例，启用磁盘缓存 (FileCacheAdapter)
 // 1.0.1 - 添加批量缓存接口，优化时间段切换性能
 // 1.0.0 - 初始版本，包含鲸鱼发现、缓存系统、PnL修正
@@ -3,12 +3,10 @@
  */
 
 import { FastifyPluginAsync } from 'fastify';
-import { PolymarketSDK } from '../../../dist/index.js';
+import { sdk } from '../sdk.js';
 import { WebSocketManager } from '../../../dist/clients/websocket-manager.js';
 import { RealtimeService } from '../../../dist/services/realtime-service.js';
 
-const sdk = new PolymarketSDK();
-
 export const realtimeRoutes: FastifyPluginAsync = async (fastify) => {
     // WebSocket 连接
     fastify.get('/market/:conditionId', { websocket: true }, async (connection: any, request) => {
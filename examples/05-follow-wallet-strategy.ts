@@ -5,11 +5,12 @@
  * - 追踪聪明钱钱包的持仓
  * - 检测卖出活动（作为退出信号）
  * - 计算持仓退出的卖出比例
+ * - 实时跟踪钱包的新成交（TradeStreamPoller）
  *
  * 运行: pnpm tsx examples/05-follow-wallet-strategy.ts
  */
 
-import { PolymarketSDK, type Position, type Activity } from '../src/index.js';
+import { PolymarketSDK, type Position, type Activity, type Trade } from '../src/index.js';
 
 interface WalletPositionTracker {
   address: string;
@@ -150,6 +151,19 @@ async function main() {
     }
   }
 
+  // 6. 实时跟踪新成交（60 秒）
+  console.log('\n6. 实时跟踪新成交 (60 秒)...');
+  const stream = sdk.streamTrades({ user: traderToFollow.address });
+  stream.on('trade', (trade: Trade) => {
+    const signal = trade.side === 'SELL' ? '  <- 退出信号' : '';
+    console.log(`   ${trade.side} ${trade.size.toFixed(2)} @ ${trade.price.toFixed(3)} ${trade.title?.slice(0, 40) ?? trade.market}${signal}`);
+  });
+  stream.on('error', (error: Error) => console.log(`   轮询错误: ${error.message}`));
+  await stream.start();
+  await new Promise((resolve) => setTimeout(resolve, 60_000));
+  await stream.stop();
+  console.log(`   共收到 ${stream.getStats().tradesEmitted} 笔新成交`);
+
   console.log('\n=== 完成 ===');
 }
 
@@ -0,0 +1,158 @@
+/**
+ * ActivityStore Unit Tests
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { ActivityStore } from '../services/activity-store.js';
+import { WalletService } from '../services/wallet-service.js';
+import type { Activity, ActivityIteratorOptions } from '../clients/data-api.js';
+import type { Page } from '../core/pagination.js';
+import type { CacheAdapter } from '../core/cache-adapter-types.js';
+import { MockCache } from './test-utils.js';
+
+const WALLET = '0xAbC0000000000000000000000000000000000001';
+const HOUR = 60 * 60 * 1000;
+const now = Date.now();
+
+function activity(hash: string, hoursAgo: number, overrides: Partial<Activity> = {}): Activity {
+  return {
+    type: 'TRADE',
+    side: 'BUY',
+    size: 10,
+    price: 0.5,
+    usdcSize: 5,
+    asset: 'token',
+    conditionId: '0xc',
+    outcome: 'Yes',
+    timestamp: now - hoursAgo * HOUR,
+    transactionHash: hash,
+    ...overrides,
+  };
+}
+
+/** Fake Data API serving `upstream` (newest first) in one page, honouring `since` */
+function fakeDataApi(upstream: Activity[]) {
+  const calls: ActivityIteratorOptions[] = [];
+  const dataApi = {
+    calls,
+    iterateActivityPages: vi.fn(async function* (_address: string, options: ActivityIteratorOptions = {}) {
+      calls.push(options);
+      const items = upstream.filter((a) => options.since === undefined || a.timestamp >= options.since);
+      const page: Page<Activity> = {
+        items,
+        cursor: { offset: 0 },
+        nextCursor: null,
+        hasMore: items.length < upstream.length,
+      };
+      yield page;
+    }),
+    getPositions: vi.fn(async () => []),
+  };
+  return dataApi;
+}
+
+function memoryStorage(): CacheAdapter & { data: Map<string, unknown> } {
+  const data = new Map<string, unknown>();
+  return {
+    data,
+    get: async <T>(key: string) => (data.has(key) ? structuredClone(data.get(key)) as T : null),
+    set: async (key, value) => void data.set(key, structuredClone(value)),
+    del: async (key) => void data.delete(key),
+    exists: async (key) => data.has(key),
+  };
+}
+
+describe('ActivityStore', () => {
+  it('should backfill, then fetch only records since the newest stored one', async () => {
+    const upstream = [activity('0x2', 2), activity('0x1', 5), activity('0x0', 24 * 40)];
+    const dataApi = fakeDataApi(upstream);
+    const store = new ActivityStore(dataApi as never, { minSyncIntervalMs: 0 });
+
+    const first = await store.sync(WALLET);
+    expect(first.added).toBe(2);
+    // The 40-day-old record is outside the 30-day backfill
+    expect(first.state).toMatchObject({ recordCount: 2, historyComplete: false });
+
+    upstream.unshift(activity('0x4', 0), activity('0x3', 1));
+    const second = await store.sync(WALLET);
+
+    expect(second.added).toBe(2);
+    expect(dataApi.calls[1].since).toBe(upstream[2].timestamp);
+    expect((await store.query(WALLET)).map((a) => a.transactionHash)).toEqual(['0x4', '0x3', '0x2', '0x1']);
+  });
+
+  it('should dedupe records at the newest stored timestamp', async () => {
+    const upstream = [activity('0x1', 1)];
+    const store = new ActivityStore(fakeDataApi(upstream) as never, { minSyncIntervalMs: 0 });
+
+    await store.sync(WALLET);
+    // Same second, different fill of the same transaction
+    upstream.unshift(activity('0x1', 1, { size: 20 }));
+    const result = await store.sync(WALLET);
+
+    expect(result.added).toBe(1);
+    expect(result.state.recordCount).toBe(2);
+  });
+
+  it('should query by time range and type', async () => {
+    const store = new ActivityStore(
+      fakeDataApi([
+        activity('0x3', 1, { type: 'REDEEM' }),
+        activity('0x2', 30),
+        activity('0x1', 24 * 8),
+      ]) as never
+    );
+    await store.sync(WALLET);
+
+    const lastWeek = await store.query(WALLET, { since: now - 7 * 24 * HOUR });
+    expect(lastWeek.map((a) => a.transactionHash)).toEqual(['0x3', '0x2']);
+
+    const trades = await store.query(WALLET, { type: 'TRADE', until: now - 2 * HOUR });
+    expect(trades.map((a) => a.transactionHash)).toEqual(['0x2', '0x1']);
+  });
+
+  it('should skip syncs within minSyncIntervalMs and coalesce concurrent ones', async () => {
+    const dataApi = fakeDataApi([activity('0x1', 1)]);
+    const store = new ActivityStore(dataApi as never, { minSyncIntervalMs: 60_000 });
+
+    await Promise.all([store.sync(WALLET), store.sync(WALLET)]);
+    const skipped = await store.sync(WALLET);
+
+    expect(dataApi.iterateActivityPages).toHaveBeenCalledTimes(1);
+    expect(skipped.synced).toBe(false);
+    await store.sync(WALLET, { force: true });
+    expect(dataApi.iterateActivityPages).toHaveBeenCalledTimes(2);
+  });
+
+  it('should persist wallets through the storage adapter', async () => {
+    const storage = memoryStorage();
+    await new ActivityStore(fakeDataApi([activity('0x1', 1)]) as never, { storage }).sync(WALLET);
+
+    const dataApi = fakeDataApi([]);
+    const restarted = new ActivityStore(dataApi as never, { storage });
+
+    expect(await restarted.query(WALLET)).toHaveLength(1);
+    expect(await restarted.getSyncState(WALLET)).toMatchObject({ address: WALLET.toLowerCase(), recordCount: 1 });
+    expect(dataApi.iterateActivityPages).not.toHaveBeenCalled();
+  });
+});
+
+describe('WalletService with ActivityStore', () => {
+  it('should compute period stats from the store', async () => {
+    const dataApi = fakeDataApi([
+      activity('0x3', 1, { side: 'SELL', price: 0.8, usdcSize: 8 }),
+      activity('0x2', 2, { usdcSize: 5 }),
+      activity('0x1', 24 * 3, { type: 'REDEEM', size: 4 }),
+    ]);
+    const store = new ActivityStore(dataApi as never);
+    const wallets = new WalletService(dataApi as never, new MockCache() as never, store);
+
+    const day = await wallets.getWalletProfileForPeriod(WALLET, 1);
+    const week = await wallets.getWalletProfileForPeriod(WALLET, 7);
+
+    expect(day).toMatchObject({ volume: 13, tradeCount: 2, pnl: 3, winRate: 1 });
+    // sell 8 + redeem 4 - buy 5
+    expect(week).toMatchObject({ volume: 13, tradeCount: 2, pnl: 7 });
+    expect(dataApi.iterateActivityPages).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * CircuitBreaker / Retry Policy Unit Tests
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { CircuitBreaker, CircuitState, isCircuitFailure } from '../core/circuit-breaker.js';
+import { PolymarketError, ErrorCode, withRetry, computeRetryDelay, isRetryableError } from '../core/errors.js';
+
+const serverError = () => PolymarketError.fromHttpError(503);
+
+describe('CircuitBreaker', () => {
+  it('should open after consecutive failures and fail fast', async () => {
+    const breaker = new CircuitBreaker('clob-api', { failureThreshold: 2, resetTimeoutMs: 1000 });
+    const fn = vi.fn().mockRejectedValue(serverError());
+
+    await expect(breaker.execute(fn)).rejects.toMatchObject({ code: ErrorCode.NETWORK_ERROR });
+    await expect(breaker.execute(fn)).rejects.toMatchObject({ code: ErrorCode.NETWORK_ERROR });
+    expect(breaker.getState()).toBe(CircuitState.OPEN);
+
+    const error = (await breaker.execute(fn).catch((e) => e)) as PolymarketError;
+    expect(error).toBeInstanceOf(PolymarketError);
+    expect(error.code).toBe(ErrorCode.CIRCUIT_OPEN);
+    expect(error.message).toContain('clob-api circuit is open');
+    expect(error.retryAfterMs).toBeGreaterThan(0);
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(breaker.getSnapshot()).toMatchObject({ consecutiveFailures: 2, rejectedCalls: 1 });
+  });
+
+  it('should close again after a successful half-open trial', async () => {
+    const breaker = new CircuitBreaker('data-api', { failureThreshold: 1, resetTimeoutMs: 20 });
+    const states: CircuitState[] = [];
+    breaker.on('stateChange', (s) => states.push(s.state));
+
+    await breaker.execute(() => Promise.reject(serverError())).catch(() => undefined);
+    expect(breaker.isAvailable()).toBe(false);
+
+    await new Promise((r) => setTimeout(r, 30));
+    expect(breaker.isAvailable()).toBe(true);
+    await expect(breaker.execute(async () => 'ok')).resolves.toBe('ok');
+
+    expect(states).toEqual([CircuitState.OPEN, CircuitState.HALF_OPEN, CircuitState.CLOSED]);
+  });
+
+  it('should reopen when the half-open trial fails', async () => {
+    const breaker = new CircuitBreaker('gamma-api', { failureThreshold: 1, resetTimeoutMs: 20 });
+    await breaker.execute(() => Promise.reject(serverError())).catch(() => undefined);
+    await new Promise((r) => setTimeout(r, 30));
+
+    await breaker.execute(() => Promise.reject(serverError())).catch(() => undefined);
+    expect(breaker.getState()).toBe(CircuitState.OPEN);
+  });
+
+  it('should ignore client errors', async () => {
+    const breaker = new CircuitBreaker('clob-api', { failureThreshold: 1 });
+    await breaker.execute(() => Promise.reject(PolymarketError.fromHttpError(404))).catch(() => undefined);
+    await breaker.execute(() => Promise.reject(PolymarketError.fromHttpError(429))).catch(() => undefined);
+    expect(breaker.getState()).toBe(CircuitState.CLOSED);
+  });
+
+  it('should treat transport failures as outages', () => {
+    expect(isCircuitFailure(new TypeError('fetch failed'))).toBe(true);
+    expect(isCircuitFailure(serverError())).toBe(true);
+    expect(isCircuitFailure(PolymarketError.fromHttpError(409))).toBe(false);
+    expect(isCircuitFailure(new Error('Invalid token id'))).toBe(false);
+  });
+});
+
+describe('retry policies', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should apply jitter within the backoff window', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0.5);
+    const policy = { baseDelayMs: 100, maxDelayMs: 1000 };
+
+    expect(computeRetryDelay(policy, 2)).toBe(400);
+    expect(computeRetryDelay({ ...policy, jitter: 'full' }, 2)).toBe(200);
+    expect(computeRetryDelay({ ...policy, jitter: 'equal' }, 2)).toBe(300);
+    expect(computeRetryDelay(policy, 10)).toBe(1000);
+  });
+
+  it('should stop retrying once maxElapsedMs would be exceeded', async () => {
+    const fn = vi.fn().mockRejectedValue(serverError());
+
+    await expect(
+      withRetry(fn, { maxAttempts: 10, baseDelayMs: 20, maxElapsedMs: 50 })
+    ).rejects.toMatchObject({ code: ErrorCode.NETWORK_ERROR });
+    // 20ms + 40ms > 50ms, so only one retry fits the budget
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it('should keep supporting the legacy maxRetries / delay options', async () => {
+    const fn = vi.fn().mockRejectedValueOnce(serverError()).mockResolvedValueOnce('ok');
+    const onRetry = vi.fn();
+
+    await expect(withRetry(fn, { maxRetries: 2, delay: 1, onRetry })).resolves.toBe('ok');
+    expect(onRetry).toHaveBeenCalledWith(expect.any(PolymarketError), 1, 1);
+  });
+
+  it('should only retry transport failures among non-SDK errors', async () => {
+    expect(isRetryableError(new TypeError('fetch failed'))).toBe(true);
+    const reset = Object.assign(new Error('request failed'), { cause: { code: 'ECONNRESET' } });
+    expect(isRetryableError(reset)).toBe(true);
+    expect(isRetryableError(Object.assign(new Error('aborted'), { name: 'AbortError' }))).toBe(true);
+    expect(isRetryableError(Object.assign(new Error('connect'), { code: 'ECONNREFUSED' }))).toBe(true);
+
+    expect(isRetryableError(new TypeError("Cannot read properties of undefined (reading 'price')"))).toBe(false);
+    expect(isRetryableError(new Error('invalid market slug'))).toBe(false);
+    expect(isRetryableError('nope')).toBe(false);
+
+    const bug = vi.fn().mockRejectedValue(new RangeError('bad index'));
+    await expect(withRetry(bug, { maxAttempts: 3, baseDelayMs: 1 })).rejects.toThrow('bad index');
+    expect(bug).toHaveBeenCalledTimes(1);
+  });
+});
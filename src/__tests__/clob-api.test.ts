@@ -12,6 +12,7 @@ import {
   mockNoOrderbook,
   expectOrderbookSorted,
 } from './test-utils.js';
+import { PolymarketError } from '../core/errors.js';
 
 describe('ClobApiClient', () => {
   let client: ClobApiClient;
@@ -275,6 +276,112 @@ describe('ClobApiClient', () => {
     });
   });
 
+  describe('getPriceHistory', () => {
+    it('should request a range in seconds and return points in ms', async () => {
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ history: [{ t: 1700000060, p: 0.52 }, { t: 1700000000, p: 0.5 }] }),
+      });
+
+      const points = await client.getPriceHistory('token', {
+        startTime: 1700000000_000,
+        endTime: 1700003600_000,
+        fidelity: 1,
+      });
+
+      const url = new URL(mockFetch.mock.calls[0][0]);
+      expect(url.pathname).toBe('/prices-history');
+      expect(Object.fromEntries(url.searchParams)).toEqual({
+        market: 'token',
+        startTs: '1700000000',
+        endTs: '1700003600',
+        fidelity: '1',
+      });
+      expect(points).toEqual([
+        { timestamp: 1700000000_000, price: 0.5 },
+        { timestamp: 1700000060_000, price: 0.52 },
+      ]);
+    });
+  });
+
+  describe('batch endpoints', () => {
+    const rawBook = (tokenId: string) => ({
+      asset_id: tokenId,
+      bids: [{ price: '0.48', size: '10' }, { price: '0.49', size: '5' }],
+      asks: [{ price: '0.52', size: '7' }],
+    });
+
+    it('should chunk /books requests', async () => {
+      const tokenIds = Array.from({ length: 150 }, (_, i) => `token-${i}`);
+      mockFetch.mockImplementation(async (_url: string, init: { body: string }) => ({
+        ok: true,
+        json: async () => (JSON.parse(init.body) as Array<{ token_id: string }>).map((r) => rawBook(r.token_id)),
+      }));
+
+      const books = await client.getOrderbooks([...tokenIds, 'token-0']);
+
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+      expect(mockFetch.mock.calls[0][0]).toContain('/books');
+      expect(mockFetch.mock.calls[0][1].method).toBe('POST');
+      expect(JSON.parse(mockFetch.mock.calls[0][1].body)).toHaveLength(100);
+      expect(books.size).toBe(150);
+      expectOrderbookSorted(books.get('token-42')!);
+    });
+
+    it('should fall back to single-book requests for a failed chunk', async () => {
+      const tokenIds = Array.from({ length: 150 }, (_, i) => `token-${i}`);
+      mockFetch.mockImplementation(async (url: string, init?: { body: string }) => {
+        if (url.includes('/book?')) {
+          const tokenId = new URL(url).searchParams.get('token_id')!;
+          return tokenId === 'token-7'
+            ? { ok: false, status: 404, json: async () => ({ error: 'No orderbook exists' }) }
+            : { ok: true, json: async () => rawBook(tokenId) };
+        }
+        const chunk = JSON.parse(init!.body) as Array<{ token_id: string }>;
+        if (chunk[0].token_id === 'token-0') {
+          return { ok: false, status: 400, json: async () => ({ error: 'Invalid payload' }) };
+        }
+        return { ok: true, json: async () => chunk.map((r) => rawBook(r.token_id)) };
+      });
+
+      const books = await client.getOrderbooks(tokenIds);
+
+      expect(books.size).toBe(149);
+      expect(books.has('token-7')).toBe(false);
+      expect(books.has('token-8')).toBe(true);
+      expect(books.has('token-120')).toBe(true);
+
+      mockFetch.mockResolvedValue({ ok: false, status: 400, json: async () => ({ error: 'Invalid payload' }) });
+      await expect(client.getOrderbooks(['a', 'b'])).rejects.toBeInstanceOf(PolymarketError);
+    });
+
+    it('should parse batch prices and midpoints', async () => {
+      mockFetch
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ a: { BUY: '0.48', SELL: '0.52' }, b: { SELL: '0.3' } }),
+        })
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ a: '0.5', b: '0.29' }),
+        });
+
+      const prices = await client.getPrices(['a', 'b']);
+      const midpoints = await client.getMidpoints(['a', 'b']);
+
+      expect(JSON.parse(mockFetch.mock.calls[0][1].body)).toEqual([
+        { token_id: 'a', side: 'BUY' },
+        { token_id: 'a', side: 'SELL' },
+        { token_id: 'b', side: 'BUY' },
+        { token_id: 'b', side: 'SELL' },
+      ]);
+      expect(prices.get('a')).toEqual({ BUY: 0.48, SELL: 0.52 });
+      expect(prices.get('b')).toEqual({ BUY: undefined, SELL: 0.3 });
+      expect(mockFetch.mock.calls[1][0]).toContain('/midpoints');
+      expect(midpoints.get('b')).toBe(0.29);
+    });
+  });
+
   describe('hasTradingCapabilities', () => {
     it('should return false without config', () => {
       expect(client.hasTradingCapabilities()).toBe(false);
@@ -0,0 +1,99 @@
+/**
+ * Error Classifier Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { classifyError, toPolymarketError, getErrorMessage } from '../core/error-classifier.js';
+import { PolymarketError, ErrorCode } from '../core/errors.js';
+
+const NOT_ENOUGH = 'not enough balance / allowance';
+
+describe('classifyError', () => {
+  it('should disambiguate "not enough balance / allowance" by order context', () => {
+    const negRiskSell = classifyError(NOT_ENOUGH, { side: 'SELL', negRisk: true });
+    expect(negRiskSell.code).toBe(ErrorCode.NEG_RISK_APPROVAL_MISSING);
+    expect(negRiskSell.remediation).toMatchObject({
+      action: 'SET_ERC1155_APPROVAL',
+      target: 'NEG_RISK_ADAPTER',
+    });
+    expect(negRiskSell.remediation!.hint).toContain('setErc1155Approval for NEG_RISK_ADAPTER');
+
+    const sell = classifyError(NOT_ENOUGH, { side: 'SELL', negRisk: false });
+    expect(sell.code).toBe(ErrorCode.INSUFFICIENT_ALLOWANCE);
+    expect(sell.remediation).toMatchObject({ action: 'SET_ERC1155_APPROVAL', target: 'CTF_EXCHANGE' });
+
+    const buy = classifyError(NOT_ENOUGH, { side: 'BUY' });
+    expect(buy.code).toBe(ErrorCode.INSUFFICIENT_ALLOWANCE);
+    expect(buy.remediation?.action).toBe('APPROVE_USDC');
+  });
+
+  it('should report a balance shortfall instead of a missing approval', () => {
+    const buy = classifyError(NOT_ENOUGH, { side: 'BUY', balance: 20, required: 50 });
+    expect(buy).toMatchObject({ code: ErrorCode.INSUFFICIENT_BALANCE, remediation: { action: 'DEPOSIT_USDC' } });
+
+    const sell = classifyError(NOT_ENOUGH, { side: 'SELL', negRisk: true, balance: 5, required: 10 });
+    expect(sell).toMatchObject({ code: ErrorCode.INSUFFICIENT_BALANCE, remediation: { action: 'REDUCE_ORDER_SIZE' } });
+
+    // Enough funds: the approval is what is missing
+    expect(classifyError(NOT_ENOUGH, { side: 'BUY', balance: 80, required: 50 }).code).toBe(
+      ErrorCode.INSUFFICIENT_ALLOWANCE
+    );
+  });
+
+  it('should classify CLOB `{ error }` payloads', () => {
+    const result = classifyError(
+      { error: 'invalid order: price (0.123), min: 0.01 - breaks minimum tick size rule', status: 400 },
+      { side: 'BUY' }
+    );
+    expect(result.code).toBe(ErrorCode.INVALID_TICK_SIZE);
+    expect(result.remediation?.action).toBe('ROUND_TO_TICK_SIZE');
+  });
+
+  it('should classify order validation errors', () => {
+    expect(classifyError('Size (2) lower than the minimum: 5').code).toBe(
+      ErrorCode.ORDER_SIZE_TOO_SMALL
+    );
+    expect(classifyError("order couldn't be fully filled. FOK orders are fully filled or killed.").code).toBe(
+      ErrorCode.ORDER_NOT_FILLED
+    );
+    expect(classifyError('the market is not accepting orders').code).toBe(ErrorCode.MARKET_CLOSED);
+  });
+
+  it('should classify contract revert reasons', () => {
+    const error = Object.assign(new Error('cannot estimate gas'), {
+      reason: 'execution reverted: ERC1155: caller is not owner nor approved',
+    });
+    expect(classifyError(error, { negRisk: true }).code).toBe(ErrorCode.NEG_RISK_APPROVAL_MISSING);
+    expect(classifyError(new Error('insufficient funds for gas * price + value')).remediation?.action).toBe(
+      'FUND_GAS'
+    );
+  });
+
+  it('should fall back to ORDER_FAILED for orders and API_ERROR otherwise', () => {
+    expect(classifyError('something odd', { side: 'BUY' }).code).toBe(ErrorCode.ORDER_FAILED);
+    expect(classifyError('something odd').code).toBe(ErrorCode.API_ERROR);
+  });
+
+  it('should keep already-specific PolymarketErrors', () => {
+    const error = new PolymarketError(ErrorCode.MARKET_NOT_FOUND, 'nope');
+    expect(classifyError(error).code).toBe(ErrorCode.MARKET_NOT_FOUND);
+  });
+});
+
+describe('toPolymarketError', () => {
+  it('should wrap errors with code and remediation', () => {
+    const error = toPolymarketError(new Error(NOT_ENOUGH), { side: 'SELL', negRisk: true });
+    expect(error).toBeInstanceOf(PolymarketError);
+    expect(error.code).toBe(ErrorCode.NEG_RISK_APPROVAL_MISSING);
+    expect(error.remediation?.target).toBe('NEG_RISK_ADAPTER');
+    expect(error.retryable).toBe(false);
+  });
+});
+
+describe('getErrorMessage', () => {
+  it('should extract messages from common error shapes', () => {
+    expect(getErrorMessage('plain')).toBe('plain');
+    expect(getErrorMessage({ errorMsg: 'from result' })).toBe('from result');
+    expect(getErrorMessage({ error: { message: 'nested' } })).toBe('nested');
+  });
+});
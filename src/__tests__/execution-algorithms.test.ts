@@ -0,0 +1,117 @@
+/**
+ * Execution Algorithms Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  TwapExecutor,
+  IcebergExecutor,
+  PeggedOrderExecutor,
+  type ExecutionProgress,
+} from '../services/execution-algorithms.js';
+import type { ManagedOrder } from '../services/order-manager.js';
+import { PaperExchange, PaperTradingClient } from '../clients/paper-trading.js';
+import { silentLogger } from '../core/logger.js';
+
+const options = { pollIntervalMs: 5, logger: silentLogger };
+
+function createExchange(asks: Array<{ price: number; size: number }>, bids = [{ price: 0.4, size: 1000 }]) {
+  const exchange = new PaperExchange({ initialUsdc: 1000 });
+  exchange.updateBook({ assetId: 'yes', bids, asks });
+  return { exchange, trading: new PaperTradingClient(exchange) };
+}
+
+describe('Execution algorithms', () => {
+  it('should slice a TWAP at the touch and stop at the window end when capped', async () => {
+    const { exchange, trading } = createExchange([{ price: 0.5, size: 100 }]);
+
+    const twap = new TwapExecutor(trading, exchange, { tokenId: 'yes', side: 'BUY', size: 100, durationMs: 400, slices: 4 }, options);
+    const report = await twap.start();
+
+    expect(report).toMatchObject({ status: 'filled', filledSize: 100, averagePrice: 0.5, notional: 50, childOrders: 4 });
+    expect(report.orders.map((o) => o.originalSize)).toEqual([25, 25, 25, 25]);
+
+    // The touch is above the limit: slices rest at 0.55 and are cancelled at the end
+    exchange.updateBook({ assetId: 'yes', bids: [], asks: [{ price: 0.6, size: 100 }] });
+    const capped = new TwapExecutor(
+      trading,
+      exchange,
+      { tokenId: 'yes', side: 'BUY', size: 40, durationMs: 200, slices: 2, limitPrice: 0.55 },
+      options
+    );
+    const unfilled = await capped.start();
+
+    expect(unfilled).toMatchObject({ status: 'unfilled', filledSize: 0, reason: 'window elapsed' });
+    expect(unfilled.orders.map((o) => [o.price, o.originalSize, o.status])).toEqual([
+      [0.55, 20, 'cancelled'],
+      [0.55, 40, 'cancelled'],
+    ]);
+    expect(exchange.getUsdcBalance()).toBeCloseTo(950, 6);
+  });
+
+  it('should show one iceberg clip at a time', async () => {
+    const { trading } = createExchange([{ price: 0.5, size: 1000 }]);
+    const iceberg = new IcebergExecutor(trading, { tokenId: 'yes', side: 'BUY', size: 50, price: 0.5, clipSize: 20 }, options);
+    const clips: number[] = [];
+    const progress: number[] = [];
+    iceberg.on('order', (o: ManagedOrder) => clips.push(o.originalSize));
+    iceberg.on('progress', (p: ExecutionProgress) => progress.push(p.filledSize));
+
+    const report = await iceberg.start();
+
+    expect(clips).toEqual([20, 20, 10]);
+    expect(progress).toEqual([20, 40, 50]);
+    expect(report).toMatchObject({ status: 'filled', averagePrice: 0.5 });
+  });
+
+  it('should chase the bid with a pegged order and stop at the price cap', async () => {
+    const { exchange, trading } = createExchange([{ price: 0.45, size: 100 }]);
+    const pegged = new PeggedOrderExecutor(trading, exchange, { tokenId: 'yes', side: 'BUY', size: 40, priceCap: 0.46 }, options);
+
+    pegged.on('order', (o: ManagedOrder) => {
+      // Bid moves up: the peg follows to 0.42, where 15 shares then fill
+      if (o.price === 0.4) exchange.updateBook({ assetId: 'yes', bids: [{ price: 0.42, size: 100 }], asks: [{ price: 0.45, size: 100 }] });
+      if (o.price === 0.42) exchange.updateBook({ assetId: 'yes', bids: [{ price: 0.42, size: 100 }], asks: [{ price: 0.42, size: 15 }] });
+    });
+    // Then the bid runs past the cap
+    pegged.on('progress', () => {
+      exchange.updateBook({ assetId: 'yes', bids: [{ price: 0.47, size: 100 }], asks: [{ price: 0.48, size: 100 }] });
+    });
+
+    const report = await pegged.start();
+
+    expect(report).toMatchObject({
+      status: 'partial',
+      reason: 'price cap reached',
+      filledSize: 15,
+      averagePrice: 0.42,
+      childOrders: 2,
+    });
+    expect(report.orders.map((o) => o.status)).toEqual(['cancelled', 'cancelled']);
+    expect(exchange.getOpenOrders()).toEqual([]);
+  });
+
+  it('should not outbid its own order when pegging with an offset', async () => {
+    const { exchange, trading } = createExchange([{ price: 0.45, size: 100 }]);
+    // Unlike the paper book, a live book also shows our resting order
+    const books = {
+      getBook: (assetId: string) => {
+        const book = exchange.getBook(assetId)!;
+        const own = exchange.getOpenOrders().map((o) => ({ price: o.price, size: o.remainingSize }));
+        return { ...book, bids: [...own, ...book.bids].sort((a, b) => b.price - a.price) };
+      },
+    };
+    const params = { tokenId: 'yes', side: 'BUY', size: 40, priceCap: 0.46, offset: 0.01 } as const;
+    const pegged = new PeggedOrderExecutor(trading, books, params, options);
+
+    // One tick above the 0.40 bid; the ask drops onto it after a few polls
+    pegged.on('order', (o: ManagedOrder) => {
+      if (o.price !== 0.41) return;
+      setTimeout(() => exchange.updateBook({ assetId: 'yes', bids: [{ price: 0.4, size: 1000 }], asks: [{ price: 0.41, size: 40 }] }), 50);
+    });
+
+    const report = await pegged.start();
+
+    expect(report).toMatchObject({ status: 'filled', filledSize: 40, averagePrice: 0.41, childOrders: 1 });
+  });
+});
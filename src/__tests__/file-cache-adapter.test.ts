@@ -0,0 +1,108 @@
+/**
+ * FileCacheAdapter Unit Tests
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { FileCacheAdapter } from '../core/file-cache-adapter.js';
+import { createUnifiedCache } from '../core/unified-cache.js';
+
+describe('FileCacheAdapter', () => {
+  let dir: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'poly-sdk-cache-'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should persist values across instances', async () => {
+    const first = new FileCacheAdapter({ directory: dir });
+    await first.set('clob:market:0x1', { question: 'Q', endDate: new Date('2025-01-01T00:00:00Z') });
+
+    const second = new FileCacheAdapter({ directory: dir });
+    const value = await second.get<{ question: string; endDate: Date }>('clob:market:0x1');
+
+    expect(value?.question).toBe('Q');
+    expect(value?.endDate).toBeInstanceOf(Date);
+    expect(value?.endDate.toISOString()).toBe('2025-01-01T00:00:00.000Z');
+  });
+
+  it('should survive concurrent writes of the same key', async () => {
+    const cache = new FileCacheAdapter({ directory: dir });
+    await Promise.all(Array.from({ length: 10 }, (_, i) => cache.set('k', i)));
+
+    expect(await cache.get<number>('k')).toEqual(expect.any(Number));
+    expect(fs.readdirSync(dir).filter((f) => f.endsWith('.tmp'))).toEqual([]);
+  });
+
+  it('should expire entries by TTL', async () => {
+    const cache = new FileCacheAdapter({ directory: dir });
+    await cache.set('a', 1, 0.02);
+    expect(await cache.exists('a')).toBe(true);
+
+    await new Promise((r) => setTimeout(r, 40));
+    expect(await cache.get('a')).toBeNull();
+    expect(await cache.exists('a')).toBe(false);
+  });
+
+  it('should evict least recently used entries over maxEntries', async () => {
+    const cache = new FileCacheAdapter({ directory: dir, maxEntries: 2 });
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    await cache.get('a'); // a is now most recently used
+    await cache.set('c', 3);
+
+    expect(await cache.get('a')).toBe(1);
+    expect(await cache.get('b')).toBeNull();
+    expect(await cache.get('c')).toBe(3);
+    expect((await cache.getStats()).entries).toBe(2);
+  });
+
+  it('should enforce maxBytes', async () => {
+    const cache = new FileCacheAdapter({ directory: dir, maxBytes: 300 });
+    await cache.set('a', 'x'.repeat(150));
+    await cache.set('b', 'y'.repeat(150));
+
+    expect(await cache.get('a')).toBeNull();
+    expect((await cache.getStats()).bytes).toBeLessThanOrEqual(300);
+  });
+
+  it('should isolate namespaces', async () => {
+    const api = new FileCacheAdapter({ directory: dir, namespace: 'api' });
+    const scripts = api.withNamespace('scripts');
+    await api.set('k', 'api');
+    await scripts.set('k', 'scripts');
+
+    await scripts.clear();
+    expect(await api.get('k')).toBe('api');
+    expect(await scripts.get('k')).toBeNull();
+  });
+
+  it('should plug into createUnifiedCache with invalidation', async () => {
+    const cache = createUnifiedCache(new FileCacheAdapter({ directory: dir }));
+    await cache.set('clob:market:0x1', 'm1', 60_000);
+    await cache.set('clob:market:0x2', 'm2', 60_000);
+
+    await cache.invalidate('0x1');
+
+    expect(await cache.get('clob:market:0x1')).toBeUndefined();
+    expect(await cache.get('clob:market:0x2')).toBe('m2');
+  });
+
+  it('should expire entries written through createUnifiedCache', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const cache = createUnifiedCache(new FileCacheAdapter({ directory: dir }));
+    await cache.set('gamma:markets:top', ['m1'], 1000);
+    expect(await cache.get('gamma:markets:top')).toEqual(['m1']);
+
+    vi.setSystemTime(Date.now() + 1500);
+
+    expect(await cache.get('gamma:markets:top')).toBeUndefined();
+  });
+});
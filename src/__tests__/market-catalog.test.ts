@@ -0,0 +1,164 @@
+/**
+ * MarketCatalog Unit Tests
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { MarketCatalog, type MarketResolvedEvent, type PriceMovedEvent, type CatalogMarket } from '../services/market-catalog.js';
+import type { GammaMarket } from '../clients/gamma-api.js';
+import type { CacheAdapter } from '../core/cache-adapter-types.js';
+import { silentLogger } from '../core/logger.js';
+
+function gammaMarket(id: string, overrides: Partial<GammaMarket> = {}): GammaMarket {
+  return {
+    id,
+    conditionId: `0x${id}`,
+    slug: `market-${id}`,
+    question: `Market ${id}?`,
+    outcomes: ['Yes', 'No'],
+    outcomePrices: [0.5, 0.5],
+    clobTokenIds: [`${id}-yes`, `${id}-no`],
+    volume: 1000,
+    liquidity: 100,
+    endDate: new Date('2030-01-01'),
+    active: true,
+    closed: false,
+    ...overrides,
+  };
+}
+
+/** Fake Gamma API: `open` is what the walk returns, `all` answers individual lookups */
+function fakeGammaApi(open: GammaMarket[]) {
+  const api = {
+    open,
+    all: new Map<string, GammaMarket>(),
+    iterateMarkets: vi.fn(async function* () {
+      yield* api.open;
+    }),
+    getMarketByConditionId: vi.fn(async (conditionId: string) => api.all.get(conditionId) ?? null),
+  };
+  return api;
+}
+
+function memoryStorage(): CacheAdapter {
+  const data = new Map<string, unknown>();
+  return {
+    get: async <T>(key: string) => (data.has(key) ? structuredClone(data.get(key)) as T : null),
+    set: async (key, value) => void data.set(key, structuredClone(value)),
+    del: async (key) => void data.delete(key),
+    exists: async (key) => data.has(key),
+  };
+}
+
+function createCatalog(gammaApi: ReturnType<typeof fakeGammaApi>, options = {}) {
+  return new MarketCatalog(gammaApi as never, {} as never, { logger: silentLogger, ...options });
+}
+
+describe('MarketCatalog', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should emit listings only after the initial sync', async () => {
+    const gammaApi = fakeGammaApi([gammaMarket('a')]);
+    const catalog = createCatalog(gammaApi);
+    const listed: CatalogMarket[] = [];
+    catalog.on('marketListed', (m: CatalogMarket) => listed.push(m));
+
+    const first = await catalog.refresh();
+    expect(first).toMatchObject({ listed: 0, total: 1 });
+
+    gammaApi.open.push(gammaMarket('b'));
+    const second = await catalog.refresh();
+
+    expect(second.listed).toBe(1);
+    expect(listed.map((m) => m.conditionId)).toEqual(['0xb']);
+  });
+
+  it('should detect closed and resolved markets that left the walk', async () => {
+    const gammaApi = fakeGammaApi([gammaMarket('a'), gammaMarket('b')]);
+    const catalog = createCatalog(gammaApi);
+    await catalog.refresh();
+
+    const closed: string[] = [];
+    const resolved: MarketResolvedEvent[] = [];
+    catalog.on('marketClosed', (m: CatalogMarket) => closed.push(m.conditionId));
+    catalog.on('marketResolved', (e: MarketResolvedEvent) => resolved.push(e));
+
+    // 'a' closes and settles NO; 'b' closes without a winner yet
+    gammaApi.open = [];
+    gammaApi.all.set('0xa', gammaMarket('a', { closed: true, outcomePrices: [0, 1] }));
+    gammaApi.all.set('0xb', gammaMarket('b', { closed: true }));
+    await catalog.refresh();
+
+    expect(closed).toEqual(['0xa', '0xb']);
+    expect(resolved.map((e) => [e.market.conditionId, e.winningOutcome, e.winningTokenId])).toEqual([
+      ['0xa', 'No', 'a-no'],
+    ]);
+
+    // Resolved markets are no longer looked up; unresolved ones are
+    gammaApi.getMarketByConditionId.mockClear();
+    await catalog.refresh();
+    expect(gammaApi.getMarketByConditionId.mock.calls.map(([id]) => id)).toEqual(['0xb']);
+    expect(catalog.getMarkets()).toHaveLength(0);
+    expect(catalog.getMarkets({ includeClosed: true })).toHaveLength(2);
+  });
+
+  it('should rotate lookups and give up on closed markets that never resolve', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const gammaApi = fakeGammaApi(['a', 'b', 'c'].map((id) => gammaMarket(id)));
+    const catalog = createCatalog(gammaApi, { maxLookupsPerRefresh: 2, maxResolutionWaitMs: 60_000 });
+    await catalog.refresh();
+
+    // All three close without a winner; 'c' is reported settled by UMA
+    gammaApi.open = [];
+    gammaApi.all.set('0xa', gammaMarket('a', { closed: true }));
+    gammaApi.all.set('0xb', gammaMarket('b', { closed: true }));
+    gammaApi.all.set('0xc', gammaMarket('c', { closed: true, umaResolutionStatus: 'resolved' }));
+    const lookups = () => gammaApi.getMarketByConditionId.mock.calls.splice(0).map(([id]) => id);
+
+    vi.setSystemTime(Date.now() + 1000);
+    await catalog.refresh();
+    vi.setSystemTime(Date.now() + 1000);
+    await catalog.refresh();
+    expect(lookups()).toEqual(['0xa', '0xb', '0xc', '0xa']);
+
+    vi.setSystemTime(Date.now() + 1000);
+    await catalog.refresh();
+    expect(lookups()).toEqual(['0xb', '0xa']);
+
+    vi.setSystemTime(Date.now() + 60_000);
+    await catalog.refresh();
+    expect(lookups()).toEqual([]);
+  });
+
+  it('should emit priceMoved once the threshold is crossed from the last event', async () => {
+    const gammaApi = fakeGammaApi([gammaMarket('a', { outcomePrices: [0.5, 0.5] })]);
+    const catalog = createCatalog(gammaApi, { priceMoveThreshold: 0.05 });
+    await catalog.refresh();
+    const moves: PriceMovedEvent[] = [];
+    catalog.on('priceMoved', (e: PriceMovedEvent) => moves.push(e));
+
+    for (const price of [0.53, 0.56, 0.58, 0.6]) {
+      gammaApi.open = [gammaMarket('a', { outcomePrices: [price, 1 - price] })];
+      await catalog.refresh();
+    }
+
+    expect(moves.map((e) => [e.previousPrice, e.price])).toEqual([[0.5, 0.56]]);
+  });
+
+  it('should map tokens to markets and survive restarts', async () => {
+    const storage = memoryStorage();
+    await createCatalog(fakeGammaApi([gammaMarket('a')]), { storage }).refresh();
+
+    const gammaApi = fakeGammaApi([gammaMarket('a'), gammaMarket('b')]);
+    const restarted = createCatalog(gammaApi, { storage });
+    const listed: string[] = [];
+    restarted.on('marketListed', (m: CatalogMarket) => listed.push(m.conditionId));
+    await restarted.refresh();
+
+    // 'a' was persisted, so only 'b' is new
+    expect(listed).toEqual(['0xb']);
+    expect(restarted.lookupToken('a-no')).toMatchObject({ conditionId: '0xa', outcome: 'No', outcomeIndex: 1 });
+    expect(restarted.lookupToken('unknown')).toBeNull();
+  });
+});
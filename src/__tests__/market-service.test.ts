@@ -0,0 +1,98 @@
+/**
+ * MarketService Unit Tests
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { MarketService } from '../services/market-service.js';
+import type { Trade } from '../clients/data-api.js';
+import type { PricePoint } from '../clients/clob-api.js';
+import type { UnifiedMarket } from '../core/types.js';
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2025, 0, 1);
+
+function trade(timestamp: number, price: number, overrides: Partial<Trade> = {}): Trade {
+  return {
+    side: 'BUY',
+    price,
+    size: 10,
+    asset: 'yes-token',
+    outcome: 'Yes',
+    outcomeIndex: 0,
+    timestamp,
+    ...overrides,
+  } as Trade;
+}
+
+function createService(trades: Trade[], history: PricePoint[]) {
+  const dataApi = {
+    getTradesByMarket: vi.fn(async () => trades),
+    iterateTrades: vi.fn(async function* ({ since, until }: { since?: number; until?: number }) {
+      yield* trades.filter((t) => (since === undefined || t.timestamp >= since) && (until === undefined || t.timestamp <= until));
+    }),
+  };
+  const clobApi = { getPriceHistory: vi.fn(async () => history) };
+  const service = new MarketService({} as never, clobApi as never, dataApi as never, {} as never);
+  vi.spyOn(service, 'getMarket').mockResolvedValue({
+    tokens: { yes: { tokenId: 'yes-token', price: 0.5 }, no: { tokenId: 'no-token', price: 0.5 } },
+  } as UnifiedMarket);
+  return { service, dataApi, clobApi };
+}
+
+describe('MarketService.getKLines', () => {
+  it('should keep trade-only candles by default', async () => {
+    const { service, clobApi } = createService([trade(T0, 0.5), trade(T0 + 3 * HOUR, 0.6)], []);
+
+    const candles = await service.getKLines('0xc', '1h');
+
+    expect(candles.map((c) => c.timestamp)).toEqual([T0, T0 + 3 * HOUR]);
+    expect(clobApi.getPriceHistory).not.toHaveBeenCalled();
+  });
+
+  it('should merge price history and fill gaps with flat candles', async () => {
+    const trades = [
+      trade(T0 + 10_000, 0.5),
+      trade(T0 + 20_000, 0.55),
+      trade(T0 + 3 * HOUR, 0.6),
+      trade(T0 + 3 * HOUR, 0.4, { asset: 'no-token', outcome: 'No', outcomeIndex: 1 }),
+    ];
+    const history = [
+      { timestamp: T0, price: 0.49 },
+      { timestamp: T0 + HOUR, price: 0.52 },
+      { timestamp: T0 + HOUR + 60_000, price: 0.53 },
+    ];
+    const { service, clobApi } = createService(trades, history);
+
+    const candles = await service.getKLines('0xc', '1h', {
+      source: 'merged',
+      startTime: T0,
+      endTime: T0 + 4 * HOUR,
+    });
+
+    expect(clobApi.getPriceHistory).toHaveBeenCalledWith('yes-token', {
+      startTime: T0,
+      endTime: T0 + 4 * HOUR,
+      fidelity: 60,
+    });
+    expect(candles.map((c) => [c.timestamp - T0, c.open, c.close, c.tradeCount])).toEqual([
+      [0, 0.5, 0.55, 2],          // trades win over the history point
+      [HOUR, 0.52, 0.53, 0],      // price history
+      [2 * HOUR, 0.53, 0.53, 0],  // gap
+      [3 * HOUR, 0.6, 0.6, 1],    // YES trades only
+      [4 * HOUR, 0.6, 0.6, 0],    // filled up to endTime
+    ]);
+  });
+
+  it('should clip merged trade candles to the default history window', async () => {
+    const endTime = T0 + 1000 * HOUR;
+    // A year-old trade would otherwise be gap-filled hour by hour up to endTime
+    const { service, clobApi } = createService([trade(T0 - 365 * 24 * HOUR, 0.3), trade(endTime - HOUR, 0.6)], []);
+
+    const candles = await service.getKLines('0xc', '1h', { source: 'merged', endTime });
+
+    expect(clobApi.getPriceHistory).toHaveBeenCalledWith('yes-token', expect.objectContaining({
+      startTime: endTime - 500 * HOUR,
+    }));
+    expect(candles.map((c) => c.timestamp)).toEqual([endTime - HOUR, endTime]);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * OrderBook Unit Tests
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { OrderBook } from '../core/order-book.js';
+import { WebSocketManager, type BookGapEvent } from '../clients/websocket-manager.js';
+import type { BookUpdate } from '../core/types.js';
+
+const snapshot = {
+  bids: [{ price: 0.48, size: 100 }, { price: 0.5, size: 50 }],
+  asks: [{ price: 0.55, size: 80 }, { price: 0.53, size: 20 }],
+  timestamp: 1000,
+  hash: 'h0',
+};
+
+describe('OrderBook', () => {
+  it('should keep levels sorted while applying deltas', () => {
+    const book = new OrderBook('yes');
+    book.applySnapshot(snapshot);
+
+    expect(book.bestBid()).toEqual({ price: 0.5, size: 50 });
+    expect(book.bestAsk()).toEqual({ price: 0.53, size: 20 });
+
+    const before = book.getAsks();
+    const result = book.applyDelta({
+      changes: [
+        { side: 'BUY', price: 0.51, size: 10 },  // new best bid
+        { side: 'BUY', price: 0.48, size: 0 },   // removed
+        { side: 'SELL', price: 0.53, size: 5 },  // resized
+        { side: 'SELL', price: 0.54, size: 30 }, // inserted in the middle
+      ],
+      timestamp: 1001,
+      hash: 'h1',
+      bestBid: 0.51,
+      bestAsk: 0.53,
+    });
+
+    expect(result).toEqual({ status: 'applied' });
+    expect(book.getBids()).toEqual([{ price: 0.51, size: 10 }, { price: 0.5, size: 50 }]);
+    expect(book.getAsks().map((l) => l.price)).toEqual([0.53, 0.54, 0.55]);
+    expect(book.bestAsk()?.size).toBe(5);
+    expect(book.hash).toBe('h1');
+    // Copies handed out earlier are not mutated
+    expect(before[0]).toEqual({ price: 0.53, size: 20 });
+  });
+
+  it('should detect gaps and wait for the next snapshot', () => {
+    const book = new OrderBook('yes');
+    expect(book.applyDelta({ changes: [], timestamp: 1 })).toEqual({ status: 'gap', reason: 'no_snapshot' });
+
+    book.applySnapshot(snapshot);
+    expect(book.applyDelta({ changes: [], timestamp: 999 })).toEqual({ status: 'stale' });
+    expect(book.applyDelta({ changes: [], timestamp: 1002 }).status).toBe('applied');
+    expect(book.applyDelta({ changes: [], timestamp: 1001 })).toEqual({ status: 'gap', reason: 'out_of_order' });
+    expect(book.isSynced()).toBe(false);
+
+    book.applySnapshot(snapshot);
+    expect(book.applyDelta({ changes: [{ side: 'BUY', price: 0.6, size: 1 }], timestamp: 1003 })).toEqual({
+      status: 'gap',
+      reason: 'crossed',
+    });
+
+    book.applySnapshot(snapshot);
+    expect(book.applyDelta({ changes: [], timestamp: 1003, bestBid: 0.49 })).toEqual({
+      status: 'gap',
+      reason: 'best_mismatch',
+    });
+  });
+});
+
+describe('WebSocketManager order books', () => {
+  it('should apply price changes and resync from REST after a gap', async () => {
+    let release!: () => void;
+    const restReply = new Promise<void>((resolve) => (release = resolve));
+    const snapshotSource = {
+      getOrderbook: vi.fn(async () => {
+        await restReply;
+        return { ...snapshot, bids: [{ price: 0.47, size: 1 }], timestamp: 2000 };
+      }),
+    };
+    const manager = new WebSocketManager({ snapshotSource });
+    const updates: BookUpdate[] = [];
+    const gaps: BookGapEvent[] = [];
+    manager.on('bookUpdate', (u: BookUpdate) => updates.push(u));
+    manager.on('bookGap', (g: BookGapEvent) => gaps.push(g));
+
+    await manager['handleBookUpdate']([
+      {
+        event_type: 'book',
+        market: '0xc',
+        asset_id: 'yes',
+        timestamp: '1000',
+        bids: [{ price: '0.5', size: '50' }],
+        asks: [{ price: '0.53', size: '20' }],
+      },
+    ]);
+    await manager['handlePriceChange']([
+      {
+        event_type: 'price_change',
+        market: '0xc',
+        timestamp: '1001',
+        price_changes: [{ asset_id: 'yes', side: 'BUY', price: '0.51', size: '5', best_bid: '0.51', best_ask: '0.53' }],
+      },
+    ]);
+    expect(manager.getOrderBook('yes')?.bestBid()).toEqual({ price: 0.51, size: 5 });
+
+    // Server reports a best bid the local book does not have
+    await manager['handlePriceChange']([
+      {
+        event_type: 'price_change',
+        market: '0xc',
+        timestamp: '1002',
+        price_changes: [{ asset_id: 'yes', side: 'SELL', price: '0.54', size: '5', best_bid: '0.52', best_ask: '0.53' }],
+      },
+    ]);
+    // The stale book is withheld until the REST snapshot lands
+    expect(manager.getBook('yes')).toBeUndefined();
+    // Changes while the snapshot is in flight: one it already has, one it does not
+    for (const [timestamp, price] of [['1500', '0.46'], ['2500', '0.48']]) {
+      await manager['handlePriceChange']([
+        {
+          event_type: 'price_change',
+          market: '0xc',
+          timestamp,
+          price_changes: [{ asset_id: 'yes', side: 'BUY', price, size: '3' }],
+        },
+      ]);
+    }
+    release();
+    await vi.waitFor(() => expect(manager.getOrderBook('yes')?.isSynced()).toBe(true));
+    expect(manager.getBook('yes')?.bids.map((l) => l.price)).toEqual([0.48, 0.47]);
+
+    expect(gaps).toEqual([{ assetId: 'yes', reason: 'best_mismatch' }]);
+    expect(snapshotSource.getOrderbook).toHaveBeenCalledTimes(1);
+    expect(updates.map((u) => u.bids[0]?.price)).toEqual([0.5, 0.51, 0.48]);
+  });
+});
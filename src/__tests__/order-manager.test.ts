@@ -0,0 +1,143 @@
+/**
+ * OrderManager Unit Tests
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { OrderManager, type OrderTransitionEvent, type OrderFillEvent } from '../services/order-manager.js';
+import type { Order } from '../clients/trading-client.js';
+import { silentLogger } from '../core/logger.js';
+
+function remoteOrder(overrides: Partial<Order> = {}): Order {
+  return {
+    id: 'order-1',
+    status: 'LIVE',
+    tokenId: 'yes-token',
+    side: 'BUY',
+    price: 0.45,
+    originalSize: 100,
+    filledSize: 0,
+    remainingSize: 100,
+    associateTrades: [],
+    createdAt: 0,
+    ...overrides,
+  };
+}
+
+/** Fake TradingClient: `remote` is what getOrder returns */
+function fakeGateway() {
+  const gateway = {
+    remote: remoteOrder() as Order | null,
+    createOrder: vi.fn(async () => ({ success: true, orderId: 'order-1' })),
+    createMarketOrder: vi.fn(async () => ({ success: true, orderId: 'order-1' })),
+    cancelOrder: vi.fn(async (orderId: string) => ({ success: true, orderId })),
+    getOrder: vi.fn(async () => gateway.remote),
+  };
+  return gateway;
+}
+
+function record(manager: OrderManager) {
+  const transitions: string[] = [];
+  const fills: number[] = [];
+  manager.on('transition', (e: OrderTransitionEvent) => transitions.push(`${e.from}>${e.to}`));
+  manager.on('fill', (e: OrderFillEvent) => fills.push(e.fillSize));
+  return { transitions, fills };
+}
+
+describe('OrderManager', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should follow a limit order through partial and full fills', async () => {
+    const gateway = fakeGateway();
+    const manager = new OrderManager(gateway, { logger: silentLogger });
+    const { transitions, fills } = record(manager);
+
+    const order = await manager.submit({ tokenId: 'yes-token', side: 'BUY', price: 0.45, size: 100 });
+    expect(order).toMatchObject({ orderId: 'order-1', status: 'live', filledSize: 0 });
+
+    gateway.remote = remoteOrder({ filledSize: 40 });
+    await manager.reconcile();
+    expect(manager.getOrder('order-1')).toMatchObject({ status: 'partially_filled', filledSize: 40, remainingSize: 60 });
+
+    gateway.remote = remoteOrder({ status: 'MATCHED', filledSize: 100 });
+    await manager.reconcile();
+
+    // Terminal: no further lookups or changes
+    gateway.remote = remoteOrder({ status: 'CANCELED', filledSize: 100 });
+    gateway.getOrder.mockClear();
+    await manager.reconcile();
+
+    expect(gateway.getOrder).not.toHaveBeenCalled();
+    expect(transitions).toEqual(['pending>live', 'live>partially_filled', 'partially_filled>filled']);
+    expect(fills).toEqual([40, 60]);
+    expect(manager.getOrders({ open: false }).map((o) => o.status)).toEqual(['filled']);
+  });
+
+  it('should report rejected posts without calling the CLOB again', async () => {
+    const gateway = fakeGateway();
+    gateway.createMarketOrder.mockResolvedValueOnce({ success: false, errorMsg: 'not enough balance' } as never);
+    const manager = new OrderManager(gateway, { logger: silentLogger });
+
+    const order = await manager.submitMarket({ tokenId: 'yes-token', side: 'BUY', amount: 10 });
+
+    expect(order).toMatchObject({ status: 'rejected', error: 'not enough balance', filledSize: 0 });
+    expect(gateway.getOrder).not.toHaveBeenCalled();
+  });
+
+  it('should drop old terminal orders on submit without being started', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const gateway = fakeGateway();
+    gateway.createMarketOrder.mockResolvedValue({ success: false, errorMsg: 'not enough balance' } as never);
+    const manager = new OrderManager(gateway, { retentionMs: 60_000, logger: silentLogger });
+
+    const old = await manager.submitMarket({ tokenId: 'yes-token', side: 'BUY', amount: 10 });
+    vi.setSystemTime(Date.now() + 61_000);
+    await manager.submitMarket({ tokenId: 'yes-token', side: 'BUY', amount: 10 });
+
+    expect(manager.getOrder(old.clientOrderId)).toBeNull();
+    expect(manager.getOrders()).toHaveLength(1);
+  });
+
+  it('should mark cancelled and expired orders', async () => {
+    const gateway = fakeGateway();
+    const manager = new OrderManager(gateway, { logger: silentLogger });
+
+    // Cancel confirmed while the CLOB lookup still shows the order live
+    const first = await manager.submit({ tokenId: 'yes-token', side: 'BUY', price: 0.45, size: 100 });
+    const cancelled = await manager.cancel(first.clientOrderId);
+    expect(cancelled.status).toBe('cancelled');
+    expect(gateway.cancelOrder).toHaveBeenCalledWith('order-1');
+
+    // GTD order cancelled by the CLOB after its expiration
+    gateway.createOrder.mockResolvedValueOnce({ success: true, orderId: 'order-2' });
+    const expiration = Math.floor(Date.now() / 1000) - 60;
+    gateway.remote = remoteOrder({ id: 'order-2', filledSize: 10 });
+    const second = await manager.submit({
+      tokenId: 'yes-token',
+      side: 'BUY',
+      price: 0.45,
+      size: 100,
+      orderType: 'GTD',
+      expiration,
+    });
+    gateway.remote = remoteOrder({ id: 'order-2', status: 'CANCELED', filledSize: 10 });
+    await manager.reconcile();
+
+    expect(manager.getOrder(second.clientOrderId)).toMatchObject({ status: 'expired', filledSize: 10 });
+  });
+
+  it('should keep the local state when a lookup fails', async () => {
+    const gateway = fakeGateway();
+    const manager = new OrderManager(gateway, { logger: silentLogger });
+    const errors: Error[] = [];
+    manager.on('error', (e: Error) => errors.push(e));
+
+    await manager.submit({ tokenId: 'yes-token', side: 'SELL', price: 0.55, size: 100 });
+    gateway.getOrder.mockRejectedValueOnce(new Error('clob down'));
+    await manager.reconcile();
+
+    expect(errors.map((e) => e.message)).toEqual(['clob down']);
+    expect(manager.getOrders({ open: true }).map((o) => o.status)).toEqual(['live']);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Orderbook Analytics Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  estimateFill,
+  getArbitrageDepth,
+  getDepthBands,
+  getEffectiveLevels,
+  getSlippageCurve,
+  type BinaryBook,
+} from '../utils/orderbook-analytics.js';
+
+// YES 0.48 / 0.52, NO 0.47 / 0.51 (NO bid 0.47 mirrors into a YES ask at 0.53)
+const book: BinaryBook = {
+  yesBids: [{ price: 0.48, size: 100 }, { price: 0.46, size: 200 }],
+  yesAsks: [{ price: 0.52, size: 100 }, { price: 0.55, size: 300 }],
+  noBids: [{ price: 0.47, size: 150 }, { price: 0.45, size: 100 }],
+  noAsks: [{ price: 0.51, size: 50 }, { price: 0.54, size: 200 }],
+};
+
+describe('orderbook analytics', () => {
+  it('should merge mirrored liquidity without double counting', () => {
+    const levels = getEffectiveLevels(
+      { ...book, noBids: [{ price: 0.48, size: 100 }, { price: 0.47, size: 150 }] },
+      'YES',
+      'BUY'
+    );
+    // NO bid 0.48 is the YES ask 0.52 seen from the other book
+    expect(levels).toEqual([
+      { price: 0.52, size: 100 },
+      { price: 0.53, size: 150 },
+      { price: 0.55, size: 300 },
+    ]);
+  });
+
+  it('should walk the book for a size and for a USDC amount', () => {
+    const bySize = estimateFill(book, 'YES', 'BUY', { size: 200 });
+    // 100 @ 0.52 + 100 @ 0.53 (mirrored NO bid)
+    expect(bySize.filledSize).toBe(200);
+    expect(bySize.vwap).toBeCloseTo(0.525);
+    expect(bySize.worstPrice).toBe(0.53);
+    // Effective mid: bid max(0.48, 1-0.51) = 0.49, ask 0.52
+    expect(bySize.mid).toBeCloseTo(0.505);
+    expect(bySize.slippage).toBeCloseTo(0.02);
+    expect(bySize.fullyFillable).toBe(true);
+
+    const byAmount = estimateFill(book, 'YES', 'BUY', { amount: 52 + 26.5 });
+    expect(byAmount.filledSize).toBeCloseTo(150);
+    expect(byAmount.cost).toBeCloseTo(78.5);
+
+    const tooBig = estimateFill(book, 'NO', 'SELL', { size: 10_000 });
+    expect(tooBig.fullyFillable).toBe(false);
+    // NO bids 0.47 / 0.45 + mirrored YES asks 0.48 / 0.45; 0.45 overlaps, so it counts once
+    expect(tooBig.filledSize).toBe(150 + 100 + 300);
+  });
+
+  it('should report slippage growing with size', () => {
+    const curve = getSlippageCurve(book, 'YES', 'SELL', [50, 200, 400]);
+    const slippage = curve.map((p) => p.slippage);
+    expect(slippage[0]).toBeLessThan(slippage[1]);
+    expect(slippage[1]).toBeLessThan(slippage[2]);
+  });
+
+  it('should sum depth inside price bands around the mid', () => {
+    const [oneCent, twoCents, fiveCents] = getDepthBands(book, 'YES');
+    // mid 0.505: bids 0.49 (mirrored NO ask), 0.48, 0.46; asks 0.52, 0.53, 0.55
+    expect(oneCent).toMatchObject({ band: 0.01, bidSize: 0, askSize: 0 });
+    expect(twoCents).toMatchObject({ bidSize: 50, askSize: 100, askValue: 52 });
+    expect(fiveCents).toMatchObject({ bidSize: 350, askSize: 550 });
+  });
+
+  it('should size arbitrage to the depth that still clears the threshold', () => {
+    // Long: YES asks 0.50 x100, 0.52 x100; NO asks 0.47 x150 → pairs 0.97, then 0.99
+    const arbBook: BinaryBook = {
+      yesBids: [],
+      yesAsks: [{ price: 0.5, size: 100 }, { price: 0.52, size: 100 }],
+      noBids: [],
+      noAsks: [{ price: 0.47, size: 150 }],
+    };
+
+    const strict = getArbitrageDepth(arbBook, 'long', { minProfitRate: 0.02 });
+    expect(strict.size).toBe(100);
+    expect(strict.profit).toBeCloseTo(3);
+
+    const loose = getArbitrageDepth(arbBook, 'long', { minProfitRate: 0.005 });
+    expect(loose.size).toBe(150);
+    expect(loose.marginalProfitRate).toBeCloseTo(0.01);
+    expect(loose.profit).toBeCloseTo(3.5);
+    // 100 YES @ 0.50 + 50 @ 0.52; NO fills at one price
+    expect(loose.yes).toEqual({ cost: expect.closeTo(76, 6), worstPrice: 0.52 });
+    expect(loose.no).toEqual({ cost: expect.closeTo(70.5, 6), worstPrice: 0.47 });
+
+    expect(getArbitrageDepth(arbBook, 'long', { maxSize: 40 }).size).toBe(40);
+    expect(getArbitrageDepth(book, 'short').size).toBe(0);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Pagination / Data API Iterator Unit Tests
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { paginate, type Page } from '../core/pagination.js';
+import { DataApiClient } from '../clients/data-api.js';
+import { GammaApiClient } from '../clients/gamma-api.js';
+import type { HttpTransport } from '../core/transport.js';
+import { silentLogger } from '../core/logger.js';
+import { ResponseValidator } from '../core/validation.js';
+import { MockRateLimiter, MockCache } from './test-utils.js';
+
+/** 10 records, newest first, timestamps 1000, 900, ..., 100 */
+const RECORDS = Array.from({ length: 10 }, (_, i) => ({ id: i, timestamp: 1000 - i * 100 }));
+
+function source() {
+  return vi.fn(async (offset: number, limit: number) => RECORDS.slice(offset, offset + limit));
+}
+
+async function collect<T>(pages: AsyncIterable<Page<T>>): Promise<Page<T>[]> {
+  const result: Page<T>[] = [];
+  for await (const page of pages) result.push(page);
+  return result;
+}
+
+describe('paginate', () => {
+  it('should fetch pages lazily', async () => {
+    const fetchPage = source();
+    const pages = paginate({ pageSize: 3, fetchPage });
+
+    const first = await pages.next();
+    expect(first.value.items.map((r: { id: number }) => r.id)).toEqual([0, 1, 2]);
+    expect(fetchPage).toHaveBeenCalledTimes(1);
+
+    await pages.return(undefined);
+    expect(fetchPage).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop at the time bounds', async () => {
+    const fetchPage = source();
+    const pages = await collect(
+      paginate({ pageSize: 3, fetchPage, since: 450, until: 850, timestampOf: (r) => r.timestamp })
+    );
+
+    expect(pages.flatMap((p) => p.items.map((r) => r.timestamp))).toEqual([800, 700, 600, 500]);
+    expect(pages.at(-1)).toMatchObject({ nextCursor: null, hasMore: true });
+    // Stopped at the first record older than `since` instead of reading all 4 pages
+    expect(fetchPage).toHaveBeenCalledTimes(3);
+  });
+
+  it('should resume from a cursor', async () => {
+    const pages = await collect(paginate({ pageSize: 4, fetchPage: source(), maxRecords: 4, until: 2000 }));
+    expect(pages).toHaveLength(1);
+    expect(pages[0]).toMatchObject({ cursor: { offset: 0, until: 2000 }, nextCursor: null, hasMore: true });
+
+    const first = await collect(paginate({ pageSize: 4, fetchPage: source() }));
+    const resumed = await collect(paginate({ pageSize: 4, fetchPage: source(), cursor: first[0].nextCursor! }));
+    expect(resumed.flatMap((p) => p.items.map((r) => r.id))).toEqual([4, 5, 6, 7, 8, 9]);
+    expect(resumed.at(-1)).toMatchObject({ nextCursor: null, hasMore: false });
+  });
+
+  it('should honour maxRecords mid-page', async () => {
+    const pages = await collect(paginate({ pageSize: 4, fetchPage: source(), maxRecords: 6 }));
+    expect(pages.flatMap((p) => p.items.map((r) => r.id))).toEqual([0, 1, 2, 3, 4, 5]);
+    expect(pages.at(-1)!.hasMore).toBe(true);
+  });
+});
+
+describe('DataApiClient iterators', () => {
+  it('should page through /activity with a pinned end time', async () => {
+    const urls: string[] = [];
+    const transport: HttpTransport = {
+      request: async (url) => {
+        urls.push(url);
+        const offset = Number(new URL(url).searchParams.get('offset') ?? 0);
+        const body = offset >= 4 ? [] : [0, 1].map((i) => ({
+          type: 'TRADE',
+          side: 'BUY',
+          size: 1,
+          price: 0.5,
+          asset: 'token',
+          conditionId: '0xc',
+          timestamp: 1_700_000_000 - offset - i,
+          transactionHash: `0x${offset + i}`,
+        }));
+        return { ok: true, status: 200, json: async () => body };
+      },
+    };
+    const client = new DataApiClient(
+      new MockRateLimiter() as never,
+      new MockCache() as never,
+      transport,
+      silentLogger,
+      new ResponseValidator({ logger: silentLogger })
+    );
+
+    const hashes: string[] = [];
+    for await (const activity of client.iterateActivity('0xabc', { type: 'TRADE', pageSize: 2, until: 1_700_000_000_000 })) {
+      hashes.push(activity.transactionHash);
+    }
+
+    expect(hashes).toEqual(['0x0', '0x1', '0x2', '0x3']);
+    expect(urls).toHaveLength(3);
+    const query = new URL(urls[1]).searchParams;
+    expect(query.get('offset')).toBe('2');
+    expect(query.get('type')).toBe('TRADE');
+    expect(query.get('end')).toBe('1700000000');
+  });
+});
+
+describe('GammaApiClient.iterateMarkets', () => {
+  it('should send server-side filters and apply text / negRisk to every page', async () => {
+    const urls: string[] = [];
+    // 5 markets, every other one neg-risk
+    const catalog = Array.from({ length: 5 }, (_, i) => ({
+      id: String(i),
+      conditionId: `0x${i}`,
+      slug: `market-${i}`,
+      question: i === 4 ? 'Will Bitcoin hit 200k?' : `Market ${i}`,
+      outcomes: '["Yes","No"]',
+      outcomePrices: '["0.5","0.5"]',
+      negRisk: i % 2 === 0,
+    }));
+    const transport: HttpTransport = {
+      request: async (url) => {
+        urls.push(url);
+        const query = new URL(url).searchParams;
+        const offset = Number(query.get('offset') ?? 0);
+        const body = catalog.slice(offset, offset + Number(query.get('limit')));
+        return { ok: true, status: 200, json: async () => body };
+      },
+    };
+    const client = new GammaApiClient(
+      new MockRateLimiter() as never,
+      new MockCache() as never,
+      transport,
+      new ResponseValidator({ logger: silentLogger })
+    );
+
+    const negRisk: string[] = [];
+    for await (const market of client.iterateMarkets({
+      pageSize: 2,
+      tagId: 21,
+      endDateMax: '2030-01-01T00:00:00Z',
+      liquidityMin: 5000,
+      negRisk: true,
+    })) {
+      negRisk.push(market.id);
+    }
+
+    // Filtered pages can be short; only a short raw page ends the walk
+    expect(negRisk).toEqual(['0', '2', '4']);
+    expect(urls).toHaveLength(3);
+    const query = new URL(urls[0]).searchParams;
+    expect(query.get('tag_id')).toBe('21');
+    expect(query.get('end_date_max')).toBe('2030-01-01T00:00:00.000Z');
+    expect(query.get('liquidity_num_min')).toBe('5000');
+
+    const bitcoin = await client.getMarkets({ text: 'BITCOIN', limit: 10 });
+    expect(bitcoin.map((m) => m.id)).toEqual(['4']);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Paper Trading Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { PaperExchange, PaperTradingClient, PaperCTFClient } from '../clients/paper-trading.js';
+import { ErrorCode } from '../core/errors.js';
+
+const tokenIds = { yesTokenId: 'yes', noTokenId: 'no' };
+
+function createExchange(initialUsdc = 1000) {
+  const exchange = new PaperExchange({ initialUsdc });
+  exchange.registerMarket('0xc', tokenIds);
+  exchange.updateBook({ assetId: 'yes', bids: [{ price: 0.48, size: 100 }], asks: [{ price: 0.5, size: 100 }] });
+  // NO bid @ 0.45 mirrors into a YES ask @ 0.55
+  exchange.updateBook({ assetId: 'no', bids: [{ price: 0.45, size: 100 }], asks: [{ price: 0.52, size: 100 }] });
+  return exchange;
+}
+
+describe('PaperExchange', () => {
+  it('should fill FOK orders across direct and mirrored levels or kill them', async () => {
+    const exchange = createExchange();
+    const trading = new PaperTradingClient(exchange);
+
+    // 100 @ 0.50 + 20 @ 0.55 = 61 USDC
+    const filled = await trading.createMarketOrder({ tokenId: 'yes', side: 'BUY', amount: 61, orderType: 'FOK' });
+    expect(filled.success).toBe(true);
+    expect(exchange.getTokenBalance('yes')).toBeCloseTo(120, 6);
+    expect(exchange.getUsdcBalance()).toBeCloseTo(939, 6);
+    expect(await trading.getOrder(filled.orderId!)).toMatchObject({ status: 'MATCHED', filledSize: expect.closeTo(120, 6) });
+
+    // Only 200 shares of YES asks exist
+    const killed = await trading.createMarketOrder({ tokenId: 'yes', side: 'BUY', amount: 500, orderType: 'FOK' });
+    expect(killed).toMatchObject({ success: false, errorCode: ErrorCode.ORDER_NOT_FILLED });
+    expect(exchange.getUsdcBalance()).toBeCloseTo(939, 6);
+
+    // FAK keeps what fills: the 0.48 YES bid and the mirrored 0.52 NO ask are one level of 100
+    const partial = await trading.createMarketOrder({ tokenId: 'yes', side: 'SELL', amount: 120, orderType: 'FAK' });
+    expect(partial.success).toBe(true);
+    expect(exchange.getTokenBalance('yes')).toBeCloseTo(20, 6);
+    expect(exchange.getUsdcBalance()).toBeCloseTo(987, 6);
+
+    // Paper wallets have no approvals, so the shortfall is always the balance
+    const broke = await trading.createMarketOrder({ tokenId: 'no', side: 'SELL', amount: 10 });
+    expect(broke).toMatchObject({ success: false, errorCode: ErrorCode.INSUFFICIENT_BALANCE });
+    expect(broke.remediation?.action).toBe('REDUCE_ORDER_SIZE');
+  });
+
+  it('should rest limit orders, fill them on book updates and release reserves', async () => {
+    const exchange = createExchange();
+    const trading = new PaperTradingClient(exchange);
+
+    const resting = await trading.createOrder({ tokenId: 'yes', side: 'BUY', price: 0.4, size: 50 });
+    expect(exchange.getUsdcBalance()).toBeCloseTo(980, 6);
+    expect((await trading.getOpenOrders()).map((o) => o.id)).toEqual([resting.orderId]);
+
+    // Ask drops through the limit: filled at 0.38, 1 USDC of the reserve comes back
+    exchange.updateBook({ assetId: 'yes', bids: [{ price: 0.36, size: 10 }], asks: [{ price: 0.38, size: 80 }] });
+    expect(await trading.getOrder(resting.orderId!)).toMatchObject({ status: 'MATCHED', filledSize: 50 });
+    expect(exchange.getUsdcBalance()).toBeCloseTo(981, 6);
+    expect(exchange.getTokenBalance('yes')).toBe(50);
+
+    // Cancelled and expired orders hand their reserve back
+    const cancelled = await trading.createOrder({ tokenId: 'yes', side: 'SELL', price: 0.9, size: 20 });
+    expect(exchange.getTokenBalance('yes')).toBe(30);
+    expect((await trading.cancelOrder(cancelled.orderId!)).success).toBe(true);
+    expect(exchange.getTokenBalance('yes')).toBe(50);
+
+    const gtd = await trading.createOrder({
+      tokenId: 'yes',
+      side: 'BUY',
+      price: 0.1,
+      size: 100,
+      orderType: 'GTD',
+      expiration: Math.floor(Date.now() / 1000) - 1,
+    });
+    expect((await trading.getOrder(gtd.orderId!))?.status).toBe('CANCELED');
+    expect(exchange.getUsdcBalance()).toBeCloseTo(981, 6);
+  });
+
+  it('should not refill resting orders from liquidity they already took', async () => {
+    const exchange = createExchange(10_000);
+    const trading = new PaperTradingClient(exchange);
+    const resting = await trading.createOrder({ tokenId: 'yes', side: 'BUY', price: 0.4, size: 1000 });
+
+    const book = { assetId: 'yes', bids: [{ price: 0.36, size: 10 }], asks: [{ price: 0.4, size: 10 }] };
+    for (let i = 0; i < 5; i++) exchange.updateBook(book);
+    expect(await trading.getOrder(resting.orderId!)).toMatchObject({ status: 'LIVE', filledSize: 10 });
+
+    // Only the 15 shares added to the level are new
+    exchange.updateBook({ ...book, asks: [{ price: 0.4, size: 25 }] });
+    expect((await trading.getOrder(resting.orderId!))?.filledSize).toBe(25);
+
+    // Market orders see the same consumed level, from either token (YES ask @ 0.4 is a NO bid @ 0.6)
+    exchange.split('0xc', 5);
+    const killed = await trading.createMarketOrder({ tokenId: 'no', side: 'SELL', amount: 5, price: 0.6, orderType: 'FOK' });
+    expect(killed).toMatchObject({ success: false, errorCode: ErrorCode.ORDER_NOT_FILLED });
+  });
+
+  it('should simulate split, merge and redeem', async () => {
+    const exchange = createExchange(100);
+    const ctf = new PaperCTFClient(exchange);
+
+    await ctf.split('0xc', '40');
+    await ctf.mergeByTokenIds('0xc', tokenIds, '15');
+    expect(await ctf.getPositionBalanceByTokenIds('0xc', tokenIds)).toMatchObject({ yesBalance: '25', noBalance: '25' });
+    expect(await ctf.getUsdcBalance()).toBe('75');
+
+    await expect(ctf.redeem('0xc')).rejects.toThrow('not resolved');
+    exchange.resolveMarket('0xc', 'NO');
+    const redeemed = await ctf.redeemByTokenIds('0xc', tokenIds);
+
+    expect(redeemed).toMatchObject({ outcome: 'NO', tokensRedeemed: '25', usdcReceived: '25' });
+    expect(await ctf.getUsdcBalance()).toBe('100');
+    expect((await ctf.getMarketResolution('0xc')).payoutNumerators).toEqual([0, 1]);
+  });
+});
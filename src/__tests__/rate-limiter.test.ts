@@ -0,0 +1,132 @@
+/**
+ * RateLimiter Unit Tests
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { RateLimiter, ApiType, type RateLimitedEvent } from '../core/rate-limiter.js';
+import { PolymarketError, ErrorCode, parseRetryAfter } from '../core/errors.js';
+
+function rateLimitedError(retryAfter?: string): PolymarketError {
+  return PolymarketError.fromHttpError(429, null, {
+    get: (name: string) => (name === 'retry-after' ? retryAfter ?? null : null),
+  });
+}
+
+describe('parseRetryAfter', () => {
+  it('should parse delta-seconds and HTTP dates', () => {
+    expect(parseRetryAfter('2')).toBe(2000);
+    expect(parseRetryAfter(null)).toBeUndefined();
+    expect(parseRetryAfter('garbage')).toBeUndefined();
+
+    const date = new Date(Date.now() + 5000).toUTCString();
+    const ms = parseRetryAfter(date)!;
+    expect(ms).toBeGreaterThan(3000);
+    expect(ms).toBeLessThanOrEqual(5000);
+  });
+
+  it('should attach retryAfterMs to RATE_LIMITED errors', () => {
+    const error = rateLimitedError('1.5');
+    expect(error.code).toBe(ErrorCode.RATE_LIMITED);
+    expect(error.retryAfterMs).toBe(1500);
+  });
+});
+
+describe('RateLimiter', () => {
+  it('should retry after a 429 honoring Retry-After', async () => {
+    const limiter = new RateLimiter();
+    const events: RateLimitedEvent[] = [];
+    limiter.on('rateLimited', (e) => events.push(e));
+
+    const fn = vi
+      .fn()
+      .mockRejectedValueOnce(rateLimitedError('0.05'))
+      .mockResolvedValueOnce('ok');
+
+    const start = Date.now();
+    await expect(limiter.execute(ApiType.DATA_API, fn, '/activity')).resolves.toBe('ok');
+
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(Date.now() - start).toBeGreaterThanOrEqual(45);
+    expect(events).toEqual([
+      { api: ApiType.DATA_API, endpoint: '/activity', backoffMs: 50, attempt: 1, willRetry: true },
+    ]);
+    expect(limiter.getStats(ApiType.DATA_API, '/activity')?.rateLimitedCount).toBe(1);
+  });
+
+  it('should give up after maxRateLimitRetries', async () => {
+    const limiter = new RateLimiter({ maxRateLimitRetries: 1, baseBackoffMs: 10 });
+    const fn = vi.fn().mockRejectedValue(rateLimitedError());
+
+    await expect(limiter.execute(ApiType.GAMMA_API, fn, '/markets')).rejects.toMatchObject({
+      code: ErrorCode.RATE_LIMITED,
+    });
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it('should only pause the endpoint that was rate limited', async () => {
+    const limiter = new RateLimiter({ baseBackoffMs: 200 });
+    const failing = vi
+      .fn()
+      .mockRejectedValueOnce(rateLimitedError())
+      .mockResolvedValueOnce('activity');
+
+    const activity = limiter.execute(ApiType.DATA_API, failing, '/activity');
+    // Let the first attempt fail and start backing off
+    await new Promise((r) => setTimeout(r, 20));
+
+    const start = Date.now();
+    await expect(
+      limiter.execute(ApiType.DATA_API, async () => 'trades', '/trades')
+    ).resolves.toBe('trades');
+    expect(Date.now() - start).toBeLessThan(150);
+    expect(limiter.getStats(ApiType.DATA_API, '/activity')!.backoffMs).toBeGreaterThan(0);
+
+    await expect(activity).resolves.toBe('activity');
+  });
+
+  it('should not retry other errors', async () => {
+    const limiter = new RateLimiter();
+    const fn = vi.fn().mockRejectedValue(PolymarketError.fromHttpError(404));
+
+    await expect(limiter.execute(ApiType.CLOB_API, fn, '/book')).rejects.toMatchObject({
+      code: ErrorCode.MARKET_NOT_FOUND,
+    });
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('RateLimiter circuit breaker', () => {
+  it('should retry transient failures per API policy', async () => {
+    const limiter = new RateLimiter({
+      retryPolicies: { [ApiType.DATA_API]: { maxAttempts: 2, baseDelayMs: 1 } },
+    });
+    const fn = vi
+      .fn()
+      .mockRejectedValueOnce(PolymarketError.fromHttpError(502))
+      .mockResolvedValueOnce('ok');
+
+    await expect(limiter.execute(ApiType.DATA_API, fn, '/trades')).resolves.toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it('should fail fast once an API circuit is open', async () => {
+    const limiter = new RateLimiter({ circuitBreaker: { failureThreshold: 2 } });
+    const states: string[] = [];
+    limiter.on('circuitStateChange', (s) => states.push(`${s.name}:${s.state}`));
+    const fn = vi.fn().mockRejectedValue(PolymarketError.fromHttpError(503));
+
+    await expect(limiter.execute(ApiType.CLOB_API, fn, '/book')).rejects.toThrow();
+    await expect(limiter.execute(ApiType.CLOB_API, fn, '/book')).rejects.toThrow();
+    await expect(limiter.execute(ApiType.CLOB_API, fn, '/book')).rejects.toMatchObject({
+      code: ErrorCode.CIRCUIT_OPEN,
+    });
+
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(states).toEqual(['clob-api:open']);
+    expect(limiter.isAvailable(ApiType.CLOB_API)).toBe(false);
+    expect(limiter.isAvailable(ApiType.GAMMA_API)).toBe(true);
+
+    limiter.resetCircuit(ApiType.CLOB_API);
+    expect(limiter.getCircuitState(ApiType.CLOB_API)?.state).toBe('closed');
+  });
+});
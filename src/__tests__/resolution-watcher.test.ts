@@ -0,0 +1,115 @@
+/**
+ * ResolutionWatcher Unit Tests
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { ResolutionWatcher, type ResolutionEvent } from '../services/resolution-watcher.js';
+import type { GammaMarket } from '../clients/gamma-api.js';
+import type { MarketResolution } from '../clients/ctf-client.js';
+import { silentLogger } from '../core/logger.js';
+
+function gammaMarket(overrides: Partial<GammaMarket> = {}): GammaMarket {
+  return {
+    id: '1',
+    conditionId: '0xc',
+    slug: 'btc-up-or-down',
+    question: 'BTC up or down?',
+    outcomes: ['Up', 'Down'],
+    outcomePrices: [0.5, 0.5],
+    clobTokenIds: ['up-token', 'down-token'],
+    volume: 1000,
+    liquidity: 100,
+    endDate: new Date('2030-01-01'),
+    active: true,
+    closed: false,
+    ...overrides,
+  };
+}
+
+function unresolved(conditionId: string): MarketResolution {
+  return { conditionId, isResolved: false, payoutNumerators: [0, 0], payoutDenominator: 0 };
+}
+
+function record(watcher: ResolutionWatcher): ResolutionEvent[] {
+  const events: ResolutionEvent[] = [];
+  for (const phase of ['closed', 'proposed', 'disputed', 'resolved']) {
+    watcher.on(phase, (e: ResolutionEvent) => events.push(e));
+  }
+  return events;
+}
+
+describe('ResolutionWatcher', () => {
+  it('should follow a market through the UMA phases and confirm payouts on-chain', async () => {
+    let market = gammaMarket();
+    const gammaApi = { getMarketByConditionId: vi.fn(async () => market) };
+    const ctf = { getMarketResolution: vi.fn(async (id: string) => unresolved(id)) };
+    const watcher = new ResolutionWatcher(gammaApi as never, { ctf, logger: silentLogger });
+    const events = record(watcher);
+    watcher.watch('0xc');
+
+    await watcher.check();
+    // Still open: no on-chain reads yet
+    expect(ctf.getMarketResolution).not.toHaveBeenCalled();
+
+    for (const umaResolutionStatus of [undefined, 'proposed', 'disputed', 'proposed', 'resolved']) {
+      market = gammaMarket({ closed: true, umaResolutionStatus });
+      await watcher.check();
+    }
+    // Gamma says resolved, but payouts are not on-chain yet
+    expect(watcher.getPhase('0xc')).toBe('proposed');
+
+    ctf.getMarketResolution.mockResolvedValueOnce({
+      conditionId: '0xc',
+      isResolved: true,
+      winningOutcome: 'NO',
+      payoutNumerators: [0, 1],
+      payoutDenominator: 1,
+    });
+    await watcher.check();
+
+    expect(events.map((e) => e.phase)).toEqual(['closed', 'proposed', 'disputed', 'proposed', 'resolved']);
+    expect(events.at(-1)).toMatchObject({
+      previousPhase: 'proposed',
+      winningOutcome: 'NO',
+      winningOutcomeName: 'Down',
+      tokenIds: { yesTokenId: 'up-token', noTokenId: 'down-token' },
+    });
+    // Unwatched once resolved
+    expect(watcher.getWatched()).toEqual([]);
+  });
+
+  it('should resolve from Gamma prices without a CTF reader', async () => {
+    const gammaApi = {
+      getMarketByConditionId: vi.fn(async () => gammaMarket({ closed: true, outcomePrices: [1, 0] })),
+    };
+    const watcher = new ResolutionWatcher(gammaApi as never, { logger: silentLogger, unwatchOnResolve: false });
+    const events = record(watcher);
+    watcher.watch(['0xc']);
+
+    await watcher.check();
+    await watcher.check();
+
+    expect(events.map((e) => [e.phase, e.winningOutcome, e.winningOutcomeName])).toEqual([['resolved', 'YES', 'Up']]);
+    expect(watcher.getPhase('0xc')).toBe('resolved');
+  });
+
+  it('should keep checking other markets when one lookup fails', async () => {
+    const gammaApi = {
+      getMarketByConditionId: vi.fn(async (id: string) => {
+        if (id === '0xbad') throw new Error('gamma down');
+        return gammaMarket({ conditionId: id, closed: true });
+      }),
+    };
+    const watcher = new ResolutionWatcher(gammaApi as never, { logger: silentLogger });
+    const errors: Error[] = [];
+    watcher.on('error', (e: Error) => errors.push(e));
+    const events = record(watcher);
+    watcher.watch(['0xbad', '0xc']);
+
+    await watcher.check();
+
+    expect(errors.map((e) => e.message)).toEqual(['gamma down']);
+    expect(events.map((e) => [e.conditionId, e.phase])).toEqual([['0xc', 'closed']]);
+    expect(watcher.getPhase('0xbad')).toBe('open');
+  });
+});
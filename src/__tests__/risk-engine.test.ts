@@ -0,0 +1,135 @@
+/**
+ * RiskEngine Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { RiskEngine, type RiskRejection } from '../core/risk-engine.js';
+import { PaperExchange, PaperTradingClient, PaperCTFClient } from '../clients/paper-trading.js';
+import { ErrorCode, PolymarketError } from '../core/errors.js';
+import { silentLogger } from '../core/logger.js';
+
+const tokenIds = { yesTokenId: 'yes', noTokenId: 'no' };
+
+function setup(limits: ConstructorParameters<typeof RiskEngine>[0]) {
+  const risk = new RiskEngine(limits, { logger: silentLogger });
+  risk.registerMarket('0xc', tokenIds);
+  const exchange = new PaperExchange({ initialUsdc: 1000 });
+  exchange.registerMarket('0xc', tokenIds);
+  exchange.updateBook({ assetId: 'yes', bids: [{ price: 0.4, size: 1000 }], asks: [{ price: 0.5, size: 1000 }] });
+  exchange.updateBook({ assetId: 'no', bids: [], asks: [] });
+  const trading = new PaperTradingClient(exchange, { riskEngine: risk });
+  const ctf = new PaperCTFClient(exchange, { riskEngine: risk });
+  const rejections: RiskRejection[] = [];
+  risk.on('rejected', (r: RiskRejection) => rejections.push(r));
+  return { risk, exchange, trading, ctf, rejections };
+}
+
+describe('RiskEngine', () => {
+  it('should cap order notional, market notional, position and daily spend', async () => {
+    const { trading, rejections } = setup({ maxOrderNotional: 30, maxMarketNotional: 60, maxPosition: 120, maxDailySpend: 70 });
+
+    const tooBig = await trading.createMarketOrder({ tokenId: 'yes', side: 'BUY', amount: 40 });
+    expect(tooBig).toMatchObject({ success: false, errorCode: ErrorCode.RISK_LIMIT_EXCEEDED });
+
+    expect((await trading.createMarketOrder({ tokenId: 'yes', side: 'BUY', amount: 25, price: 0.5 })).success).toBe(true);
+    expect((await trading.createMarketOrder({ tokenId: 'yes', side: 'BUY', amount: 25, price: 0.5 })).success).toBe(true);
+    // 50 held in the market, another 15 would exceed 60
+    expect((await trading.createMarketOrder({ tokenId: 'yes', side: 'BUY', amount: 15, price: 0.5 })).success).toBe(false);
+    // Selling reduces risk and is allowed
+    expect((await trading.createMarketOrder({ tokenId: 'yes', side: 'SELL', amount: 50, price: 0.4 })).success).toBe(true);
+    // 80 shares held, 65 spent today
+    expect((await trading.createMarketOrder({ tokenId: 'yes', side: 'BUY', amount: 15, price: 0.5 })).success).toBe(true);
+    expect((await trading.createOrder({ tokenId: 'yes', side: 'BUY', price: 0.1, size: 50 })).success).toBe(false);
+    expect((await trading.createOrder({ tokenId: 'yes', side: 'BUY', price: 0.2, size: 30 })).success).toBe(false);
+
+    expect(rejections.map((r) => r.limit)).toEqual(['maxOrderNotional', 'maxMarketNotional', 'maxPosition', 'maxDailySpend']);
+  });
+
+  it('should stop adding risk once the daily loss is reached', async () => {
+    const { risk, trading } = setup({ maxDailyLoss: 5 });
+
+    await trading.createMarketOrder({ tokenId: 'yes', side: 'BUY', amount: 50, price: 0.5 });
+    // 100 shares bought @ 0.50, sold @ 0.40: -10 realized
+    await trading.createMarketOrder({ tokenId: 'yes', side: 'SELL', amount: 100, price: 0.4 });
+    expect(risk.getState()).toMatchObject({ dailySpend: 50, dailyPnl: expect.closeTo(-10, 6) });
+
+    const blocked = await trading.createOrder({ tokenId: 'yes', side: 'BUY', price: 0.3, size: 10 });
+    expect(blocked.errorMsg).toMatch(/maxDailyLoss/);
+  });
+
+  it('should cancel all orders and block everything while the kill switch is on', async () => {
+    const { risk, exchange, trading, ctf } = setup({ maxOpenOrders: 1 });
+
+    const resting = await trading.createOrder({ tokenId: 'yes', side: 'BUY', price: 0.3, size: 10 });
+    const second = await trading.createOrder({ tokenId: 'yes', side: 'BUY', price: 0.3, size: 10 });
+    expect(second.errorMsg).toMatch(/maxOpenOrders/);
+
+    await risk.activateKillSwitch('drawdown');
+    expect((await trading.getOrder(resting.orderId!))?.status).toBe('CANCELED');
+    expect(exchange.getUsdcBalance()).toBe(1000);
+
+    const blocked = await trading.createMarketOrder({ tokenId: 'yes', side: 'BUY', amount: 5 });
+    expect(blocked.errorMsg).toMatch(/Kill switch active: drawdown/);
+    await expect(ctf.split('0xc', '10')).rejects.toSatisfy(
+      (e) => e instanceof PolymarketError && e.code === ErrorCode.RISK_LIMIT_EXCEEDED
+    );
+
+    risk.releaseKillSwitch();
+    await ctf.split('0xc', '10');
+    await ctf.merge('0xc', '10');
+    // The cancelled order never filled and holds nothing: only the split counts
+    expect(risk.getState()).toMatchObject({
+      dailySpend: 10,
+      dailyPnl: expect.closeTo(0, 6),
+      marketNotional: { '0xc': 0 },
+      reservedOrders: 0,
+    });
+  });
+
+  it('should reserve resting orders until they fill or are cancelled', async () => {
+    const { risk, exchange, trading } = setup({ maxDailySpend: 120 });
+
+    // Two quotes below the ask: reserved, but no position and no spend yet
+    const first = await trading.createOrder({ tokenId: 'yes', side: 'BUY', price: 0.45, size: 100 });
+    const second = await trading.createOrder({ tokenId: 'yes', side: 'BUY', price: 0.45, size: 100 });
+    expect(risk.getState()).toMatchObject({ dailySpend: 0, positions: {}, reservedSpend: 90, reservedOrders: 2 });
+    expect((await trading.createOrder({ tokenId: 'yes', side: 'BUY', price: 0.45, size: 100 })).errorMsg).toMatch(/maxDailySpend/);
+
+    // Cancelling and replacing free the reservations they held
+    await trading.cancelOrder(first.orderId!);
+    const replaced = await trading.replaceOrder(second.orderId!, 0.4, 50);
+    expect(risk.getState()).toMatchObject({ reservedSpend: 20, reservedOrders: 1 });
+
+    // The ask drops onto the quote: the fill moves into the position
+    exchange.updateBook({ assetId: 'yes', bids: [], asks: [{ price: 0.4, size: 30 }] });
+    expect(risk.getState()).toMatchObject({ dailySpend: 12, positions: { yes: { size: 30, avgPrice: 0.4 } }, reservedSpend: 8 });
+    await trading.cancelOrder(replaced.orderId!);
+    expect(risk.getState()).toMatchObject({ dailySpend: 12, reservedSpend: 0, reservedOrders: 0 });
+  });
+
+  it('should size a market buy without a price at the smallest tick', () => {
+    const risk = new RiskEngine({ maxPosition: 100, maxDailySpend: 20 }, { logger: silentLogger });
+
+    // 5 USDC could buy 500 shares at 0.01
+    expect(() => risk.checkOrder({ tokenId: 'yes', side: 'BUY', amount: 5 })).toThrow(/maxPosition/);
+    const buy = risk.reserveOrder({ tokenId: 'yes', side: 'BUY', amount: 0.5 });
+    expect(risk.getState()).toMatchObject({ reservedSpend: expect.closeTo(0.5, 6) });
+
+    // A fill without a reported price is booked at 1, the most it can have cost
+    risk.syncOrder(buy, 0.5, false);
+    expect(risk.getState()).toMatchObject({ dailySpend: expect.closeTo(0.5, 6), reservedOrders: 0 });
+  });
+
+  it('should not count a market sell without a price as a profit', async () => {
+    const risk = new RiskEngine({ maxDailyLoss: 10 }, { logger: silentLogger });
+
+    const buy = risk.reserveOrder({ tokenId: 'yes', side: 'BUY', price: 0.5, size: 100 });
+    risk.recordFill(buy, 100, 0.5);
+    // Filled without a reported price: no proceeds are assumed
+    const sell = risk.reserveOrder({ tokenId: 'yes', side: 'SELL', amount: 100 });
+    risk.syncOrder(sell, 100, false);
+    expect(risk.getState()).toMatchObject({ dailyPnl: expect.closeTo(-50, 6), positions: { yes: { size: 0 } } });
+
+    expect(() => risk.checkOrder({ tokenId: 'yes', side: 'BUY', price: 0.5, size: 1 })).toThrow(/maxDailyLoss/);
+  });
+});
@@ -195,6 +195,93 @@ describe('PolymarketSDK', () => {
             expect(arb).toBeNull();
         });
     });
+
+    describe('getEvent', () => {
+        const gammaMarket = (id: string, name: string, yesPrice: number) => ({
+            id,
+            conditionId: `0x${id}`,
+            slug: `will-${id}-win`,
+            question: `Will ${name} win?`,
+            groupItemTitle: name,
+            outcomes: '["Yes", "No"]',
+            outcomePrices: JSON.stringify([String(yesPrice), String(1 - yesPrice)]),
+            clobTokenIds: JSON.stringify([`${id}-yes`, `${id}-no`]),
+            negRisk: true,
+            volume: '1000',
+            liquidity: '100',
+            active: true,
+            closed: false,
+        });
+
+        it('应该聚合多结果事件的所有子市场', async () => {
+            mockFetch.mockImplementation(async (url: string) => {
+                if (url.includes('/events')) {
+                    return {
+                        ok: true,
+                        json: async () => [{
+                            id: '42',
+                            slug: 'election-winner',
+                            title: 'Election Winner',
+                            negRisk: true,
+                            markets: [gammaMarket('a', 'Alice', 0.6), gammaMarket('b', 'Bob', 0.45)],
+                        }],
+                    };
+                }
+                // Alice 有 CLOB 数据，Bob 的 CLOB 请求失败时回退到 Gamma
+                if (url.endsWith('/markets/0xa')) {
+                    return {
+                        ok: true,
+                        json: async () => ({
+                            condition_id: '0xa',
+                            question: 'Will Alice win?',
+                            tokens: [
+                                { token_id: 'a-yes', outcome: 'Yes', price: 0.58 },
+                                { token_id: 'a-no', outcome: 'No', price: 0.42 },
+                            ],
+                            neg_risk: true,
+                            accepting_orders: true,
+                            active: true,
+                            closed: false,
+                        }),
+                    };
+                }
+                return { ok: false, status: 404, json: async () => ({ error: 'not found' }) };
+            });
+
+            const event = await sdk.getEvent('election-winner');
+
+            expect(event.negRisk).toBe(true);
+            expect(event.outcomes.map((o) => [o.name, o.tokens.yes.tokenId, o.tokens.yes.price, o.source])).toEqual([
+                ['Alice', 'a-yes', 0.58, 'merged'],
+                ['Bob', 'b-yes', 0.45, 'gamma'],
+            ]);
+            expect(event.outcomes[1].tokens.no.tokenId).toBe('b-no');
+            expect(event.impliedProbabilitySum).toBeCloseTo(1.03);
+            expect(event.volume).toBe(2000);
+        });
+
+        it('应该按位置匹配非 Yes/No 的二元市场代币', async () => {
+            mockFetch.mockResolvedValueOnce({
+                ok: true,
+                json: async () => ({
+                    condition_id: '0xupdown',
+                    question: 'BTC up or down?',
+                    tokens: [
+                        { token_id: 'up-token', outcome: 'Up', price: 0.55 },
+                        { token_id: 'down-token', outcome: 'Down', price: 0.45 },
+                    ],
+                    accepting_orders: true,
+                    active: true,
+                    closed: false,
+                }),
+            });
+
+            const market = await sdk.getMarket('0xupdown');
+
+            expect(market.tokens.yes).toEqual({ tokenId: 'up-token', price: 0.55 });
+            expect(market.tokens.no).toEqual({ tokenId: 'down-token', price: 0.45 });
+        });
+    });
 });
 
 describe('价格工具函数', () => {
@@ -0,0 +1,133 @@
+/**
+ * Logger / Tracing Unit Tests
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { ConsoleLogger, errorFields } from '../core/logger.js';
+import {
+  traceSpan,
+  traceTransaction,
+  TracingTransport,
+  type SpanEndEvent,
+  type Tracer,
+} from '../core/tracing.js';
+import { ReplayTransport } from '../core/transport.js';
+import { PolymarketError, ErrorCode } from '../core/errors.js';
+
+function collectingTracer(): Tracer & { ended: SpanEndEvent[] } {
+  const ended: SpanEndEvent[] = [];
+  return { ended, onSpanEnd: (span) => ended.push(span) };
+}
+
+describe('ConsoleLogger', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should filter by level and format pretty output with bindings', () => {
+    const log = vi.spyOn(console, 'log').mockImplementation(() => undefined);
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => undefined);
+    const logger = new ConsoleLogger({ level: 'info' }).child({ component: 'DataAPI' });
+
+    logger.debug('hidden');
+    logger.info('Fetched page', { offset: 100 });
+    logger.warn('Slow response', { ms: 1200, endpoint: '/trades' });
+
+    expect(log).toHaveBeenCalledTimes(1);
+    expect(log).toHaveBeenCalledWith('[DataAPI] Fetched page offset=100');
+    expect(warn).toHaveBeenCalledWith('[DataAPI] Slow response ms=1200 endpoint=/trades');
+  });
+
+  it('should write JSON lines', () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => undefined);
+    const logger = new ConsoleLogger({ format: 'json', bindings: { service: 'api' } });
+
+    logger.error('Order rejected', errorFields(new PolymarketError(ErrorCode.ORDER_FAILED, 'boom')));
+
+    const entry = JSON.parse(error.mock.calls[0][0] as string);
+    expect(entry).toMatchObject({
+      level: 'error',
+      msg: 'Order rejected',
+      service: 'api',
+      error: 'boom',
+      code: ErrorCode.ORDER_FAILED,
+    });
+    expect(typeof entry.time).toBe('string');
+  });
+});
+
+describe('traceSpan', () => {
+  it('should report duration and outcome', async () => {
+    const tracer = collectingTracer();
+
+    await traceSpan(tracer, 'clob.getPrice', 'http', { tokenId: '1' }, async () => 'ok');
+    await expect(
+      traceSpan(tracer, 'clob.cancelOrder', 'http', {}, async () => {
+        throw new Error('nope');
+      })
+    ).rejects.toThrow('nope');
+    await traceSpan(tracer, 'clob.createOrder', 'http', {}, async (span) => {
+      span.setError('not enough balance / allowance');
+      return { success: false };
+    });
+
+    expect(tracer.ended.map((s) => [s.name, s.outcome, s.error])).toEqual([
+      ['clob.getPrice', 'ok', undefined],
+      ['clob.cancelOrder', 'error', 'nope'],
+      ['clob.createOrder', 'error', 'not enough balance / allowance'],
+    ]);
+    expect(tracer.ended[0].attributes).toEqual({ tokenId: '1' });
+    expect(tracer.ended[0].durationMs).toBeGreaterThanOrEqual(0);
+  });
+
+  it('should never let a failing hook break the call', async () => {
+    const tracer: Tracer = {
+      onSpanStart: () => {
+        throw new Error('hook');
+      },
+    };
+    await expect(traceSpan(tracer, 'x', 'http', {}, async () => 42)).resolves.toBe(42);
+  });
+});
+
+describe('traceTransaction', () => {
+  it('should record tx hash, block and gas', async () => {
+    const tracer = collectingTracer();
+    const receipt = { transactionHash: '0xabc', blockNumber: 10, gasUsed: { toString: () => '21000' } };
+    const tx = { hash: '0xabc', wait: vi.fn().mockResolvedValue(receipt) };
+
+    const result = await traceTransaction(tracer, 'ctf.merge', { amount: '5' }, async () => tx as never);
+
+    expect(result).toBe(receipt);
+    expect(tracer.ended[0]).toMatchObject({
+      name: 'ctf.merge',
+      kind: 'tx',
+      outcome: 'ok',
+      attributes: { amount: '5', txHash: '0xabc', blockNumber: 10, gasUsed: '21000' },
+    });
+  });
+});
+
+describe('TracingTransport', () => {
+  it('should name spans by host and normalized path', async () => {
+    const tracer = collectingTracer();
+    const url = 'https://clob.polymarket.com/markets/0x1234abcd?x=1';
+    const transport = new TracingTransport(
+      new ReplayTransport({
+        fixtures: [{ request: { method: 'GET', url }, response: { status: 404, body: {} } }],
+      }),
+      tracer
+    );
+
+    const response = await transport.request(url);
+
+    expect(response.status).toBe(404);
+    expect(tracer.ended[0]).toMatchObject({
+      name: 'GET clob.polymarket.com/markets/:id',
+      kind: 'http',
+      outcome: 'error',
+      error: 'HTTP 404',
+      attributes: { method: 'GET', status: 404 },
+    });
+  });
+});
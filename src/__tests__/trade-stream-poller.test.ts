@@ -0,0 +1,186 @@
+/**
+ * TradeStreamPoller Unit Tests
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { TradeStreamPoller } from '../services/trade-stream-poller.js';
+import type { Trade, Activity } from '../clients/data-api.js';
+import type { CacheAdapter } from '../core/cache-adapter-types.js';
+import { silentLogger } from '../core/logger.js';
+
+const T0 = 1_700_000_000_000;
+
+function trade(hash: string, secondsAfter: number, overrides: Partial<Trade> = {}): Trade {
+  return {
+    market: '0xc',
+    asset: 'token',
+    side: 'BUY',
+    price: 0.5,
+    size: 10,
+    outcome: 'Yes',
+    outcomeIndex: 0,
+    timestamp: T0 + secondsAfter * 1000,
+    transactionHash: hash,
+    ...overrides,
+  };
+}
+
+/** Fake Data API serving `upstream` (kept newest first) with offset paging */
+function fakeDataApi(upstream: Trade[]) {
+  const page = <T>(items: T[], params: { limit?: number; offset?: number } = {}) =>
+    items.slice(params.offset ?? 0, (params.offset ?? 0) + (params.limit ?? 100));
+  return {
+    upstream,
+    getTrades: vi.fn(async (params?: { limit?: number; offset?: number }) => page(upstream, params)),
+    getActivity: vi.fn(async (_user: string, params?: { limit?: number; offset?: number }) =>
+      page(
+        upstream.map((t): Activity => ({ ...t, type: 'TRADE', conditionId: t.market })),
+        params
+      )
+    ),
+  };
+}
+
+function memoryStorage(): CacheAdapter {
+  const data = new Map<string, unknown>();
+  return {
+    get: async <T>(key: string) => (data.has(key) ? structuredClone(data.get(key)) as T : null),
+    set: async (key, value) => void data.set(key, structuredClone(value)),
+    del: async (key) => void data.delete(key),
+    exists: async (key) => data.has(key),
+  };
+}
+
+function hashes(trades: Trade[]): string[] {
+  return trades.map((t) => t.transactionHash);
+}
+
+describe('TradeStreamPoller', () => {
+  let poller: TradeStreamPoller | undefined;
+
+  afterEach(async () => {
+    await poller?.stop();
+    vi.useRealTimers();
+  });
+
+  it('should emit only trades after start, oldest first and once', async () => {
+    const dataApi = fakeDataApi([trade('0x1', 1)]);
+    poller = new TradeStreamPoller(dataApi as never, { minIntervalMs: 60_000, logger: silentLogger });
+    const emitted: Trade[] = [];
+    poller.on('trade', (t: Trade) => emitted.push(t));
+
+    await poller.start();
+    expect(emitted).toEqual([]);
+
+    dataApi.upstream.unshift(trade('0x3', 3), trade('0x2', 2));
+    await poller.pollNow();
+    await poller.pollNow();
+
+    expect(hashes(emitted)).toEqual(['0x2', '0x3']);
+    expect(poller.getStats()).toMatchObject({ tradesEmitted: 2, highWaterMark: T0 + 3000 });
+  });
+
+  it('should pick up trades indexed late within the lookback window', async () => {
+    const dataApi = fakeDataApi([trade('0x2', 10)]);
+    poller = new TradeStreamPoller(dataApi as never, { minIntervalMs: 60_000, logger: silentLogger });
+    const emitted: Trade[] = [];
+    poller.on('trade', (t: Trade) => emitted.push(t));
+    await poller.start();
+
+    // Older than the mark, but only just showing up upstream
+    dataApi.upstream.push(trade('0x1', 5), trade('0x0', -120));
+    await poller.pollNow();
+
+    expect(hashes(emitted)).toEqual(['0x1']);
+  });
+
+  it('should page back to the mark after a burst', async () => {
+    const dataApi = fakeDataApi([trade('0x0', 0)]);
+    poller = new TradeStreamPoller(dataApi as never, { pageSize: 2, minIntervalMs: 60_000, logger: silentLogger });
+    const batches: Trade[][] = [];
+    poller.on('trades', (batch: Trade[]) => batches.push(batch));
+    await poller.start();
+
+    dataApi.upstream.unshift(trade('0x5', 5), trade('0x4', 4), trade('0x3', 3), trade('0x2', 2), trade('0x1', 1));
+    await poller.pollNow();
+
+    expect(batches.map(hashes)).toEqual([['0x1', '0x2', '0x3', '0x4', '0x5']]);
+  });
+
+  it('should resume from the persisted high-water mark', async () => {
+    const storage = memoryStorage();
+    const dataApi = fakeDataApi([trade('0x1', 1)]);
+    const first = new TradeStreamPoller(dataApi as never, { market: '0xc', storage, logger: silentLogger });
+    await first.start();
+    await first.stop();
+
+    // Traded while the process was down
+    dataApi.upstream.unshift(trade('0x2', 2));
+    poller = new TradeStreamPoller(dataApi as never, { market: '0xc', storage, logger: silentLogger });
+    const emitted: Trade[] = [];
+    poller.on('trade', (t: Trade) => emitted.push(t));
+    await poller.start();
+
+    expect(hashes(emitted)).toEqual(['0x2']);
+  });
+
+  it('should stream a wallet through its activity', async () => {
+    const dataApi = fakeDataApi([trade('0x2', 2), trade('0x1', 1)]);
+    poller = new TradeStreamPoller(dataApi as never, { user: '0xWallet', startFrom: T0, logger: silentLogger });
+    const emitted: Trade[] = [];
+    poller.on('trade', (t: Trade) => emitted.push(t));
+    await poller.start();
+
+    expect(dataApi.getTrades).not.toHaveBeenCalled();
+    expect(dataApi.getActivity).toHaveBeenCalledWith('0xWallet', expect.objectContaining({ type: 'TRADE' }));
+    expect(emitted.map((t) => [t.transactionHash, t.proxyWallet])).toEqual([
+      ['0x1', '0xWallet'],
+      ['0x2', '0xWallet'],
+    ]);
+  });
+
+  it('should keep paging a wallet when most of a page is in other markets', async () => {
+    const dataApi = fakeDataApi([trade('0x0', 0)]);
+    poller = new TradeStreamPoller(dataApi as never, {
+      user: '0xWallet',
+      market: '0xc',
+      pageSize: 2,
+      minIntervalMs: 60_000,
+      logger: silentLogger,
+    });
+    const emitted: Trade[] = [];
+    poller.on('trade', (t: Trade) => emitted.push(t));
+    await poller.start();
+
+    dataApi.upstream.unshift(
+      trade('0x4', 4),
+      trade('0xa', 3, { market: '0xother' }),
+      trade('0x2', 2),
+      trade('0x1', 1)
+    );
+    await poller.pollNow();
+
+    expect(hashes(emitted)).toEqual(['0x1', '0x2', '0x4']);
+  });
+
+  it('should back off when idle or failing and speed up on activity', async () => {
+    vi.useFakeTimers();
+    const dataApi = fakeDataApi([trade('0x1', 1)]);
+    poller = new TradeStreamPoller(dataApi as never, { minIntervalMs: 1000, maxIntervalMs: 4000, logger: silentLogger });
+    const errors: Error[] = [];
+    poller.on('error', (e: Error) => errors.push(e));
+    await poller.start();
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(poller.getStats().currentIntervalMs).toBe(1500);
+
+    dataApi.getTrades.mockRejectedValueOnce(new Error('upstream down'));
+    await vi.advanceTimersByTimeAsync(1500);
+    expect(errors.map((e) => e.message)).toEqual(['upstream down']);
+    expect(poller.getStats().currentIntervalMs).toBe(2250);
+
+    dataApi.upstream.unshift(trade('0x2', 2));
+    await vi.advanceTimersByTimeAsync(2250);
+    expect(poller.getStats()).toMatchObject({ currentIntervalMs: 1125, tradesEmitted: 1, polls: 4, errors: 1 });
+  });
+});
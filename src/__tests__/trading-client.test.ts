@@ -0,0 +1,245 @@
+/**
+ * TradingClient Unit Tests
+ *
+ * Orders are signed for real; only clob-client's HTTP layer is faked.
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { ClobClient } from '@polymarket/clob-client';
+import { Wallet } from 'ethers';
+import { TradingClient, MAX_BATCH_ORDERS, type OrderParams } from '../clients/trading-client.js';
+import { RateLimiter } from '../core/rate-limiter.js';
+import { ErrorCode, PolymarketError } from '../core/errors.js';
+import { RiskEngine } from '../core/risk-engine.js';
+import { silentLogger } from '../core/logger.js';
+
+interface Transport {
+  get(url: string): Promise<unknown>;
+  post(url: string, options: { data: Array<{ order: { price?: string } }> }): Promise<unknown>;
+  del(url: string, options: { data: { orderID: string } }): Promise<unknown>;
+}
+
+const proto = ClobClient.prototype as unknown as Transport;
+
+/** Fake CLOB endpoints; `requests` records every HTTP call */
+function fakeClob() {
+  const clob = {
+    requests: [] as string[],
+    orders: {} as Record<string, unknown>,
+    cancelResponse: null as unknown,
+    /** Error returned for single posts, if set */
+    postError: undefined as string | undefined,
+    /** /balance-allowance balance in 6-decimal base units */
+    balance: '0',
+  };
+  let nextId = 0;
+
+  vi.spyOn(proto, 'get').mockImplementation(async (url) => {
+    const path = new URL(url).pathname;
+    clob.requests.push(`GET ${path}`);
+    if (path === '/tick-size') return { minimum_tick_size: 0.01 };
+    if (path === '/neg-risk') return { neg_risk: false };
+    if (path === '/fee-rate') return { base_fee: 0 };
+    if (path === '/balance-allowance') return { balance: clob.balance, allowance: '0' };
+    if (path.startsWith('/data/order/')) return clob.orders[path.slice('/data/order/'.length)] ?? null;
+    if (path === '/data/orders') {
+      const live = Object.values(clob.orders).filter((o) => (o as { status: string }).status === 'LIVE');
+      return { data: live, next_cursor: 'LTE=' };
+    }
+    throw new Error(`Unexpected GET ${path}`);
+  });
+  vi.spyOn(proto, 'post').mockImplementation(async (url, options) => {
+    const path = new URL(url).pathname;
+    clob.requests.push(`POST ${path}`);
+    if (path === '/orders') {
+      return options.data.map(() => ({ success: true, orderID: `order-${++nextId}` }));
+    }
+    if (clob.postError) return { error: clob.postError, status: 400 };
+    return { success: true, orderID: `order-${++nextId}` };
+  });
+  vi.spyOn(proto, 'del').mockImplementation(async (url, options) => {
+    clob.requests.push(`DELETE ${new URL(url).pathname}`);
+    return clob.cancelResponse ?? { canceled: [options.data.orderID], not_canceled: {} };
+  });
+
+  return clob;
+}
+
+function createClient(riskEngine?: RiskEngine, rateLimiter = new RateLimiter()) {
+  return new TradingClient(rateLimiter, {
+    privateKey: Wallet.createRandom().privateKey,
+    credentials: { key: 'key', secret: 'c2VjcmV0', passphrase: 'pass' },
+    logger: silentLogger,
+    riskEngine,
+  });
+}
+
+function liveOrder(id: string) {
+  return {
+    id,
+    status: 'LIVE',
+    asset_id: '1001',
+    side: 'BUY',
+    price: '0.45',
+    original_size: '100',
+    size_matched: '30',
+    associate_trades: [],
+    created_at: 0,
+    order_type: 'GTC',
+    expiration: '0',
+  };
+}
+
+describe('TradingClient', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should batch orders and fetch market metadata once per token', async () => {
+    const clob = fakeClob();
+    const client = createClient();
+    const orders: OrderParams[] = Array.from({ length: 20 }, (_, i) => ({
+      tokenId: i % 2 === 0 ? '1001' : '1002',
+      side: 'BUY',
+      price: 0.4,
+      size: 10 + i,
+    }));
+
+    const results = await client.createOrders(orders);
+
+    expect(results.every((r) => r.success)).toBe(true);
+    expect(new Set(results.map((r) => r.orderId)).size).toBe(20);
+    // 3 metadata lookups per token, then 2 posts of at most 15 orders
+    expect(clob.requests.filter((r) => r.startsWith('GET'))).toHaveLength(6);
+    expect(clob.requests.filter((r) => r === 'POST /orders')).toHaveLength(Math.ceil(20 / MAX_BATCH_ORDERS));
+
+    clob.requests.length = 0;
+    await client.createOrder({ tokenId: '1001', side: 'SELL', price: 0.6, size: 5 });
+    expect(clob.requests).toEqual(['POST /order']);
+  });
+
+  it('should fail only the orders that cannot be signed', async () => {
+    fakeClob();
+    const client = createClient();
+
+    const results = await client.createOrders([
+      { tokenId: '1001', side: 'BUY', price: 0.4, size: 10 },
+      { tokenId: '1001', side: 'BUY', price: 1.5, size: 10 },
+    ]);
+
+    expect(results[0].success).toBe(true);
+    expect(results[1]).toMatchObject({ success: false, errorMsg: expect.stringMatching(/invalid price/) });
+  });
+
+  it('should cancel and repost on replace, and post nothing if the cancel fails', async () => {
+    const clob = fakeClob();
+    const client = createClient();
+    clob.orders['old-1'] = liveOrder('old-1');
+
+    const replaced = await client.replaceOrder('old-1', 0.47, 70);
+    expect(replaced.success).toBe(true);
+    expect(clob.requests.slice(-2)).toEqual(['DELETE /order', 'POST /order']);
+
+    clob.orders['old-2'] = liveOrder('old-2');
+    clob.cancelResponse = { canceled: [], not_canceled: { 'old-2': 'order already matched' } };
+    clob.requests.length = 0;
+
+    const failed = await client.replaceOrder('old-2', 0.47, 70);
+    expect(failed).toMatchObject({ success: false, errorCode: ErrorCode.ORDER_FAILED });
+    expect(failed.errorMsg).toMatch(/already matched/);
+    expect(clob.requests).not.toContain('POST /order');
+
+    expect((await client.replaceOrder('missing', 0.47, 70)).errorMsg).toMatch(/not found/);
+  });
+
+  it('should tell a lack of funds apart from a missing approval', async () => {
+    const clob = fakeClob();
+    const client = createClient();
+    clob.postError = 'not enough balance / allowance';
+
+    // 40 USDC needed, 25 held
+    clob.balance = '25000000';
+    const broke = await client.createOrder({ tokenId: '1001', side: 'BUY', price: 0.4, size: 100 });
+    expect(broke).toMatchObject({ success: false, errorCode: ErrorCode.INSUFFICIENT_BALANCE });
+    expect(broke.remediation?.action).toBe('DEPOSIT_USDC');
+    expect(clob.requests).toContain('GET /balance-allowance');
+
+    clob.balance = '500000000';
+    const unapproved = await client.createOrder({ tokenId: '1001', side: 'BUY', price: 0.4, size: 100 });
+    expect(unapproved).toMatchObject({ success: false, errorCode: ErrorCode.INSUFFICIENT_ALLOWANCE });
+    expect(unapproved.remediation?.action).toBe('APPROVE_USDC');
+  });
+
+  it('should reserve orders posted concurrently and free them on cancel', async () => {
+    const clob = fakeClob();
+    const risk = new RiskEngine({ maxDailySpend: 50 }, { logger: silentLogger });
+    const client = createClient(risk);
+
+    // Both pass a check-then-record race; with reservations only one fits
+    const [first, second] = await Promise.all([
+      client.createOrder({ tokenId: '1001', side: 'BUY', price: 0.4, size: 100 }),
+      client.createOrder({ tokenId: '1001', side: 'BUY', price: 0.4, size: 100 }),
+    ]);
+    expect([first.success, second.success]).toEqual([true, false]);
+    expect(second.errorCode).toBe(ErrorCode.RISK_LIMIT_EXCEEDED);
+    expect(risk.getState()).toMatchObject({ dailySpend: 0, positions: {}, reservedSpend: 40 });
+
+    // 30 of 100 filled before the cancel
+    clob.orders[first.orderId!] = { ...liveOrder(first.orderId!), status: 'CANCELED', price: '0.4' };
+    await client.cancelOrder(first.orderId!);
+    expect(risk.getState()).toMatchObject({ dailySpend: 12, positions: { '1001': { size: 30 } }, reservedSpend: 0 });
+    expect((await client.createOrder({ tokenId: '1001', side: 'BUY', price: 0.4, size: 90 })).success).toBe(true);
+  });
+
+  it('should sync reserved orders that left the open-order list', async () => {
+    const clob = fakeClob();
+    const risk = new RiskEngine({ maxDailySpend: 200 }, { logger: silentLogger });
+    const client = createClient(risk);
+
+    const order = { tokenId: '1001', side: 'BUY', price: 0.4, size: 100 } as const;
+    const matched = await client.createOrder(order);
+    const resting = await client.createOrder(order);
+    const unknown = await client.createOrder(order);
+    expect(risk.getState()).toMatchObject({ reservedSpend: 120, reservedOrders: 3 });
+
+    clob.orders[matched.orderId!] = { ...liveOrder(matched.orderId!), status: 'MATCHED', price: '0.4', size_matched: '100' };
+    clob.orders[resting.orderId!] = { ...liveOrder(resting.orderId!), price: '0.4' };
+    clob.requests.length = 0;
+
+    expect((await client.getOpenOrders()).map((o) => o.id)).toEqual([resting.orderId]);
+    expect(clob.requests).toEqual([
+      'GET /data/orders',
+      `GET /data/order/${matched.orderId}`,
+      `GET /data/order/${unknown.orderId}`,
+    ]);
+    // Filled in full, 30 of the resting order matched, the unknown order is released
+    expect(risk.getState()).toMatchObject({
+      dailySpend: 52,
+      positions: { '1001': { size: 130 } },
+      reservedSpend: 28,
+      reservedOrders: 1,
+    });
+  });
+
+  it('should return a failed result when the circuit breaker refuses an order', async () => {
+    const clob = fakeClob();
+    const rateLimiter = new RateLimiter();
+    vi.spyOn(rateLimiter, 'execute').mockRejectedValue(
+      new PolymarketError(ErrorCode.CIRCUIT_OPEN, 'Circuit open for clob-api')
+    );
+    const risk = new RiskEngine({ maxDailySpend: 50 }, { logger: silentLogger });
+    const client = createClient(risk, rateLimiter);
+
+    const order = { tokenId: '1001', side: 'BUY', price: 0.4, size: 10 } as const;
+    await expect(client.createOrder(order)).resolves.toMatchObject({ success: false, errorCode: ErrorCode.CIRCUIT_OPEN });
+    await expect(client.createMarketOrder({ tokenId: '1001', side: 'BUY', amount: 5 })).resolves.toMatchObject({
+      success: false,
+      errorCode: ErrorCode.CIRCUIT_OPEN,
+    });
+    const batch = await client.createOrders([order, order]);
+    expect(batch.map((r) => r.errorCode)).toEqual([ErrorCode.CIRCUIT_OPEN, ErrorCode.CIRCUIT_OPEN]);
+    expect(clob.requests.filter((r) => r.startsWith('POST'))).toEqual([]);
+    // Nothing was sent, so nothing stays reserved
+    expect(risk.getState()).toMatchObject({ reservedOrders: 0, reservedSpend: 0 });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * HTTP Transport Unit Tests
+ *
+ * Exercises the record/replay transports and the client normalize* paths
+ * against recorded fixtures in ./fixtures/transport.
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  FetchTransport,
+  RecordingTransport,
+  ReplayTransport,
+  getFixtureName,
+  type HttpTransport,
+} from '../core/transport.js';
+import { GammaApiClient } from '../clients/gamma-api.js';
+import { DataApiClient } from '../clients/data-api.js';
+import { ClobApiClient } from '../clients/clob-api.js';
+import { PolymarketError, ErrorCode } from '../core/errors.js';
+import { MockRateLimiter, MockCache } from './test-utils.js';
+
+const FIXTURES_DIR = fileURLToPath(new URL('./fixtures/transport', import.meta.url));
+const WALLET = '0x1234567890abcdef1234567890abcdef12345678';
+
+describe('ReplayTransport', () => {
+  const transport = new ReplayTransport({ fixturesDir: FIXTURES_DIR });
+
+  it('should replay Gamma markets through normalizeMarket', async () => {
+    const client = new GammaApiClient(
+      new MockRateLimiter() as never,
+      new MockCache() as never,
+      transport
+    );
+
+    const market = await client.getMarketBySlug('will-btc-reach-100k');
+
+    expect(market).not.toBeNull();
+    expect(market!.outcomes).toEqual(['Yes', 'No']);
+    expect(market!.outcomePrices).toEqual([0.65, 0.35]);
+    expect(market!.volume).toBe(1500000.5);
+    expect(market!.liquidity).toBe(80000);
+    expect(market!.endDate).toBeInstanceOf(Date);
+  });
+
+  it('should replay Data API positions through normalizePositions', async () => {
+    const client = new DataApiClient(
+      new MockRateLimiter() as never,
+      new MockCache() as never,
+      transport
+    );
+
+    const positions = await client.getPositions(WALLET);
+
+    expect(positions).toHaveLength(1);
+    expect(positions[0].size).toBe(150);
+    expect(positions[0].avgPrice).toBe(0.52);
+    expect(positions[0].outcomeIndex).toBe(0);
+  });
+
+  it('should replay error responses', async () => {
+    const client = new ClobApiClient(
+      new MockRateLimiter() as never,
+      new MockCache() as never,
+      { transport }
+    );
+
+    await expect(client.getOrderbook('missing')).rejects.toMatchObject({
+      code: ErrorCode.MARKET_NOT_FOUND,
+    });
+  });
+
+  it('should fail loudly when no fixture was recorded', async () => {
+    const error = await transport
+      .request('https://clob.polymarket.com/markets/0xunknown')
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(PolymarketError);
+    expect(error.code).toBe(ErrorCode.NETWORK_ERROR);
+  });
+
+  it('should prefer in-memory fixtures', async () => {
+    const url = 'https://clob.polymarket.com/book?token_id=123';
+    const memory = new ReplayTransport({
+      fixtures: [
+        {
+          request: { method: 'GET', url },
+          response: { status: 200, body: { bids: [], asks: [] } },
+        },
+      ],
+    });
+
+    const response = await memory.request(url);
+    expect(response.ok).toBe(true);
+    expect(await response.json()).toEqual({ bids: [], asks: [] });
+  });
+});
+
+describe('RecordingTransport', () => {
+  let tmpDir: string | undefined;
+
+  afterEach(() => {
+    if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+    tmpDir = undefined;
+  });
+
+  it('should record responses that ReplayTransport can serve', async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'poly-sdk-fixtures-'));
+    const url = 'https://data-api.polymarket.com/trades?limit=1';
+    const inner: HttpTransport = {
+      request: vi.fn().mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: { get: (name: string) => (name === 'retry-after' ? '2' : null) },
+        json: async () => [{ price: '0.5', size: '10' }],
+      }),
+    };
+
+    const recorder = new RecordingTransport({ fixturesDir: tmpDir, inner });
+    const recorded = await recorder.request(url);
+    expect(await recorded.json()).toEqual([{ price: '0.5', size: '10' }]);
+
+    const file = path.join(tmpDir, getFixtureName('GET', url));
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    expect(fixture.response.headers).toEqual({ 'retry-after': '2' });
+
+    const replayed = await new ReplayTransport({ fixturesDir: tmpDir }).request(url);
+    expect(replayed.headers?.get('Retry-After')).toBe('2');
+    expect(await replayed.json()).toEqual([{ price: '0.5', size: '10' }]);
+  });
+
+  it('should key fixtures by method and body', () => {
+    const url = 'https://bridge.polymarket.com/deposit';
+    const a = getFixtureName('POST', url, JSON.stringify({ address: '0xa' }));
+    const b = getFixtureName('POST', url, JSON.stringify({ address: '0xb' }));
+
+    expect(a).not.toBe(b);
+    expect(a.startsWith('POST_bridge_polymarket_com_deposit_')).toBe(true);
+  });
+});
+
+describe('FetchTransport', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should delegate to global fetch at call time', async () => {
+    const transport = new FetchTransport();
+    const mockFetch = vi.fn().mockResolvedValue({ ok: true, status: 200, json: async () => ({}) });
+    vi.stubGlobal('fetch', mockFetch);
+
+    await transport.request('https://clob.polymarket.com/time');
+    expect(mockFetch).toHaveBeenCalledWith('https://clob.polymarket.com/time', undefined);
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * UnifiedCache Unit Tests
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { createUnifiedCache, CacheTags } from '../core/unified-cache.js';
+import { Cache } from '../core/cache.js';
+import type { CacheAdapter } from '../core/cache-adapter-types.js';
+import { GammaApiClient } from '../clients/gamma-api.js';
+import type { HttpTransport } from '../core/transport.js';
+import { ResponseValidator } from '../core/validation.js';
+import { silentLogger } from '../core/logger.js';
+import { MockRateLimiter } from './test-utils.js';
+
+function createMapAdapter(): CacheAdapter {
+  const store = new Map<string, unknown>();
+  return {
+    get: async <T>(key: string) => (store.has(key) ? (store.get(key) as T) : null),
+    set: async (key, value) => {
+      store.set(key, value);
+    },
+    del: async (key) => {
+      store.delete(key);
+    },
+    exists: async (key) => store.has(key),
+    clear: async () => store.clear(),
+  };
+}
+
+const sleep = (ms: number) => new Promise((r) => setTimeout(r, ms));
+
+describe('UnifiedCache', () => {
+  it.each([
+    ['legacy Cache', () => createUnifiedCache()],
+    ['CacheAdapter', () => createUnifiedCache(createMapAdapter())],
+  ])('should coalesce concurrent misses (%s)', async (_name, create) => {
+    const cache = create();
+    const factory = vi.fn(async () => {
+      await sleep(10);
+      return 'value';
+    });
+
+    const results = await Promise.all(
+      Array.from({ length: 20 }, () => cache.getOrSet('clob:market:0x1', 60_000, factory))
+    );
+
+    expect(results).toEqual(Array(20).fill('value'));
+    expect(factory).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not keep failed factories in flight', async () => {
+    const cache = createUnifiedCache();
+    const factory = vi
+      .fn()
+      .mockRejectedValueOnce(new Error('boom'))
+      .mockResolvedValueOnce('ok');
+
+    await expect(cache.getOrSet('k', 60_000, factory)).rejects.toThrow('boom');
+    await expect(cache.getOrSet('k', 60_000, factory)).resolves.toBe('ok');
+  });
+
+  it('should coalesce without storing when TTL is 0', async () => {
+    const cache = createUnifiedCache();
+    const factory = vi.fn(async () => 'book');
+
+    await Promise.all([cache.getOrSet('b', 0, factory), cache.getOrSet('b', 0, factory)]);
+    await cache.getOrSet('b', 0, factory);
+
+    expect(factory).toHaveBeenCalledTimes(2);
+    expect(await cache.get('b')).toBeUndefined();
+  });
+
+  it('should serve stale values while a single refresh runs', async () => {
+    const cache = createUnifiedCache(new Cache(), { staleWhileRevalidateMs: 1000 });
+    let version = 0;
+    const factory = vi.fn(async () => {
+      await sleep(10);
+      return ++version;
+    });
+
+    expect(await cache.getOrSet('k', 20, factory)).toBe(1);
+    await sleep(30);
+
+    // Expired but within the stale window: served immediately, one refresh
+    const stale = await Promise.all([
+      cache.getOrSet('k', 20, factory),
+      cache.getOrSet('k', 20, factory),
+    ]);
+    expect(stale).toEqual([1, 1]);
+    expect(await cache.get('k')).toBeUndefined();
+
+    await sleep(20);
+    expect(await cache.getOrSet('k', 20, factory)).toBe(2);
+    expect(factory).toHaveBeenCalledTimes(2);
+  });
+
+  it('should apply the longest matching TTL override', async () => {
+    const legacy = new Cache();
+    const setSpy = vi.spyOn(legacy, 'set');
+    const cache = createUnifiedCache(legacy, {
+      ttlOverrides: { 'clob:': 1000, 'clob:market:': 5000 },
+    });
+
+    await cache.getOrSet('clob:market:0x1', 60_000, async () => 'm');
+    await cache.set('clob:book:1', 'b', 60_000);
+    await cache.set('gamma:x', 'g', 60_000);
+
+    expect(setSpy.mock.calls.map((c) => c[2])).toEqual([5000, 1000, 60_000]);
+  });
+
+  it.each([
+    ['legacy Cache', () => createUnifiedCache()],
+    ['CacheAdapter', () => createUnifiedCache(createMapAdapter())],
+  ])('should invalidate entries by tag (%s)', async (_name, create) => {
+    const cache = create();
+    await cache.getOrSet('clob:market:0xA', 60_000, async () => ({ tokens: ['1', '2'] }), {
+      tags: (m) => [CacheTags.market('0xA'), ...m.tokens.map(CacheTags.token)],
+    });
+    await cache.set('clob:market:0xB', 'b', 60_000, { tags: [CacheTags.market('0xB')] });
+    // Unrelated key that would match a substring invalidation of "0xA"
+    await cache.set('gamma:search:0xAbc', 'g', 60_000);
+
+    await cache.invalidateTags(CacheTags.token('2'));
+
+    expect(await cache.get('clob:market:0xA')).toBeUndefined();
+    expect(await cache.get('clob:market:0xB')).toBe('b');
+    expect(await cache.get('gamma:search:0xAbc')).toBe('g');
+  });
+
+  it('should report metrics per namespace', async () => {
+    const cache = createUnifiedCache();
+    await cache.getOrSet('clob:market:1', 60_000, async () => ({ q: 'x' }), { tags: ['t'] });
+    await cache.getOrSet('clob:market:1', 60_000, async () => ({ q: 'x' }));
+    await cache.set('leaderboard:WEEK:0:50', [1, 2, 3], 10);
+    await new Promise((r) => setTimeout(r, 20));
+    await cache.get('leaderboard:WEEK:0:50');
+    await cache.invalidateTags('t');
+
+    const metrics = cache.getMetrics();
+    expect(metrics['clob:market']).toMatchObject({
+      hits: 1,
+      misses: 1,
+      invalidations: 1,
+      entries: 0,
+      bytes: 0,
+    });
+    expect(metrics['leaderboard:WEEK']).toMatchObject({ misses: 1, evictions: 1, entries: 0 });
+
+    cache.resetMetrics();
+    expect(cache.getMetrics()['clob:market'].hits).toBe(0);
+  });
+
+  it('should tag Gamma markets and events with their eventId', async () => {
+    const market = { id: '1', conditionId: '0xA', clobTokenIds: '["1","2"]', events: [{ id: '7' }] };
+    const urls: string[] = [];
+    const transport: HttpTransport = {
+      request: async (url) => {
+        urls.push(new URL(url).pathname);
+        const body = url.includes('/events/7') ? { id: '7', slug: 'e', title: 'E', markets: [market] } : [market];
+        return { ok: true, status: 200, json: async () => body };
+      },
+    };
+    const cache = createUnifiedCache();
+    const client = new GammaApiClient(
+      new MockRateLimiter() as never,
+      cache,
+      transport,
+      new ResponseValidator({ logger: silentLogger })
+    );
+
+    expect((await client.getMarketByConditionId('0xA'))?.eventId).toBe('7');
+    await client.getEventById('7');
+    await client.getMarketByConditionId('0xA');
+    await client.getEventById('7');
+    expect(urls).toEqual(['/markets', '/events/7']);
+
+    await cache.invalidateTags(CacheTags.event('7'));
+    await client.getMarketByConditionId('0xA');
+    await client.getEventById('7');
+    expect(urls).toHaveLength(4);
+    // Pollers bypass the cache, and the fresh result is what later reads see
+    await client.getMarketByConditionId('0xA', { fresh: true });
+    await client.getEventById('7', { fresh: true });
+    expect(urls).toHaveLength(6);
+    await client.getMarketByConditionId('0xA');
+    expect(urls).toHaveLength(6);
+  });
+
+  it('should not store a result fetched before an invalidation', async () => {
+    const cache = createUnifiedCache();
+    let onStart!: () => void;
+    let release!: (value: string) => void;
+    const started = new Promise<void>((r) => (onStart = r));
+    const stale = cache.getOrSet('gamma:market:0x1', 60_000, () => {
+      onStart();
+      return new Promise<string>((r) => (release = r));
+    });
+    await started;
+
+    await cache.invalidate('0x1');
+    release('old');
+    expect(await stale).toBe('old');
+
+    expect(await cache.get('gamma:market:0x1')).toBeUndefined();
+    expect(await cache.getOrSet('gamma:market:0x1', 60_000, async () => 'new')).toBe('new');
+  });
+
+  it('should untrack expired keys that are never read again', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    try {
+      const cache = createUnifiedCache();
+      await cache.set('clob:market:1', 'a', 1000, { tags: ['t'] });
+      vi.setSystemTime(Date.now() + 2 * 60 * 1000);
+      await cache.set('clob:market:2', 'b', 60_000);
+
+      expect(cache.getMetrics()['clob:market']).toMatchObject({ entries: 1, evictions: 1 });
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Response Validation Unit Tests
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  ResponseValidator,
+  ResponseValidationError,
+  validateRecord,
+  type InvalidResponseEvent,
+} from '../core/validation.js';
+import { API_SCHEMAS } from '../core/api-schemas.js';
+import { ReplayTransport } from '../core/transport.js';
+import { ClobApiClient } from '../clients/clob-api.js';
+import { DataApiClient } from '../clients/data-api.js';
+import { ErrorCode } from '../core/errors.js';
+import { silentLogger, type Logger } from '../core/logger.js';
+import { MockRateLimiter, MockCache } from './test-utils.js';
+
+const CONDITION_ID = '0x82ace55cdcba920112a2b3548f21e6e117730144db4dd580456aaecf1a2ad751';
+
+function replay(url: string, body: unknown): ReplayTransport {
+  return new ReplayTransport({
+    fixtures: [{ request: { method: 'GET', url }, response: { status: 200, body } }],
+  });
+}
+
+describe('validateRecord', () => {
+  it('should accept numeric strings and JSON-encoded arrays', () => {
+    const issues = validateRecord(API_SCHEMAS.gamma.market, {
+      id: 12345,
+      conditionId: CONDITION_ID,
+      question: 'Will BTC reach $100k?',
+      outcomes: '["Yes", "No"]',
+      outcomePrices: '["0.65", "0.35"]',
+      volume: '1500000.5',
+    });
+    expect(issues).toEqual([]);
+  });
+
+  it('should name the offending field, including nested paths', () => {
+    const issues = validateRecord(API_SCHEMAS.clob.market, {
+      condition_id: CONDITION_ID,
+      question: 'Q',
+      tokens: [
+        { token_id: 'yes-token', outcome: 'Yes', price: '0.6' },
+        { tokenId: 'no-token', outcome: 'No', price: 'n/a' },
+      ],
+    });
+    expect(issues).toEqual([
+      { path: 'tokens[1].token_id', expected: 'string', received: 'undefined' },
+      { path: 'tokens[1].price', expected: 'numeric', received: '"n/a"' },
+    ]);
+  });
+
+  it('should resolve aliased fields', () => {
+    const trade = {
+      conditionId: CONDITION_ID,
+      asset: '1',
+      side: 'HOLD',
+      price: 0.5,
+      size: 10,
+      timestamp: 1700000000,
+    };
+    expect(validateRecord(API_SCHEMAS.data.trade, trade)).toEqual([
+      { path: 'side', expected: 'one of BUY, SELL', received: '"HOLD"' },
+    ]);
+  });
+});
+
+describe('ResponseValidator', () => {
+  const brokenMarket = {
+    condition_id: CONDITION_ID,
+    question: 'Will BTC reach $100k?',
+    tokens: [{ token_id: '', outcome: 'Yes', price: 0.65 }],
+  };
+  const marketUrl = `https://clob.polymarket.com/markets/${CONDITION_ID}`;
+
+  it('should throw INVALID_RESPONSE in strict mode', async () => {
+    const client = new ClobApiClient(new MockRateLimiter() as never, new MockCache() as never, {
+      transport: replay(marketUrl, brokenMarket),
+      validator: new ResponseValidator({ mode: 'strict', logger: silentLogger }),
+    });
+
+    const error = (await client.getMarket(CONDITION_ID).catch((e) => e)) as ResponseValidationError;
+
+    expect(error).toBeInstanceOf(ResponseValidationError);
+    expect(error.code).toBe(ErrorCode.INVALID_RESPONSE);
+    expect(error.message).toBe(
+      'Invalid clob:market response: tokens[0].token_id expected non-empty string, got ""'
+    );
+  });
+
+  it('should return data and emit warnings in lenient mode', async () => {
+    const warn = vi.fn();
+    const logger: Logger = { ...silentLogger, warn, child: () => logger };
+    const validator = new ResponseValidator({ logger });
+    const events: InvalidResponseEvent[] = [];
+    validator.on('invalidResponse', (e) => events.push(e));
+
+    const url = 'https://data-api.polymarket.com/trades?limit=1000';
+    const trades = [
+      { conditionId: CONDITION_ID, side: 'BUY', price: '0.5', size: 1, timestamp: 1 },
+      { conditionId: CONDITION_ID, side: 'SELL', price: '0.5', size: 2, timestamp: 2 },
+    ];
+    const client = new DataApiClient(
+      new MockRateLimiter() as never,
+      new MockCache() as never,
+      replay(url, trades),
+      silentLogger,
+      validator
+    );
+
+    const result = await client.getTrades();
+
+    expect(result).toHaveLength(2);
+    expect(events).toEqual([
+      {
+        schema: 'data-api:trade',
+        mode: 'lenient',
+        issues: [
+          { path: '[0].asset', expected: 'string', received: 'undefined' },
+          { path: '[1].asset', expected: 'string', received: 'undefined' },
+        ],
+      },
+    ]);
+    // Logged once per field, not once per record
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn).toHaveBeenCalledWith('Unexpected API response field', expect.objectContaining({
+      schema: 'data-api:trade',
+      field: '[0].asset',
+    }));
+  });
+
+  it('should flag non-array list payloads', () => {
+    const validator = new ResponseValidator({ logger: silentLogger });
+    expect(validator.checkList(API_SCHEMAS.data.position, { error: 'oops' })).toEqual([]);
+    expect(() =>
+      new ResponseValidator({ mode: 'strict' }).checkList(API_SCHEMAS.data.position, null)
+    ).toThrow('Invalid data-api:position response: (root) expected array, got null');
+  });
+});
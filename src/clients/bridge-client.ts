@@ -14,6 +14,8 @@
  * @see https://docs.polymarket.com/developers/misc-endpoints/bridge-supported-assets
  */
 
+import { FetchTransport, type HttpTransport, type HttpRequestInit } from '../core/transport.js';
+
 // ===== Types =====
 
 /**
@@ -123,6 +125,8 @@ export interface BridgeConfig {
   baseUrl?: string;
   /** Request timeout in ms (default: 30000) */
   timeout?: number;
+  /** HTTP transport (default: global fetch) */
+  transport?: HttpTransport;
 }
 
 // ===== Constants =====
@@ -179,10 +183,12 @@ export const BRIDGE_TOKENS = {
 export class BridgeClient {
   private baseUrl: string;
   private timeout: number;
+  private transport: HttpTransport;
 
   constructor(config: BridgeConfig = {}) {
     this.baseUrl = config.baseUrl || BRIDGE_API_BASE;
     this.timeout = config.timeout || 30000;
+    this.transport = config.transport || new FetchTransport();
   }
 
   /**
@@ -457,14 +463,14 @@ export class BridgeClient {
 
   // ===== Private Methods =====
 
-  private async fetch(path: string, options: RequestInit = {}): Promise<unknown> {
+  private async fetch(path: string, options: HttpRequestInit = {}): Promise<unknown> {
     const url = `${this.baseUrl}${path}`;
 
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), this.timeout);
 
     try {
-      const response = await fetch(url, {
+      const response = await this.transport.request(url, {
         ...options,
         headers: {
           'Content-Type': 'application/json',
@@ -474,7 +480,9 @@ export class BridgeClient {
       });
 
       if (!response.ok) {
-        const errorText = await response.text();
+        const errorText = response.text
+          ? await response.text()
+          : JSON.stringify(await response.json().catch(() => null));
         throw new Error(`Bridge API error (${response.status}): ${errorText}`);
       }
 
@@ -26,6 +26,7 @@
 
 import { ethers, Contract } from 'ethers';
 import { EventEmitter } from 'events';
+import { ConsoleLogger, errorFields, type Logger } from '../core/logger.js';
 
 // ===== Contract Addresses =====
 
@@ -85,6 +86,25 @@ export interface ChainMonitorConfig {
 
     /** 最大重连次数 (default: 10) */
     maxReconnectAttempts?: number;
+
+    /** 日志 (default: ConsoleLogger) */
+    logger?: Logger;
+
+    /** tokenId → 市场查询（如 MarketCatalog），设置后 transfer 事件附带 market 字段 */
+    marketLookup?: TransferMarketLookup;
+}
+
+/** 代币所属市场 */
+export interface TransferMarketInfo {
+    conditionId: string;
+    question: string;
+    slug: string;
+    outcome: string;
+    outcomeIndex: number;
+}
+
+export interface TransferMarketLookup {
+    lookupToken(tokenId: string): TransferMarketInfo | null;
 }
 
 export interface TransferEvent {
@@ -114,6 +134,9 @@ export interface TransferEvent {
 
     /** 操作者地址 */
     operator: string;
+
+    /** 代币所属市场（需配置 marketLookup，未收录的代币为 undefined） */
+    market?: TransferMarketInfo;
 }
 
 export interface ChainMonitorStats {
@@ -142,7 +165,9 @@ export interface ChainMonitorStats {
 // ===== Chain Monitor Client =====
 
 export class ChainMonitorClient extends EventEmitter {
-    private config: Required<ChainMonitorConfig>;
+    private config: Required<Omit<ChainMonitorConfig, 'logger' | 'marketLookup'>>;
+    private logger: Logger;
+    private marketLookup?: TransferMarketLookup;
     private httpProvider: ethers.providers.JsonRpcProvider | null = null;
     private wsProvider: ethers.providers.WebSocketProvider | null = null;
     private ctfContract: Contract | null = null;
@@ -177,6 +202,8 @@ export class ChainMonitorClient extends EventEmitter {
             reconnectDelayMs: config.reconnectDelayMs || 5000,
             maxReconnectAttempts: config.maxReconnectAttempts || 10,
         };
+        this.logger = (config.logger ?? new ConsoleLogger()).child({ component: 'ChainMonitor' });
+        this.marketLookup = config.marketLookup;
     }
 
     // ===== Public API =====
@@ -205,8 +232,7 @@ export class ChainMonitorClient extends EventEmitter {
             try {
                 await this.connectWebSocket();
             } catch (error) {
-                // eslint-disable-next-line no-console
-                console.warn('[ChainMonitor] WebSocket connection failed, falling back to polling:', error);
+                this.logger.warn('WebSocket connection failed, falling back to polling', errorFields(error));
                 this.startPolling();
             }
         } else {
@@ -346,8 +372,7 @@ export class ChainMonitorClient extends EventEmitter {
 
             // 添加全局错误处理防止 429 等错误导致崩溃
             this.wsProvider._websocket.on('error', (error: Error) => {
-                // eslint-disable-next-line no-console
-                console.error('[ChainMonitor] WebSocket error:', error.message);
+                this.logger.error('WebSocket error', errorFields(error));
                 // 不立即处理，让 close 事件处理断开连接
             });
 
@@ -355,11 +380,9 @@ export class ChainMonitorClient extends EventEmitter {
             await this.wsProvider.ready;
         } catch (error: any) {
             // 处理 429 或其他连接错误
-            // eslint-disable-next-line no-console
-            console.error(`[ChainMonitor] WebSocket connection failed: ${error.message}`);
+            this.logger.error('WebSocket connection failed', errorFields(error));
             if (error.message?.includes('429')) {
-                // eslint-disable-next-line no-console
-                console.warn('[ChainMonitor] Rate limited (429), waiting 30s before retry...');
+                this.logger.warn('Rate limited (429), waiting before retry', { waitMs: 30000 });
                 await new Promise(r => setTimeout(r, 30000));
             }
             throw error; // 让上层处理降级到轮询
@@ -370,8 +393,9 @@ export class ChainMonitorClient extends EventEmitter {
         this.ctfContract = new Contract(CTF_CONTRACT, ERC1155_ABI, this.wsProvider);
         this.negRiskContract = new Contract(NEG_RISK_ADAPTER, ERC1155_ABI, this.wsProvider);
 
-        // eslint-disable-next-line no-console
-        console.log(`[ChainMonitor] 订阅合约: ${CTF_CONTRACT.slice(0, 10)}..., ${NEG_RISK_ADAPTER.slice(0, 10)}...`);
+        this.logger.info('Subscribed to transfer events', {
+            contracts: [CTF_CONTRACT, NEG_RISK_ADAPTER],
+        });
 
         // 订阅 TransferSingle 事件
         this.ctfContract.on('TransferSingle', this.handleTransferSingle.bind(this));
@@ -382,8 +406,7 @@ export class ChainMonitorClient extends EventEmitter {
         this.negRiskContract.on('TransferBatch', this.handleTransferBatch.bind(this));
 
         this.wsProvider._websocket.on('close', () => {
-            // eslint-disable-next-line no-console
-            console.warn('[ChainMonitor] WebSocket closed');
+            this.logger.warn('WebSocket closed');
             this.handleDisconnect();
         });
 
@@ -412,7 +435,9 @@ export class ChainMonitorClient extends EventEmitter {
             this.watchdogCheckCount++;
             // 连续 3 分钟没动静（考虑到 Polygon 可能极偶尔没交易，给 3 次机会）
             if (this.watchdogCheckCount >= 3) {
-                console.warn('[ChainMonitor] Watchdog detected silent connection, forcing reconnect...');
+                this.logger.warn('Watchdog detected silent connection, forcing reconnect', {
+                    silentChecks: this.watchdogCheckCount,
+                });
                 this.handleDisconnect();
             }
         } else {
@@ -481,6 +506,13 @@ export class ChainMonitorClient extends EventEmitter {
         this.stats.lastEventAt = new Date();
         this.stats.currentBlock = event.blockNumber;
 
+        // 关联市场
+        const info = this.marketLookup?.lookupToken(event.tokenId);
+        if (info) {
+            const { conditionId, question, slug, outcome, outcomeIndex } = info;
+            event.market = { conditionId, question, slug, outcome, outcomeIndex };
+        }
+
         // 发射事件
         this.emit('transfer', event);
     }
@@ -544,8 +576,7 @@ export class ChainMonitorClient extends EventEmitter {
                 this.stats.currentBlock = currentBlock;
             }
         } catch (error) {
-            // eslint-disable-next-line no-console
-            console.error('[ChainMonitor] Polling error:', error);
+            this.logger.error('Polling error', errorFields(error));
             this.emit('error', error);
         }
     }
@@ -580,8 +611,10 @@ export class ChainMonitorClient extends EventEmitter {
             this.reconnectAttempts++;
             this.stats.reconnectCount++;
 
-            // eslint-disable-next-line no-console
-            console.log(`[ChainMonitor] Reconnecting (${this.reconnectAttempts}/${this.config.maxReconnectAttempts})...`);
+            this.logger.info('Reconnecting', {
+                attempt: this.reconnectAttempts,
+                maxAttempts: this.config.maxReconnectAttempts,
+            });
 
             setTimeout(async () => {
                 if (this.isRunning) {
@@ -595,8 +628,7 @@ export class ChainMonitorClient extends EventEmitter {
             }, this.config.reconnectDelayMs);
         } else if (this.currentMode === 'websocket') {
             // 降级到轮询
-            // eslint-disable-next-line no-console
-            console.log('[ChainMonitor] Falling back to polling mode');
+            this.logger.warn('Reconnect attempts exhausted, falling back to polling');
             this.startPolling();
         }
     }
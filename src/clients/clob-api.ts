@@ -32,13 +32,19 @@
 
 import { RateLimiter, ApiType } from '../core/rate-limiter.js';
 import type { UnifiedCache } from '../core/unified-cache.js';
-import { CACHE_TTL } from '../core/unified-cache.js';
+import { CACHE_TTL, CacheTags } from '../core/unified-cache.js';
 import { PolymarketError, ErrorCode } from '../core/errors.js';
 import type { ProcessedOrderbook } from '../core/types.js';
+import { FetchTransport, type HttpTransport } from '../core/transport.js';
+import { ResponseValidator } from '../core/validation.js';
+import { API_SCHEMAS } from '../core/api-schemas.js';
 
 /** CLOB API base URL */
 const CLOB_API_BASE = 'https://clob.polymarket.com';
 
+/** Max token IDs per batch request (/books, /prices, /midpoints) */
+const CLOB_BATCH_SIZE = 100;
+
 // ===== Types =====
 
 /**
@@ -185,6 +191,52 @@ export interface Orderbook {
   negRisk?: boolean;
 }
 
+/**
+ * Batch price quote for a token (`/prices`)
+ *
+ * @remarks
+ * Keyed by the side sent to the CLOB, as the CLOB reports it.
+ * A side is missing when the book has no liquidity on it.
+ */
+export interface TokenPrices {
+  BUY?: number;
+  SELL?: number;
+}
+
+/** Preset ranges accepted by `/prices-history` (ending now) */
+export type PriceHistoryInterval = '1h' | '6h' | '1d' | '1w' | '1m' | 'max';
+
+export interface PriceHistoryParams {
+  /** Preset range ending now (default: 'max'); ignored when startTime / endTime are set */
+  interval?: PriceHistoryInterval;
+  /** Range start (Unix ms) */
+  startTime?: number;
+  /** Range end (Unix ms, default: now when startTime is set) */
+  endTime?: number;
+  /** Resolution in minutes */
+  fidelity?: number;
+}
+
+/** One point of a token's price history */
+export interface PricePoint {
+  /** Unix ms */
+  timestamp: number;
+  price: number;
+}
+
+/** Orderbook payload as returned by `/book` and `/books` */
+interface RawOrderbook {
+  market?: string;
+  asset_id?: string;
+  timestamp?: string;
+  hash?: string;
+  bids?: Array<{ price: string; size: string }>;
+  asks?: Array<{ price: string; size: string }>;
+  min_order_size?: string;
+  tick_size?: string;
+  neg_risk?: boolean;
+}
+
 // ===== Client =====
 
 /**
@@ -207,6 +259,9 @@ export interface Orderbook {
  * ```
  */
 export class ClobApiClient {
+  private transport: HttpTransport;
+  private validator: ResponseValidator;
+
   /**
    * Creates a new CLOB API client
    *
@@ -216,6 +271,8 @@ export class ClobApiClient {
    * @param config.chainId - Polygon chain ID (137 for mainnet, 80002 for Amoy testnet)
    * @param config.signer - Ethers signer for authenticated requests
    * @param config.creds - API credentials for L2 authentication
+   * @param config.transport - HTTP transport (default: global fetch)
+   * @param config.validator - Payload schema validator (default: lenient)
    */
   constructor(
     private rateLimiter: RateLimiter,
@@ -231,8 +288,15 @@ export class ClobApiClient {
         secret: string;
         passphrase: string;
       };
+      /** HTTP transport (default: global fetch) */
+      transport?: HttpTransport;
+      /** Payload schema validator (default: lenient) */
+      validator?: ResponseValidator;
     }
-  ) {}
+  ) {
+    this.transport = config?.transport || new FetchTransport();
+    this.validator = config?.validator || new ResponseValidator();
+  }
 
   /**
    * Get the signer if configured
@@ -264,15 +328,22 @@ export class ClobApiClient {
     const cacheKey = `clob:market:${conditionId}`;
     return this.cache.getOrSet(cacheKey, CACHE_TTL.MARKET_INFO, async () => {
       return this.rateLimiter.execute(ApiType.CLOB_API, async () => {
-        const response = await fetch(`${CLOB_API_BASE}/markets/${conditionId}`);
+        const response = await this.transport.request(`${CLOB_API_BASE}/markets/${conditionId}`);
         if (!response.ok)
           throw PolymarketError.fromHttpError(
             response.status,
-            await response.json().catch(() => null)
+            await response.json().catch(() => null),
+            response.headers
           );
         const data = (await response.json()) as Record<string, unknown>;
+        this.validator.check(API_SCHEMAS.clob.market, data);
         return this.normalizeMarket(data);
-      });
+      }, '/markets');
+    }, {
+      tags: (market) => [
+        CacheTags.market(conditionId),
+        ...market.tokens.map((t) => CacheTags.token(t.tokenId)),
+      ],
     });
   }
 
@@ -302,51 +373,19 @@ export class ClobApiClient {
    * ```
    */
   async getOrderbook(tokenId: string): Promise<Orderbook> {
-    return this.rateLimiter.execute(ApiType.CLOB_API, async () => {
-      const response = await fetch(`${CLOB_API_BASE}/book?token_id=${tokenId}`);
-      if (!response.ok)
-        throw PolymarketError.fromHttpError(
-          response.status,
-          await response.json().catch(() => null)
-        );
-      const data = (await response.json()) as {
-        market?: string;
-        asset_id?: string;
-        timestamp?: string;
-        hash?: string;
-        bids?: Array<{ price: string; size: string }>;
-        asks?: Array<{ price: string; size: string }>;
-        min_order_size?: string;
-        tick_size?: string;
-        neg_risk?: boolean;
-      };
-      // Sort bids descending (highest bid first)
-      // Sort asks ascending (lowest ask first)
-      const bids = (data.bids || [])
-        .map((l) => ({
-          price: Number(l.price),
-          size: Number(l.size),
-        }))
-        .sort((a, b) => b.price - a.price);
-
-      const asks = (data.asks || [])
-        .map((l) => ({
-          price: Number(l.price),
-          size: Number(l.size),
-        }))
-        .sort((a, b) => a.price - b.price);
-
-      return {
-        bids,
-        asks,
-        timestamp: data.timestamp ? Number(data.timestamp) : Date.now(),
-        market: data.market,
-        assetId: data.asset_id,
-        hash: data.hash,
-        minOrderSize: data.min_order_size,
-        tickSize: data.tick_size,
-        negRisk: data.neg_risk,
-      };
+    // Coalesces concurrent requests for the same token (see CACHE_TTL.ORDERBOOK)
+    const cacheKey = `clob:book:${tokenId}`;
+    return this.cache.getOrSet(cacheKey, CACHE_TTL.ORDERBOOK, async () => {
+      return this.rateLimiter.execute(ApiType.CLOB_API, async () => {
+        const response = await this.transport.request(`${CLOB_API_BASE}/book?token_id=${tokenId}`);
+        if (!response.ok)
+          throw PolymarketError.fromHttpError(
+            response.status,
+            await response.json().catch(() => null),
+            response.headers
+          );
+        return this.normalizeOrderbook((await response.json()) as RawOrderbook);
+      }, '/book');
     });
   }
 
@@ -387,8 +426,9 @@ export class ClobApiClient {
    */
   async getProcessedOrderbook(conditionId: string): Promise<ProcessedOrderbook> {
     const market = await this.getMarket(conditionId);
-    const yesToken = market.tokens.find((t) => t.outcome === 'Yes');
-    const noToken = market.tokens.find((t) => t.outcome === 'No');
+    // Non Yes/No binary markets (e.g. "Up" / "Down") list YES first
+    const yesToken = market.tokens.find((t) => t.outcome === 'Yes') ?? market.tokens[0];
+    const noToken = market.tokens.find((t) => t.outcome === 'No') ?? market.tokens[1];
 
     if (!yesToken || !noToken) {
       throw new PolymarketError(
@@ -420,8 +460,11 @@ export class ClobApiClient {
    * - effectiveSellNo = max(NO.bid, 1 - YES.ask)
    *
    * 详细文档见: docs/01-polymarket-orderbook-arbitrage.md
+   *
+   * Public so batch callers (see {@link getOrderbooks}) can analyze books
+   * they fetched themselves.
    */
-  private processOrderbooks(
+  processOrderbooks(
     yesBook: Orderbook,
     noBook: Orderbook,
     yesTokenId?: string,
@@ -527,6 +570,208 @@ export class ClobApiClient {
     };
   }
 
+  // ===== Price History =====
+
+  /**
+   * Get a token's price history
+   *
+   * @param tokenId - The ERC-1155 token ID
+   * @param params - Preset interval or explicit start / end range, plus fidelity
+   * @returns Price points sorted oldest first
+   *
+   * @remarks
+   * Unlike trade-based candles, this covers quiet periods too: the CLOB
+   * samples the price every `fidelity` minutes.
+   *
+   * @throws {@link PolymarketError} If the API fails
+   *
+   * @example
+   * ```typescript
+   * // Last week, hourly
+   * const points = await client.getPriceHistory(tokenId, { interval: '1w', fidelity: 60 });
+   *
+   * // Explicit range
+   * const range = await client.getPriceHistory(tokenId, {
+   *   startTime: Date.parse('2025-01-01'),
+   *   endTime: Date.parse('2025-01-08'),
+   *   fidelity: 60,
+   * });
+   * ```
+   */
+  async getPriceHistory(tokenId: string, params: PriceHistoryParams = {}): Promise<PricePoint[]> {
+    const query = new URLSearchParams({ market: tokenId });
+    if (params.startTime !== undefined || params.endTime !== undefined) {
+      if (params.startTime !== undefined) query.set('startTs', String(Math.floor(params.startTime / 1000)));
+      query.set('endTs', String(Math.floor((params.endTime ?? Date.now()) / 1000)));
+    } else {
+      query.set('interval', params.interval ?? 'max');
+    }
+    if (params.fidelity !== undefined) query.set('fidelity', String(params.fidelity));
+
+    return this.rateLimiter.execute(ApiType.CLOB_API, async () => {
+      const response = await this.transport.request(`${CLOB_API_BASE}/prices-history?${query}`);
+      if (!response.ok)
+        throw PolymarketError.fromHttpError(
+          response.status,
+          await response.json().catch(() => null),
+          response.headers
+        );
+      const data = (await response.json()) as { history?: unknown };
+      const history = this.validator.checkList(API_SCHEMAS.clob.pricePoint, data?.history ?? []) as Array<{
+        t: number | string;
+        p: number | string;
+      }>;
+      return history
+        .map((h) => ({ timestamp: Number(h.t) * 1000, price: Number(h.p) }))
+        .sort((a, b) => a.timestamp - b.timestamp);
+    }, '/prices-history');
+  }
+
+  // ===== Batch =====
+
+  /**
+   * Get orderbooks for many tokens at once
+   *
+   * @param tokenIds - ERC-1155 token IDs (duplicates are ignored)
+   * @returns Orderbooks keyed by token ID; tokens the CLOB does not know are left out
+   *
+   * @remarks
+   * Uses the `/books` endpoint, chunked into requests of up to 100 token IDs.
+   * A chunk whose request fails falls back to one `/book` request per token;
+   * tokens that still fail are left out. Like {@link getOrderbook}, results
+   * are never cached.
+   *
+   * @throws {@link PolymarketError} If requests failed and no orderbook was fetched at all
+   *
+   * @example
+   * ```typescript
+   * const books = await client.getOrderbooks([yesTokenId, noTokenId]);
+   * console.log('YES best ask:', books.get(yesTokenId)?.asks[0]?.price);
+   * ```
+   */
+  async getOrderbooks(tokenIds: string[]): Promise<Map<string, Orderbook>> {
+    const books = new Map<string, Orderbook>();
+    let failure: unknown;
+
+    await Promise.all(
+      this.chunk([...new Set(tokenIds)]).map(async (chunk) => {
+        try {
+          const data = await this.postBatch<RawOrderbook[]>(
+            '/books',
+            chunk.map((tokenId) => ({ token_id: tokenId }))
+          );
+          for (const raw of Array.isArray(data) ? data : []) {
+            if (raw.asset_id) books.set(raw.asset_id, this.normalizeOrderbook(raw));
+          }
+        } catch (error) {
+          // One bad chunk must not sink the others: fetch its books one by one
+          failure ??= error;
+          await Promise.all(
+            chunk.map(async (tokenId) => {
+              try {
+                books.set(tokenId, await this.getOrderbook(tokenId));
+              } catch {
+                // Left out, like tokens the CLOB does not know
+              }
+            })
+          );
+        }
+      })
+    );
+
+    if (books.size === 0 && failure !== undefined) throw failure;
+    return books;
+  }
+
+  /**
+   * Get BUY and SELL prices for many tokens at once
+   *
+   * @param tokenIds - ERC-1155 token IDs (duplicates are ignored)
+   * @returns Prices keyed by token ID
+   *
+   * @throws {@link PolymarketError} If a batch request fails
+   *
+   * @example
+   * ```typescript
+   * const prices = await client.getPrices(tokenIds);
+   * console.log(prices.get(tokenIds[0])?.BUY);
+   * ```
+   */
+  async getPrices(tokenIds: string[]): Promise<Map<string, TokenPrices>> {
+    const prices = new Map<string, TokenPrices>();
+
+    await Promise.all(
+      this.chunk([...new Set(tokenIds)]).map(async (chunk) => {
+        const data = await this.postBatch<Record<string, Partial<Record<'BUY' | 'SELL', string>>>>(
+          '/prices',
+          chunk.flatMap((tokenId) => [
+            { token_id: tokenId, side: 'BUY' },
+            { token_id: tokenId, side: 'SELL' },
+          ])
+        );
+        for (const [tokenId, sides] of Object.entries(data ?? {})) {
+          prices.set(tokenId, {
+            BUY: sides?.BUY !== undefined ? Number(sides.BUY) : undefined,
+            SELL: sides?.SELL !== undefined ? Number(sides.SELL) : undefined,
+          });
+        }
+      })
+    );
+
+    return prices;
+  }
+
+  /**
+   * Get midpoint prices for many tokens at once
+   *
+   * @param tokenIds - ERC-1155 token IDs (duplicates are ignored)
+   * @returns Midpoints keyed by token ID; tokens without a two-sided book are left out
+   *
+   * @throws {@link PolymarketError} If a batch request fails
+   */
+  async getMidpoints(tokenIds: string[]): Promise<Map<string, number>> {
+    const midpoints = new Map<string, number>();
+
+    await Promise.all(
+      this.chunk([...new Set(tokenIds)]).map(async (chunk) => {
+        const data = await this.postBatch<Record<string, string>>(
+          '/midpoints',
+          chunk.map((tokenId) => ({ token_id: tokenId }))
+        );
+        for (const [tokenId, mid] of Object.entries(data ?? {})) {
+          if (mid !== undefined && mid !== null) midpoints.set(tokenId, Number(mid));
+        }
+      })
+    );
+
+    return midpoints;
+  }
+
+  private chunk(tokenIds: string[]): string[][] {
+    const chunks: string[][] = [];
+    for (let i = 0; i < tokenIds.length; i += CLOB_BATCH_SIZE) {
+      chunks.push(tokenIds.slice(i, i + CLOB_BATCH_SIZE));
+    }
+    return chunks;
+  }
+
+  private async postBatch<T>(endpoint: string, body: unknown[]): Promise<T> {
+    return this.rateLimiter.execute(ApiType.CLOB_API, async () => {
+      const response = await this.transport.request(`${CLOB_API_BASE}${endpoint}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      if (!response.ok)
+        throw PolymarketError.fromHttpError(
+          response.status,
+          await response.json().catch(() => null),
+          response.headers
+        );
+      return (await response.json()) as T;
+    }, endpoint);
+  }
+
   // ===== Trading (requires authentication) =====
 
   /**
@@ -556,6 +801,37 @@ export class ClobApiClient {
 
   // ===== Data Normalization =====
 
+  private normalizeOrderbook(data: RawOrderbook): Orderbook {
+    // Sort bids descending (highest bid first)
+    // Sort asks ascending (lowest ask first)
+    const bids = (data.bids || [])
+      .map((l) => ({
+        price: Number(l.price),
+        size: Number(l.size),
+      }))
+      .sort((a, b) => b.price - a.price);
+
+    const asks = (data.asks || [])
+      .map((l) => ({
+        price: Number(l.price),
+        size: Number(l.size),
+      }))
+      .sort((a, b) => a.price - b.price);
+
+    return {
+      bids,
+      asks,
+      timestamp: data.timestamp ? Number(data.timestamp) : Date.now(),
+      market: data.market,
+      assetId: data.asset_id,
+      hash: data.hash,
+      minOrderSize: data.min_order_size,
+      tickSize: data.tick_size,
+      negRisk: data.neg_risk,
+    };
+  }
+
+
   private normalizeMarket(m: Record<string, unknown>): ClobMarket {
     const tokens = m.tokens as Array<{
       token_id: string;
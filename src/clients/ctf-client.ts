@@ -24,6 +24,10 @@
  */
 
 import { ethers, Contract, Wallet, BigNumber } from 'ethers';
+import { traceTransaction, type Tracer } from '../core/tracing.js';
+import { toPolymarketError } from '../core/error-classifier.js';
+import type { LogFields } from '../core/logger.js';
+import type { RiskEngine } from '../core/risk-engine.js';
 
 // ===== Contract Addresses (Polygon Mainnet) =====
 
@@ -88,6 +92,10 @@ export interface CTFConfig {
   confirmations?: number;
   /** Transaction timeout in ms (default: 60000) */
   txTimeout?: number;
+  /** Tracing hooks, one `tx` span per transaction */
+  tracer?: Tracer;
+  /** Pre-trade checks for split / merge */
+  riskEngine?: RiskEngine;
 }
 
 export interface GasEstimate {
@@ -185,6 +193,8 @@ export class CTFClient {
   private gasPriceMultiplier: number;
   private confirmations: number;
   private txTimeout: number;
+  private tracer?: Tracer;
+  private riskEngine?: RiskEngine;
   private cachedMaticPrice: number = DEFAULT_MATIC_PRICE;
   private maticPriceLastUpdated: number = 0;
 
@@ -197,6 +207,8 @@ export class CTFClient {
     this.gasPriceMultiplier = config.gasPriceMultiplier || 1.2;
     this.confirmations = config.confirmations || 1;
     this.txTimeout = config.txTimeout || 60000;
+    this.tracer = config.tracer;
+    this.riskEngine = config.riskEngine;
   }
 
   /**
@@ -316,37 +328,40 @@ export class CTFClient {
    * ```
    */
   async split(conditionId: string, amount: string): Promise<SplitResult> {
+    this.riskEngine?.checkSplit(conditionId, Number(amount));
     const amountWei = ethers.utils.parseUnits(amount, USDC_DECIMALS);
 
     // 1. Check USDC balance
     const balance = await this.usdcContract.balanceOf(this.wallet.address);
     if (balance.lt(amountWei)) {
-      throw new Error(`Insufficient USDC balance. Have: ${ethers.utils.formatUnits(balance, USDC_DECIMALS)}, Need: ${amount}`);
+      throw toPolymarketError(`Insufficient USDC balance. Have: ${ethers.utils.formatUnits(balance, USDC_DECIMALS)}, Need: ${amount}`);
     }
 
     // 2. Check and approve USDC if needed
     const allowance = await this.usdcContract.allowance(this.wallet.address, CTF_CONTRACT);
     if (allowance.lt(amountWei)) {
-      const approveTx = await this.usdcContract.approve(
-        CTF_CONTRACT,
-        ethers.constants.MaxUint256,
-        await this.getGasOptions()
+      await this.sendTransaction('usdc.approve', { spender: CTF_CONTRACT }, async () =>
+        this.usdcContract.approve(
+          CTF_CONTRACT,
+          ethers.constants.MaxUint256,
+          await this.getGasOptions()
+        )
       );
-      await approveTx.wait();
     }
 
     // 3. Execute split
     // Partition [1, 2] represents [YES, NO] outcomes
-    const tx = await this.ctfContract.splitPosition(
-      USDC_CONTRACT,
-      ethers.constants.HashZero, // parentCollectionId = 0 for Polymarket
-      conditionId,
-      [1, 2], // partition for YES/NO
-      amountWei,
-      await this.getGasOptions()
+    const receipt = await this.sendTransaction('ctf.split', { conditionId, amount }, async () =>
+      this.ctfContract.splitPosition(
+        USDC_CONTRACT,
+        ethers.constants.HashZero, // parentCollectionId = 0 for Polymarket
+        conditionId,
+        [1, 2], // partition for YES/NO
+        amountWei,
+        await this.getGasOptions()
+      )
     );
-
-    const receipt = await tx.wait();
+    this.riskEngine?.recordSplit(conditionId, Number(amount));
 
     return {
       success: true,
@@ -373,6 +388,7 @@ export class CTFClient {
    * ```
    */
   async merge(conditionId: string, amount: string): Promise<MergeResult> {
+    this.riskEngine?.checkMerge(conditionId);
     const amountWei = ethers.utils.parseUnits(amount, USDC_DECIMALS);
 
     // Check token balances
@@ -381,22 +397,23 @@ export class CTFClient {
     const noBalance = ethers.utils.parseUnits(balances.noBalance, USDC_DECIMALS);
 
     if (yesBalance.lt(amountWei) || noBalance.lt(amountWei)) {
-      throw new Error(
+      throw toPolymarketError(
         `Insufficient token balance. Need ${amount} of each. Have: YES=${balances.yesBalance}, NO=${balances.noBalance}`
       );
     }
 
     // Execute merge
-    const tx = await this.ctfContract.mergePositions(
-      USDC_CONTRACT,
-      ethers.constants.HashZero,
-      conditionId,
-      [1, 2],
-      amountWei,
-      await this.getGasOptions()
+    const receipt = await this.sendTransaction('ctf.merge', { conditionId, amount }, async () =>
+      this.ctfContract.mergePositions(
+        USDC_CONTRACT,
+        ethers.constants.HashZero,
+        conditionId,
+        [1, 2],
+        amountWei,
+        await this.getGasOptions()
+      )
     );
-
-    const receipt = await tx.wait();
+    this.riskEngine?.recordMerge(conditionId, Number(amount));
 
     return {
       success: true,
@@ -420,6 +437,7 @@ export class CTFClient {
    * @returns MergeResult with transaction details
    */
   async mergeByTokenIds(conditionId: string, tokenIds: TokenIds, amount: string): Promise<MergeResult> {
+    this.riskEngine?.checkMerge(conditionId);
     const amountWei = ethers.utils.parseUnits(amount, USDC_DECIMALS);
 
     // Check token balances using the provided token IDs
@@ -428,22 +446,23 @@ export class CTFClient {
     const noBalance = ethers.utils.parseUnits(balances.noBalance, USDC_DECIMALS);
 
     if (yesBalance.lt(amountWei) || noBalance.lt(amountWei)) {
-      throw new Error(
+      throw toPolymarketError(
         `Insufficient token balance. Need ${amount} of each. Have: YES=${balances.yesBalance}, NO=${balances.noBalance}`
       );
     }
 
     // Execute merge
-    const tx = await this.ctfContract.mergePositions(
-      USDC_CONTRACT,
-      ethers.constants.HashZero,
-      conditionId,
-      [1, 2],
-      amountWei,
-      await this.getGasOptions()
+    const receipt = await this.sendTransaction('ctf.merge', { conditionId, amount }, async () =>
+      this.ctfContract.mergePositions(
+        USDC_CONTRACT,
+        ethers.constants.HashZero,
+        conditionId,
+        [1, 2],
+        amountWei,
+        await this.getGasOptions()
+      )
     );
-
-    const receipt = await tx.wait();
+    this.riskEngine?.recordMerge(conditionId, Number(amount));
 
     return {
       success: true,
@@ -487,7 +506,7 @@ export class CTFClient {
     // Check resolution status
     const resolution = await this.getMarketResolution(conditionId);
     if (!resolution.isResolved) {
-      throw new Error('Market is not resolved yet');
+      throw toPolymarketError('Market is not resolved yet');
     }
 
     // Auto-detect outcome if not provided
@@ -507,16 +526,16 @@ export class CTFClient {
     // indexSets: [1] for YES, [2] for NO
     const indexSets = winningOutcome === 'YES' ? [1] : [2];
 
-    const tx = await this.ctfContract.redeemPositions(
-      USDC_CONTRACT,
-      ethers.constants.HashZero,
-      conditionId,
-      indexSets,
-      await this.getGasOptions()
+    const receipt = await this.sendTransaction('ctf.redeem', { conditionId, outcome: winningOutcome }, async () =>
+      this.ctfContract.redeemPositions(
+        USDC_CONTRACT,
+        ethers.constants.HashZero,
+        conditionId,
+        indexSets,
+        await this.getGasOptions()
+      )
     );
 
-    const receipt = await tx.wait();
-
     return {
       success: true,
       txHash: receipt.transactionHash,
@@ -570,7 +589,7 @@ export class CTFClient {
     // Check resolution status
     const resolution = await this.getMarketResolution(conditionId);
     if (!resolution.isResolved) {
-      throw new Error('Market is not resolved yet');
+      throw toPolymarketError('Market is not resolved yet');
     }
 
     // Auto-detect outcome if not provided
@@ -590,16 +609,16 @@ export class CTFClient {
     // indexSets: [1] for YES, [2] for NO
     const indexSets = winningOutcome === 'YES' ? [1] : [2];
 
-    const tx = await this.ctfContract.redeemPositions(
-      USDC_CONTRACT,
-      ethers.constants.HashZero,
-      conditionId,
-      indexSets,
-      await this.getGasOptions()
+    const receipt = await this.sendTransaction('ctf.redeem', { conditionId, outcome: winningOutcome }, async () =>
+      this.ctfContract.redeemPositions(
+        USDC_CONTRACT,
+        ethers.constants.HashZero,
+        conditionId,
+        indexSets,
+        await this.getGasOptions()
+      )
     );
 
-    const receipt = await tx.wait();
-
     return {
       success: true,
       txHash: receipt.transactionHash,
@@ -1132,6 +1151,22 @@ export class CTFClient {
     return positionId;
   }
 
+  /**
+   * Send a traced transaction; reverts are rethrown as a classified `PolymarketError`
+   * (e.g. a missing approval carries the matching remediation)
+   */
+  private async sendTransaction(
+    name: string,
+    attributes: LogFields,
+    send: () => Promise<ethers.providers.TransactionResponse>
+  ): Promise<ethers.providers.TransactionReceipt> {
+    try {
+      return await traceTransaction(this.tracer, name, attributes, send);
+    } catch (error) {
+      throw toPolymarketError(error);
+    }
+  }
+
   /**
    * Get gas options for Polygon network using EIP-1559
    *
@@ -5,8 +5,13 @@
 
 import { RateLimiter, ApiType } from '../core/rate-limiter.js';
 import type { UnifiedCache } from '../core/unified-cache.js';
-import { CACHE_TTL } from '../core/unified-cache.js';
+import { CACHE_TTL, CacheTags } from '../core/unified-cache.js';
 import { PolymarketError } from '../core/errors.js';
+import { FetchTransport, type HttpTransport } from '../core/transport.js';
+import { ConsoleLogger, errorFields, type Logger } from '../core/logger.js';
+import { ResponseValidator } from '../core/validation.js';
+import { API_SCHEMAS } from '../core/api-schemas.js';
+import { paginate, flattenPages, type Page, type PaginationOptions } from '../core/pagination.js';
 
 const DATA_API_BASE = 'https://data-api.polymarket.com';
 
@@ -141,13 +146,36 @@ export interface LeaderboardPage {
   limit: number;
 }
 
+export interface ActivityIteratorOptions extends PaginationOptions {
+  /** Filter by activity type (e.g. 'TRADE', 'REDEEM') */
+  type?: string;
+}
+
+export interface TradeIteratorOptions extends PaginationOptions {
+  /** Filter by market conditionId */
+  market?: string;
+  /** Filter by wallet address */
+  user?: string;
+}
+
+export interface LeaderboardIteratorOptions extends Omit<PaginationOptions, 'since' | 'until'> {
+  timePeriod?: 'DAY' | 'WEEK' | 'MONTH' | 'ALL';
+}
+
 // ===== Client =====
 
 export class DataApiClient {
+  private logger: Logger;
+
   constructor(
     private rateLimiter: RateLimiter,
-    private cache: UnifiedCache
-  ) { }
+    private cache: UnifiedCache,
+    private transport: HttpTransport = new FetchTransport(),
+    logger: Logger = new ConsoleLogger(),
+    private validator: ResponseValidator = new ResponseValidator({ logger })
+  ) {
+    this.logger = logger.child({ component: 'DataAPI' });
+  }
 
   // ===== Wallet-related =====
 
@@ -156,17 +184,18 @@ export class DataApiClient {
    */
   async getPositions(address: string): Promise<Position[]> {
     return this.rateLimiter.execute(ApiType.DATA_API, async () => {
-      const response = await fetch(
+      const response = await this.transport.request(
         `${DATA_API_BASE}/positions?user=${address}`
       );
       if (!response.ok)
         throw PolymarketError.fromHttpError(
           response.status,
-          await response.json().catch(() => null)
+          await response.json().catch(() => null),
+          response.headers
         );
-      const data = (await response.json()) as unknown[];
+      const data = this.validator.checkList(API_SCHEMAS.data.position, await response.json());
       return this.normalizePositions(data);
-    });
+    }, '/positions');
   }
 
   /**
@@ -176,30 +205,84 @@ export class DataApiClient {
    * @param params.limit Number of results per page (default: 100)
    * @param params.offset Offset for pagination (default: 0)
    * @param params.type Filter by activity type
+   * @param params.since Only activity at or after this time (epoch ms)
+   * @param params.until Only activity at or before this time (epoch ms)
    */
   async getActivity(
     address: string,
-    params?: { limit?: number; offset?: number; type?: string }
+    params?: { limit?: number; offset?: number; type?: string; since?: number; until?: number }
   ): Promise<Activity[]> {
     const query = new URLSearchParams({
       user: address,
       limit: String(params?.limit || 100),
       ...(params?.offset && { offset: String(params.offset) }),
       ...(params?.type && { type: params.type }),
+      ...(params?.since !== undefined && { start: String(Math.floor(params.since / 1000)) }),
+      ...(params?.until !== undefined && { end: String(Math.floor(params.until / 1000)) }),
     });
 
     return this.rateLimiter.execute(ApiType.DATA_API, async () => {
-      const response = await fetch(`${DATA_API_BASE}/activity?${query}`);
+      const response = await this.transport.request(`${DATA_API_BASE}/activity?${query}`);
       if (!response.ok)
         throw PolymarketError.fromHttpError(
           response.status,
-          await response.json().catch(() => null)
+          await response.json().catch(() => null),
+          response.headers
         );
-      const data = (await response.json()) as unknown[];
+      const data = this.validator.checkList(API_SCHEMAS.data.activity, await response.json());
       return this.normalizeActivities(data);
+    }, '/activity');
+  }
+
+  /**
+   * Iterate a wallet's activity page by page, newest first
+   *
+   * Pages are fetched lazily as the loop pulls them, so wallets with 100k+
+   * records can be analysed without holding everything in memory. The upper
+   * time bound is pinned when the scan starts (default: now) so offsets stay
+   * stable while new activity arrives, and is kept in the cursor for resuming.
+   *
+   * @example
+   * ```typescript
+   * const pages = dataApi.iterateActivityPages(address, {
+   *   type: 'TRADE',
+   *   since: Date.now() - 30 * 24 * 60 * 60 * 1000,
+   * });
+   * for await (const page of pages) {
+   *   process(page.items);
+   *   saveCursor(page.nextCursor);
+   * }
+   * ```
+   */
+  iterateActivityPages(
+    address: string,
+    options: ActivityIteratorOptions = {}
+  ): AsyncGenerator<Page<Activity>> {
+    const { type, pageSize = 500, ...bounds } = options;
+    return paginate({
+      ...bounds,
+      pageSize,
+      until: bounds.until ?? Date.now(),
+      timestampOf: (a) => a.timestamp,
+      // `since` is checked client-side so the last page reveals whether older records exist
+      fetchPage: (offset, limit, until) => this.getActivity(address, { limit, offset, type, until }),
     });
   }
 
+  /**
+   * Iterate a wallet's activity record by record, newest first
+   *
+   * @example
+   * ```typescript
+   * for await (const activity of dataApi.iterateActivity(address, { type: 'REDEEM', since })) {
+   *   total += activity.usdcSize ?? 0;
+   * }
+   * ```
+   */
+  iterateActivity(address: string, options: ActivityIteratorOptions = {}): AsyncGenerator<Activity> {
+    return flattenPages(this.iterateActivityPages(address, options));
+  }
+
   /**
    * Get ALL activity for a wallet address with automatic pagination
    * @param address Wallet address
@@ -211,34 +294,23 @@ export class DataApiClient {
     maxRecords = 1000,
     type?: string
   ): Promise<Activity[]> {
-    const pageSize = 100;
     const allActivities: Activity[] = [];
-    let offset = 0;
-    const maxPages = Math.ceil(maxRecords / pageSize); // Limit max pages
+    const pages = this.iterateActivityPages(address, { type, maxRecords, pageSize: 100 });
 
-    for (let page = 0; page < maxPages; page++) {
-      try {
-        const activities = await this.getActivity(address, {
-          limit: pageSize,
-          offset,
-          type,
-        });
-
-        if (activities.length === 0) break;
-
-        allActivities.push(...activities);
-        offset += pageSize;
-
-        // If we got fewer than pageSize, there's no more data
-        if (activities.length < pageSize) break;
-      } catch (error) {
-        // Log error but continue with what we have
-        console.error(`[DataAPI] Pagination error at offset ${offset}:`, error);
-        break;
+    try {
+      for await (const page of pages) {
+        allActivities.push(...page.items);
       }
+    } catch (error) {
+      // Log error but continue with what we have
+      this.logger.error('Pagination error, returning partial results', {
+        address,
+        offset: allActivities.length,
+        ...errorFields(error),
+      });
     }
 
-    return allActivities.slice(0, maxRecords);
+    return allActivities;
   }
 
   // ===== Trade-related =====
@@ -248,23 +320,28 @@ export class DataApiClient {
    */
   async getTrades(params?: {
     limit?: number;
+    offset?: number;
     market?: string;
+    user?: string;
   }): Promise<Trade[]> {
     const query = new URLSearchParams({
       limit: String(params?.limit || 1000),
+      ...(params?.offset && { offset: String(params.offset) }),
       ...(params?.market && { market: params.market }),
+      ...(params?.user && { user: params.user }),
     });
 
     return this.rateLimiter.execute(ApiType.DATA_API, async () => {
-      const response = await fetch(`${DATA_API_BASE}/trades?${query}`);
+      const response = await this.transport.request(`${DATA_API_BASE}/trades?${query}`);
       if (!response.ok)
         throw PolymarketError.fromHttpError(
           response.status,
-          await response.json().catch(() => null)
+          await response.json().catch(() => null),
+          response.headers
         );
-      const data = (await response.json()) as unknown[];
+      const data = this.validator.checkList(API_SCHEMAS.data.trade, await response.json());
       return this.normalizeTrades(data);
-    });
+    }, '/trades');
   }
 
   /**
@@ -274,6 +351,37 @@ export class DataApiClient {
     return this.getTrades({ market: conditionId, limit });
   }
 
+  /**
+   * Iterate trades page by page, newest first
+   *
+   * The trades endpoint has no server-side time filter, so `since` / `until`
+   * are applied to each page (the walk still stops at the first trade older
+   * than `since`).
+   */
+  iterateTradePages(options: TradeIteratorOptions = {}): AsyncGenerator<Page<Trade>> {
+    const { market, user, pageSize = 500, ...bounds } = options;
+    return paginate({
+      ...bounds,
+      pageSize,
+      timestampOf: (t) => t.timestamp,
+      fetchPage: (offset, limit) => this.getTrades({ limit, offset, market, user }),
+    });
+  }
+
+  /**
+   * Iterate trades record by record, newest first
+   *
+   * @example
+   * ```typescript
+   * for await (const trade of dataApi.iterateTrades({ market: conditionId, since })) {
+   *   volume += trade.size * trade.price;
+   * }
+   * ```
+   */
+  iterateTrades(options: TradeIteratorOptions = {}): AsyncGenerator<Trade> {
+    return flattenPages(this.iterateTradePages(options));
+  }
+
   // ===== Leaderboard =====
 
   /**
@@ -298,16 +406,20 @@ export class DataApiClient {
       });
 
       return this.rateLimiter.execute(ApiType.DATA_API, async () => {
-        const response = await fetch(
+        const response = await this.transport.request(
           `${DATA_API_BASE}/v1/leaderboard?${query}`
         );
         if (!response.ok)
           throw PolymarketError.fromHttpError(
             response.status,
-            await response.json().catch(() => null)
+            await response.json().catch(() => null),
+            response.headers
           );
 
-        const data = (await response.json()) as unknown[];
+        const data = this.validator.checkList(
+          API_SCHEMAS.data.leaderboardEntry,
+          await response.json()
+        );
         const entries = this.normalizeLeaderboardEntries(data);
 
         return {
@@ -316,10 +428,41 @@ export class DataApiClient {
           offset,
           limit,
         };
-      });
+      }, '/v1/leaderboard');
+    }, {
+      tags: (page) => page.entries.map((e) => CacheTags.wallet(e.address)),
+    });
+  }
+
+  /**
+   * Iterate leaderboard pages by rank
+   */
+  iterateLeaderboardPages(
+    options: LeaderboardIteratorOptions = {}
+  ): AsyncGenerator<Page<LeaderboardEntry>> {
+    const { timePeriod = 'ALL', pageSize = 50, ...rest } = options;
+    return paginate({
+      ...rest,
+      pageSize,
+      fetchPage: async (offset, limit) =>
+        (await this.getLeaderboard({ limit, offset, timePeriod })).entries,
     });
   }
 
+  /**
+   * Iterate leaderboard entries by rank
+   *
+   * @example
+   * ```typescript
+   * for await (const trader of dataApi.iterateLeaderboard({ timePeriod: 'WEEK', maxRecords: 200 })) {
+   *   if (trader.pnl < 10_000) break;
+   * }
+   * ```
+   */
+  iterateLeaderboard(options: LeaderboardIteratorOptions = {}): AsyncGenerator<LeaderboardEntry> {
+    return flattenPages(this.iterateLeaderboardPages(options));
+  }
+
   /**
    * Get all leaderboard entries up to a max count
    * @param maxEntries Maximum entries to fetch
@@ -330,17 +473,10 @@ export class DataApiClient {
     timePeriod: 'DAY' | 'WEEK' | 'MONTH' | 'ALL' = 'ALL'
   ): Promise<LeaderboardEntry[]> {
     const all: LeaderboardEntry[] = [];
-    let offset = 0;
-    const limit = 50;
-
-    while (all.length < maxEntries) {
-      const page = await this.getLeaderboard({ limit, offset, timePeriod });
-      all.push(...page.entries);
-      if (page.entries.length < limit) break;
-      offset += limit;
+    for await (const entry of this.iterateLeaderboard({ timePeriod, maxRecords: maxEntries })) {
+      all.push(entry);
     }
-
-    return all.slice(0, maxEntries);
+    return all;
   }
 
   // ===== Data Normalization =====
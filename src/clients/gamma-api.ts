@@ -35,8 +35,12 @@
  */
 
 import { RateLimiter, ApiType } from '../core/rate-limiter.js';
-import type { UnifiedCache } from '../core/unified-cache.js';
+import { CACHE_TTL, CacheTags, type UnifiedCache } from '../core/unified-cache.js';
 import { PolymarketError } from '../core/errors.js';
+import { FetchTransport, type HttpTransport } from '../core/transport.js';
+import { ResponseValidator } from '../core/validation.js';
+import { API_SCHEMAS } from '../core/api-schemas.js';
+import { paginate, flattenPages, type Page, type PaginationOptions } from '../core/pagination.js';
 
 /** Gamma API base URL */
 const GAMMA_API_BASE = 'https://gamma-api.polymarket.com';
@@ -168,6 +172,33 @@ export interface GammaMarket {
    * Category tags (e.g., ["crypto", "bitcoin", "finance"])
    */
   tags?: string[];
+
+  /**
+   * CLOB token IDs, in the same order as `outcomes`
+   */
+  clobTokenIds?: string[];
+
+  /**
+   * Label of this market within its event (e.g. the candidate's name)
+   */
+  groupItemTitle?: string;
+
+  /**
+   * Whether the market trades through the neg-risk adapter
+   * (its event's outcomes are mutually exclusive)
+   */
+  negRisk?: boolean;
+
+  /**
+   * UMA oracle status once the market has closed
+   * @example "proposed", "disputed", "resolved"
+   */
+  umaResolutionStatus?: string;
+
+  /**
+   * ID of the event the market belongs to
+   */
+  eventId?: string;
 }
 
 /**
@@ -218,6 +249,21 @@ export interface GammaEvent {
    * URL to event image
    */
   image?: string;
+
+  /**
+   * Whether exactly one of the event's markets resolves YES (neg-risk event)
+   */
+  negRisk?: boolean;
+
+  /**
+   * Total trading volume across the event's markets (in USDC)
+   */
+  volume?: number;
+
+  /**
+   * Current liquidity across the event's markets (in USDC)
+   */
+  liquidity?: number;
 }
 
 /**
@@ -263,6 +309,80 @@ export interface MarketSearchParams {
    * Sort direction (true = ascending, false = descending)
    */
   ascending?: boolean;
+
+  /**
+   * Filter by tag ID (see https://gamma-api.polymarket.com/tags)
+   */
+  tagId?: number | string;
+
+  /**
+   * Also include markets with tags related to `tagId`
+   */
+  relatedTags?: boolean;
+
+  /**
+   * Earliest market end date
+   */
+  endDateMin?: Date | string;
+
+  /**
+   * Latest market end date
+   */
+  endDateMax?: Date | string;
+
+  /**
+   * Minimum current liquidity (in USDC)
+   */
+  liquidityMin?: number;
+
+  /**
+   * Minimum lifetime volume (in USDC)
+   */
+  volumeMin?: number;
+
+  /**
+   * Case-insensitive text match on question, slug and description
+   *
+   * @remarks /markets has no text parameter, so this is applied to each fetched page
+   */
+  text?: string;
+
+  /**
+   * Only neg-risk (or only standard) markets
+   *
+   * @remarks /markets has no neg-risk parameter, so this is applied to each fetched page
+   */
+  negRisk?: boolean;
+}
+
+/**
+ * Options for {@link GammaApiClient.iterateMarkets}
+ */
+export interface MarketIteratorOptions
+  extends Omit<MarketSearchParams, 'limit' | 'offset'>,
+    Omit<PaginationOptions, 'since' | 'until'> {}
+
+/** Options for single market / event lookups */
+export interface GammaLookupOptions {
+  /**
+   * Skip the cache and fetch from Gamma (the result still refreshes the cache).
+   * For pollers that watch a market or event change state.
+   */
+  fresh?: boolean;
+}
+
+/** Cache tags for a market: its conditionId, tokens and parent event */
+function marketTags(market: GammaMarket): string[] {
+  return [
+    CacheTags.market(market.conditionId),
+    ...(market.clobTokenIds ?? []).map(CacheTags.token),
+    ...(market.eventId ? [CacheTags.event(market.eventId)] : []),
+  ];
+}
+
+/** Cache tags for an event and every market in it */
+function eventTags(event: GammaEvent): string[] {
+  return [CacheTags.event(event.id), ...event.markets.flatMap(marketTags)];
 }
 
 // ===== Client =====
@@ -296,10 +416,14 @@ export class GammaApiClient {
    *
    * @param rateLimiter - Rate limiter instance for API throttling
    * @param cache - Cache instance for storing data (supports both legacy Cache and CacheAdapter)
+   * @param transport - HTTP transport (default: global fetch)
+   * @param validator - Payload schema validator (default: lenient)
    */
   constructor(
     private rateLimiter: RateLimiter,
-    private cache: UnifiedCache
+    private cache: UnifiedCache,
+    private transport: HttpTransport = new FetchTransport(),
+    private validator: ResponseValidator = new ResponseValidator()
   ) {}
 
   // ===== Market Queries =====
@@ -333,9 +457,55 @@ export class GammaApiClient {
    *   slug: 'will-btc-reach-100k',
    *   limit: 1,
    * });
+   *
+   * // Crypto markets ending this week with real liquidity
+   * const crypto = await client.getMarkets({
+   *   tagId: 21,
+   *   text: 'bitcoin',
+   *   endDateMax: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+   *   liquidityMin: 10_000,
+   * });
    * ```
    */
   async getMarkets(params?: MarketSearchParams): Promise<GammaMarket[]> {
+    const markets = await this.fetchMarketsPage(params);
+    const matches = this.marketFilter(params);
+    return matches ? markets.filter(matches) : markets;
+  }
+
+  /**
+   * Iterate result pages of a market search, walking offsets until the
+   * catalog is exhausted (or `maxRecords` is reached)
+   */
+  iterateMarketPages(options: MarketIteratorOptions = {}): AsyncGenerator<Page<GammaMarket>> {
+    const { pageSize = 100, maxRecords, cursor, ...params } = options;
+    return paginate({
+      pageSize,
+      maxRecords,
+      cursor,
+      fetchPage: (offset, limit) => this.fetchMarketsPage({ ...params, limit, offset }),
+      filter: this.marketFilter(params),
+    });
+  }
+
+  /**
+   * Iterate every market matching a search
+   *
+   * @example
+   * ```typescript
+   * for await (const market of client.iterateMarkets({ active: true, closed: false, negRisk: true })) {
+   *   console.log(market.groupItemTitle ?? market.question);
+   * }
+   * ```
+   */
+  iterateMarkets(options: MarketIteratorOptions = {}): AsyncGenerator<GammaMarket> {
+    return flattenPages(this.iterateMarketPages(options));
+  }
+
+  /**
+   * One /markets page with the server-side filters applied
+   */
+  private async fetchMarketsPage(params?: MarketSearchParams): Promise<GammaMarket[]> {
     const query = new URLSearchParams();
     if (params?.slug) query.set('slug', params.slug);
     if (params?.conditionId) query.set('condition_id', params.conditionId);
@@ -346,18 +516,24 @@ export class GammaApiClient {
     if (params?.order) query.set('order', params.order);
     if (params?.ascending !== undefined)
       query.set('ascending', String(params.ascending));
+    if (params?.tagId !== undefined) query.set('tag_id', String(params.tagId));
+    if (params?.relatedTags) query.set('related_tags', 'true');
+    if (params?.endDateMin) query.set('end_date_min', new Date(params.endDateMin).toISOString());
+    if (params?.endDateMax) query.set('end_date_max', new Date(params.endDateMax).toISOString());
+    if (params?.liquidityMin !== undefined) query.set('liquidity_num_min', String(params.liquidityMin));
+    if (params?.volumeMin !== undefined) query.set('volume_num_min', String(params.volumeMin));
 
     return this.rateLimiter.execute(ApiType.GAMMA_API, async () => {
-      const response = await fetch(`${GAMMA_API_BASE}/markets?${query}`);
+      const response = await this.transport.request(`${GAMMA_API_BASE}/markets?${query}`);
       if (!response.ok)
         throw PolymarketError.fromHttpError(
           response.status,
-          await response.json().catch(() => null)
+          await response.json().catch(() => null),
+          response.headers
         );
-      const data = (await response.json()) as unknown[];
-      if (!Array.isArray(data)) return [];
+      const data = this.validator.checkList(API_SCHEMAS.gamma.market, await response.json());
       return data.map((item) => this.normalizeMarket(item as Record<string, unknown>));
-    });
+    }, '/markets');
   }
 
   /**
@@ -383,6 +559,7 @@ export class GammaApiClient {
    * Get a single market by condition ID
    *
    * @param conditionId - The unique condition identifier
+   * @param options - `fresh: true` bypasses the cache
    * @returns The market if found, null otherwise
    *
    * @remarks
@@ -393,9 +570,13 @@ export class GammaApiClient {
    * const market = await client.getMarketByConditionId('0x82ace55...');
    * ```
    */
-  async getMarketByConditionId(conditionId: string): Promise<GammaMarket | null> {
-    const markets = await this.getMarkets({ conditionId, limit: 1 });
-    return markets[0] || null;
+  async getMarketByConditionId(conditionId: string, options?: GammaLookupOptions): Promise<GammaMarket | null> {
+    return this.lookup(
+      `gamma:market:${conditionId}`,
+      async () => (await this.getMarkets({ conditionId, limit: 1 }))[0] || null,
+      (market) => (market ? marketTags(market) : [CacheTags.market(conditionId)]),
+      options
+    );
   }
 
   // ===== Event Queries =====
@@ -429,22 +610,23 @@ export class GammaApiClient {
     if (params?.limit) query.set('limit', String(params.limit));
 
     return this.rateLimiter.execute(ApiType.GAMMA_API, async () => {
-      const response = await fetch(`${GAMMA_API_BASE}/events?${query}`);
+      const response = await this.transport.request(`${GAMMA_API_BASE}/events?${query}`);
       if (!response.ok)
         throw PolymarketError.fromHttpError(
           response.status,
-          await response.json().catch(() => null)
+          await response.json().catch(() => null),
+          response.headers
         );
-      const data = (await response.json()) as unknown[];
-      if (!Array.isArray(data)) return [];
+      const data = this.validator.checkList(API_SCHEMAS.gamma.event, await response.json());
       return data.map((item) => this.normalizeEvent(item as Record<string, unknown>));
-    });
+    }, '/events');
   }
 
   /**
    * Get a single event by its URL slug
    *
    * @param slug - The URL-friendly event slug
+   * @param options - `fresh: true` bypasses the cache
    * @returns The event if found, null otherwise
    *
    * @example
@@ -455,15 +637,20 @@ export class GammaApiClient {
    * }
    * ```
    */
-  async getEventBySlug(slug: string): Promise<GammaEvent | null> {
-    const events = await this.getEvents({ slug, limit: 1 });
-    return events[0] || null;
+  async getEventBySlug(slug: string, options?: GammaLookupOptions): Promise<GammaEvent | null> {
+    return this.lookup(
+      `gamma:event:slug:${slug}`,
+      async () => (await this.getEvents({ slug, limit: 1 }))[0] || null,
+      (event) => (event ? eventTags(event) : []),
+      options
+    );
   }
 
   /**
    * Get a single event by its ID
    *
    * @param id - The internal event ID
+   * @param options - `fresh: true` bypasses the cache
    * @returns The event if found, null otherwise
    *
    * @example
@@ -471,19 +658,45 @@ export class GammaApiClient {
    * const event = await client.getEventById('12345');
    * ```
    */
-  async getEventById(id: string): Promise<GammaEvent | null> {
+  async getEventById(id: string, options?: GammaLookupOptions): Promise<GammaEvent | null> {
+    return this.lookup(
+      `gamma:event:${id}`,
+      () => this.fetchEvent(id),
+      (event) => (event ? eventTags(event) : [CacheTags.event(id)]),
+      options
+    );
+  }
+
+  /**
+   * Cached single-item lookup; `fresh` fetches anyway and writes the result back
+   */
+  private async lookup<T>(
+    key: string,
+    fetch: () => Promise<T>,
+    tags: (value: T) => string[],
+    options?: GammaLookupOptions
+  ): Promise<T> {
+    if (!options?.fresh) return this.cache.getOrSet(key, CACHE_TTL.MARKET_INFO, fetch, { tags });
+    const value = await fetch();
+    await this.cache.set(key, value, CACHE_TTL.MARKET_INFO, { tags });
+    return value;
+  }
+
+  private async fetchEvent(id: string): Promise<GammaEvent | null> {
     return this.rateLimiter.execute(ApiType.GAMMA_API, async () => {
-      const response = await fetch(`${GAMMA_API_BASE}/events/${id}`);
+      const response = await this.transport.request(`${GAMMA_API_BASE}/events/${id}`);
       if (!response.ok) {
         if (response.status === 404) return null;
         throw PolymarketError.fromHttpError(
           response.status,
-          await response.json().catch(() => null)
+          await response.json().catch(() => null),
+          response.headers
         );
       }
       const data = (await response.json()) as Record<string, unknown>;
+      this.validator.check(API_SCHEMAS.gamma.event, data);
       return this.normalizeEvent(data);
-    });
+    }, '/events');
   }
 
   // ===== Trending =====
@@ -528,6 +741,21 @@ export class GammaApiClient {
     });
   }
 
+  /**
+   * Predicate for the search criteria /markets cannot apply (undefined if none)
+   */
+  private marketFilter(params?: MarketSearchParams): ((market: GammaMarket) => boolean) | undefined {
+    const text = params?.text?.trim().toLowerCase();
+    const negRisk = params?.negRisk;
+    if (!text && negRisk === undefined) return undefined;
+
+    return (market) => {
+      if (negRisk !== undefined && Boolean(market.negRisk) !== negRisk) return false;
+      if (!text) return true;
+      return `${market.question} ${market.slug} ${market.description ?? ''}`.toLowerCase().includes(text);
+    };
+  }
+
   // ===== Data Normalization =====
 
   private normalizeMarket(m: Record<string, unknown>): GammaMarket {
@@ -564,6 +792,13 @@ export class GammaApiClient {
       image: m.image ? String(m.image) : undefined,
       icon: m.icon ? String(m.icon) : undefined,
       tags: m.tags ? this.parseJsonArray(m.tags, []) : undefined,
+      clobTokenIds: m.clobTokenIds
+        ? this.parseJsonArray<unknown>(m.clobTokenIds, []).map(String)
+        : undefined,
+      groupItemTitle: m.groupItemTitle ? String(m.groupItemTitle) : undefined,
+      negRisk: m.negRisk !== undefined ? Boolean(m.negRisk) : undefined,
+      umaResolutionStatus: m.umaResolutionStatus ? String(m.umaResolutionStatus) : undefined,
+      eventId: Array.isArray(m.events) && m.events[0]?.id ? String(m.events[0].id) : undefined,
     };
   }
 
@@ -575,11 +810,14 @@ export class GammaApiClient {
       title: String(e.title || ''),
       description: e.description ? String(e.description) : undefined,
       markets: Array.isArray(markets)
-        ? markets.map((m: Record<string, unknown>) => this.normalizeMarket(m))
+        ? markets.map((m: Record<string, unknown>) => ({ ...this.normalizeMarket(m), eventId: String(e.id || '') }))
         : [],
       startDate: e.startDate ? new Date(String(e.startDate)) : undefined,
       endDate: e.endDate ? new Date(String(e.endDate)) : undefined,
       image: e.image ? String(e.image) : undefined,
+      negRisk: e.negRisk !== undefined ? Boolean(e.negRisk) : undefined,
+      volume: e.volume !== undefined ? Number(e.volume) : undefined,
+      liquidity: e.liquidity !== undefined ? Number(e.liquidity) : undefined,
     };
   }
 
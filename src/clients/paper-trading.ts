@@ -0,0 +1,742 @@
+/**
+ * Paper Trading for Polymarket
+ *
+ * Simulated TradingClient / CTFClient backends that trade against real
+ * orderbooks with virtual balances, so ArbitrageService and custom
+ * strategies can run end to end without risking USDC:
+ * - `PaperExchange` holds the books (live from a WebSocketManager, or
+ *   recorded `BookUpdate`s fed in by hand), virtual USDC.e / outcome-token
+ *   balances, orders and market resolutions
+ * - `PaperTradingClient` matches FOK / FAK / GTC / GTD orders and returns
+ *   the same `OrderResult` / `Order` shapes as TradingClient
+ * - `PaperCTFClient` simulates split / merge / redeem and balance reads
+ *
+ * Matching walks the effective book (direct levels plus mirrored levels of
+ * the complementary token, like the CLOB does) once a market is registered.
+ * Simulated fills never reach the live book, so the exchange remembers the
+ * size it took at each price and later fills only use displayed size beyond
+ * that; a level refills only when an update shows more of it.
+ *
+ * @example
+ * ```typescript
+ * const exchange = new PaperExchange({ initialUsdc: 1000 });
+ * exchange.connect(wsManager);
+ * exchange.registerMarket(conditionId, { yesTokenId, noTokenId });
+ *
+ * const trading = new PaperTradingClient(exchange);
+ * const result = await trading.createMarketOrder({ tokenId: yesTokenId, side: 'BUY', amount: 50, orderType: 'FOK' });
+ * console.log(result.success, exchange.getTokenBalance(yesTokenId));
+ * ```
+ */
+
+import { EventEmitter } from 'events';
+import type {
+  TradingClient,
+  Order,
+  OrderParams,
+  MarketOrderParams,
+  OrderResult,
+  OrderType,
+  Side,
+  TradeInfo,
+} from './trading-client.js';
+import type {
+  CTFClient,
+  SplitResult,
+  MergeResult,
+  RedeemResult,
+  PositionBalance,
+  TokenIds,
+  MarketResolution,
+} from './ctf-client.js';
+import type { BookUpdate } from '../core/types.js';
+import { PolymarketError, ErrorCode } from '../core/errors.js';
+import { classifyError, type ErrorContext } from '../core/error-classifier.js';
+import type { RiskEngine } from '../core/risk-engine.js';
+import { getEffectiveLevels, type BookLevel } from '../utils/orderbook-analytics.js';
+
+// ===== Types =====
+
+/** TradingClient methods the paper client provides */
+export type TradingBackend = Pick<
+  TradingClient,
+  | 'initialize'
+  | 'createOrder'
+  | 'createOrders'
+  | 'createMarketOrder'
+  | 'replaceOrder'
+  | 'cancelOrder'
+  | 'cancelOrders'
+  | 'cancelAllOrders'
+  | 'getOpenOrders'
+  | 'getOrder'
+  | 'getTrades'
+>;
+
+/** CTFClient methods the paper client provides */
+export type CTFBackend = Pick<
+  CTFClient,
+  | 'getAddress'
+  | 'getUsdcBalance'
+  | 'split'
+  | 'merge'
+  | 'mergeByTokenIds'
+  | 'redeem'
+  | 'redeemByTokenIds'
+  | 'getPositionBalanceByTokenIds'
+  | 'getMarketResolution'
+>;
+
+/** Anything that emits `bookUpdate` events (WebSocketManager, RealtimeService) */
+export interface BookFeed {
+  on(event: 'bookUpdate', listener: (update: BookUpdate) => void): unknown;
+}
+
+export interface PaperExchangeOptions {
+  /** Starting USDC.e balance (default: 1000) */
+  initialUsdc?: number;
+  /** Starting outcome-token balances by token ID */
+  initialTokens?: Record<string, number>;
+  /** Address reported by `PaperCTFClient.getAddress` */
+  address?: string;
+}
+
+export interface PaperClientOptions {
+  /** Same pre-trade checks as the live clients */
+  riskEngine?: RiskEngine;
+}
+
+export interface PaperExchangeEvents {
+  /** An order (or part of it) was matched */
+  trade: (trade: TradeInfo & { orderId: string }) => void;
+  /** An order stopped before filling completely (cancelled, expired or market resolved) */
+  orderClosed: (order: Order) => void;
+}
+
+interface PaperOrder {
+  order: Order;
+  /** USDC (BUY) or shares (SELL) held for the unfilled part */
+  reserved: number;
+}
+
+/** Sizes / prices closer than this are the same */
+const EPSILON = 1e-9;
+/** Shortfall still counted as a complete fill (float dust) */
+const FILL_TOLERANCE = 1e-6;
+
+const FOK_NOT_FILLED = "order couldn't be fully filled. FOK orders are fully filled or killed.";
+const NOT_ENOUGH_BALANCE = 'not enough balance / allowance';
+
+// ===== Paper Exchange =====
+
+export class PaperExchange extends EventEmitter {
+  readonly address: string;
+  private usdc: number;
+  private tokens = new Map<string, number>();
+  private books = new Map<string, { bids: BookLevel[]; asks: BookLevel[] }>();
+  /** tokenId → market */
+  private markets = new Map<string, { conditionId: string; tokenIds: TokenIds }>();
+  private conditions = new Map<string, TokenIds>();
+  private resolutions = new Map<string, 'YES' | 'NO'>();
+  private orders = new Map<string, PaperOrder>();
+  /** Book key (YES token of a market) → `${side}:${price}` → size our fills took */
+  private taken = new Map<string, Map<string, number>>();
+  private trades: TradeInfo[] = [];
+  private sequence = 0;
+
+  constructor(options: PaperExchangeOptions = {}) {
+    super();
+    this.usdc = options.initialUsdc ?? 1000;
+    this.address = options.address ?? '0x000000000000000000000000000000000000dEaD';
+    for (const [tokenId, balance] of Object.entries(options.initialTokens ?? {})) {
+      this.tokens.set(tokenId, balance);
+    }
+  }
+
+  // ===== Books =====
+
+  /**
+   * Follow live books from a WebSocketManager (or anything emitting `bookUpdate`)
+   */
+  connect(feed: BookFeed): void {
+    feed.on('bookUpdate', (update) => this.updateBook(update));
+  }
+
+  /**
+   * Replace a token's book (live or recorded) and match resting orders against it
+   */
+  updateBook(update: Pick<BookUpdate, 'assetId' | 'bids' | 'asks'>): void {
+    this.books.set(update.assetId, {
+      bids: [...update.bids].sort((a, b) => b.price - a.price),
+      asks: [...update.asks].sort((a, b) => a.price - b.price),
+    });
+    this.trimTaken(update.assetId);
+    const market = this.markets.get(update.assetId);
+    const affected = market ? [market.tokenIds.yesTokenId, market.tokenIds.noTokenId] : [update.assetId];
+    for (const paper of this.orders.values()) {
+      if (paper.order.status === 'LIVE' && affected.includes(paper.order.tokenId)) this.matchResting(paper);
+    }
+  }
+
+  /**
+   * Current book of a token, best levels first (same shape as WebSocketManager.getBook)
+   */
+  getBook(assetId: string): BookUpdate | undefined {
+    const book = this.books.get(assetId);
+    return book ? { assetId, bids: [...book.bids], asks: [...book.asks], timestamp: Date.now() } : undefined;
+  }
+
+  /**
+   * Pair a market's tokens, enabling mirrored liquidity and split / merge / redeem
+   */
+  registerMarket(conditionId: string, tokenIds: TokenIds): void {
+    this.conditions.set(conditionId, tokenIds);
+    this.markets.set(tokenIds.yesTokenId, { conditionId, tokenIds });
+    this.markets.set(tokenIds.noTokenId, { conditionId, tokenIds });
+  }
+
+  /**
+   * Settle a market; winning tokens redeem for 1 USDC each
+   */
+  resolveMarket(conditionId: string, winningOutcome: 'YES' | 'NO'): void {
+    this.resolutions.set(conditionId, winningOutcome);
+    // Nothing trades after resolution
+    for (const paper of this.orders.values()) {
+      const market = this.markets.get(paper.order.tokenId);
+      if (paper.order.status === 'LIVE' && market?.conditionId === conditionId) this.close(paper, 'CANCELED_MARKET_RESOLVED');
+    }
+  }
+
+  // ===== Balances =====
+
+  /** USDC.e not held by resting BUY orders */
+  getUsdcBalance(): number {
+    return this.usdc;
+  }
+
+  /** Tokens not held by resting SELL orders */
+  getTokenBalance(tokenId: string): number {
+    return this.tokens.get(tokenId) ?? 0;
+  }
+
+  getTrades(): TradeInfo[] {
+    return [...this.trades];
+  }
+
+  // ===== Orders =====
+
+  /**
+   * Match a market order; FOK orders fill completely or not at all
+   */
+  placeMarketOrder(params: MarketOrderParams): OrderResult {
+    const orderType: OrderType = params.orderType ?? 'FOK';
+    const available = params.side === 'BUY' ? this.usdc : this.getTokenBalance(params.tokenId);
+    if (params.amount > available + EPSILON) {
+      return this.failure(NOT_ENOUGH_BALANCE, params.side, orderType, { balance: available, required: params.amount });
+    }
+
+    // BUY amounts are USDC, SELL amounts are shares
+    const buy = params.side === 'BUY';
+    const fill = this.walk(params.tokenId, params.side, params.price, buy ? { amount: params.amount } : { size: params.amount });
+    const complete = params.amount - (buy ? fill.cost : fill.size) <= FILL_TOLERANCE;
+    if (fill.size <= EPSILON || (orderType === 'FOK' && !complete)) {
+      return this.failure(FOK_NOT_FILLED, params.side, orderType);
+    }
+    this.take(params.tokenId, params.side, fill.takes);
+
+    // Market orders are booked at the size that filled (FAK remainders never rest)
+    const paper = this.track(params.tokenId, params.side, fill.cost / fill.size, fill.size, orderType, 0);
+    paper.reserved = params.side === 'BUY' ? fill.cost : fill.size;
+    if (params.side === 'BUY') this.usdc -= fill.cost;
+    else this.adjustTokens(params.tokenId, -fill.size);
+    this.fill(paper, fill.size, fill.cost);
+    return { success: true, orderId: paper.order.id, transactionHashes: [this.txHash()] };
+  }
+
+  /**
+   * Match a limit order; the unfilled part rests until filled, cancelled or expired
+   */
+  placeLimitOrder(params: OrderParams): OrderResult {
+    const orderType: OrderType = params.orderType ?? 'GTC';
+    const reserve = params.side === 'BUY' ? params.price * params.size : params.size;
+    const available = params.side === 'BUY' ? this.usdc : this.getTokenBalance(params.tokenId);
+    if (reserve > available + EPSILON) {
+      return this.failure(NOT_ENOUGH_BALANCE, params.side, orderType, { balance: available, required: reserve });
+    }
+
+    const paper = this.track(params.tokenId, params.side, params.price, params.size, orderType, params.expiration ?? 0);
+    paper.reserved = reserve;
+    if (params.side === 'BUY') this.usdc -= reserve;
+    else this.adjustTokens(params.tokenId, -reserve);
+
+    this.matchResting(paper);
+    return {
+      success: true,
+      orderId: paper.order.id,
+      transactionHashes: paper.order.filledSize > 0 ? [this.txHash()] : undefined,
+    };
+  }
+
+  cancelOrder(orderId: string): boolean {
+    const paper = this.orders.get(orderId);
+    if (!paper || paper.order.status !== 'LIVE') return false;
+    this.close(paper, 'CANCELED');
+    return true;
+  }
+
+  /**
+   * Order as TradingClient.getOrder would return it (expires stale GTD orders first)
+   */
+  getOrder(orderId: string): Order | null {
+    const paper = this.orders.get(orderId);
+    if (!paper) return null;
+    this.expire(paper);
+    return { ...paper.order };
+  }
+
+  getOpenOrders(): Order[] {
+    return Array.from(this.orders.values())
+      .filter((paper) => !this.expire(paper) && paper.order.status === 'LIVE')
+      .map((paper) => ({ ...paper.order }));
+  }
+
+  // ===== CTF =====
+
+  split(conditionId: string, amount: number): TokenIds {
+    const tokenIds = this.tokenIdsFor(conditionId);
+    if (amount > this.usdc + EPSILON) throw new Error('insufficient USDC balance');
+    this.usdc -= amount;
+    this.adjustTokens(tokenIds.yesTokenId, amount);
+    this.adjustTokens(tokenIds.noTokenId, amount);
+    return tokenIds;
+  }
+
+  merge(conditionId: string, amount: number, tokenIds: TokenIds = this.tokenIdsFor(conditionId)): void {
+    if (amount > Math.min(this.getTokenBalance(tokenIds.yesTokenId), this.getTokenBalance(tokenIds.noTokenId)) + EPSILON) {
+      throw new Error('insufficient token balance');
+    }
+    this.adjustTokens(tokenIds.yesTokenId, -amount);
+    this.adjustTokens(tokenIds.noTokenId, -amount);
+    this.usdc += amount;
+  }
+
+  /**
+   * Burn all winning tokens for 1 USDC each
+   * @returns Tokens redeemed
+   */
+  redeem(conditionId: string, outcome: 'YES' | 'NO', tokenIds: TokenIds = this.tokenIdsFor(conditionId)): number {
+    const tokenId = outcome === 'YES' ? tokenIds.yesTokenId : tokenIds.noTokenId;
+    const amount = this.getTokenBalance(tokenId);
+    this.adjustTokens(tokenId, -amount);
+    if (this.resolutions.get(conditionId) === outcome) this.usdc += amount;
+    return amount;
+  }
+
+  getResolution(conditionId: string): 'YES' | 'NO' | undefined {
+    return this.resolutions.get(conditionId);
+  }
+
+  /** Fake transaction hash, unique per call */
+  txHash(): string {
+    return `0x${(++this.sequence).toString(16).padStart(64, '0')}`;
+  }
+
+  // ===== Private Methods =====
+
+  private track(tokenId: string, side: Side, price: number, size: number, orderType: OrderType, expiration: number): PaperOrder {
+    const id = `paper-${++this.sequence}`;
+    const paper: PaperOrder = {
+      order: {
+        id,
+        status: 'LIVE',
+        tokenId,
+        side,
+        price,
+        originalSize: size,
+        filledSize: 0,
+        remainingSize: size,
+        associateTrades: [],
+        createdAt: Math.floor(Date.now() / 1000),
+        orderType,
+        expiration: expiration || undefined,
+      },
+      reserved: 0,
+    };
+    this.orders.set(id, paper);
+    return paper;
+  }
+
+  private failure(message: string, side: Side, orderType: OrderType, context: ErrorContext = {}): OrderResult {
+    const failure = classifyError(message, { ...context, side, orderType });
+    return {
+      success: false,
+      errorMsg: failure.message,
+      errorCode: failure.code,
+      remediation: failure.remediation,
+    };
+  }
+
+  /**
+   * Walk the effective book up to a size or USDC amount, within `limitPrice`,
+   * skipping size earlier fills already took
+   */
+  private walk(
+    tokenId: string,
+    side: Side,
+    limitPrice: number | undefined,
+    target: { size: number } | { amount: number }
+  ): { size: number; cost: number; takes: BookLevel[] } {
+    let size = 0;
+    let cost = 0;
+    const takes: BookLevel[] = [];
+    for (const level of this.levels(tokenId, side)) {
+      if (limitPrice !== undefined && (side === 'BUY' ? level.price > limitPrice + EPSILON : level.price < limitPrice - EPSILON)) break;
+      const remaining = 'size' in target ? target.size - size : (target.amount - cost) / level.price;
+      if (remaining <= EPSILON) break;
+      const { book, key } = this.takenKey(tokenId, side, level.price);
+      const take = Math.min(level.size - (this.taken.get(book)?.get(key) ?? 0), remaining);
+      if (take <= EPSILON) continue;
+      size += take;
+      cost += take * level.price;
+      takes.push({ price: level.price, size: take });
+    }
+    return { size, cost, takes };
+  }
+
+  /** Remember liquidity a fill consumed */
+  private take(tokenId: string, side: Side, takes: BookLevel[]): void {
+    for (const level of takes) {
+      const { book, key } = this.takenKey(tokenId, side, level.price);
+      const taken = this.taken.get(book) ?? new Map<string, number>();
+      taken.set(key, (taken.get(key) ?? 0) + level.size);
+      this.taken.set(book, taken);
+    }
+  }
+
+  /**
+   * Cap what we took at what an updated book still shows, so only size added
+   * since is available again. A level that disappeared is forgotten.
+   */
+  private trimTaken(assetId: string): void {
+    const book = this.markets.get(assetId)?.tokenIds.yesTokenId ?? assetId;
+    const taken = this.taken.get(book);
+    if (!taken) return;
+    for (const [key, size] of taken) {
+      const [side, price] = key.split(':') as [Side, string];
+      const shown = this.levels(book, side).find((level) => Math.abs(level.price - Number(price)) < EPSILON)?.size ?? 0;
+      if (shown <= EPSILON) taken.delete(key);
+      else if (size > shown) taken.set(key, shown);
+    }
+  }
+
+  /**
+   * The same liquidity seen from either token of a market (BUY NO @ p is SELL YES @ 1-p)
+   * shares one entry, keyed on the YES token
+   */
+  private takenKey(tokenId: string, side: Side, price: number): { book: string; key: string } {
+    const market = this.markets.get(tokenId);
+    if (!market || tokenId === market.tokenIds.yesTokenId) return { book: tokenId, key: `${side}:${price.toFixed(6)}` };
+    const mirrored: Side = side === 'BUY' ? 'SELL' : 'BUY';
+    return { book: market.tokenIds.yesTokenId, key: `${mirrored}:${(1 - price).toFixed(6)}` };
+  }
+
+  /** Levels a taker on `side` trades against, best first */
+  private levels(tokenId: string, side: Side): BookLevel[] {
+    const market = this.markets.get(tokenId);
+    if (!market) {
+      const book = this.books.get(tokenId);
+      return side === 'BUY' ? book?.asks ?? [] : book?.bids ?? [];
+    }
+    const yes = this.books.get(market.tokenIds.yesTokenId) ?? { bids: [], asks: [] };
+    const no = this.books.get(market.tokenIds.noTokenId) ?? { bids: [], asks: [] };
+    return getEffectiveLevels(
+      { yesBids: yes.bids, yesAsks: yes.asks, noBids: no.bids, noAsks: no.asks },
+      tokenId === market.tokenIds.yesTokenId ? 'YES' : 'NO',
+      side
+    );
+  }
+
+  private matchResting(paper: PaperOrder): void {
+    if (this.expire(paper) || paper.order.status !== 'LIVE') return;
+    const { tokenId, side, price, remainingSize } = paper.order;
+    const fill = this.walk(tokenId, side, price, { size: remainingSize });
+    if (fill.size <= EPSILON) return;
+    this.take(tokenId, side, fill.takes);
+    this.fill(paper, fill.size, fill.cost);
+  }
+
+  /**
+   * Credit a fill: BUY receives tokens and gets back any price improvement,
+   * SELL receives USDC.
+   */
+  private fill(paper: PaperOrder, size: number, cost: number): void {
+    const { order } = paper;
+    if (order.side === 'BUY') {
+      const held = paper.reserved * Math.min(1, size / order.remainingSize);
+      paper.reserved -= held;
+      this.usdc += held - cost;
+      this.adjustTokens(order.tokenId, size);
+    } else {
+      paper.reserved -= size;
+      this.usdc += cost;
+    }
+
+    order.filledSize += size;
+    order.remainingSize = Math.max(0, order.originalSize - order.filledSize);
+    if (order.remainingSize <= EPSILON) order.status = 'MATCHED';
+
+    const trade: TradeInfo = {
+      id: `paper-trade-${++this.sequence}`,
+      tokenId: order.tokenId,
+      side: order.side,
+      price: size > 0 ? cost / size : 0,
+      size,
+      fee: 0,
+      timestamp: Date.now(),
+    };
+    order.associateTrades.push(trade.id);
+    this.trades.push(trade);
+    this.emit('trade', { ...trade, orderId: order.id });
+  }
+
+  /** Cancel a GTD order past its expiration; returns whether it expired */
+  private expire(paper: PaperOrder): boolean {
+    const { order } = paper;
+    if (order.status !== 'LIVE' || !order.expiration || order.expiration * 1000 > Date.now()) return false;
+    this.close(paper, 'CANCELED');
+    return true;
+  }
+
+  /** Stop an order and release what it still holds */
+  private close(paper: PaperOrder, status: string): void {
+    if (paper.order.side === 'BUY') this.usdc += paper.reserved;
+    else this.adjustTokens(paper.order.tokenId, paper.reserved);
+    paper.reserved = 0;
+    paper.order.status = status;
+    this.emit('orderClosed', { ...paper.order });
+  }
+
+  private adjustTokens(tokenId: string, delta: number): void {
+    const balance = Math.max(0, this.getTokenBalance(tokenId) + delta);
+    this.tokens.set(tokenId, balance < EPSILON ? 0 : balance);
+  }
+
+  private tokenIdsFor(conditionId: string): TokenIds {
+    const tokenIds = this.conditions.get(conditionId);
+    if (!tokenIds) {
+      throw new PolymarketError(ErrorCode.MARKET_NOT_FOUND, `Paper market not registered: ${conditionId}`);
+    }
+    return tokenIds;
+  }
+}
+
+// ===== Paper Trading Client =====
+
+/**
+ * Drop-in TradingClient replacement backed by a PaperExchange
+ */
+export class PaperTradingClient implements TradingBackend {
+  /** Trades matched while an order is being placed, before its reservation has an order ID */
+  private placing: Array<TradeInfo & { orderId: string }> | null = null;
+
+  constructor(
+    private exchange: PaperExchange,
+    private options: PaperClientOptions = {}
+  ) {
+    const risk = options.riskEngine;
+    if (!risk) return;
+    risk.addCanceller(() => this.cancelAllOrders());
+    exchange.on('trade', (trade: TradeInfo & { orderId: string }) => {
+      if (this.placing) this.placing.push(trade);
+      else risk.recordFill(trade.orderId, trade.size, trade.price);
+    });
+    exchange.on('orderClosed', (order: Order) => risk.releaseOrder(order.id));
+  }
+
+  async initialize(): Promise<void> {}
+
+  async createOrder(params: OrderParams): Promise<OrderResult> {
+    return this.withRisk(params, () => this.exchange.placeLimitOrder(params));
+  }
+
+  async createOrders(orders: OrderParams[]): Promise<OrderResult[]> {
+    return orders.map((params) => this.withRisk(params, () => this.exchange.placeLimitOrder(params)));
+  }
+
+  async createMarketOrder(params: MarketOrderParams): Promise<OrderResult> {
+    return this.withRisk(params, () => this.exchange.placeMarketOrder(params));
+  }
+
+  async replaceOrder(orderId: string, newPrice: number, newSize: number): Promise<OrderResult> {
+    const existing = this.exchange.getOrder(orderId);
+    if (!existing || existing.status !== 'LIVE') {
+      return { success: false, errorMsg: `Replace failed: order ${orderId} is not open`, errorCode: ErrorCode.ORDER_FAILED };
+    }
+    const params: OrderParams = {
+      tokenId: existing.tokenId,
+      side: existing.side,
+      price: newPrice,
+      size: newSize,
+      orderType: existing.orderType === 'GTD' ? 'GTD' : 'GTC',
+      expiration: existing.orderType === 'GTD' ? existing.expiration : undefined,
+    };
+    return this.withRisk(
+      params,
+      () => {
+        this.exchange.cancelOrder(orderId);
+        return this.exchange.placeLimitOrder(params);
+      },
+      orderId
+    );
+  }
+
+  async cancelOrder(orderId: string): Promise<OrderResult> {
+    return { success: this.exchange.cancelOrder(orderId), orderId };
+  }
+
+  async cancelOrders(orderIds: string[]): Promise<OrderResult> {
+    const results = orderIds.map((orderId) => this.exchange.cancelOrder(orderId));
+    return { success: results.every(Boolean), orderIds };
+  }
+
+  async cancelAllOrders(): Promise<OrderResult> {
+    const orderIds = this.exchange.getOpenOrders().map((o) => o.id);
+    return this.cancelOrders(orderIds);
+  }
+
+  async getOpenOrders(): Promise<Order[]> {
+    return this.exchange.getOpenOrders();
+  }
+
+  async getOrder(orderId: string): Promise<Order | null> {
+    return this.exchange.getOrder(orderId);
+  }
+
+  async getTrades(): Promise<TradeInfo[]> {
+    return this.exchange.getTrades();
+  }
+
+  private withRisk(
+    params: OrderParams | MarketOrderParams,
+    place: () => OrderResult,
+    replacingOrderId?: string
+  ): OrderResult {
+    const risk = this.options.riskEngine;
+    if (!risk) return place();
+    let reservation: string;
+    try {
+      const openOrders = this.exchange.getOpenOrders().filter((o) => o.id !== replacingOrderId);
+      reservation = risk.reserveOrder(params, 'size' in params ? openOrders.length : undefined, replacingOrderId);
+    } catch (error) {
+      const failure = classifyError(error, { side: params.side });
+      return { success: false, errorMsg: failure.message, errorCode: failure.code };
+    }
+
+    const trades: Array<TradeInfo & { orderId: string }> = (this.placing = []);
+    let result: OrderResult;
+    try {
+      result = place();
+    } catch (error) {
+      risk.releaseOrder(reservation);
+      throw error;
+    } finally {
+      this.placing = null;
+    }
+    if (!result.success || !result.orderId) {
+      risk.releaseOrder(reservation);
+      return result;
+    }
+
+    risk.attachOrder(reservation, result.orderId);
+    for (const trade of trades) risk.recordFill(trade.orderId, trade.size, trade.price);
+    // Market orders and limit orders that filled on arrival hold nothing more
+    if (this.exchange.getOrder(result.orderId)?.status !== 'LIVE') risk.releaseOrder(reservation);
+    return result;
+  }
+}
+
+// ===== Paper CTF Client =====
+
+/**
+ * Drop-in CTFClient replacement: split / merge / redeem against virtual balances
+ */
+export class PaperCTFClient implements CTFBackend {
+  constructor(
+    private exchange: PaperExchange,
+    private options: PaperClientOptions = {}
+  ) {}
+
+  getAddress(): string {
+    return this.exchange.address;
+  }
+
+  async getUsdcBalance(): Promise<string> {
+    return this.exchange.getUsdcBalance().toString();
+  }
+
+  async split(conditionId: string, amount: string): Promise<SplitResult> {
+    this.options.riskEngine?.checkSplit(conditionId, Number(amount));
+    this.exchange.split(conditionId, Number(amount));
+    this.options.riskEngine?.recordSplit(conditionId, Number(amount));
+    return { success: true, txHash: this.exchange.txHash(), amount, yesTokens: amount, noTokens: amount };
+  }
+
+  async merge(conditionId: string, amount: string): Promise<MergeResult> {
+    this.options.riskEngine?.checkMerge(conditionId);
+    this.exchange.merge(conditionId, Number(amount));
+    this.options.riskEngine?.recordMerge(conditionId, Number(amount));
+    return { success: true, txHash: this.exchange.txHash(), amount, usdcReceived: amount };
+  }
+
+  async mergeByTokenIds(conditionId: string, tokenIds: TokenIds, amount: string): Promise<MergeResult> {
+    this.options.riskEngine?.checkMerge(conditionId);
+    this.exchange.merge(conditionId, Number(amount), tokenIds);
+    this.options.riskEngine?.recordMerge(conditionId, Number(amount));
+    return { success: true, txHash: this.exchange.txHash(), amount, usdcReceived: amount };
+  }
+
+  async redeem(conditionId: string, outcome?: 'YES' | 'NO'): Promise<RedeemResult> {
+    return this.redeemWith(conditionId, outcome);
+  }
+
+  async redeemByTokenIds(conditionId: string, tokenIds: TokenIds, outcome?: 'YES' | 'NO'): Promise<RedeemResult> {
+    return this.redeemWith(conditionId, outcome, tokenIds);
+  }
+
+  async getPositionBalanceByTokenIds(conditionId: string, tokenIds: TokenIds): Promise<PositionBalance> {
+    return {
+      conditionId,
+      yesBalance: this.exchange.getTokenBalance(tokenIds.yesTokenId).toString(),
+      noBalance: this.exchange.getTokenBalance(tokenIds.noTokenId).toString(),
+      yesPositionId: tokenIds.yesTokenId,
+      noPositionId: tokenIds.noTokenId,
+    };
+  }
+
+  async getMarketResolution(conditionId: string): Promise<MarketResolution> {
+    const winningOutcome = this.exchange.getResolution(conditionId);
+    return {
+      conditionId,
+      isResolved: winningOutcome !== undefined,
+      winningOutcome,
+      payoutNumerators: winningOutcome === 'YES' ? [1, 0] : winningOutcome === 'NO' ? [0, 1] : [0, 0],
+      payoutDenominator: winningOutcome ? 1 : 0,
+    };
+  }
+
+  private async redeemWith(conditionId: string, outcome?: 'YES' | 'NO', tokenIds?: TokenIds): Promise<RedeemResult> {
+    const winningOutcome = outcome ?? this.exchange.getResolution(conditionId);
+    if (!this.exchange.getResolution(conditionId) || !winningOutcome) {
+      throw new Error('Market is not resolved yet');
+    }
+    const redeemed = this.exchange.redeem(conditionId, winningOutcome, tokenIds);
+    const won = this.exchange.getResolution(conditionId) === winningOutcome;
+    return {
+      success: true,
+      txHash: this.exchange.txHash(),
+      outcome: winningOutcome,
+      tokensRedeemed: redeemed.toString(),
+      usdcReceived: (won ? redeemed : 0).toString(),
+    };
+  }
+}
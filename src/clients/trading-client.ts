@@ -9,10 +9,14 @@
  * Based on: docs/01-product-research/06-poly-sdk/reports/02-clob-client.md
  */
 
-import { ClobClient, Side as ClobSide, OrderType as ClobOrderType, Chain, type OpenOrder, type Trade as ClobTrade, type TickSize } from '@polymarket/clob-client';
+import { ClobClient, Side as ClobSide, OrderType as ClobOrderType, Chain, type OpenOrder, type Trade as ClobTrade, type TickSize, type PostOrdersArgs } from '@polymarket/clob-client';
 import { Wallet } from 'ethers';
 import { RateLimiter, ApiType } from '../core/rate-limiter.js';
-import { PolymarketError, ErrorCode } from '../core/errors.js';
+import { PolymarketError, ErrorCode, type Remediation } from '../core/errors.js';
+import { classifyError, getErrorMessage, type ErrorClassification, type ErrorContext } from '../core/error-classifier.js';
+import { ConsoleLogger, type Logger, type LogFields } from '../core/logger.js';
+import { traceSpan, type Span, type Tracer } from '../core/tracing.js';
+import type { RiskEngine } from '../core/risk-engine.js';
 
 // Chain IDs
 export const POLYGON_MAINNET = 137;
@@ -21,6 +25,12 @@ export const POLYGON_AMOY = 80002;
 // CLOB Host
 const CLOB_HOST = 'https://clob.polymarket.com';
 
+/** Orders per postOrders request */
+export const MAX_BATCH_ORDERS = 15;
+
+/** USDC and outcome token balances from /balance-allowance are in 6-decimal base units */
+const BALANCE_DECIMALS = 6;
+
 // ===== Types =====
 
 export type Side = 'BUY' | 'SELL';
@@ -71,6 +81,9 @@ export interface Order {
   remainingSize: number;    // originalSize - filledSize
   associateTrades: string[]; // Trade IDs linked to this order
   createdAt: number;
+  orderType?: string;
+  /** GTD expiration (unix seconds, 0 = none) */
+  expiration?: number;
 }
 
 export interface OrderResult {
@@ -78,9 +91,20 @@ export interface OrderResult {
   orderId?: string;
   orderIds?: string[];
   errorMsg?: string;
+  /** Classified failure reason (see classifyError) */
+  errorCode?: ErrorCode;
+  /** Suggested fix for the failure, if known */
+  remediation?: Remediation;
   transactionHashes?: string[];
 }
 
+/** Per-token market parameters needed to sign an order */
+export interface TokenMetadata {
+  tickSize: TickSize;
+  negRisk: boolean;
+  feeRateBps: number;
+}
+
 export interface TradeInfo {
   id: string;
   tokenId: string;
@@ -135,6 +159,14 @@ export interface TradingClientConfig {
   chainId?: number;
   /** Pre-generated API credentials (optional) */
   credentials?: ApiCredentials;
+  /** Logger for rejected orders (default: ConsoleLogger) */
+  logger?: Logger;
+  /** Tracing hooks, one `http` span per CLOB call */
+  tracer?: Tracer;
+  /** Pre-trade checks for every order; its kill switch cancels all orders */
+  riskEngine?: RiskEngine;
+  /** How long tick size / negRisk / fee rate stay cached per token (default: 5 min) */
+  metadataTtlMs?: number;
 }
 
 // ===== Client =====
@@ -145,8 +177,10 @@ export class TradingClient {
   private chainId: Chain;
   private credentials: ApiCredentials | null = null;
   private initialized = false;
-  private tickSizeCache: Map<string, string> = new Map();
-  private negRiskCache: Map<string, boolean> = new Map();
+  private metadataTtlMs: number;
+  private metadataCache: Map<string, { metadata: TokenMetadata; fetchedAt: number }> = new Map();
+  private metadataInflight: Map<string, Promise<TokenMetadata>> = new Map();
+  private logger: Logger;
 
   constructor(
     private rateLimiter: RateLimiter,
@@ -155,6 +189,9 @@ export class TradingClient {
     this.wallet = new Wallet(config.privateKey);
     this.chainId = (config.chainId || POLYGON_MAINNET) as Chain;
     this.credentials = config.credentials || null;
+    this.metadataTtlMs = config.metadataTtlMs ?? 5 * 60_000;
+    this.logger = (config.logger ?? new ConsoleLogger()).child({ component: 'TradingClient' });
+    config.riskEngine?.addCanceller(() => this.cancelAllOrders());
   }
 
   // ===== Initialization =====
@@ -203,34 +240,352 @@ export class TradingClient {
     return this.clobClient!;
   }
 
+  /**
+   * Rate-limited CLOB call wrapped in a `clob.<operation>` tracing span
+   */
+  private execute<T>(
+    operation: string,
+    fn: (span: Span) => Promise<T>,
+    attributes: LogFields = {}
+  ): Promise<T> {
+    return this.rateLimiter.execute(ApiType.CLOB_API, () =>
+      traceSpan(this.config.tracer, `clob.${operation}`, 'http', attributes, fn)
+    );
+  }
+
+  /**
+   * `execute` for order posting: the rate limiter and circuit breaker can
+   * reject before `fn` runs (RATE_LIMITED, CIRCUIT_OPEN), and that comes back
+   * as a failed OrderResult like any other rejection, with the order's risk
+   * reservation released
+   */
+  private async executeOrder(
+    operation: string,
+    params: OrderParams | MarketOrderParams,
+    reservation: string | undefined,
+    fn: (span: Span) => Promise<OrderResult>,
+    attributes: LogFields = {}
+  ): Promise<OrderResult> {
+    try {
+      return await this.execute(operation, fn, attributes);
+    } catch (error) {
+      return this.toRejectedResult(error, params, reservation);
+    }
+  }
+
+  /**
+   * Failed OrderResult for an order the rate limiter or circuit breaker refused
+   */
+  private toRejectedResult(error: unknown, params: OrderParams | MarketOrderParams, reservation?: string): OrderResult {
+    if (reservation) this.config.riskEngine?.releaseOrder(reservation);
+    const failure = classifyError(error, { side: params.side });
+    this.logger.warn('Order not sent', {
+      tokenId: params.tokenId,
+      side: params.side,
+      code: failure.code,
+      error: failure.message,
+    });
+    return { success: false, errorMsg: failure.message, errorCode: failure.code, remediation: failure.remediation };
+  }
+
+  /**
+   * Mark the span failed and log a rejected order with its classification
+   */
+  private reportOrderFailure(
+    span: Span,
+    params: { tokenId: string; side: Side },
+    failure: ErrorClassification
+  ): void {
+    span.setError(failure.message);
+    span.setAttributes({ errorCode: failure.code });
+    this.logger.warn('Order rejected', {
+      tokenId: params.tokenId,
+      side: params.side,
+      code: failure.code,
+      error: failure.message,
+      remediation: failure.remediation?.action,
+    });
+  }
+
+  /**
+   * Run the risk engine's pre-trade checks and reserve the order if they pass;
+   * a rejection is returned like any failed order
+   */
+  private async reserveRisk(
+    params: OrderParams | MarketOrderParams,
+    replacingOrderId?: string
+  ): Promise<{ rejected?: OrderResult; reservation?: string }> {
+    const risk = this.config.riskEngine;
+    if (!risk) return {};
+    try {
+      const countOpen = 'size' in params && risk.getLimits().maxOpenOrders !== undefined;
+      const openOrders = countOpen
+        ? (await this.getOpenOrders()).filter((o) => o.id !== replacingOrderId).length
+        : undefined;
+      return { reservation: risk.reserveOrder(params, openOrders, replacingOrderId) };
+    } catch (error) {
+      const failure = classifyError(error, { side: params.side });
+      return { rejected: { success: false, errorMsg: failure.message, errorCode: failure.code } };
+    }
+  }
+
+  /**
+   * Hand a posted order's reservation over to the order ID and book what
+   * matched immediately. Market orders never rest, so their remainder is freed.
+   */
+  private trackRisk(
+    reservation: string,
+    result: any,
+    params: OrderParams | MarketOrderParams,
+    orderType: ClobOrderType
+  ): void {
+    const risk = this.config.riskEngine;
+    if (!risk) return;
+    const orderId: string | undefined = result.orderID || undefined;
+    if (orderId) risk.attachOrder(reservation, orderId);
+
+    const status = String(result.status ?? '').toLowerCase();
+    if (status === 'matched') {
+      // BUY: pays making USDC for taking shares; SELL: the other way round
+      const making = Number(result.makingAmount) || 0;
+      const taking = Number(result.takingAmount) || 0;
+      const [shares, usdc] = params.side === 'BUY' ? [taking, making] : [making, taking];
+      if (shares > 0) risk.recordFill(reservation, shares, usdc / shares);
+      else risk.syncOrder(reservation, orderShares(params), false);
+    }
+    const market = orderType === ClobOrderType.FOK || orderType === ClobOrderType.FAK;
+    if ((market && status !== 'delayed') || !orderId) risk.releaseOrder(reservation);
+  }
+
+  /**
+   * Book fills a cancelled order got before the cancel and free the rest of its reservation
+   */
+  private async settleCancelled(orderIds: string[]): Promise<void> {
+    const risk = this.config.riskEngine;
+    if (!risk) return;
+    for (const orderId of orderIds.filter((id) => risk.hasOrder(id))) {
+      const order = await this.getOrder(orderId).catch(() => null);
+      risk.syncOrder(orderId, order?.filledSize ?? 0, false);
+    }
+  }
+
+  /**
+   * Sync reserved orders that are not in the open-order list: `getOrder`
+   * books their fills and frees what is left once they are closed. Orders the
+   * CLOB does not know are released; failed lookups are retried next time.
+   */
+  private async settleMissing(openOrders: Order[]): Promise<void> {
+    const risk = this.config.riskEngine;
+    if (!risk) return;
+    const open = new Set(openOrders.map((o) => o.id));
+    for (const orderId of risk.getOrderIds().filter((id) => !open.has(id))) {
+      const order = await this.getOrder(orderId).catch(() => undefined);
+      if (order === null) risk.syncOrder(orderId, 0, false);
+    }
+  }
+
+  private toOrder(o: OpenOrder): Order {
+    const originalSize = Number(o.original_size) || 0;
+    const filledSize = Number(o.size_matched) || 0;
+    return {
+      id: o.id,
+      status: o.status,
+      tokenId: o.asset_id,
+      side: o.side.toUpperCase() as Side,
+      price: Number(o.price) || 0,
+      originalSize,
+      filledSize,
+      remainingSize: originalSize - filledSize,
+      associateTrades: o.associate_trades || [],
+      createdAt: o.created_at,
+      orderType: o.order_type || undefined,
+      expiration: Number(o.expiration) || undefined,
+    };
+  }
+
+  /**
+   * Map a CLOB post response to an OrderResult, logging and classifying failures
+   */
+  private async toOrderResult(
+    result: any,
+    span: Span,
+    params: OrderParams | MarketOrderParams,
+    context: { negRisk?: boolean; orderType: ClobOrderType; reservation?: string }
+  ): Promise<OrderResult> {
+    // Check for actual success
+    // Priority: explicit success field > orderID/transactionsHashes as fallback
+    // If result.success is explicitly false, honor that even if there's an orderID
+    let actualSuccess: boolean;
+    if (result.success === true) {
+      actualSuccess = true;
+    } else if (result.success === false) {
+      // Explicit failure - even if there's an orderID, consider it failed
+      actualSuccess = false;
+    } else {
+      // result.success is undefined - use fallback logic
+      actualSuccess =
+        (result.orderID !== undefined && result.orderID !== '') ||
+        (result.transactionsHashes !== undefined && result.transactionsHashes.length > 0);
+    }
+
+    // Failed posts come back as { error, status } from clob-client
+    const rawError = result.errorMsg || result.error;
+    const errorContext: ErrorContext = { side: params.side, negRisk: context.negRisk, orderType: context.orderType };
+    let failure = actualSuccess ? undefined : classifyError(rawError || 'Order may have failed', errorContext);
+    // "not enough balance / allowance" also covers a plain lack of funds
+    if (failure?.code === ErrorCode.INSUFFICIENT_ALLOWANCE || failure?.code === ErrorCode.NEG_RISK_APPROVAL_MISSING) {
+      failure = classifyError(failure.message, { ...errorContext, ...(await this.getBalanceContext(params)) });
+    }
+
+    if (failure) {
+      this.reportOrderFailure(span, params, failure);
+      // The market's tick size changed under us; refetch on the next order
+      if (failure.code === ErrorCode.INVALID_TICK_SIZE) this.invalidateMarketMetadata(params.tokenId);
+      if (context.reservation) this.config.riskEngine?.releaseOrder(context.reservation);
+    } else if (context.reservation) {
+      this.trackRisk(context.reservation, result, params, context.orderType);
+    }
+
+    return {
+      success: actualSuccess,
+      orderId: result.orderID,
+      orderIds: result.orderIDs,
+      errorMsg: failure ? failure.message : result.errorMsg || undefined,
+      errorCode: failure?.code,
+      remediation: failure?.remediation,
+      transactionHashes: result.transactionsHashes,
+    };
+  }
+
+  /**
+   * Balance of the asset an order spends and the amount it needs, so a lack of
+   * funds can be told apart from a missing approval. Empty if the lookup fails.
+   */
+  private async getBalanceContext(params: OrderParams | MarketOrderParams): Promise<ErrorContext> {
+    const buy = params.side === 'BUY';
+    const required = 'size' in params ? (buy ? params.price * params.size : params.size) : params.amount;
+    try {
+      const client = await this.ensureInitialized();
+      const { balance } = await client.getBalanceAllowance({
+        asset_type: (buy ? 'COLLATERAL' : 'CONDITIONAL') as any,
+        token_id: buy ? undefined : params.tokenId,
+      });
+      return { balance: Number(balance) / 10 ** BALANCE_DECIMALS, required };
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Failed OrderResult for an error thrown while signing or posting
+   */
+  private toFailedResult(
+    error: unknown,
+    span: Span,
+    params: OrderParams | MarketOrderParams,
+    prefix: string,
+    negRisk?: boolean,
+    reservation?: string
+  ): OrderResult {
+    const failure = classifyError(error, { side: params.side, negRisk });
+    this.reportOrderFailure(span, params, failure);
+    if (failure.code === ErrorCode.INVALID_TICK_SIZE) this.invalidateMarketMetadata(params.tokenId);
+    if (reservation) this.config.riskEngine?.releaseOrder(reservation);
+    return {
+      success: false,
+      errorMsg: `${prefix}: ${getErrorMessage(error)}`,
+      errorCode: failure.code,
+      remediation: failure.remediation,
+    };
+  }
+
+  /**
+   * Sign a limit order locally with cached market metadata (no round trips)
+   */
+  private signOrder(client: ClobClient, params: OrderParams, metadata: TokenMetadata): Promise<PostOrdersArgs['order']> {
+    return client.createOrder(
+      {
+        tokenID: params.tokenId,
+        side: params.side === 'BUY' ? ClobSide.BUY : ClobSide.SELL,
+        price: params.price,
+        size: params.size,
+        feeRateBps: metadata.feeRateBps,
+        expiration: params.expiration || 0,
+      },
+      { tickSize: metadata.tickSize, negRisk: metadata.negRisk }
+    );
+  }
+
   // ===== Market Info =====
 
   /**
-   * Get tick size for a token (cached)
+   * Tick size, negRisk and fee rate for a token
+   *
+   * Cached per token for `metadataTtlMs`; concurrent lookups share one fetch.
    */
-  async getTickSize(tokenId: string): Promise<TickSize> {
-    if (this.tickSizeCache.has(tokenId)) {
-      return this.tickSizeCache.get(tokenId)! as TickSize;
+  async getMarketMetadata(tokenId: string): Promise<TokenMetadata> {
+    const cached = this.metadataCache.get(tokenId);
+    if (cached && Date.now() - cached.fetchedAt < this.metadataTtlMs) {
+      return cached.metadata;
     }
 
-    const client = await this.ensureInitialized();
-    const tickSize = await client.getTickSize(tokenId);
-    this.tickSizeCache.set(tokenId, tickSize);
-    return tickSize;
+    let pending = this.metadataInflight.get(tokenId);
+    if (!pending) {
+      pending = this.fetchMarketMetadata(tokenId).finally(() => this.metadataInflight.delete(tokenId));
+      this.metadataInflight.set(tokenId, pending);
+    }
+    return pending;
+  }
+
+  /**
+   * Warm the metadata cache, e.g. for every token a quoter is about to post
+   */
+  async prefetchMarketMetadata(tokenIds: string[]): Promise<void> {
+    await Promise.all([...new Set(tokenIds)].map((tokenId) => this.getMarketMetadata(tokenId)));
+  }
+
+  /**
+   * Drop cached metadata for one token, or for all tokens
+   */
+  invalidateMarketMetadata(tokenId?: string): void {
+    if (tokenId === undefined) {
+      this.metadataCache.clear();
+    } else {
+      this.metadataCache.delete(tokenId);
+    }
+  }
+
+  /**
+   * Get tick size for a token (cached)
+   */
+  async getTickSize(tokenId: string): Promise<TickSize> {
+    return (await this.getMarketMetadata(tokenId)).tickSize;
   }
 
   /**
    * Check if token is neg risk (cached)
    */
   async isNegRisk(tokenId: string): Promise<boolean> {
-    if (this.negRiskCache.has(tokenId)) {
-      return this.negRiskCache.get(tokenId)!;
-    }
+    return (await this.getMarketMetadata(tokenId)).negRisk;
+  }
 
+  private async fetchMarketMetadata(tokenId: string): Promise<TokenMetadata> {
     const client = await this.ensureInitialized();
-    const negRisk = await client.getNegRisk(tokenId);
-    this.negRiskCache.set(tokenId, negRisk);
-    return negRisk;
+
+    // clob-client keeps its own never-expiring caches; clear them so a
+    // refetch really reaches the API and both caches agree
+    delete client.tickSizes[tokenId];
+    delete client.negRisk[tokenId];
+    delete client.feeRates[tokenId];
+
+    const [tickSize, negRisk, feeRateBps] = await Promise.all([
+      client.getTickSize(tokenId),
+      client.getNegRisk(tokenId),
+      client.getFeeRateBps(tokenId),
+    ]);
+    const metadata: TokenMetadata = { tickSize, negRisk, feeRateBps };
+    this.metadataCache.set(tokenId, { metadata, fetchedAt: Date.now() });
+    return metadata;
   }
 
   // ===== Order Creation =====
@@ -239,15 +594,16 @@ export class TradingClient {
    * Create and post a limit order (single step)
    */
   async createOrder(params: OrderParams): Promise<OrderResult> {
+    const { rejected, reservation } = await this.reserveRisk(params);
+    if (rejected) return rejected;
     const client = await this.ensureInitialized();
 
-    return this.rateLimiter.execute(ApiType.CLOB_API, async () => {
+    return this.executeOrder('createOrder', params, reservation, async (span) => {
+      let negRisk: boolean | undefined;
       try {
         // Get market parameters
-        const [tickSize, negRisk] = await Promise.all([
-          this.getTickSize(params.tokenId),
-          this.isNegRisk(params.tokenId),
-        ]);
+        const metadata = await this.getMarketMetadata(params.tokenId);
+        negRisk = metadata.negRisk;
 
         // Use createAndPostOrder for single-step limit order creation
         // Only GTC and GTD are valid for limit orders
@@ -259,59 +615,164 @@ export class TradingClient {
             side: params.side === 'BUY' ? ClobSide.BUY : ClobSide.SELL,
             price: params.price,
             size: params.size,
+            feeRateBps: metadata.feeRateBps,
             expiration: params.expiration || 0,
           },
-          { tickSize, negRisk },
+          { tickSize: metadata.tickSize, negRisk },
           orderType
         );
 
-        // Check for actual success
-        // Priority: explicit success field > orderID/transactionsHashes as fallback
-        // If result.success is explicitly false, honor that even if there's an orderID
-        let actualSuccess: boolean;
-        if (result.success === true) {
-          actualSuccess = true;
-        } else if (result.success === false) {
-          // Explicit failure - even if there's an orderID, consider it failed
-          actualSuccess = false;
-        } else {
-          // result.success is undefined - use fallback logic
-          actualSuccess =
-            (result.orderID !== undefined && result.orderID !== '') ||
-            (result.transactionsHashes !== undefined && result.transactionsHashes.length > 0);
+        return await this.toOrderResult(result, span, params, { negRisk, orderType, reservation });
+      } catch (error) {
+        // Return failure instead of throwing to allow graceful handling
+        return this.toFailedResult(error, span, params, 'Order failed', negRisk, reservation);
+      }
+    }, { tokenId: params.tokenId, side: params.side });
+  }
+
+  /**
+   * Create and post several limit orders, batched into as few requests as possible
+   *
+   * Orders are signed locally and posted up to `MAX_BATCH_ORDERS` per request.
+   * Results line up with `orders`; one bad order does not fail the others.
+   * Each order is risk-checked and reserved in turn, so later orders in the
+   * batch see the earlier ones.
+   */
+  async createOrders(orders: OrderParams[]): Promise<OrderResult[]> {
+    const results: OrderResult[] = new Array(orders.length);
+    const reservations: Array<string | undefined> = new Array(orders.length);
+    const accepted: number[] = [];
+    for (const [index, params] of orders.entries()) {
+      const { rejected, reservation } = await this.reserveRisk(params);
+      if (rejected) results[index] = rejected;
+      else accepted.push(index);
+      reservations[index] = reservation;
+    }
+    if (accepted.length === 0) return results;
+
+    const client = await this.ensureInitialized();
+    await this.prefetchMarketMetadata(accepted.map((index) => orders[index].tokenId));
+
+    for (let start = 0; start < accepted.length; start += MAX_BATCH_ORDERS) {
+      const batch = accepted.slice(start, start + MAX_BATCH_ORDERS);
+
+      try {
+        await this.execute('createOrders', async (span) => {
+          const signed: Array<{ index: number; negRisk: boolean; orderType: ClobOrderType; args: PostOrdersArgs }> = [];
+          for (const index of batch) {
+            const params = orders[index];
+            const orderType = params.orderType === 'GTD' ? ClobOrderType.GTD : ClobOrderType.GTC;
+            let negRisk: boolean | undefined;
+            try {
+              const metadata = await this.getMarketMetadata(params.tokenId);
+              negRisk = metadata.negRisk;
+              const order = await this.signOrder(client, params, metadata);
+              signed.push({ index, negRisk, orderType, args: { order, orderType } });
+            } catch (error) {
+              results[index] = this.toFailedResult(error, span, params, 'Order failed', negRisk, reservations[index]);
+            }
+          }
+          if (signed.length === 0) return;
+
+          try {
+            const response = await client.postOrders(signed.map((s) => s.args));
+            // A rejected batch comes back as a single { error, status }
+            const responses: any[] = Array.isArray(response) ? response : [];
+            for (const [i, s] of signed.entries()) {
+              const result = responses[i] ?? { error: response?.error ?? 'Missing batch response' };
+              results[s.index] = await this.toOrderResult(result, span, orders[s.index], {
+                ...s,
+                reservation: reservations[s.index],
+              });
+            }
+          } catch (error) {
+            for (const s of signed) {
+              const params = orders[s.index];
+              results[s.index] = this.toFailedResult(error, span, params, 'Order failed', s.negRisk, reservations[s.index]);
+            }
+          }
+        }, { count: batch.length });
+      } catch (error) {
+        // Refused by the rate limiter or circuit breaker before anything was sent
+        for (const index of batch) results[index] ??= this.toRejectedResult(error, orders[index], reservations[index]);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Replace a resting order with a new price and size (cancel, then repost)
+   *
+   * The replacement is signed before the cancel is sent, so the book is only
+   * empty for one round trip. Nothing is posted if the cancel fails (e.g. the
+   * order already filled). `newSize` is the full size of the new order; fills
+   * on the old order are not subtracted.
+   */
+  async replaceOrder(orderId: string, newPrice: number, newSize: number): Promise<OrderResult> {
+    const existing = await this.getOrder(orderId);
+    if (!existing) {
+      return { success: false, errorMsg: `Replace failed: order ${orderId} not found`, errorCode: ErrorCode.ORDER_FAILED };
+    }
+
+    const params: OrderParams = {
+      tokenId: existing.tokenId,
+      side: existing.side,
+      price: newPrice,
+      size: newSize,
+      orderType: existing.orderType === 'GTD' ? 'GTD' : 'GTC',
+      expiration: existing.orderType === 'GTD' ? existing.expiration : undefined,
+    };
+    // The order being replaced does not count towards maxOpenOrders or its own reservation
+    const { rejected, reservation } = await this.reserveRisk(params, orderId);
+    if (rejected) return rejected;
+    const client = await this.ensureInitialized();
+
+    return this.executeOrder('replaceOrder', params, reservation, async (span) => {
+      let negRisk: boolean | undefined;
+      try {
+        const metadata = await this.getMarketMetadata(params.tokenId);
+        negRisk = metadata.negRisk;
+        const orderType = params.orderType === 'GTD' ? ClobOrderType.GTD : ClobOrderType.GTC;
+        const signed = await this.signOrder(client, params, metadata);
+
+        const cancel = await client.cancelOrder({ orderID: orderId });
+        const cancelled = Array.isArray(cancel?.canceled) ? cancel.canceled.includes(orderId) : Boolean(cancel?.canceled);
+        if (!cancelled) {
+          const reason = cancel?.not_canceled?.[orderId] ?? cancel?.error ?? 'order was not cancelled';
+          span.setError(`Cancel failed: ${reason}`);
+          if (reservation) this.config.riskEngine?.releaseOrder(reservation);
+          return {
+            success: false,
+            errorMsg: `Replace failed: ${reason}`,
+            errorCode: ErrorCode.ORDER_FAILED,
+          };
         }
 
-        return {
-          success: actualSuccess,
-          orderId: result.orderID,
-          orderIds: result.orderIDs,
-          errorMsg: result.errorMsg || (actualSuccess ? undefined : 'Order may have failed'),
-          transactionHashes: result.transactionsHashes,
-        };
+        const result = await client.postOrder(signed, orderType);
+        const replaced = await this.toOrderResult(result, span, params, { negRisk, orderType, reservation });
+        await this.settleCancelled([orderId]);
+        return replaced;
       } catch (error) {
-        const message = error instanceof Error ? error.message : String(error);
-        // Return failure instead of throwing to allow graceful handling
-        return {
-          success: false,
-          errorMsg: `Order failed: ${message}`,
-        };
+        return this.toFailedResult(error, span, params, 'Replace failed', negRisk, reservation);
       }
-    });
+    }, { orderId, tokenId: params.tokenId, side: params.side });
   }
 
   /**
    * Create and post a market order (executes at best available price)
    */
   async createMarketOrder(params: MarketOrderParams): Promise<OrderResult> {
+    const { rejected, reservation } = await this.reserveRisk(params);
+    if (rejected) return rejected;
     const client = await this.ensureInitialized();
 
-    return this.rateLimiter.execute(ApiType.CLOB_API, async () => {
+    return this.executeOrder('createMarketOrder', params, reservation, async (span) => {
+      let negRisk: boolean | undefined;
       try {
         // Get market parameters
-        const [tickSize, negRisk] = await Promise.all([
-          this.getTickSize(params.tokenId),
-          this.isNegRisk(params.tokenId),
-        ]);
+        const metadata = await this.getMarketMetadata(params.tokenId);
+        negRisk = metadata.negRisk;
 
         // Use createAndPostMarketOrder
         // Only FOK and FAK are valid for market orders
@@ -323,43 +784,18 @@ export class TradingClient {
             side: params.side === 'BUY' ? ClobSide.BUY : ClobSide.SELL,
             amount: params.amount,
             price: params.price,
+            feeRateBps: metadata.feeRateBps,
           },
-          { tickSize, negRisk },
+          { tickSize: metadata.tickSize, negRisk },
           orderType
         );
 
-        // Check for actual success
-        // Priority: explicit success field > orderID/transactionsHashes as fallback
-        // If result.success is explicitly false, honor that even if there's an orderID
-        let actualSuccess: boolean;
-        if (result.success === true) {
-          actualSuccess = true;
-        } else if (result.success === false) {
-          // Explicit failure - even if there's an orderID, consider it failed
-          actualSuccess = false;
-        } else {
-          // result.success is undefined - use fallback logic
-          actualSuccess =
-            (result.orderID !== undefined && result.orderID !== '') ||
-            (result.transactionsHashes !== undefined && result.transactionsHashes.length > 0);
-        }
-
-        return {
-          success: actualSuccess,
-          orderId: result.orderID,
-          orderIds: result.orderIDs,
-          errorMsg: result.errorMsg || (actualSuccess ? undefined : 'Order may have failed'),
-          transactionHashes: result.transactionsHashes,
-        };
+        return await this.toOrderResult(result, span, params, { negRisk, orderType, reservation });
       } catch (error) {
-        const message = error instanceof Error ? error.message : String(error);
         // Return failure instead of throwing to allow graceful handling
-        return {
-          success: false,
-          errorMsg: `Market order failed: ${message}`,
-        };
+        return this.toFailedResult(error, span, params, 'Market order failed', negRisk, reservation);
       }
-    });
+    }, { tokenId: params.tokenId, side: params.side });
   }
 
   // ===== Order Management =====
@@ -370,9 +806,10 @@ export class TradingClient {
   async cancelOrder(orderId: string): Promise<OrderResult> {
     const client = await this.ensureInitialized();
 
-    return this.rateLimiter.execute(ApiType.CLOB_API, async () => {
+    return this.execute('cancelOrder', async () => {
       try {
         const result = await client.cancelOrder({ orderID: orderId });
+        await this.settleCancelled(cancelledIds(result, [orderId]));
 
         return {
           success: result.canceled ?? false,
@@ -391,9 +828,10 @@ export class TradingClient {
   async cancelOrders(orderIds: string[]): Promise<OrderResult> {
     const client = await this.ensureInitialized();
 
-    return this.rateLimiter.execute(ApiType.CLOB_API, async () => {
+    return this.execute('cancelOrders', async () => {
       try {
         const result = await client.cancelOrders(orderIds);
+        await this.settleCancelled(cancelledIds(result, orderIds));
 
         return {
           success: result.canceled ?? false,
@@ -412,9 +850,10 @@ export class TradingClient {
   async cancelAllOrders(): Promise<OrderResult> {
     const client = await this.ensureInitialized();
 
-    return this.rateLimiter.execute(ApiType.CLOB_API, async () => {
+    return this.execute('cancelAllOrders', async () => {
       try {
         const result = await client.cancelAll();
+        await this.settleCancelled(cancelledIds(result, []));
 
         return {
           success: result.canceled ?? false,
@@ -428,30 +867,21 @@ export class TradingClient {
 
   /**
    * Get open orders (fully paginated)
+   *
+   * Without `marketId`, reserved orders missing from the list are looked up
+   * so fills and closes since the last check reach the risk engine.
    */
   async getOpenOrders(marketId?: string): Promise<Order[]> {
     const client = await this.ensureInitialized();
 
-    return this.rateLimiter.execute(ApiType.CLOB_API, async () => {
+    return this.execute('getOpenOrders', async () => {
       try {
-        const orders = await client.getOpenOrders(marketId ? { market: marketId } : undefined);
-
-        return orders.map((o: OpenOrder) => {
-          const originalSize = Number(o.original_size) || 0;
-          const filledSize = Number(o.size_matched) || 0;
-          return {
-            id: o.id,
-            status: o.status,
-            tokenId: o.asset_id,
-            side: o.side.toUpperCase() as Side,
-            price: Number(o.price) || 0,
-            originalSize,
-            filledSize,
-            remainingSize: originalSize - filledSize,
-            associateTrades: o.associate_trades || [],
-            createdAt: o.created_at,
-          };
-        });
+        const orders = (await client.getOpenOrders(marketId ? { market: marketId } : undefined)).map((o: OpenOrder) =>
+          this.toOrder(o)
+        );
+        for (const order of orders) this.config.riskEngine?.syncOrder(order.id, order.filledSize, true);
+        if (!marketId) await this.settleMissing(orders);
+        return orders;
       } catch (error) {
         const message = error instanceof Error ? error.message : String(error);
         throw new PolymarketError(ErrorCode.API_ERROR, `Get orders failed: ${message}`);
@@ -459,13 +889,33 @@ export class TradingClient {
     });
   }
 
+  /**
+   * Get a single order by ID, including matched and cancelled ones
+   * @returns The order, or null if the CLOB does not know it
+   */
+  async getOrder(orderId: string): Promise<Order | null> {
+    const client = await this.ensureInitialized();
+
+    return this.execute('getOrder', async () => {
+      try {
+        const raw = await client.getOrder(orderId);
+        const order = raw?.id ? this.toOrder(raw) : null;
+        if (order) this.config.riskEngine?.syncOrder(order.id, order.filledSize, isOpenStatus(order.status));
+        return order;
+      } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        throw new PolymarketError(ErrorCode.API_ERROR, `Get order failed: ${message}`);
+      }
+    });
+  }
+
   /**
    * Get trade history
    */
   async getTrades(marketId?: string): Promise<TradeInfo[]> {
     const client = await this.ensureInitialized();
 
-    return this.rateLimiter.execute(ApiType.CLOB_API, async () => {
+    return this.execute('getTrades', async () => {
       try {
         const trades = await client.getTrades(marketId ? { market: marketId } : undefined);
 
@@ -493,7 +943,7 @@ export class TradingClient {
   async getPrice(tokenId: string, side: Side): Promise<number> {
     const client = await this.ensureInitialized();
 
-    return this.rateLimiter.execute(ApiType.CLOB_API, async () => {
+    return this.execute('getPrice', async () => {
       const price = await client.getPrice(tokenId, side as unknown as ClobSide);
       return Number(price);
     });
@@ -505,7 +955,7 @@ export class TradingClient {
   async getMidpoint(tokenId: string): Promise<number> {
     const client = await this.ensureInitialized();
 
-    return this.rateLimiter.execute(ApiType.CLOB_API, async () => {
+    return this.execute('getMidpoint', async () => {
       const midpoint = await client.getMidpoint(tokenId);
       return Number(midpoint);
     });
@@ -517,7 +967,7 @@ export class TradingClient {
   async getSpread(tokenId: string): Promise<number> {
     const client = await this.ensureInitialized();
 
-    return this.rateLimiter.execute(ApiType.CLOB_API, async () => {
+    return this.execute('getSpread', async () => {
       const spread = await client.getSpread(tokenId);
       return Number(spread);
     });
@@ -562,7 +1012,7 @@ export class TradingClient {
   async isOrderScoring(orderId: string): Promise<boolean> {
     const client = await this.ensureInitialized();
 
-    return this.rateLimiter.execute(ApiType.CLOB_API, async () => {
+    return this.execute('isOrderScoring', async () => {
       const result = await client.isOrderScoring({ order_id: orderId });
       return result.scoring;
     });
@@ -574,7 +1024,7 @@ export class TradingClient {
   async areOrdersScoring(orderIds: string[]): Promise<Record<string, boolean>> {
     const client = await this.ensureInitialized();
 
-    return this.rateLimiter.execute(ApiType.CLOB_API, async () => {
+    return this.execute('areOrdersScoring', async () => {
       const result = await client.areOrdersScoring({ orderIds });
       return result;
     });
@@ -587,7 +1037,7 @@ export class TradingClient {
   async getEarningsForDay(date: string): Promise<UserEarning[]> {
     const client = await this.ensureInitialized();
 
-    return this.rateLimiter.execute(ApiType.CLOB_API, async () => {
+    return this.execute('getEarningsForDay', async () => {
       const earnings = await client.getEarningsForUserForDay(date);
       return earnings.map(e => ({
         date: e.date,
@@ -611,7 +1061,7 @@ export class TradingClient {
   }> {
     const client = await this.ensureInitialized();
 
-    return this.rateLimiter.execute(ApiType.CLOB_API, async () => {
+    return this.execute('getTotalEarningsForDay', async () => {
       const totals = await client.getTotalEarningsForUserForDay(date);
 
       let totalEarnings = 0;
@@ -635,7 +1085,7 @@ export class TradingClient {
   async getCurrentRewards(): Promise<MarketReward[]> {
     const client = await this.ensureInitialized();
 
-    return this.rateLimiter.execute(ApiType.CLOB_API, async () => {
+    return this.execute('getCurrentRewards', async () => {
       const rewards = await client.getCurrentRewards();
       return rewards.map(r => ({
         conditionId: r.condition_id,
@@ -668,7 +1118,7 @@ export class TradingClient {
   async getRewardPercentages(): Promise<Record<string, number>> {
     const client = await this.ensureInitialized();
 
-    return this.rateLimiter.execute(ApiType.CLOB_API, async () => {
+    return this.execute('getRewardPercentages', async () => {
       return await client.getRewardPercentages();
     });
   }
@@ -679,7 +1129,7 @@ export class TradingClient {
   async getMarketRewards(conditionId: string): Promise<MarketReward[]> {
     const client = await this.ensureInitialized();
 
-    return this.rateLimiter.execute(ApiType.CLOB_API, async () => {
+    return this.execute('getMarketRewards', async () => {
       const rewards = await client.getRawRewardsForMarket(conditionId);
       return rewards.map(r => ({
         conditionId: r.condition_id,
@@ -718,7 +1168,7 @@ export class TradingClient {
   ): Promise<{ balance: string; allowance: string }> {
     const client = await this.ensureInitialized();
 
-    return this.rateLimiter.execute(ApiType.CLOB_API, async () => {
+    return this.execute('getBalanceAllowance', async () => {
       const result = await client.getBalanceAllowance({
         asset_type: assetType as any,
         token_id: tokenId,
@@ -739,7 +1189,7 @@ export class TradingClient {
   ): Promise<void> {
     const client = await this.ensureInitialized();
 
-    return this.rateLimiter.execute(ApiType.CLOB_API, async () => {
+    return this.execute('updateBalanceAllowance', async () => {
       await client.updateBalanceAllowance({
         asset_type: assetType as any,
         token_id: tokenId,
@@ -747,3 +1197,23 @@ export class TradingClient {
     });
   }
 }
+
+// ===== Helpers =====
+
+/** Shares an order trades if it fills completely (market BUYs without a price: at price 1) */
+function orderShares(params: OrderParams | MarketOrderParams): number {
+  if ('size' in params) return params.size;
+  return params.side === 'BUY' && params.price ? params.amount / params.price : params.amount;
+}
+
+/** Order IDs a cancel response reports as cancelled */
+function cancelledIds(result: any, requested: string[]): string[] {
+  if (Array.isArray(result?.canceled)) return result.canceled;
+  return result?.canceled ? requested : [];
+}
+
+/** LIVE / DELAYED / UNMATCHED orders can still fill */
+function isOpenStatus(status: string): boolean {
+  const upper = status.toUpperCase();
+  return !(upper === 'MATCHED' || upper === 'INVALID' || upper.startsWith('CANCEL'));
+}
@@ -3,18 +3,20 @@
  *
  * Wraps @nevuamarkets/poly-websockets for real-time market data:
  * - Price updates (derived from order book and trades)
- * - Order book snapshots
+ * - Order books, kept locally from snapshots and price_change deltas
  * - Last trade price events
  *
  * Features:
  * - Automatic connection management
  * - Rate limiting built-in
  * - Price caching for quick access
+ * - Local L2 order books with gap detection and REST resync
  * - EventEmitter-based event distribution
  */
 
 import { EventEmitter } from 'events';
 import type { PriceUpdate, BookUpdate } from '../core/types.js';
+import { OrderBook, type BookDelta, type BookGapReason, type BookSnapshot } from '../core/order-book.js';
 
 // Note: poly-websockets types (these match the library's exports)
 interface PolymarketPriceUpdateEvent {
@@ -30,11 +32,34 @@ interface BookEvent {
   market: string;
   asset_id: string;
   timestamp: string;
+  hash?: string;
   bids: Array<{ price: string; size: string }>;
   asks: Array<{ price: string; size: string }>;
   event_type: 'book';
 }
 
+interface PriceChangeItem {
+  asset_id?: string;
+  price: string;
+  size: string;
+  side: 'BUY' | 'SELL';
+  hash?: string;
+  best_bid?: string;
+  best_ask?: string;
+}
+
+// Newer payloads list changes for several assets in `price_changes`;
+// older ones carry one asset_id and `changes`
+interface PriceChangeEvent {
+  event_type: 'price_change';
+  market: string;
+  timestamp: string;
+  asset_id?: string;
+  hash?: string;
+  changes?: PriceChangeItem[];
+  price_changes?: PriceChangeItem[];
+}
+
 interface LastTradePriceEvent {
   asset_id: string;
   event_type: 'last_trade_price';
@@ -44,14 +69,29 @@ interface LastTradePriceEvent {
   timestamp: string;
 }
 
+/** REST book source used to resync after a gap (ClobApiClient satisfies this) */
+export interface BookSnapshotSource {
+  getOrderbook(tokenId: string): Promise<BookSnapshot>;
+}
+
+export interface BookGapEvent {
+  assetId: string;
+  reason: BookGapReason;
+}
+
 export interface WebSocketManagerConfig {
   maxMarketsPerWS?: number;
   enableLogging?: boolean;
+  /** Resync books from REST on gaps; without it books wait for the next `book` snapshot */
+  snapshotSource?: BookSnapshotSource;
 }
 
 export interface WebSocketManagerEvents {
   priceUpdate: (update: PriceUpdate) => void;
+  /** Emitted after every applied snapshot or delta, with the full local book */
   bookUpdate: (update: BookUpdate) => void;
+  bookGap: (event: BookGapEvent) => void;
+  bookResynced: (update: BookUpdate) => void;
   lastTrade: (trade: { assetId: string; price: number; side: 'BUY' | 'SELL'; size: number; timestamp: number }) => void;
   connected: (info: { groupId: string; assetIds: string[] }) => void;
   disconnected: (info: { groupId: string; code: number; reason: string }) => void;
@@ -62,7 +102,10 @@ export class WebSocketManager extends EventEmitter {
   private wsManager: unknown; // WSSubscriptionManager instance
   private subscriptions: Set<string> = new Set();
   private priceCache: Map<string, PriceUpdate> = new Map();
-  private bookCache: Map<string, BookUpdate> = new Map();
+  private books: Map<string, OrderBook> = new Map();
+  private resyncs: Map<string, Promise<void>> = new Map();
+  /** Deltas received while a REST resync is pending, replayed onto its snapshot */
+  private queuedDeltas: Map<string, BookDelta[]> = new Map();
   private initialized = false;
   private config: WebSocketManagerConfig;
 
@@ -71,6 +114,7 @@ export class WebSocketManager extends EventEmitter {
     this.config = {
       maxMarketsPerWS: config.maxMarketsPerWS || 100,
       enableLogging: config.enableLogging ?? false,
+      snapshotSource: config.snapshotSource,
     };
   }
 
@@ -88,6 +132,7 @@ export class WebSocketManager extends EventEmitter {
         {
           onPolymarketPriceUpdate: this.handlePriceUpdate.bind(this),
           onBook: this.handleBookUpdate.bind(this),
+          onPriceChange: this.handlePriceChange.bind(this),
           onLastTradePrice: this.handleLastTradePrice.bind(this),
           onWSOpen: this.handleOpen.bind(this),
           onWSClose: this.handleClose.bind(this),
@@ -136,7 +181,8 @@ export class WebSocketManager extends EventEmitter {
     existingIds.forEach((id) => {
       this.subscriptions.delete(id);
       this.priceCache.delete(id);
-      this.bookCache.delete(id);
+      this.books.delete(id);
+      this.queuedDeltas.delete(id);
     });
   }
 
@@ -150,7 +196,8 @@ export class WebSocketManager extends EventEmitter {
     await manager.clearState();
     this.subscriptions.clear();
     this.priceCache.clear();
-    this.bookCache.clear();
+    this.books.clear();
+    this.queuedDeltas.clear();
   }
 
   // ===== Price Cache Access =====
@@ -170,10 +217,20 @@ export class WebSocketManager extends EventEmitter {
   }
 
   /**
-   * Get cached order book for an asset
+   * Get a copy of the local order book for an asset.
+   * Undefined while the book is out of sync (after a gap, until it is resynced).
    */
   getBook(assetId: string): BookUpdate | undefined {
-    return this.bookCache.get(assetId);
+    const book = this.books.get(assetId);
+    return book?.isSynced() ? book.toBookUpdate() : undefined;
+  }
+
+  /**
+   * Get the live local order book for an asset (O(1) best bid / ask).
+   * Check `isSynced()` before trusting it: it may be stale after a gap.
+   */
+  getOrderBook(assetId: string): OrderBook | undefined {
+    return this.books.get(assetId);
   }
 
   // ===== State Query =====
@@ -220,25 +277,122 @@ export class WebSocketManager extends EventEmitter {
 
   private async handleBookUpdate(events: BookEvent[]): Promise<void> {
     for (const event of events) {
-      // Parse and sort bids descending (highest price = best bid first)
-      const bids = event.bids
-        .map((l) => ({ price: parseFloat(l.price), size: parseFloat(l.size) }))
-        .sort((a, b) => b.price - a.price);
+      const book = this.getOrCreateBook(event.asset_id);
+      book.applySnapshot({
+        bids: event.bids.map((l) => ({ price: parseFloat(l.price), size: parseFloat(l.size) })),
+        asks: event.asks.map((l) => ({ price: parseFloat(l.price), size: parseFloat(l.size) })),
+        timestamp: parseInt(event.timestamp, 10),
+        hash: event.hash,
+      });
+      this.emit('bookUpdate', book.toBookUpdate());
+    }
+  }
 
-      // Parse and sort asks ascending (lowest price = best ask first)
-      const asks = event.asks
-        .map((l) => ({ price: parseFloat(l.price), size: parseFloat(l.size) }))
-        .sort((a, b) => a.price - b.price);
+  private async handlePriceChange(events: PriceChangeEvent[]): Promise<void> {
+    for (const event of events) {
+      // Group changes per asset, keeping the last server hash / best prices
+      const deltas = new Map<string, BookDelta>();
+      for (const item of event.price_changes ?? event.changes ?? []) {
+        const assetId = item.asset_id ?? event.asset_id;
+        if (!assetId) continue;
+        let delta = deltas.get(assetId);
+        if (!delta) {
+          delta = { changes: [], timestamp: parseInt(event.timestamp, 10), hash: event.hash };
+          deltas.set(assetId, delta);
+        }
+        delta.changes.push({ side: item.side, price: parseFloat(item.price), size: parseFloat(item.size) });
+        if (item.hash) delta.hash = item.hash;
+        if (item.best_bid !== undefined) delta.bestBid = parseFloat(item.best_bid);
+        if (item.best_ask !== undefined) delta.bestAsk = parseFloat(item.best_ask);
+      }
+
+      for (const [assetId, delta] of deltas) {
+        this.applyDelta(assetId, delta);
+      }
+    }
+  }
 
-      const update: BookUpdate = {
-        assetId: event.asset_id,
-        bids,
-        asks,
-        timestamp: parseInt(event.timestamp, 10),
-      };
-      this.bookCache.set(event.asset_id, update);
-      this.emit('bookUpdate', update);
+  private applyDelta(assetId: string, delta: BookDelta): void {
+    const book = this.getOrCreateBook(assetId);
+    const result = book.applyDelta(delta);
+    if (result.status === 'applied') {
+      this.emit('bookUpdate', book.toBookUpdate());
+      return;
+    }
+    if (result.status === 'stale') return;
+
+    // Keep what changes while the REST snapshot is in flight; the ones newer
+    // than the snapshot are replayed onto it
+    if (this.config.snapshotSource) this.queueDelta(assetId, delta);
+    // Already waiting for a resync: nothing new to report
+    if (result.reason === 'no_snapshot' && this.resyncs.has(assetId)) return;
+    this.emit('bookGap', { assetId, reason: result.reason });
+    void this.resync(assetId);
+  }
+
+  private queueDelta(assetId: string, delta: BookDelta): void {
+    let queued = this.queuedDeltas.get(assetId);
+    if (!queued) {
+      queued = [];
+      this.queuedDeltas.set(assetId, queued);
+    }
+    queued.push(delta);
+  }
+
+  /**
+   * Reload a book from REST. Concurrent calls for the same asset share one request.
+   */
+  private resync(assetId: string): Promise<void> {
+    const source = this.config.snapshotSource;
+    if (!source) return Promise.resolve();
+
+    let pending = this.resyncs.get(assetId);
+    if (!pending) {
+      let retry = false;
+      pending = source
+        .getOrderbook(assetId)
+        .then((snapshot) => {
+          const book = this.books.get(assetId);
+          const queued = (this.queuedDeltas.get(assetId) ?? []).sort((a, b) => a.timestamp - b.timestamp);
+          this.queuedDeltas.delete(assetId);
+          // Unsubscribed meanwhile, or a WebSocket snapshot already resynced it
+          if (!book || book.isSynced()) return;
+          book.applySnapshot(snapshot);
+          for (const delta of queued) {
+            if (delta.timestamp <= snapshot.timestamp) continue;
+            const result = book.applyDelta(delta);
+            if (result.status === 'gap') {
+              this.emit('bookGap', { assetId, reason: result.reason });
+              retry = true;
+              return;
+            }
+          }
+          const update = book.toBookUpdate();
+          this.emit('bookResynced', update);
+          this.emit('bookUpdate', update);
+        })
+        .catch((error) => {
+          this.queuedDeltas.delete(assetId);
+          if (this.listenerCount('error') > 0) {
+            this.emit('error', error instanceof Error ? error : new Error(String(error)));
+          }
+        })
+        .finally(() => {
+          this.resyncs.delete(assetId);
+          if (retry) void this.resync(assetId);
+        });
+      this.resyncs.set(assetId, pending);
+    }
+    return pending;
+  }
+
+  private getOrCreateBook(assetId: string): OrderBook {
+    let book = this.books.get(assetId);
+    if (!book) {
+      book = new OrderBook(assetId);
+      this.books.set(assetId, book);
     }
+    return book;
   }
 
   private async handleLastTradePrice(events: LastTradePriceEvent[]): Promise<void> {
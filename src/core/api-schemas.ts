@@ -0,0 +1,183 @@
+/**
+ * Upstream Payload Schemas
+ *
+ * What the SDK relies on in each raw API payload (upstream field names).
+ * Only fields the normalizers read are listed; unknown extra fields are fine.
+ * Fields marked `required` are the ones whose absence would otherwise turn
+ * into silently wrong data (empty IDs, zero prices/sizes).
+ */
+
+import type { ResponseSchema } from './validation.js';
+
+// ===== Data API =====
+
+const dataPosition: ResponseSchema = {
+  name: 'data-api:position',
+  fields: {
+    proxyWallet: { type: 'string' },
+    asset: { type: 'string', required: true, nonEmpty: true },
+    conditionId: { type: 'string', required: true, nonEmpty: true },
+    outcome: { type: 'string', required: true },
+    outcomeIndex: { type: 'numeric' },
+    size: { type: 'numeric', required: true },
+    avgPrice: { type: 'numeric', required: true },
+    curPrice: { type: 'numeric' },
+    totalBought: { type: 'numeric' },
+    initialValue: { type: 'numeric' },
+    currentValue: { type: 'numeric' },
+    cashPnl: { type: 'numeric' },
+    percentPnl: { type: 'numeric' },
+    realizedPnl: { type: 'numeric' },
+    percentRealizedPnl: { type: 'numeric' },
+    title: { type: 'string' },
+    redeemable: { type: 'boolean' },
+    mergeable: { type: 'boolean' },
+    negativeRisk: { type: 'boolean' },
+  },
+};
+
+const dataActivity: ResponseSchema = {
+  name: 'data-api:activity',
+  fields: {
+    // Non-trade activity (SPLIT, REDEEM, ...) has no side / asset
+    type: { type: 'string', required: true, nonEmpty: true },
+    side: { type: 'string' },
+    size: { type: 'numeric', required: true },
+    price: { type: 'numeric' },
+    usdcSize: { type: 'numeric' },
+    asset: { type: 'string' },
+    conditionId: { type: 'string', required: true },
+    outcomeIndex: { type: 'numeric' },
+    timestamp: { type: 'numeric', required: true },
+    transactionHash: { type: 'string', required: true, nonEmpty: true },
+  },
+};
+
+const dataTrade: ResponseSchema = {
+  name: 'data-api:trade',
+  fields: {
+    market: { type: 'string', required: true, nonEmpty: true, aliases: ['conditionId'] },
+    asset: { type: 'string', required: true, nonEmpty: true },
+    side: { type: 'string', required: true, oneOf: ['BUY', 'SELL'] },
+    price: { type: 'numeric', required: true },
+    size: { type: 'numeric', required: true },
+    outcome: { type: 'string' },
+    outcomeIndex: { type: 'numeric' },
+    timestamp: { type: 'numeric', required: true },
+    transactionHash: { type: 'string' },
+    proxyWallet: { type: 'string' },
+  },
+};
+
+const dataLeaderboardEntry: ResponseSchema = {
+  name: 'data-api:leaderboard',
+  fields: {
+    proxyWallet: { type: 'string', required: true, nonEmpty: true, aliases: ['address'] },
+    rank: { type: 'numeric', required: true },
+    pnl: { type: 'numeric' },
+    vol: { type: 'numeric', aliases: ['volume'] },
+    verifiedBadge: { type: 'boolean' },
+  },
+};
+
+// ===== Gamma API =====
+
+const gammaMarket: ResponseSchema = {
+  name: 'gamma:market',
+  fields: {
+    id: { type: ['string', 'numeric'], required: true },
+    conditionId: { type: 'string', required: true, nonEmpty: true },
+    slug: { type: 'string' },
+    question: { type: 'string', required: true },
+    outcomes: { type: 'json-array', nonEmpty: true },
+    outcomePrices: { type: 'json-array', nonEmpty: true },
+    clobTokenIds: { type: 'json-array' },
+    volume: { type: 'numeric' },
+    volume24hr: { type: 'numeric' },
+    volume1wk: { type: 'numeric' },
+    liquidity: { type: 'numeric' },
+    spread: { type: 'numeric' },
+    oneDayPriceChange: { type: 'numeric' },
+    oneWeekPriceChange: { type: 'numeric' },
+    lastTradePrice: { type: 'numeric' },
+    bestBid: { type: 'numeric' },
+    bestAsk: { type: 'numeric' },
+    endDate: { type: 'string' },
+    active: { type: 'boolean' },
+    closed: { type: 'boolean' },
+    groupItemTitle: { type: 'string' },
+    negRisk: { type: 'boolean' },
+    umaResolutionStatus: { type: 'string' },
+  },
+};
+
+const gammaEvent: ResponseSchema = {
+  name: 'gamma:event',
+  fields: {
+    id: { type: ['string', 'numeric'], required: true },
+    slug: { type: 'string' },
+    title: { type: 'string', required: true },
+    markets: { type: 'array', items: gammaMarket },
+    startDate: { type: 'string' },
+    endDate: { type: 'string' },
+    negRisk: { type: 'boolean' },
+    volume: { type: 'numeric' },
+    liquidity: { type: 'numeric' },
+  },
+};
+
+// ===== CLOB API =====
+
+const clobToken: ResponseSchema = {
+  name: 'clob:token',
+  fields: {
+    token_id: { type: 'string', required: true, nonEmpty: true },
+    outcome: { type: 'string', required: true, nonEmpty: true },
+    price: { type: 'numeric', required: true },
+    winner: { type: 'boolean' },
+  },
+};
+
+const clobMarket: ResponseSchema = {
+  name: 'clob:market',
+  fields: {
+    condition_id: { type: 'string', required: true, nonEmpty: true },
+    question_id: { type: 'string' },
+    market_slug: { type: 'string' },
+    question: { type: 'string', required: true },
+    tokens: { type: 'array', required: true, nonEmpty: true, items: clobToken },
+    active: { type: 'boolean' },
+    closed: { type: 'boolean' },
+    accepting_orders: { type: 'boolean' },
+    minimum_order_size: { type: 'numeric' },
+    minimum_tick_size: { type: 'numeric' },
+    maker_base_fee: { type: 'numeric' },
+    taker_base_fee: { type: 'numeric' },
+    neg_risk: { type: 'boolean' },
+  },
+};
+
+const clobPricePoint: ResponseSchema = {
+  name: 'clob:price-point',
+  fields: {
+    t: { type: 'numeric', required: true },
+    p: { type: 'numeric', required: true },
+  },
+};
+
+export const API_SCHEMAS = {
+  data: {
+    position: dataPosition,
+    activity: dataActivity,
+    trade: dataTrade,
+    leaderboardEntry: dataLeaderboardEntry,
+  },
+  gamma: {
+    market: gammaMarket,
+    event: gammaEvent,
+  },
+  clob: {
+    market: clobMarket,
+    pricePoint: clobPricePoint,
+  },
+} as const;
@@ -41,4 +41,10 @@ export interface CacheAdapter {
      * 清空所有缓存
      */
     clear?(): Promise<void>;
+
+    /**
+     * 删除所有包含 pattern 的键（可选，用于 UnifiedCache.invalidate）
+     * @param pattern 子串匹配
+     */
+    invalidate?(pattern: string): Promise<void>;
 }
@@ -9,6 +9,7 @@ interface CacheEntry<T> {
 
 export class Cache {
   private store: Map<string, CacheEntry<unknown>> = new Map();
+  private inFlight: Map<string, Promise<unknown>> = new Map();
 
   /**
    * Get a cached value
@@ -34,7 +35,8 @@ export class Cache {
   }
 
   /**
-   * Get a cached value or set it if not present
+   * Get a cached value or set it if not present.
+   * Concurrent calls for the same key share a single factory call.
    */
   async getOrSet<T>(
     key: string,
@@ -43,9 +45,28 @@ export class Cache {
   ): Promise<T> {
     const cached = this.get<T>(key);
     if (cached !== undefined) return cached;
-    const value = await factory();
-    this.set(key, value, ttlMs);
-    return value;
+
+    const pending = this.inFlight.get(key);
+    if (pending) return pending as Promise<T>;
+
+    const promise = Promise.resolve()
+      .then(factory)
+      .then((value) => {
+        this.set(key, value, ttlMs);
+        return value;
+      })
+      .finally(() => {
+        if (this.inFlight.get(key) === promise) this.inFlight.delete(key);
+      });
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Delete a single key
+   */
+  delete(key: string): void {
+    this.store.delete(key);
   }
 
   /**
@@ -64,6 +85,7 @@ export class Cache {
    */
   clear(): void {
     this.store.clear();
+    this.inFlight.clear();
   }
 
   /**
@@ -82,4 +104,5 @@ export const CACHE_TTL = {
   WALLET_POSITIONS: 5 * 60 * 1000, // 5 minutes
   LEADERBOARD: 60 * 60 * 1000, // 1 hour
   TICK_SIZE: 24 * 60 * 60 * 1000, // 24 hours
+  ORDERBOOK: 0, // Not stored, concurrent requests are coalesced
 };
@@ -0,0 +1,243 @@
+/**
+ * Circuit Breaker
+ *
+ * Stops sending requests to an API that keeps failing. After
+ * `failureThreshold` consecutive failures the circuit opens and every call
+ * fails fast with `CIRCUIT_OPEN` until `resetTimeoutMs` has passed. The
+ * circuit then lets a trial request through (half-open): success closes it,
+ * failure opens it again.
+ *
+ * Only outage-like errors count as failures (network errors, timeouts, 5xx).
+ * 4xx responses, rate limits and business errors leave the circuit alone.
+ *
+ * @example
+ * ```typescript
+ * const breaker = new CircuitBreaker('clob-api', { failureThreshold: 5 });
+ * breaker.on('stateChange', (s) => console.log(`${s.name}: ${s.state}`));
+ * const book = await breaker.execute(() => clobApi.getOrderbook(tokenId));
+ * ```
+ */
+
+import { EventEmitter } from 'events';
+import { PolymarketError, ErrorCode } from './errors.js';
+import { classifyError } from './error-classifier.js';
+
+export enum CircuitState {
+  CLOSED = 'closed',
+  OPEN = 'open',
+  HALF_OPEN = 'half-open',
+}
+
+// ===== Types =====
+
+export interface CircuitBreakerOptions {
+  /** Consecutive failures before the circuit opens (default: 5) */
+  failureThreshold?: number;
+  /** How long the circuit stays open before a trial request (default: 30000ms) */
+  resetTimeoutMs?: number;
+  /** Concurrent trial requests allowed while half-open (default: 1) */
+  halfOpenMaxCalls?: number;
+  /** Decide whether an error counts as a failure (default: isCircuitFailure) */
+  isFailure?: (error: unknown) => boolean;
+}
+
+export interface CircuitBreakerSnapshot {
+  name: string;
+  state: CircuitState;
+  /** Current run of consecutive failures */
+  consecutiveFailures: number;
+  /** Total failures recorded since creation / reset */
+  totalFailures: number;
+  /** Calls rejected without being attempted because the circuit was open */
+  rejectedCalls: number;
+  /** When the circuit last opened (epoch ms) */
+  openedAt: number | null;
+  /** When the next trial request is allowed (epoch ms), null unless open */
+  nextAttemptAt: number | null;
+  /** Message of the most recent failure */
+  lastError: string | null;
+}
+
+export interface CircuitBreakerEvents {
+  stateChange: (snapshot: CircuitBreakerSnapshot) => void;
+}
+
+/**
+ * Default failure predicate: network errors and timeouts (including 5xx,
+ * which `PolymarketError.fromHttpError` maps to a retryable NETWORK_ERROR)
+ */
+export function isCircuitFailure(error: unknown): boolean {
+  // Non-retryable NETWORK_ERRORs are unexpected 4xx responses, not outages
+  if (error instanceof PolymarketError && error.code === ErrorCode.NETWORK_ERROR) {
+    return error.retryable;
+  }
+  const { code } = classifyError(error);
+  return code === ErrorCode.NETWORK_ERROR || code === ErrorCode.TIMEOUT;
+}
+
+// ===== Circuit Breaker =====
+
+export class CircuitBreaker extends EventEmitter {
+  private state: CircuitState = CircuitState.CLOSED;
+  private consecutiveFailures = 0;
+  private totalFailures = 0;
+  private rejectedCalls = 0;
+  private openedAt: number | null = null;
+  private halfOpenCalls = 0;
+  private lastError: string | null = null;
+  private failureThreshold: number;
+  private resetTimeoutMs: number;
+  private halfOpenMaxCalls: number;
+  private isFailure: (error: unknown) => boolean;
+
+  constructor(
+    public readonly name: string,
+    options: CircuitBreakerOptions = {}
+  ) {
+    super();
+    this.failureThreshold = options.failureThreshold ?? 5;
+    this.resetTimeoutMs = options.resetTimeoutMs ?? 30_000;
+    this.halfOpenMaxCalls = options.halfOpenMaxCalls ?? 1;
+    this.isFailure = options.isFailure ?? isCircuitFailure;
+  }
+
+  /**
+   * Run `fn` through the breaker
+   *
+   * @throws PolymarketError with code `CIRCUIT_OPEN` if the circuit is open
+   */
+  async execute<T>(fn: () => Promise<T>): Promise<T> {
+    const trial = this.acquire();
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      this.recordFailure(error);
+      throw error;
+    } finally {
+      if (trial && this.halfOpenCalls > 0) this.halfOpenCalls--;
+    }
+  }
+
+  /**
+   * Fail fast if the circuit is open, without taking a half-open trial slot.
+   * Useful before queueing work that will later go through `execute`.
+   */
+  assertAvailable(): void {
+    if (this.state === CircuitState.OPEN && Date.now() < this.nextAttemptAt()) {
+      this.rejectedCalls++;
+      throw this.openError();
+    }
+  }
+
+  /**
+   * Whether a call would currently be attempted
+   */
+  isAvailable(): boolean {
+    if (this.state === CircuitState.OPEN) return Date.now() >= this.nextAttemptAt();
+    if (this.state === CircuitState.HALF_OPEN) return this.halfOpenCalls < this.halfOpenMaxCalls;
+    return true;
+  }
+
+  getState(): CircuitState {
+    return this.state;
+  }
+
+  getSnapshot(): CircuitBreakerSnapshot {
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      totalFailures: this.totalFailures,
+      rejectedCalls: this.rejectedCalls,
+      openedAt: this.openedAt,
+      nextAttemptAt: this.state === CircuitState.OPEN ? this.nextAttemptAt() : null,
+      lastError: this.lastError,
+    };
+  }
+
+  /**
+   * Force the circuit closed and clear counters
+   */
+  reset(): void {
+    this.consecutiveFailures = 0;
+    this.totalFailures = 0;
+    this.rejectedCalls = 0;
+    this.halfOpenCalls = 0;
+    this.lastError = null;
+    this.openedAt = null;
+    this.transition(CircuitState.CLOSED);
+  }
+
+  recordSuccess(): void {
+    this.consecutiveFailures = 0;
+    if (this.state !== CircuitState.CLOSED) {
+      this.openedAt = null;
+      this.transition(CircuitState.CLOSED);
+    }
+  }
+
+  recordFailure(error: unknown): void {
+    if (!this.isFailure(error)) {
+      // The API answered, so it is up - a half-open trial counts as success
+      if (this.state === CircuitState.HALF_OPEN) this.recordSuccess();
+      return;
+    }
+
+    this.consecutiveFailures++;
+    this.totalFailures++;
+    this.lastError = error instanceof Error ? error.message : String(error);
+
+    if (
+      this.state === CircuitState.HALF_OPEN ||
+      (this.state === CircuitState.CLOSED && this.consecutiveFailures >= this.failureThreshold)
+    ) {
+      this.openedAt = Date.now();
+      this.transition(CircuitState.OPEN);
+    }
+  }
+
+  // ===== Private Methods =====
+
+  /**
+   * Admit a call, returning whether it is a half-open trial
+   */
+  private acquire(): boolean {
+    if (this.state === CircuitState.OPEN) {
+      this.assertAvailable();
+      this.transition(CircuitState.HALF_OPEN);
+    }
+    if (this.state === CircuitState.HALF_OPEN) {
+      if (this.halfOpenCalls >= this.halfOpenMaxCalls) {
+        this.rejectedCalls++;
+        throw this.openError();
+      }
+      this.halfOpenCalls++;
+      return true;
+    }
+    return false;
+  }
+
+  private nextAttemptAt(): number {
+    return (this.openedAt ?? 0) + this.resetTimeoutMs;
+  }
+
+  private openError(): PolymarketError {
+    const waitMs = Math.max(0, this.nextAttemptAt() - Date.now());
+    const error = new PolymarketError(
+      ErrorCode.CIRCUIT_OPEN,
+      `${this.name} circuit is open after ${this.consecutiveFailures} consecutive failures` +
+        ` (last: ${this.lastError ?? 'unknown'}); next attempt in ${Math.ceil(waitMs / 1000)}s`,
+      false
+    );
+    error.retryAfterMs = waitMs;
+    return error;
+  }
+
+  private transition(state: CircuitState): void {
+    if (this.state === state) return;
+    this.state = state;
+    this.emit('stateChange', this.getSnapshot());
+  }
+}
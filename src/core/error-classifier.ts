@@ -0,0 +1,282 @@
+/**
+ * Error Classifier
+ *
+ * Maps raw CLOB API responses and contract revert reasons to specific
+ * `ErrorCode` values with a machine-readable remediation.
+ *
+ * The CLOB reports many distinct problems with the same generic strings
+ * (e.g. "not enough balance / allowance" for both missing USDC approvals
+ * missing neg-risk ERC1155 approvals and a plain lack of funds), so
+ * classification takes the order context (side, negRisk, balance) into account.
+ *
+ * @example
+ * ```typescript
+ * const result = await trading.createOrder({ tokenId, side: 'SELL', price: 0.5, size: 10 });
+ * if (!result.success && result.errorCode === ErrorCode.NEG_RISK_APPROVAL_MISSING) {
+ *   // result.remediation.action === 'SET_ERC1155_APPROVAL'
+ *   await auth.setErc1155Approval(NEG_RISK_ADAPTER);
+ * }
+ * ```
+ */
+
+import { PolymarketError, ErrorCode, type Remediation } from './errors.js';
+
+// ===== Types =====
+
+export interface ErrorContext {
+  /** Order side, if the error came from an order */
+  side?: 'BUY' | 'SELL';
+  /** Whether the market is a neg-risk market */
+  negRisk?: boolean;
+  /** Order type, if the error came from an order */
+  orderType?: string;
+  /** Balance of the asset the order spends (USDC for BUY, shares for SELL), if known */
+  balance?: number;
+  /** Amount of that asset the order needs */
+  required?: number;
+}
+
+export interface ErrorClassification {
+  code: ErrorCode;
+  /** Original error text */
+  message: string;
+  retryable: boolean;
+  remediation?: Remediation;
+}
+
+interface ErrorRule {
+  pattern: RegExp;
+  classify: (message: string, context: ErrorContext) => Omit<ErrorClassification, 'message'>;
+}
+
+// ===== Remediations =====
+
+const REMEDIATIONS = {
+  approveUsdc: {
+    action: 'APPROVE_USDC',
+    target: 'CTF_EXCHANGE',
+    hint: 'call AuthorizationService.approveUsdc for CTF_EXCHANGE (and NEG_RISK_CTF_EXCHANGE, NEG_RISK_ADAPTER), or AuthorizationService.approveAll',
+  },
+  erc1155: {
+    action: 'SET_ERC1155_APPROVAL',
+    target: 'CTF_EXCHANGE',
+    hint: 'call AuthorizationService.setErc1155Approval for CTF_EXCHANGE, or check the token balance',
+  },
+  negRiskErc1155: {
+    action: 'SET_ERC1155_APPROVAL',
+    target: 'NEG_RISK_ADAPTER',
+    hint: 'call AuthorizationService.setErc1155Approval for NEG_RISK_ADAPTER (and NEG_RISK_CTF_EXCHANGE)',
+  },
+  depositUsdc: {
+    action: 'DEPOSIT_USDC',
+    hint: 'deposit USDC.e or reduce the order amount',
+  },
+  reduceSellSize: {
+    action: 'REDUCE_ORDER_SIZE',
+    hint: "reduce the sell size to the shares held (TradingClient.getBalanceAllowance('CONDITIONAL', tokenId))",
+  },
+  fundGas: {
+    action: 'FUND_GAS',
+    hint: 'send MATIC/POL to the wallet to pay for gas',
+  },
+  roundToTick: {
+    action: 'ROUND_TO_TICK_SIZE',
+    hint: 'round the price with roundPrice(price, await TradingClient.getTickSize(tokenId))',
+  },
+  increaseSize: {
+    action: 'INCREASE_ORDER_SIZE',
+    hint: 'increase the order size to at least the market minimum (Orderbook.minOrderSize)',
+  },
+  skipMarket: {
+    action: 'SKIP_MARKET',
+    hint: 'the market is closed or not accepting orders, remove it from the watch list',
+  },
+  useFak: {
+    action: 'USE_FAK_OR_REDUCE_SIZE',
+    hint: 'reduce the size to the available depth or use orderType FAK to accept partial fills',
+  },
+  retryLater: {
+    action: 'RETRY_LATER',
+    hint: 'retry after a short delay',
+  },
+  refreshCredentials: {
+    action: 'REFRESH_API_CREDENTIALS',
+    hint: 'recreate the TradingClient to derive fresh API credentials (createOrDeriveApiKey)',
+  },
+  waitForResolution: {
+    action: 'WAIT_FOR_RESOLUTION',
+    hint: 'wait until the condition is resolved on-chain before redeeming',
+  },
+} satisfies Record<string, Remediation>;
+
+// ===== Rules =====
+
+/**
+ * Ordered list of known error strings. First match wins.
+ */
+const RULES: ErrorRule[] = [
+  // --- Balance / allowance (CLOB) ---
+  {
+    pattern: /not enough balance\s*\/\s*allowance|INVALID_ORDER_NOT_ENOUGH_BALANCE/i,
+    classify: (_msg, ctx) => {
+      // The same message covers missing funds; a known shortfall rules out the approvals
+      if (ctx.balance !== undefined && ctx.required !== undefined && ctx.balance < ctx.required) {
+        return ctx.side === 'SELL'
+          ? { code: ErrorCode.INSUFFICIENT_BALANCE, retryable: false, remediation: REMEDIATIONS.reduceSellSize }
+          : { code: ErrorCode.INSUFFICIENT_BALANCE, retryable: false, remediation: REMEDIATIONS.depositUsdc };
+      }
+      if (ctx.side === 'SELL') {
+        return ctx.negRisk
+          ? { code: ErrorCode.NEG_RISK_APPROVAL_MISSING, retryable: false, remediation: REMEDIATIONS.negRiskErc1155 }
+          : { code: ErrorCode.INSUFFICIENT_ALLOWANCE, retryable: false, remediation: REMEDIATIONS.erc1155 };
+      }
+      return { code: ErrorCode.INSUFFICIENT_ALLOWANCE, retryable: false, remediation: REMEDIATIONS.approveUsdc };
+    },
+  },
+  // --- Contract reverts ---
+  {
+    pattern: /ERC1155: (caller is not owner nor approved|need operator approval)/i,
+    classify: (_msg, ctx) =>
+      ctx.negRisk
+        ? { code: ErrorCode.NEG_RISK_APPROVAL_MISSING, retryable: false, remediation: REMEDIATIONS.negRiskErc1155 }
+        : { code: ErrorCode.INSUFFICIENT_ALLOWANCE, retryable: false, remediation: REMEDIATIONS.erc1155 },
+  },
+  {
+    pattern: /transfer amount exceeds allowance|insufficient allowance/i,
+    classify: () => ({ code: ErrorCode.INSUFFICIENT_ALLOWANCE, retryable: false, remediation: REMEDIATIONS.approveUsdc }),
+  },
+  {
+    pattern: /insufficient funds for (gas|intrinsic transaction cost)/i,
+    classify: () => ({ code: ErrorCode.INSUFFICIENT_BALANCE, retryable: false, remediation: REMEDIATIONS.fundGas }),
+  },
+  {
+    pattern: /transfer amount exceeds balance|insufficient (usdc )?balance|insufficient token balance/i,
+    classify: () => ({ code: ErrorCode.INSUFFICIENT_BALANCE, retryable: false, remediation: REMEDIATIONS.depositUsdc }),
+  },
+  {
+    pattern: /condition not resolved|result for condition not received|market is not resolved/i,
+    classify: () => ({ code: ErrorCode.CONDITION_NOT_RESOLVED, retryable: false, remediation: REMEDIATIONS.waitForResolution }),
+  },
+  // --- Order validation (CLOB) ---
+  {
+    pattern: /minimum tick size|INVALID_ORDER_MIN_TICK_SIZE|invalid tick size/i,
+    classify: () => ({ code: ErrorCode.INVALID_TICK_SIZE, retryable: false, remediation: REMEDIATIONS.roundToTick }),
+  },
+  {
+    pattern: /lower than the minimum|INVALID_ORDER_MIN_SIZE|size .*too small/i,
+    classify: () => ({ code: ErrorCode.ORDER_SIZE_TOO_SMALL, retryable: false, remediation: REMEDIATIONS.increaseSize }),
+  },
+  {
+    pattern: /FOK_ORDER_NOT_FILLED|couldn't be fully filled|could not be fully filled/i,
+    classify: () => ({ code: ErrorCode.ORDER_NOT_FILLED, retryable: true, remediation: REMEDIATIONS.useFak }),
+  },
+  {
+    pattern: /market is (closed|not active|resolved)|MARKET_NOT_READY|not accepting orders|orderbook .*does not exist|closed only mode/i,
+    classify: () => ({ code: ErrorCode.MARKET_CLOSED, retryable: false, remediation: REMEDIATIONS.skipMarket }),
+  },
+  {
+    pattern: /INVALID_ORDER_DUPLICATED|duplicated/i,
+    classify: () => ({ code: ErrorCode.ORDER_REJECTED, retryable: false }),
+  },
+  {
+    pattern: /ORDER_DELAYED|DELAYING_ORDER_ERROR|EXECUTION_ERROR|could not run the execution|could not insert order/i,
+    classify: () => ({ code: ErrorCode.ORDER_FAILED, retryable: true, remediation: REMEDIATIONS.retryLater }),
+  },
+  // --- Auth ---
+  {
+    pattern: /invalid signature/i,
+    classify: () => ({ code: ErrorCode.INVALID_SIGNATURE, retryable: false, remediation: REMEDIATIONS.refreshCredentials }),
+  },
+  {
+    pattern: /unauthorized|invalid api key|api key/i,
+    classify: () => ({ code: ErrorCode.AUTH_FAILED, retryable: false, remediation: REMEDIATIONS.refreshCredentials }),
+  },
+  // --- Transport ---
+  {
+    pattern: /too many requests|rate limit|\b429\b/i,
+    classify: () => ({ code: ErrorCode.RATE_LIMITED, retryable: true, remediation: REMEDIATIONS.retryLater }),
+  },
+  {
+    pattern: /timeout|timed out|ETIMEDOUT/i,
+    classify: () => ({ code: ErrorCode.TIMEOUT, retryable: true, remediation: REMEDIATIONS.retryLater }),
+  },
+  {
+    pattern: /ECONNRESET|ECONNREFUSED|ENOTFOUND|socket hang up|network error|fetch failed/i,
+    classify: () => ({ code: ErrorCode.NETWORK_ERROR, retryable: true, remediation: REMEDIATIONS.retryLater }),
+  },
+];
+
+// ===== Public API =====
+
+/**
+ * Extract a human-readable message from anything thrown or returned as an error
+ * (Error, string, CLOB `{ error }` payloads, ethers errors with `reason`)
+ */
+export function getErrorMessage(error: unknown): string {
+  if (typeof error === 'string') return error;
+  if (error instanceof Error) {
+    const withReason = error as Error & { reason?: string };
+    return withReason.reason ? `${withReason.reason} (${error.message})` : error.message;
+  }
+  if (error && typeof error === 'object') {
+    const obj = error as Record<string, unknown>;
+    for (const field of ['errorMsg', 'error', 'message', 'reason']) {
+      if (obj[field] !== undefined && obj[field] !== null) {
+        return getErrorMessage(obj[field]);
+      }
+    }
+    try {
+      return JSON.stringify(error);
+    } catch {
+      // fall through
+    }
+  }
+  return String(error);
+}
+
+/**
+ * Classify a CLOB response / contract revert / thrown error
+ *
+ * @param error - Error, message string, or CLOB error payload
+ * @param context - Order context used to disambiguate generic messages
+ * @returns Classification; unknown errors map to `ORDER_FAILED` (orders) or `API_ERROR`
+ */
+export function classifyError(error: unknown, context: ErrorContext = {}): ErrorClassification {
+  if (error instanceof PolymarketError && error.code !== ErrorCode.API_ERROR) {
+    return {
+      code: error.code,
+      message: error.message,
+      retryable: error.retryable,
+      remediation: error.remediation,
+    };
+  }
+
+  const message = getErrorMessage(error);
+  for (const rule of RULES) {
+    if (rule.pattern.test(message)) {
+      return { message, ...rule.classify(message, context) };
+    }
+  }
+
+  return {
+    code: context.side ? ErrorCode.ORDER_FAILED : ErrorCode.API_ERROR,
+    message,
+    retryable: false,
+  };
+}
+
+/**
+ * Classify an error and wrap it in a `PolymarketError` carrying the remediation
+ */
+export function toPolymarketError(error: unknown, context: ErrorContext = {}): PolymarketError {
+  if (error instanceof PolymarketError) return error;
+  const classification = classifyError(error, context);
+  const wrapped = new PolymarketError(
+    classification.code,
+    classification.message,
+    classification.retryable,
+    error instanceof Error ? error : undefined
+  );
+  wrapped.remediation = classification.remediation;
+  return wrapped;
+}
@@ -6,6 +6,7 @@ export enum ErrorCode {
   // Network errors
   NETWORK_ERROR = 'NETWORK_ERROR',
   TIMEOUT = 'TIMEOUT',
+  CIRCUIT_OPEN = 'CIRCUIT_OPEN',
   RATE_LIMITED = 'RATE_LIMITED',
 
   // Authentication errors
@@ -20,9 +21,16 @@ export enum ErrorCode {
 
   // Trading errors
   INSUFFICIENT_BALANCE = 'INSUFFICIENT_BALANCE',
+  INSUFFICIENT_ALLOWANCE = 'INSUFFICIENT_ALLOWANCE',
+  NEG_RISK_APPROVAL_MISSING = 'NEG_RISK_APPROVAL_MISSING',
+  INVALID_TICK_SIZE = 'INVALID_TICK_SIZE',
+  ORDER_SIZE_TOO_SMALL = 'ORDER_SIZE_TOO_SMALL',
+  ORDER_NOT_FILLED = 'ORDER_NOT_FILLED',
   ORDER_REJECTED = 'ORDER_REJECTED',
   ORDER_FAILED = 'ORDER_FAILED',
   MARKET_CLOSED = 'MARKET_CLOSED',
+  CONDITION_NOT_RESOLVED = 'CONDITION_NOT_RESOLVED',
+  RISK_LIMIT_EXCEEDED = 'RISK_LIMIT_EXCEEDED',
 
   // API errors
   API_ERROR = 'API_ERROR',
@@ -31,7 +39,50 @@ export enum ErrorCode {
   INTERNAL_ERROR = 'INTERNAL_ERROR',
 }
 
+/**
+ * Machine-readable fix for a classified error (see error-classifier.ts)
+ */
+export type RemediationAction =
+  | 'APPROVE_USDC'
+  | 'SET_ERC1155_APPROVAL'
+  | 'DEPOSIT_USDC'
+  | 'FUND_GAS'
+  | 'ROUND_TO_TICK_SIZE'
+  | 'INCREASE_ORDER_SIZE'
+  | 'REDUCE_ORDER_SIZE'
+  | 'SKIP_MARKET'
+  | 'USE_FAK_OR_REDUCE_SIZE'
+  | 'RETRY_LATER'
+  | 'REFRESH_API_CREDENTIALS'
+  | 'WAIT_FOR_RESOLUTION';
+
+export interface Remediation {
+  action: RemediationAction;
+  /** Contract / entity the action applies to (e.g. 'NEG_RISK_ADAPTER') */
+  target?: string;
+  /** Human-readable instruction */
+  hint: string;
+}
+
+/**
+ * Parse an HTTP `Retry-After` header (delta-seconds or HTTP-date) into milliseconds
+ */
+export function parseRetryAfter(value: string | null | undefined): number | undefined {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  return undefined;
+}
+
 export class PolymarketError extends Error {
+  /** Server-requested wait before retrying (from `Retry-After`), if any */
+  public retryAfterMs?: number;
+
+  /** Suggested fix, set by the error classifier */
+  public remediation?: Remediation;
+
   constructor(
     public code: ErrorCode,
     message: string,
@@ -44,20 +95,31 @@ export class PolymarketError extends Error {
 
   /**
    * Create error from HTTP response status
+   *
+   * @param status - HTTP status code
+   * @param body - Parsed response body (used for the message)
+   * @param headers - Response headers (used for `Retry-After` on 429)
    */
-  static fromHttpError(status: number, body?: unknown): PolymarketError {
+  static fromHttpError(
+    status: number,
+    body?: unknown,
+    headers?: { get(name: string): string | null }
+  ): PolymarketError {
     const bodyMessage =
       body && typeof body === 'object' && 'message' in body
         ? String((body as { message: unknown }).message)
         : '';
 
     switch (status) {
-      case 429:
-        return new PolymarketError(
+      case 429: {
+        const error = new PolymarketError(
           ErrorCode.RATE_LIMITED,
           bodyMessage || 'Rate limited',
           true
         );
+        error.retryAfterMs = parseRetryAfter(headers?.get('retry-after'));
+        return error;
+      }
       case 401:
         return new PolymarketError(
           ErrorCode.AUTH_FAILED,
@@ -88,30 +150,143 @@ export class PolymarketError extends Error {
   }
 }
 
+// ===== Retry Policies =====
+
+/**
+ * Jitter applied to exponential backoff
+ * - `none`: exact `baseDelayMs * 2^attempt`
+ * - `full`: random in `[0, delay]` (best for spreading out many clients)
+ * - `equal`: random in `[delay / 2, delay]`
+ */
+export type JitterMode = 'none' | 'full' | 'equal';
+
+export interface RetryPolicy {
+  /** Total attempts including the first call (default: 3) */
+  maxAttempts?: number;
+  /** Base delay, doubled per attempt (default: 1000ms) */
+  baseDelayMs?: number;
+  /** Upper bound for a single delay (default: 30000ms) */
+  maxDelayMs?: number;
+  /** Jitter mode (default: 'none') */
+  jitter?: JitterMode;
+  /** Give up once the next retry would exceed this total elapsed time (default: unlimited) */
+  maxElapsedMs?: number;
+  /** Decide whether an error is worth retrying (default: isRetryableError) */
+  shouldRetry?: (error: unknown) => boolean;
+  /** Called before each retry */
+  onRetry?: (error: unknown, attempt: number, delayMs: number) => void;
+}
+
+/** Node / undici / axios error codes for requests that failed before a response arrived */
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EPIPE',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+]);
+
+/**
+ * Default retry predicate: retryable `PolymarketError`s and transport failures
+ * (fetch `TypeError`, aborts / timeouts, connection errors). Anything else,
+ * such as a bug or a rejected request, fails on the first attempt.
+ */
+export function isRetryableError(error: unknown): boolean {
+  if (error instanceof PolymarketError) return error.retryable;
+  if (!(error instanceof Error)) return false;
+  if (error.name === 'AbortError' || error.name === 'TimeoutError') return true;
+
+  const { code, cause } = error as Error & { code?: unknown; cause?: { code?: unknown } };
+  if (typeof code === 'string' && NETWORK_ERROR_CODES.has(code)) return true;
+  if (typeof cause?.code === 'string' && NETWORK_ERROR_CODES.has(cause.code)) return true;
+  // fetch rejects with a bare TypeError when the request never completes
+  return error instanceof TypeError && /fetch failed|network/i.test(error.message);
+}
+
+/**
+ * Backoff before retry number `attempt` (0-based). A server-provided
+ * `retryAfterMs` takes precedence over the computed backoff.
+ */
+export function computeRetryDelay(policy: RetryPolicy, attempt: number, error?: unknown): number {
+  const { baseDelayMs = 1000, maxDelayMs = 30_000, jitter = 'none' } = policy;
+  if (error instanceof PolymarketError && error.retryAfterMs !== undefined) {
+    return Math.min(error.retryAfterMs, maxDelayMs);
+  }
+  const delay = Math.min(baseDelayMs * Math.pow(2, attempt), maxDelayMs);
+  switch (jitter) {
+    case 'full':
+      return Math.random() * delay;
+    case 'equal':
+      return delay / 2 + Math.random() * (delay / 2);
+    default:
+      return delay;
+  }
+}
+
+/**
+ * Delay before the next attempt, or `null` if the policy says to give up
+ *
+ * @param error - Error thrown by the failed attempt
+ * @param failedAttempts - Number of attempts that have failed so far (1-based)
+ * @param startedAt - Epoch ms of the first attempt
+ */
+export function getRetryDelay(
+  policy: RetryPolicy,
+  error: unknown,
+  failedAttempts: number,
+  startedAt: number
+): number | null {
+  const { maxAttempts = 3, maxElapsedMs, shouldRetry = isRetryableError } = policy;
+  if (failedAttempts >= maxAttempts || !shouldRetry(error)) return null;
+
+  const delay = computeRetryDelay(policy, failedAttempts - 1, error);
+  if (maxElapsedMs !== undefined && Date.now() - startedAt + delay > maxElapsedMs) {
+    return null;
+  }
+  return delay;
+}
+
 /**
  * Retry decorator for async functions
+ *
+ * @example
+ * ```typescript
+ * await withRetry(() => sdk.getMarket(slug), {
+ *   maxAttempts: 5,
+ *   jitter: 'full',
+ *   maxElapsedMs: 20_000,
+ * });
+ * ```
  */
 export async function withRetry<T>(
   fn: () => Promise<T>,
-  options: { maxRetries?: number; delay?: number } = {}
+  options: RetryPolicy & {
+    /** @deprecated Use maxAttempts */
+    maxRetries?: number;
+    /** @deprecated Use baseDelayMs */
+    delay?: number;
+  } = {}
 ): Promise<T> {
-  const { maxRetries = 3, delay = 1000 } = options;
-
-  let lastError: Error | undefined;
+  const { maxRetries, delay, ...rest } = options;
+  const policy: RetryPolicy = {
+    ...rest,
+    maxAttempts: rest.maxAttempts ?? maxRetries ?? 3,
+    baseDelayMs: rest.baseDelayMs ?? delay ?? 1000,
+  };
+  const startedAt = Date.now();
 
-  for (let i = 0; i < maxRetries; i++) {
+  for (let attempt = 1; ; attempt++) {
     try {
       return await fn();
     } catch (error) {
-      lastError = error as Error;
-      if (error instanceof PolymarketError && !error.retryable) {
-        throw error;
-      }
-      if (i < maxRetries - 1) {
-        await new Promise((r) => setTimeout(r, delay * Math.pow(2, i)));
-      }
+      const wait = getRetryDelay(policy, error, attempt, startedAt);
+      if (wait === null) throw error;
+      policy.onRetry?.(error, attempt, wait);
+      await new Promise((r) => setTimeout(r, wait));
     }
   }
-
-  throw lastError;
 }
@@ -0,0 +1,302 @@
+/**
+ * File Cache Adapter
+ *
+ * Persistent `CacheAdapter` backed by a directory of JSON files, so market
+ * info, leaderboards and trades survive process restarts.
+ *
+ * - One JSON file per key (file name = sha1 of the key)
+ * - TTL eviction (expired entries are dropped on read and on prune)
+ * - Size limits (`maxEntries` / `maxBytes`) enforced with LRU eviction
+ * - Namespaces map to sub-directories and are limited independently
+ *
+ * @example
+ * ```typescript
+ * import { PolymarketSDK, FileCacheAdapter } from '@catalyst-team/poly-sdk';
+ *
+ * const cache = new FileCacheAdapter({
+ *   directory: './.cache/poly-sdk',
+ *   namespace: 'api',
+ *   maxEntries: 10_000,
+ *   maxBytes: 200 * 1024 * 1024,
+ * });
+ * const sdk = new PolymarketSDK({ cache });
+ * ```
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { createHash, randomBytes } from 'crypto';
+import type { CacheAdapter } from './cache-adapter-types.js';
+
+// ===== Types =====
+
+export interface FileCacheAdapterOptions {
+  /** Root directory for cache files (created if missing) */
+  directory: string;
+  /** Namespace (sub-directory) for this adapter (default: 'default') */
+  namespace?: string;
+  /** TTL in seconds when `set` is called without one (default: 0 = never expires) */
+  defaultTtl?: number;
+  /** Maximum number of entries in this namespace (default: unlimited) */
+  maxEntries?: number;
+  /** Maximum total size in bytes of this namespace (default: unlimited) */
+  maxBytes?: number;
+}
+
+interface FileCacheRecord {
+  key: string;
+  value: unknown;
+  /** Epoch ms, null = never expires */
+  expiresAt: number | null;
+}
+
+interface IndexEntry {
+  key: string;
+  expiresAt: number | null;
+  size: number;
+}
+
+// Date values survive the JSON round trip as { __date: iso }
+function replacer(this: Record<string, unknown>, key: string, value: unknown): unknown {
+  const raw = this[key];
+  return raw instanceof Date ? { __date: raw.toISOString() } : value;
+}
+
+function reviver(_key: string, value: unknown): unknown {
+  if (
+    value &&
+    typeof value === 'object' &&
+    '__date' in value &&
+    Object.keys(value).length === 1
+  ) {
+    return new Date(String((value as { __date: unknown }).__date));
+  }
+  return value;
+}
+
+// ===== Adapter =====
+
+export class FileCacheAdapter implements CacheAdapter {
+  private options: FileCacheAdapterOptions;
+  private dir: string;
+  /** Keyed by file name; Map order doubles as LRU order (oldest first) */
+  private index: Map<string, IndexEntry> | null = null;
+  private loading: Promise<Map<string, IndexEntry>> | null = null;
+  private totalBytes = 0;
+
+  constructor(options: FileCacheAdapterOptions) {
+    this.options = options;
+    this.dir = path.join(options.directory, options.namespace || 'default');
+  }
+
+  /**
+   * Create an adapter for another namespace under the same root directory
+   */
+  withNamespace(namespace: string): FileCacheAdapter {
+    return new FileCacheAdapter({ ...this.options, namespace });
+  }
+
+  async get<T>(key: string): Promise<T | null> {
+    const index = await this.loadIndex();
+    const file = this.fileName(key);
+    const entry = index.get(file);
+    if (!entry) return null;
+
+    if (this.isExpired(entry)) {
+      await this.remove(file);
+      return null;
+    }
+
+    try {
+      const content = await fs.promises.readFile(path.join(this.dir, file), 'utf-8');
+      const record = JSON.parse(content, reviver) as FileCacheRecord;
+      // Mark as most recently used
+      index.delete(file);
+      index.set(file, entry);
+      return record.value as T;
+    } catch {
+      // File vanished or is corrupt - treat as a miss
+      await this.remove(file);
+      return null;
+    }
+  }
+
+  /**
+   * @param ttl - TTL in seconds, or CacheManager-style `{ ttl }` options
+   *   (CacheAdapterWrapper passes those to anything with `getStats`)
+   */
+  async set<T>(key: string, value: T, ttl?: number | { ttl?: number }): Promise<void> {
+    const index = await this.loadIndex();
+    const file = this.fileName(key);
+    const ttlSeconds = (typeof ttl === 'object' ? ttl.ttl : ttl) ?? this.options.defaultTtl ?? 0;
+    const record: FileCacheRecord = {
+      key,
+      value,
+      expiresAt: ttlSeconds > 0 ? Date.now() + ttlSeconds * 1000 : null,
+    };
+    const content = JSON.stringify(record, replacer);
+
+    // Write atomically so a crash never leaves a half-written entry; the temp
+    // file is unique per write so concurrent sets of one key do not collide
+    const target = path.join(this.dir, file);
+    const tmp = `${target}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tmp, content);
+    await fs.promises.rename(tmp, target);
+
+    const previous = index.get(file);
+    if (previous) {
+      this.totalBytes -= previous.size;
+      index.delete(file);
+    }
+    const size = Buffer.byteLength(content);
+    index.set(file, { key, expiresAt: record.expiresAt, size });
+    this.totalBytes += size;
+
+    await this.enforceLimits();
+  }
+
+  async del(key: string): Promise<void> {
+    await this.loadIndex();
+    await this.remove(this.fileName(key));
+  }
+
+  async exists(key: string): Promise<boolean> {
+    const index = await this.loadIndex();
+    const file = this.fileName(key);
+    const entry = index.get(file);
+    if (!entry) return false;
+    if (this.isExpired(entry)) {
+      await this.remove(file);
+      return false;
+    }
+    return true;
+  }
+
+  async clear(): Promise<void> {
+    const index = await this.loadIndex();
+    await Promise.all([...index.keys()].map((file) => this.unlink(file)));
+    index.clear();
+    this.totalBytes = 0;
+  }
+
+  /**
+   * Delete all keys containing `pattern` (substring match, like Cache.invalidate)
+   */
+  async invalidate(pattern: string): Promise<void> {
+    const index = await this.loadIndex();
+    const files = [...index.entries()]
+      .filter(([, entry]) => entry.key.includes(pattern))
+      .map(([file]) => file);
+    for (const file of files) {
+      await this.remove(file);
+    }
+  }
+
+  /**
+   * Drop expired entries and enforce size limits
+   *
+   * @returns Number of entries removed
+   */
+  async prune(): Promise<number> {
+    const index = await this.loadIndex();
+    const before = index.size;
+    const expired = [...index.entries()]
+      .filter(([, entry]) => this.isExpired(entry))
+      .map(([file]) => file);
+    for (const file of expired) {
+      await this.remove(file);
+    }
+    await this.enforceLimits();
+    return before - index.size;
+  }
+
+  /**
+   * Current entry count and size of this namespace
+   */
+  async getStats(): Promise<{ entries: number; bytes: number }> {
+    const index = await this.loadIndex();
+    return { entries: index.size, bytes: this.totalBytes };
+  }
+
+  // ===== Private Methods =====
+
+  private fileName(key: string): string {
+    return `${createHash('sha1').update(key).digest('hex')}.json`;
+  }
+
+  private isExpired(entry: IndexEntry): boolean {
+    return entry.expiresAt !== null && Date.now() > entry.expiresAt;
+  }
+
+  /**
+   * Build the in-memory index from disk once (least recently modified first)
+   */
+  private async loadIndex(): Promise<Map<string, IndexEntry>> {
+    if (this.index) return this.index;
+    if (!this.loading) {
+      this.loading = (async () => {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        const files = (await fs.promises.readdir(this.dir)).filter((f) => f.endsWith('.json'));
+
+        const entries: Array<[string, IndexEntry, number]> = [];
+        for (const file of files) {
+          try {
+            const filePath = path.join(this.dir, file);
+            const [content, stat] = await Promise.all([
+              fs.promises.readFile(filePath, 'utf-8'),
+              fs.promises.stat(filePath),
+            ]);
+            const record = JSON.parse(content) as FileCacheRecord;
+            entries.push([
+              file,
+              { key: record.key, expiresAt: record.expiresAt, size: stat.size },
+              stat.mtimeMs,
+            ]);
+          } catch {
+            // Corrupt entry - drop it
+            await this.unlink(file);
+          }
+        }
+
+        entries.sort((a, b) => a[2] - b[2]);
+        const index = new Map<string, IndexEntry>();
+        for (const [file, entry] of entries) {
+          index.set(file, entry);
+          this.totalBytes += entry.size;
+        }
+        this.index = index;
+        return index;
+      })();
+    }
+    return this.loading;
+  }
+
+  private async enforceLimits(): Promise<void> {
+    const index = this.index;
+    if (!index) return;
+    const { maxEntries, maxBytes } = this.options;
+
+    while (
+      index.size > 0 &&
+      ((maxEntries !== undefined && index.size > maxEntries) ||
+        (maxBytes !== undefined && this.totalBytes > maxBytes))
+    ) {
+      // Map iteration order is LRU order
+      const oldest = index.keys().next().value as string;
+      await this.remove(oldest);
+    }
+  }
+
+  private async remove(file: string): Promise<void> {
+    const entry = this.index?.get(file);
+    if (entry) {
+      this.totalBytes -= entry.size;
+      this.index!.delete(file);
+    }
+    await this.unlink(file);
+  }
+
+  private async unlink(file: string): Promise<void> {
+    await fs.promises.unlink(path.join(this.dir, file)).catch(() => undefined);
+  }
+}
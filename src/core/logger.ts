@@ -0,0 +1,141 @@
+/**
+ * Structured Logger
+ *
+ * SDK components log through a `Logger` instead of `console`, so output can
+ * be routed to any log pipeline (pino, winston, Datadog, ...) or silenced.
+ * Entries carry a level, a short message and structured fields; components
+ * add their name via `child({ component })`.
+ *
+ * @example
+ * ```typescript
+ * // Built-in console logger: JSON lines, warnings and errors only
+ * const sdk = new PolymarketSDK({
+ *   logger: new ConsoleLogger({ level: 'warn', format: 'json' }),
+ * });
+ *
+ * // Or adapt an existing logger (pino, winston, ...) to the Logger interface
+ * const sdk2 = new PolymarketSDK({ logger: myPinoAdapter });
+ * ```
+ */
+
+import { PolymarketError } from './errors.js';
+import { getErrorMessage } from './error-classifier.js';
+
+// ===== Types =====
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+
+export type LogFields = Record<string, unknown>;
+
+export interface Logger {
+  debug(message: string, fields?: LogFields): void;
+  info(message: string, fields?: LogFields): void;
+  warn(message: string, fields?: LogFields): void;
+  error(message: string, fields?: LogFields): void;
+  /** Logger that adds `bindings` to every entry */
+  child(bindings: LogFields): Logger;
+}
+
+const LEVEL_ORDER: Record<LogLevel | 'silent', number> = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100,
+};
+
+// ===== Console Logger =====
+
+export interface ConsoleLoggerOptions {
+  /** Minimum level to output (default: 'info') */
+  level?: LogLevel | 'silent';
+  /**
+   * - `pretty`: `[Component] message key=value` (default)
+   * - `json`: one JSON object per line
+   */
+  format?: 'pretty' | 'json';
+  /** Fields added to every entry */
+  bindings?: LogFields;
+}
+
+/**
+ * Default logger writing to the console
+ */
+export class ConsoleLogger implements Logger {
+  private level: LogLevel | 'silent';
+  private format: 'pretty' | 'json';
+  private bindings: LogFields;
+
+  constructor(options: ConsoleLoggerOptions = {}) {
+    this.level = options.level ?? 'info';
+    this.format = options.format ?? 'pretty';
+    this.bindings = options.bindings ?? {};
+  }
+
+  debug(message: string, fields?: LogFields): void {
+    this.write('debug', message, fields);
+  }
+
+  info(message: string, fields?: LogFields): void {
+    this.write('info', message, fields);
+  }
+
+  warn(message: string, fields?: LogFields): void {
+    this.write('warn', message, fields);
+  }
+
+  error(message: string, fields?: LogFields): void {
+    this.write('error', message, fields);
+  }
+
+  child(bindings: LogFields): Logger {
+    return new ConsoleLogger({
+      level: this.level,
+      format: this.format,
+      bindings: { ...this.bindings, ...bindings },
+    });
+  }
+
+  private write(level: LogLevel, message: string, fields?: LogFields): void {
+    if (LEVEL_ORDER[level] < LEVEL_ORDER[this.level]) return;
+
+    const output = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+    const all = { ...this.bindings, ...fields };
+
+    if (this.format === 'json') {
+      output(JSON.stringify({ time: new Date().toISOString(), level, msg: message, ...all }));
+      return;
+    }
+
+    const { component, ...rest } = all;
+    const prefix = component ? `[${String(component)}] ` : '';
+    const suffix = Object.entries(rest)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+      .join(' ');
+    output(`${prefix}${message}${suffix ? ` ${suffix}` : ''}`);
+  }
+}
+
+// ===== Helpers =====
+
+/**
+ * Logger that discards everything
+ */
+export const silentLogger: Logger = {
+  debug: () => undefined,
+  info: () => undefined,
+  warn: () => undefined,
+  error: () => undefined,
+  child: () => silentLogger,
+};
+
+/**
+ * Fields describing an error, for `logger.error(msg, errorFields(err))`
+ */
+export function errorFields(error: unknown): LogFields {
+  return {
+    error: getErrorMessage(error),
+    ...(error instanceof PolymarketError && { code: error.code }),
+  };
+}
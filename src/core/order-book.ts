@@ -0,0 +1,229 @@
+/**
+ * Local L2 Order Book
+ *
+ * Maintains one token's book from WebSocket `book` snapshots and
+ * `price_change` deltas instead of replacing (and re-sorting) the whole
+ * book on every message:
+ * - Levels are kept sorted (bids descending, asks ascending), so the best
+ *   level is always index 0
+ * - Deltas older than the current snapshot are ignored; deltas that arrive
+ *   out of order, cross the book, or disagree with the server's best
+ *   bid/ask are reported as gaps and the book stays unsynced until the
+ *   next snapshot
+ *
+ * @example
+ * ```typescript
+ * const book = new OrderBook(tokenId);
+ * book.applySnapshot(await clobApi.getOrderbook(tokenId));
+ *
+ * const result = book.applyDelta({ changes: [{ side: 'BUY', price: 0.52, size: 100 }], timestamp: Date.now() });
+ * if (result.status === 'gap') console.log('resync needed:', result.reason);
+ *
+ * console.log(book.bestBid(), book.bestAsk(), book.getBids(5));
+ * ```
+ */
+
+import type { BookUpdate } from './types.js';
+
+// ===== Types =====
+
+export interface BookLevelUpdate {
+  price: number;
+  size: number;
+}
+
+/** Full book, as sent by the `book` WebSocket event or returned by REST `/book` */
+export interface BookSnapshot {
+  bids: BookLevelUpdate[];
+  asks: BookLevelUpdate[];
+  /** Unix ms */
+  timestamp: number;
+  hash?: string;
+}
+
+/** Incremental update, as sent by the `price_change` WebSocket event */
+export interface BookDelta {
+  /** New absolute size per level; size 0 removes the level */
+  changes: Array<{ side: 'BUY' | 'SELL'; price: number; size: number }>;
+  /** Unix ms */
+  timestamp: number;
+  /** Server book hash after the change */
+  hash?: string;
+  /** Server best bid after the change, when the server reports it */
+  bestBid?: number;
+  /** Server best ask after the change, when the server reports it */
+  bestAsk?: number;
+}
+
+export type BookGapReason = 'no_snapshot' | 'out_of_order' | 'crossed' | 'best_mismatch';
+
+export type BookDeltaResult =
+  | { status: 'applied' }
+  /** Older than the current snapshot and ignored */
+  | { status: 'stale' }
+  | { status: 'gap'; reason: BookGapReason };
+
+/** Prices closer than this are the same level */
+const PRICE_EPSILON = 1e-9;
+
+// ===== Order Book =====
+
+export class OrderBook {
+  private bids: BookLevelUpdate[] = [];
+  private asks: BookLevelUpdate[] = [];
+  private synced = false;
+  private snapshotTimestamp = 0;
+  private lastTimestamp = 0;
+  private lastHash: string | undefined;
+
+  constructor(readonly assetId: string) {}
+
+  /**
+   * Replace the whole book
+   */
+  applySnapshot(snapshot: BookSnapshot): void {
+    this.bids = snapshot.bids
+      .filter((l) => l.size > 0)
+      .map((l) => ({ price: l.price, size: l.size }))
+      .sort((a, b) => b.price - a.price);
+    this.asks = snapshot.asks
+      .filter((l) => l.size > 0)
+      .map((l) => ({ price: l.price, size: l.size }))
+      .sort((a, b) => a.price - b.price);
+    this.snapshotTimestamp = snapshot.timestamp;
+    this.lastTimestamp = snapshot.timestamp;
+    this.lastHash = snapshot.hash;
+    this.synced = true;
+  }
+
+  /**
+   * Apply level changes. On a gap the book is marked unsynced and further
+   * deltas are rejected until the next snapshot.
+   */
+  applyDelta(delta: BookDelta): BookDeltaResult {
+    if (!this.synced) return { status: 'gap', reason: 'no_snapshot' };
+    if (delta.timestamp < this.snapshotTimestamp) return { status: 'stale' };
+    if (delta.timestamp < this.lastTimestamp) return this.gap('out_of_order');
+
+    for (const change of delta.changes) {
+      this.setLevel(change.side === 'BUY' ? this.bids : this.asks, change.price, change.size, change.side === 'BUY');
+    }
+    this.lastTimestamp = delta.timestamp;
+    if (delta.hash) this.lastHash = delta.hash;
+
+    const bestBid = this.bids[0]?.price;
+    const bestAsk = this.asks[0]?.price;
+    if (bestBid !== undefined && bestAsk !== undefined && bestBid >= bestAsk) return this.gap('crossed');
+    if (
+      (delta.bestBid !== undefined && Math.abs((bestBid ?? 0) - delta.bestBid) > PRICE_EPSILON) ||
+      (delta.bestAsk !== undefined && Math.abs((bestAsk ?? 1) - delta.bestAsk) > PRICE_EPSILON)
+    ) {
+      return this.gap('best_mismatch');
+    }
+
+    return { status: 'applied' };
+  }
+
+  /**
+   * Drop all levels and wait for the next snapshot
+   */
+  reset(): void {
+    this.bids = [];
+    this.asks = [];
+    this.synced = false;
+  }
+
+  // ===== Access =====
+
+  /** Whether the book reflects a snapshot plus every delta since */
+  isSynced(): boolean {
+    return this.synced;
+  }
+
+  /** Unix ms of the last applied snapshot or delta */
+  get timestamp(): number {
+    return this.lastTimestamp;
+  }
+
+  /** Server hash of the last applied snapshot or delta */
+  get hash(): string | undefined {
+    return this.lastHash;
+  }
+
+  bestBid(): BookLevelUpdate | undefined {
+    return this.bids[0];
+  }
+
+  bestAsk(): BookLevelUpdate | undefined {
+    return this.asks[0];
+  }
+
+  midpoint(): number | undefined {
+    const bid = this.bids[0];
+    const ask = this.asks[0];
+    return bid && ask ? (bid.price + ask.price) / 2 : undefined;
+  }
+
+  spread(): number | undefined {
+    const bid = this.bids[0];
+    const ask = this.asks[0];
+    return bid && ask ? ask.price - bid.price : undefined;
+  }
+
+  /**
+   * Bids sorted best first (copy)
+   * @param depth - Max number of levels (default: all)
+   */
+  getBids(depth?: number): BookLevelUpdate[] {
+    return this.bids.slice(0, depth);
+  }
+
+  /**
+   * Asks sorted best first (copy)
+   * @param depth - Max number of levels (default: all)
+   */
+  getAsks(depth?: number): BookLevelUpdate[] {
+    return this.asks.slice(0, depth);
+  }
+
+  toBookUpdate(): BookUpdate {
+    return {
+      assetId: this.assetId,
+      bids: this.getBids(),
+      asks: this.getAsks(),
+      timestamp: this.lastTimestamp,
+      hash: this.lastHash,
+    };
+  }
+
+  // ===== Private Methods =====
+
+  private gap(reason: BookGapReason): BookDeltaResult {
+    this.synced = false;
+    return { status: 'gap', reason };
+  }
+
+  /**
+   * Binary-search the level and insert / replace / remove it.
+   * Levels are replaced rather than mutated so copies handed out stay intact.
+   */
+  private setLevel(levels: BookLevelUpdate[], price: number, size: number, descending: boolean): void {
+    let lo = 0;
+    let hi = levels.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      const before = descending ? levels[mid].price > price : levels[mid].price < price;
+      if (before && Math.abs(levels[mid].price - price) > PRICE_EPSILON) lo = mid + 1;
+      else hi = mid;
+    }
+
+    const exists = lo < levels.length && Math.abs(levels[lo].price - price) <= PRICE_EPSILON;
+    if (size <= 0) {
+      if (exists) levels.splice(lo, 1);
+    } else if (exists) {
+      levels[lo] = { price: levels[lo].price, size };
+    } else {
+      levels.splice(lo, 0, { price, size });
+    }
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * Offset Pagination
+ *
+ * Lazily walks an offset-paginated endpoint as an async iterator, one page
+ * per request (each request still goes through the caller's rate limiter).
+ * Lists are assumed newest-first, so `since` ends the walk at the first older
+ * item and `until` skips newer ones. Every page carries a cursor, so a long
+ * scan can be resumed later without re-reading earlier pages.
+ *
+ * @example
+ * ```typescript
+ * let cursor: PageCursor | undefined;
+ * for await (const page of dataApi.iterateActivityPages(address, { type: 'TRADE', cursor })) {
+ *   await store.append(page.items);
+ *   cursor = page.nextCursor ?? undefined; // persist to resume after a restart
+ * }
+ * ```
+ */
+
+// ===== Types =====
+
+export interface PageCursor {
+  /** Records already consumed */
+  offset: number;
+  /** Upper time bound pinned when the scan started (epoch ms) */
+  until?: number;
+}
+
+export interface Page<T> {
+  items: T[];
+  /** Cursor this page was fetched with */
+  cursor: PageCursor;
+  /** Cursor for the next page, null when the iteration is finished */
+  nextCursor: PageCursor | null;
+  /**
+   * Whether upstream has records beyond what was iterated, i.e. the walk
+   * stopped at `since` / `maxRecords` rather than at the end of the list
+   */
+  hasMore: boolean;
+}
+
+export interface PaginationOptions {
+  /** Records per request */
+  pageSize?: number;
+  /** Stop after this many records in total */
+  maxRecords?: number;
+  /** Oldest record to include (epoch ms) - stops the walk */
+  since?: number;
+  /** Newest record to include (epoch ms) */
+  until?: number;
+  /** Resume from a previous page's `nextCursor` */
+  cursor?: PageCursor;
+}
+
+export interface PaginateParams<T> extends PaginationOptions {
+  pageSize: number;
+  /** Fetch one page; `until` is the pinned upper bound for endpoints that support it */
+  fetchPage: (offset: number, limit: number, until?: number) => Promise<T[]>;
+  /** Record timestamp (epoch ms), required for `since` / `until` */
+  timestampOf?: (item: T) => number;
+  /** Client-side filter for criteria the endpoint cannot apply (counts toward maxRecords after filtering) */
+  filter?: (item: T) => boolean;
+}
+
+// ===== Pagination =====
+
+export async function* paginate<T>(params: PaginateParams<T>): AsyncGenerator<Page<T>> {
+  const { pageSize, fetchPage, timestampOf, since, maxRecords, filter } = params;
+  const until = params.cursor?.until ?? params.until;
+  let offset = params.cursor?.offset ?? 0;
+  let remaining = maxRecords ?? Infinity;
+
+  while (remaining > 0) {
+    const raw = await fetchPage(offset, pageSize, until);
+    let items = raw;
+    let reachedSince = false;
+
+    if (timestampOf) {
+      if (until !== undefined) items = items.filter((item) => timestampOf(item) <= until);
+      if (since !== undefined) {
+        const oldest = items.findIndex((item) => timestampOf(item) < since);
+        if (oldest >= 0) {
+          items = items.slice(0, oldest);
+          reachedSince = true;
+        }
+      }
+    }
+
+    if (filter) items = items.filter(filter);
+
+    let truncated = false;
+    if (items.length > remaining) {
+      items = items.slice(0, remaining);
+      truncated = true;
+    }
+    remaining -= items.length;
+
+    const endOfList = raw.length < pageSize;
+    const hasMore = reachedSince || truncated || (!endOfList && remaining <= 0);
+    const done = endOfList || reachedSince || remaining <= 0;
+    const cursor: PageCursor = { offset, ...(until !== undefined && { until }) };
+    offset += raw.length;
+
+    if (items.length > 0 || done) {
+      yield {
+        items,
+        cursor,
+        nextCursor: done ? null : { offset, ...(until !== undefined && { until }) },
+        hasMore,
+      };
+    }
+    if (done) return;
+  }
+}
+
+/**
+ * Flatten a page iterator into an item iterator
+ */
+export async function* flattenPages<T>(pages: AsyncIterable<Page<T>>): AsyncGenerator<T> {
+  for await (const page of pages) {
+    yield* page.items;
+  }
+}
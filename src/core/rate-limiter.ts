@@ -3,9 +3,27 @@
  * - Data API: 100ms minimum interval
  * - Gamma API: 10 req/s
  * - CLOB API: 10 req/s
+ *
+ * On top of the per-API limits, requests can be tagged with an endpoint
+ * (e.g. `/activity`, `/trades`) to get their own bucket. When a request
+ * fails with `RATE_LIMITED` (HTTP 429), the affected bucket pauses for the
+ * server's `Retry-After` (or an exponential backoff) and the request is
+ * retried automatically.
+ *
+ * Each API also has a circuit breaker: after repeated network failures the
+ * API is considered down and requests fail fast with `CIRCUIT_OPEN` instead
+ * of piling up. Transient failures (5xx, timeouts) are retried with jittered
+ * backoff according to a per-API `RetryPolicy`.
  */
 
+import { EventEmitter } from 'events';
 import Bottleneck from 'bottleneck';
+import { PolymarketError, ErrorCode, getRetryDelay, computeRetryDelay, type RetryPolicy } from './errors.js';
+import {
+  CircuitBreaker,
+  type CircuitBreakerOptions,
+  type CircuitBreakerSnapshot,
+} from './circuit-breaker.js';
 
 export enum ApiType {
   DATA_API = 'data-api',
@@ -30,45 +48,324 @@ const API_LIMITS: Record<ApiType, Bottleneck.ConstructorOptions> = {
   },
 };
 
-export class RateLimiter {
+/**
+ * Per-endpoint limits, keyed by `${ApiType}:${endpoint}`.
+ * Based on Polymarket's published per-endpoint limits (requests / 10s).
+ * Endpoints not listed here get a bucket with DEFAULT_ENDPOINT_LIMIT.
+ */
+const ENDPOINT_LIMITS: Record<string, Bottleneck.ConstructorOptions> = {
+  [`${ApiType.DATA_API}:/trades`]: {
+    reservoir: 75,
+    reservoirRefreshAmount: 75,
+    reservoirRefreshInterval: 10_000,
+  },
+  [`${ApiType.DATA_API}:/positions`]: {
+    reservoir: 150,
+    reservoirRefreshAmount: 150,
+    reservoirRefreshInterval: 10_000,
+  },
+  [`${ApiType.DATA_API}:/activity`]: {
+    reservoir: 100,
+    reservoirRefreshAmount: 100,
+    reservoirRefreshInterval: 10_000,
+  },
+  [`${ApiType.GAMMA_API}:/markets`]: {
+    reservoir: 125,
+    reservoirRefreshAmount: 125,
+    reservoirRefreshInterval: 10_000,
+  },
+  [`${ApiType.GAMMA_API}:/events`]: {
+    reservoir: 100,
+    reservoirRefreshAmount: 100,
+    reservoirRefreshInterval: 10_000,
+  },
+  [`${ApiType.CLOB_API}:/book`]: {
+    reservoir: 200,
+    reservoirRefreshAmount: 200,
+    reservoirRefreshInterval: 10_000,
+  },
+  [`${ApiType.CLOB_API}:/books`]: {
+    reservoir: 50,
+    reservoirRefreshAmount: 50,
+    reservoirRefreshInterval: 10_000,
+  },
+  [`${ApiType.CLOB_API}:/prices`]: {
+    reservoir: 80,
+    reservoirRefreshAmount: 80,
+    reservoirRefreshInterval: 10_000,
+  },
+  [`${ApiType.CLOB_API}:/midpoints`]: {
+    reservoir: 80,
+    reservoirRefreshAmount: 80,
+    reservoirRefreshInterval: 10_000,
+  },
+};
+
+const DEFAULT_ENDPOINT_LIMIT: Bottleneck.ConstructorOptions = {
+  maxConcurrent: 5,
+};
+
+/**
+ * Retries for transient failures (5xx, timeouts, connection resets).
+ * CLOB requests are not retried by default: order placement is not idempotent.
+ */
+const DEFAULT_RETRY_POLICIES: Record<ApiType, RetryPolicy> = {
+  [ApiType.DATA_API]: { maxAttempts: 3, baseDelayMs: 500, maxDelayMs: 5000, jitter: 'full', maxElapsedMs: 15_000 },
+  [ApiType.GAMMA_API]: { maxAttempts: 3, baseDelayMs: 500, maxDelayMs: 5000, jitter: 'full', maxElapsedMs: 15_000 },
+  [ApiType.CLOB_API]: { maxAttempts: 1 },
+};
+
+// ===== Types =====
+
+export interface RateLimiterOptions {
+  /** Override per-API limits */
+  apiLimits?: Partial<Record<ApiType, Bottleneck.ConstructorOptions>>;
+  /** Override / add per-endpoint limits, keyed by `${ApiType}:${endpoint}` */
+  endpointLimits?: Record<string, Bottleneck.ConstructorOptions>;
+  /** Max automatic retries after a 429 (default: 3) */
+  maxRateLimitRetries?: number;
+  /** Backoff when the server sends no Retry-After, doubled per attempt (default: 1000ms) */
+  baseBackoffMs?: number;
+  /** Upper bound for a single backoff (default: 60000ms) */
+  maxBackoffMs?: number;
+  /** Override per-API retry policies for transient failures */
+  retryPolicies?: Partial<Record<ApiType, RetryPolicy>>;
+  /** Circuit breaker settings applied to every API, or `false` to disable */
+  circuitBreaker?: CircuitBreakerOptions | false;
+}
+
+export interface RateLimitedEvent {
+  api: ApiType;
+  endpoint?: string;
+  /** How long the bucket is paused for */
+  backoffMs: number;
+  /** Retry attempt that will follow (1-based) */
+  attempt: number;
+  /** Whether the request will be retried */
+  willRetry: boolean;
+}
+
+export interface RateLimiterStats {
+  api: ApiType;
+  endpoint?: string;
+  running: number;
+  queued: number;
+  /** Remaining pause before the bucket resumes (0 if not backing off) */
+  backoffMs: number;
+  /** Total 429 responses seen by this bucket */
+  rateLimitedCount: number;
+}
+
+export interface RetryEvent {
+  api: ApiType;
+  endpoint?: string;
+  /** Retry attempt that will follow (1-based) */
+  attempt: number;
+  delayMs: number;
+  error: unknown;
+}
+
+export interface RateLimiterEvents {
+  rateLimited: (event: RateLimitedEvent) => void;
+  stats: (stats: RateLimiterStats) => void;
+  retry: (event: RetryEvent) => void;
+  circuitStateChange: (snapshot: CircuitBreakerSnapshot) => void;
+}
+
+// ===== Rate Limiter =====
+
+export class RateLimiter extends EventEmitter {
   private limiters: Map<ApiType, Bottleneck> = new Map();
+  private endpointLimiters: Map<string, Bottleneck> = new Map();
+  private endpointLimits: Record<string, Bottleneck.ConstructorOptions>;
+  private backoffUntil: Map<string, number> = new Map();
+  private rateLimitedCounts: Map<string, number> = new Map();
+  private maxRateLimitRetries: number;
+  private baseBackoffMs: number;
+  private maxBackoffMs: number;
+  private retryPolicies: Record<ApiType, RetryPolicy>;
+  private breakers: Map<ApiType, CircuitBreaker> = new Map();
 
-  constructor() {
+  constructor(options: RateLimiterOptions = {}) {
+    super();
     for (const [type, config] of Object.entries(API_LIMITS)) {
-      this.limiters.set(type as ApiType, new Bottleneck(config));
+      const override = options.apiLimits?.[type as ApiType];
+      this.limiters.set(type as ApiType, new Bottleneck(override || config));
+    }
+    this.endpointLimits = { ...ENDPOINT_LIMITS, ...options.endpointLimits };
+    this.maxRateLimitRetries = options.maxRateLimitRetries ?? 3;
+    this.baseBackoffMs = options.baseBackoffMs ?? 1000;
+    this.maxBackoffMs = options.maxBackoffMs ?? 60_000;
+    this.retryPolicies = { ...DEFAULT_RETRY_POLICIES, ...options.retryPolicies };
+
+    if (options.circuitBreaker !== false) {
+      for (const type of Object.values(ApiType)) {
+        const breaker = new CircuitBreaker(type, options.circuitBreaker || {});
+        breaker.on('stateChange', (snapshot: CircuitBreakerSnapshot) =>
+          this.emit('circuitStateChange', snapshot)
+        );
+        this.breakers.set(type, breaker);
+      }
     }
   }
 
   /**
    * Execute a function with rate limiting
+   *
+   * @param api - API the request goes to
+   * @param fn - Request to run
+   * @param endpoint - Optional endpoint path (e.g. '/activity') for a dedicated bucket
+   *
+   * @remarks
+   * A `PolymarketError` with code `RATE_LIMITED` pauses the bucket for
+   * `retryAfterMs` (or a jittered exponential backoff) and retries up to
+   * `maxRateLimitRetries` times before rethrowing. Other retryable errors
+   * follow the API's `RetryPolicy`. While the API's circuit is open the call
+   * fails fast with `CIRCUIT_OPEN`.
    */
-  async execute<T>(api: ApiType, fn: () => Promise<T>): Promise<T> {
+  async execute<T>(api: ApiType, fn: () => Promise<T>, endpoint?: string): Promise<T> {
     const limiter = this.limiters.get(api);
     if (!limiter) throw new Error(`Unknown API type: ${api}`);
-    return limiter.schedule(fn);
+
+    const key = this.bucketKey(api, endpoint);
+    const bucket = endpoint ? this.getEndpointLimiter(key) : undefined;
+    const breaker = this.breakers.get(api);
+    const run = async () => {
+      await this.waitForBackoff(api, key);
+      return limiter.schedule(() => (breaker ? breaker.execute(fn) : fn()));
+    };
+
+    const startedAt = Date.now();
+    let failedAttempts = 0;
+    for (let attempt = 0; ; ) {
+      // Don't queue behind the limiter just to be rejected
+      breaker?.assertAvailable();
+
+      try {
+        const result = await (bucket ? bucket.schedule(run) : run());
+        this.emitStats(api, endpoint);
+        return result;
+      } catch (error) {
+        if (!(error instanceof PolymarketError) || error.code !== ErrorCode.RATE_LIMITED) {
+          const delayMs = getRetryDelay(this.retryPolicies[api], error, ++failedAttempts, startedAt);
+          if (delayMs === null) throw error;
+          this.emit('retry', { api, endpoint, attempt: failedAttempts, delayMs, error });
+          await new Promise((r) => setTimeout(r, delayMs));
+          continue;
+        }
+
+        const willRetry = attempt < this.maxRateLimitRetries;
+        const backoffMs = Math.min(
+          error.retryAfterMs ??
+            computeRetryDelay({ baseDelayMs: this.baseBackoffMs, maxDelayMs: this.maxBackoffMs, jitter: 'equal' }, attempt),
+          this.maxBackoffMs
+        );
+        this.backoffUntil.set(key, Math.max(this.backoffUntil.get(key) || 0, Date.now() + backoffMs));
+        this.rateLimitedCounts.set(key, (this.rateLimitedCounts.get(key) || 0) + 1);
+
+        this.emit('rateLimited', { api, endpoint, backoffMs, attempt: attempt + 1, willRetry });
+        this.emitStats(api, endpoint);
+
+        if (!willRetry) throw error;
+        attempt++;
+      }
+    }
   }
 
   /**
    * Execute multiple functions in order with rate limiting
    */
-  async executeBatch<T>(api: ApiType, fns: (() => Promise<T>)[]): Promise<T[]> {
+  async executeBatch<T>(
+    api: ApiType,
+    fns: (() => Promise<T>)[],
+    endpoint?: string
+  ): Promise<T[]> {
     const results: T[] = [];
     for (const fn of fns) {
-      results.push(await this.execute(api, fn));
+      results.push(await this.execute(api, fn, endpoint));
     }
     return results;
   }
 
   /**
    * Get current limiter statistics
+   *
+   * @param api - API to inspect
+   * @param endpoint - Optional endpoint bucket to inspect instead of the API-level limiter
    */
-  getStats(api: ApiType): { running: number; queued: number } | null {
-    const limiter = this.limiters.get(api);
+  getStats(api: ApiType, endpoint?: string): RateLimiterStats | null {
+    const key = this.bucketKey(api, endpoint);
+    const limiter = endpoint ? this.endpointLimiters.get(key) : this.limiters.get(api);
     if (!limiter) return null;
     const counts = limiter.counts();
     return {
+      api,
+      endpoint,
       running: counts.RUNNING,
       queued: counts.QUEUED,
+      backoffMs: Math.max(0, (this.backoffUntil.get(key) || 0) - Date.now()),
+      rateLimitedCount: this.rateLimitedCounts.get(key) || 0,
     };
   }
+
+  /**
+   * Circuit breaker state for one API, or null if breakers are disabled
+   */
+  getCircuitState(api: ApiType): CircuitBreakerSnapshot | null {
+    return this.breakers.get(api)?.getSnapshot() ?? null;
+  }
+
+  /**
+   * Circuit breaker state for every API
+   */
+  getCircuitStates(): CircuitBreakerSnapshot[] {
+    return [...this.breakers.values()].map((breaker) => breaker.getSnapshot());
+  }
+
+  /**
+   * Whether requests to `api` are currently let through (circuit not open)
+   */
+  isAvailable(api: ApiType): boolean {
+    return this.breakers.get(api)?.isAvailable() ?? true;
+  }
+
+  /**
+   * Force an API's circuit closed (e.g. after a manual health check)
+   */
+  resetCircuit(api: ApiType): void {
+    this.breakers.get(api)?.reset();
+  }
+
+  // ===== Private Methods =====
+
+  private bucketKey(api: ApiType, endpoint?: string): string {
+    return endpoint ? `${api}:${endpoint}` : api;
+  }
+
+  private getEndpointLimiter(key: string): Bottleneck {
+    let limiter = this.endpointLimiters.get(key);
+    if (!limiter) {
+      limiter = new Bottleneck(this.endpointLimits[key] || DEFAULT_ENDPOINT_LIMIT);
+      this.endpointLimiters.set(key, limiter);
+    }
+    return limiter;
+  }
+
+  /**
+   * Wait until neither the API nor the endpoint bucket is backing off
+   */
+  private async waitForBackoff(api: ApiType, key: string): Promise<void> {
+    for (;;) {
+      const until = Math.max(this.backoffUntil.get(api) || 0, this.backoffUntil.get(key) || 0);
+      const waitMs = until - Date.now();
+      if (waitMs <= 0) return;
+      await new Promise((r) => setTimeout(r, waitMs));
+    }
+  }
+
+  private emitStats(api: ApiType, endpoint?: string): void {
+    if (this.listenerCount('stats') === 0) return;
+    const stats = this.getStats(api, endpoint);
+    if (stats) this.emit('stats', stats);
+  }
 }
@@ -0,0 +1,549 @@
+/**
+ * Risk Engine
+ *
+ * Pre-trade checks shared by TradingClient, CTFClient and the paper-trading
+ * clients. Every order, split and merge is checked against the limits before
+ * it is sent:
+ * - Max notional per order, and max capital at risk (cost basis) per market
+ * - Max net position per outcome token
+ * - Daily spend (USDC paid for BUY orders and splits) and daily realized loss
+ * - Max open (resting) orders
+ * - A kill switch that cancels all orders and blocks everything until released
+ *
+ * An order that passes is reserved in the same synchronous step, so orders
+ * checked concurrently see each other. Unfilled reservations count towards
+ * the spend, market and position limits; positions, spend and PnL only move
+ * on fills (`recordFill` / `syncOrder`), and cancelled or expired orders
+ * release what they did not fill (`releaseOrder`). Market BUY orders without
+ * a `price` could fill at the smallest tick, so they count as `amount / 0.01`
+ * shares towards maxPosition, and their fills without a known price are booked
+ * at 1 (the most USDC they can spend); SELL fills without a known price are
+ * booked with no proceeds, so they never show a profit.
+ * Daily counters reset at 00:00 UTC.
+ *
+ * @example
+ * ```typescript
+ * const risk = new RiskEngine({ maxOrderNotional: 50, maxDailySpend: 300, maxDailyLoss: 50 });
+ * const trading = new TradingClient(rateLimiter, { privateKey, riskEngine: risk });
+ * const ctf = new CTFClient({ privateKey, riskEngine: risk });
+ *
+ * risk.on('rejected', (r) => console.warn(`${r.limit}: ${r.reason}`));
+ * // Cancels every open order and blocks new ones
+ * await risk.activateKillSwitch('drawdown');
+ * ```
+ */
+
+import { EventEmitter } from 'events';
+import { PolymarketError, ErrorCode } from './errors.js';
+import { ConsoleLogger, errorFields, type Logger } from './logger.js';
+
+// ===== Types =====
+
+export interface RiskLimits {
+  /** Max USDC per order */
+  maxOrderNotional?: number;
+  /** Max cost basis held in one market (all outcomes) */
+  maxMarketNotional?: number;
+  /** Max net shares of one outcome token, long or short */
+  maxPosition?: number;
+  /** Max realized loss per UTC day; risk-increasing trades stop once reached */
+  maxDailyLoss?: number;
+  /** Max USDC spent on BUY orders and splits per UTC day */
+  maxDailySpend?: number;
+  /** Max resting orders */
+  maxOpenOrders?: number;
+}
+
+export type RiskLimit = keyof RiskLimits | 'killSwitch';
+
+/** Order as passed to TradingClient (limit: `size`, market: `amount`) */
+export type RiskOrder = { tokenId: string; side: 'BUY' | 'SELL'; price?: number } & ({ size: number } | { amount: number });
+
+export interface RiskRejection {
+  action: 'order' | 'split' | 'merge';
+  limit: RiskLimit;
+  reason: string;
+  tokenId?: string;
+  conditionId?: string;
+}
+
+export interface KillSwitchEvent {
+  active: boolean;
+  reason?: string;
+}
+
+export interface RiskState {
+  killSwitch: { active: boolean; reason?: string; activatedAt?: number };
+  /** UTC day the daily counters belong to (YYYY-MM-DD) */
+  day: string;
+  dailySpend: number;
+  /** Realized PnL today (negative = loss) */
+  dailyPnl: number;
+  positions: Record<string, { size: number; avgPrice: number }>;
+  /** Cost basis by conditionId (or tokenId for unregistered tokens) */
+  marketNotional: Record<string, number>;
+  /** USDC held back for the unfilled part of reserved BUY orders */
+  reservedSpend: number;
+  /** Orders reserved and not yet filled, cancelled or released */
+  reservedOrders: number;
+}
+
+export interface RiskEngineOptions {
+  logger?: Logger;
+}
+
+export interface RiskEngineEvents {
+  rejected: (rejection: RiskRejection) => void;
+  killSwitch: (event: KillSwitchEvent) => void;
+}
+
+interface Position {
+  size: number;
+  /** Cost basis of `size` */
+  cost: number;
+}
+
+interface Reservation {
+  tokenId: string;
+  side: 'BUY' | 'SELL';
+  /** Unfilled shares */
+  size: number;
+  /** Shares booked so far */
+  filled: number;
+  /** USDC held back per unfilled share */
+  price: number;
+  /** Price fills without a known price are booked at (1 for unpriced BUYs, 0 for unpriced SELLs) */
+  fillPrice: number;
+  /** Limit orders rest on the book and count towards maxOpenOrders */
+  resting: boolean;
+  orderId?: string;
+}
+
+/** Amounts closer than this are the same */
+const EPSILON = 1e-9;
+/** Smallest tick: the lowest price an unpriced market BUY can fill at */
+const MIN_PRICE = 0.01;
+
+// ===== Risk Engine =====
+
+export class RiskEngine extends EventEmitter {
+  private positions = new Map<string, Position>();
+  private marketNotional = new Map<string, number>();
+  /** tokenId → conditionId */
+  private tokenMarkets = new Map<string, string>();
+  private conditionTokens = new Map<string, [string, string]>();
+  private cancellers = new Set<() => Promise<unknown>>();
+  /** Reservation ID → reservation */
+  private reservations = new Map<string, Reservation>();
+  /** Order ID → reservation ID */
+  private orderReservations = new Map<string, string>();
+  private sequence = 0;
+  private killSwitch: { reason: string; activatedAt: number } | null = null;
+  private day = utcDay();
+  private dailySpend = 0;
+  private dailyPnl = 0;
+  private logger: Logger;
+
+  constructor(
+    private limits: RiskLimits = {},
+    options: RiskEngineOptions = {}
+  ) {
+    super();
+    this.logger = (options.logger ?? new ConsoleLogger()).child({ component: 'RiskEngine' });
+  }
+
+  // ===== Configuration =====
+
+  getLimits(): RiskLimits {
+    return { ...this.limits };
+  }
+
+  /**
+   * Change limits at runtime (undefined removes a limit)
+   */
+  updateLimits(limits: RiskLimits): void {
+    this.limits = { ...this.limits, ...limits };
+  }
+
+  /**
+   * Group a market's tokens for per-market limits and split / merge positions
+   */
+  registerMarket(conditionId: string, tokenIds: { yesTokenId: string; noTokenId: string }): void {
+    this.conditionTokens.set(conditionId, [tokenIds.yesTokenId, tokenIds.noTokenId]);
+    this.tokenMarkets.set(tokenIds.yesTokenId, conditionId);
+    this.tokenMarkets.set(tokenIds.noTokenId, conditionId);
+  }
+
+  /**
+   * Seed a position held before the engine started (e.g. from the Data API)
+   */
+  setPosition(tokenId: string, size: number, avgPrice = 0): void {
+    const key = this.marketKey(tokenId);
+    const previous = this.positions.get(tokenId)?.cost ?? 0;
+    this.positions.set(tokenId, { size, cost: size * avgPrice });
+    this.addMarketNotional(key, size * avgPrice - previous);
+  }
+
+  /**
+   * Register a function that cancels all orders, called by the kill switch.
+   * TradingClient and PaperTradingClient register themselves.
+   * @returns Unregister function
+   */
+  addCanceller(cancel: () => Promise<unknown>): () => void {
+    this.cancellers.add(cancel);
+    return () => this.cancellers.delete(cancel);
+  }
+
+  // ===== Checks =====
+
+  /**
+   * Check an order against the limits, counting unfilled reservations
+   * @param openOrders - Current resting orders (only needed for `maxOpenOrders`)
+   * @param replacingOrderId - Order being replaced; its reservation is left out
+   * @throws PolymarketError RISK_LIMIT_EXCEEDED
+   */
+  checkOrder(order: RiskOrder, openOrders?: number, replacingOrderId?: string): void {
+    const { size, notional } = this.orderAmounts(order);
+    const buy = order.side === 'BUY';
+    const reject = (limit: RiskLimit, reason: string) => this.reject({ action: 'order', limit, reason, tokenId: order.tokenId });
+    const pending = this.pendingReservations(replacingOrderId);
+    this.checkCommon(buy, notional, reject, pending);
+
+    const { maxOrderNotional, maxMarketNotional, maxPosition, maxOpenOrders } = this.limits;
+    if (maxOrderNotional !== undefined && notional > maxOrderNotional + EPSILON) {
+      reject('maxOrderNotional', `Order notional ${notional.toFixed(2)} exceeds ${maxOrderNotional}`);
+    }
+    const market = this.marketKey(order.tokenId);
+    const exposure = (this.marketNotional.get(market) ?? 0) + sumReserved(
+      pending.filter((r) => r.side === 'BUY' && this.marketKey(r.tokenId) === market)
+    );
+    if (buy && maxMarketNotional !== undefined && exposure + notional > maxMarketNotional + EPSILON) {
+      reject('maxMarketNotional', `Market notional ${(exposure + notional).toFixed(2)} would exceed ${maxMarketNotional}`);
+    }
+    if (maxPosition !== undefined) {
+      const current = this.positions.get(order.tokenId)?.size ?? 0;
+      // Worst case: every reservation on this side of the token fills
+      const sameSide = pending.filter((r) => r.tokenId === order.tokenId && r.side === order.side);
+      const reserved = sameSide.reduce((total, r) => total + r.size, 0);
+      const next = current + (buy ? reserved + size : -reserved - size);
+      if (Math.abs(next) > maxPosition + EPSILON && Math.abs(next) > Math.abs(current)) {
+        reject('maxPosition', `Position ${next.toFixed(2)} would exceed ${maxPosition}`);
+      }
+    }
+    if (maxOpenOrders !== undefined && 'size' in order && openOrders !== undefined) {
+      // Limit orders in flight are not in the exchange's list yet
+      const total = openOrders + pending.filter((r) => r.resting && r.orderId === undefined).length;
+      if (total >= maxOpenOrders) reject('maxOpenOrders', `${total} open orders (max ${maxOpenOrders})`);
+    }
+  }
+
+  /**
+   * Check an order and, if it passes, reserve it in the same step
+   * @param openOrders - Current resting orders (only needed for `maxOpenOrders`)
+   * @param replacingOrderId - Order being replaced; its reservation is left out
+   * @returns Reservation ID, for `attachOrder` / `recordFill` / `releaseOrder`
+   * @throws PolymarketError RISK_LIMIT_EXCEEDED
+   */
+  reserveOrder(order: RiskOrder, openOrders?: number, replacingOrderId?: string): string {
+    this.checkOrder(order, openOrders, replacingOrderId);
+    const { size, notional } = this.orderAmounts(order);
+    const id = `reservation-${++this.sequence}`;
+    const price = order.side === 'BUY' ? (size > 0 ? notional / size : 0) : order.price ?? 0;
+    this.reservations.set(id, {
+      tokenId: order.tokenId,
+      side: order.side,
+      size,
+      filled: 0,
+      price,
+      fillPrice: order.side === 'BUY' && order.price === undefined ? 1 : price,
+      resting: 'size' in order,
+    });
+    return id;
+  }
+
+  /**
+   * @throws PolymarketError RISK_LIMIT_EXCEEDED
+   */
+  checkSplit(conditionId: string, amount: number): void {
+    const reject = (limit: RiskLimit, reason: string) => this.reject({ action: 'split', limit, reason, conditionId });
+    this.checkCommon(true, amount, reject);
+
+    const { maxMarketNotional, maxPosition } = this.limits;
+    const exposure = this.marketNotional.get(conditionId) ?? 0;
+    if (maxMarketNotional !== undefined && exposure + amount > maxMarketNotional + EPSILON) {
+      reject('maxMarketNotional', `Market notional ${(exposure + amount).toFixed(2)} would exceed ${maxMarketNotional}`);
+    }
+    for (const tokenId of this.conditionTokens.get(conditionId) ?? []) {
+      const next = (this.positions.get(tokenId)?.size ?? 0) + amount;
+      if (maxPosition !== undefined && Math.abs(next) > maxPosition + EPSILON) {
+        reject('maxPosition', `Position ${next.toFixed(2)} would exceed ${maxPosition}`);
+      }
+    }
+  }
+
+  /**
+   * Merges only reduce risk, so only the kill switch applies
+   * @throws PolymarketError RISK_LIMIT_EXCEEDED
+   */
+  checkMerge(conditionId: string): void {
+    this.checkCommon(false, 0, (limit, reason) => this.reject({ action: 'merge', limit, reason, conditionId }));
+  }
+
+  // ===== Recording =====
+
+  /**
+   * Link a reservation to the order ID the exchange assigned
+   */
+  attachOrder(reservationId: string, orderId: string): void {
+    const reservation = this.reservations.get(reservationId);
+    if (!reservation) return;
+    reservation.orderId = orderId;
+    this.orderReservations.set(orderId, reservationId);
+  }
+
+  /**
+   * Whether an order still holds a reservation
+   */
+  hasOrder(orderId: string): boolean {
+    return this.orderReservations.has(orderId);
+  }
+
+  /**
+   * Order IDs that still hold a reservation
+   */
+  getOrderIds(): string[] {
+    return Array.from(this.orderReservations.keys());
+  }
+
+  /**
+   * Book a fill of a reserved order; fills of orders the engine did not reserve are ignored
+   * @param id - Reservation or order ID
+   * @param price - Fill price (default: the order's limit price, 1 for unpriced BUYs, 0 for unpriced SELLs)
+   */
+  recordFill(id: string, size: number, price?: number): void {
+    const reservationId = this.orderReservations.get(id) ?? id;
+    const reservation = this.reservations.get(reservationId);
+    if (!reservation || size <= 0) return;
+
+    this.rollDay();
+    const value = size * (price ?? reservation.fillPrice);
+    if (reservation.side === 'BUY') {
+      this.dailySpend += value;
+      this.addPosition(reservation.tokenId, size, value);
+    } else {
+      this.reducePosition(reservation.tokenId, size, value);
+    }
+    reservation.filled += size;
+    reservation.size -= size;
+    if (reservation.size <= EPSILON) this.releaseOrder(reservationId);
+  }
+
+  /**
+   * Catch up with an order's state: book fills not recorded yet at the limit
+   * price, and release the unfilled part once the order is no longer open
+   * @param filledSize - Total shares filled so far
+   */
+  syncOrder(orderId: string, filledSize: number, open: boolean): void {
+    const reservation = this.reservations.get(this.orderReservations.get(orderId) ?? orderId);
+    if (!reservation) return;
+    const unbooked = Math.min(filledSize - reservation.filled, reservation.size);
+    if (unbooked > EPSILON) this.recordFill(orderId, unbooked);
+    if (!open) this.releaseOrder(orderId);
+  }
+
+  /**
+   * Drop what is left of a reservation (order rejected, cancelled or expired)
+   * @param id - Reservation or order ID
+   */
+  releaseOrder(id: string): void {
+    const reservationId = this.orderReservations.get(id) ?? id;
+    const orderId = this.reservations.get(reservationId)?.orderId;
+    if (orderId !== undefined) this.orderReservations.delete(orderId);
+    this.reservations.delete(reservationId);
+  }
+
+  /**
+   * Record an order that filled completely without a reservation
+   */
+  recordOrder(order: RiskOrder): void {
+    this.rollDay();
+    // Filled, so an unpriced BUY is booked at 1 like a reservation's fills, not sized at the smallest tick
+    const { size, notional } = this.orderAmounts({ ...order, price: order.side === 'BUY' ? order.price ?? 1 : order.price });
+    if (order.side === 'BUY') {
+      this.dailySpend += notional;
+      this.addPosition(order.tokenId, size, notional);
+    } else {
+      this.reducePosition(order.tokenId, size, size * (order.price ?? 0));
+    }
+  }
+
+  recordSplit(conditionId: string, amount: number): void {
+    this.rollDay();
+    this.dailySpend += amount;
+    const tokens = this.conditionTokens.get(conditionId);
+    if (!tokens) {
+      this.addMarketNotional(conditionId, amount);
+      return;
+    }
+    // One USDC buys one of each, so each side costs half
+    for (const tokenId of tokens) this.addPosition(tokenId, amount, amount / 2);
+  }
+
+  recordMerge(conditionId: string, amount: number): void {
+    this.rollDay();
+    const tokens = this.conditionTokens.get(conditionId);
+    if (!tokens) {
+      this.addMarketNotional(conditionId, -amount);
+      return;
+    }
+    // Each pair pays out 1 USDC, split evenly across both legs
+    for (const tokenId of tokens) this.reducePosition(tokenId, amount, amount / 2);
+  }
+
+  /**
+   * Book realized PnL the engine cannot see (redeems, fees, manual trades)
+   */
+  recordPnl(amount: number): void {
+    this.rollDay();
+    this.dailyPnl += amount;
+  }
+
+  // ===== Kill Switch =====
+
+  /**
+   * Block every order, split and merge and cancel all open orders
+   */
+  async activateKillSwitch(reason = 'manual'): Promise<void> {
+    if (!this.killSwitch) {
+      this.killSwitch = { reason, activatedAt: Date.now() };
+      this.logger.warn('Kill switch activated', { reason });
+      this.emit('killSwitch', { active: true, reason });
+    }
+
+    const results = await Promise.allSettled(Array.from(this.cancellers, (cancel) => cancel()));
+    for (const result of results) {
+      if (result.status === 'rejected') {
+        this.logger.error('Cancel all orders failed', errorFields(result.reason));
+      }
+    }
+  }
+
+  releaseKillSwitch(): void {
+    if (!this.killSwitch) return;
+    this.killSwitch = null;
+    this.logger.info('Kill switch released');
+    this.emit('killSwitch', { active: false });
+  }
+
+  isKilled(): boolean {
+    return this.killSwitch !== null;
+  }
+
+  getState(): RiskState {
+    this.rollDay();
+    const positions: RiskState['positions'] = {};
+    for (const [tokenId, p] of this.positions) {
+      positions[tokenId] = { size: p.size, avgPrice: p.size > EPSILON ? p.cost / p.size : 0 };
+    }
+    return {
+      killSwitch: { active: this.killSwitch !== null, ...this.killSwitch },
+      day: this.day,
+      dailySpend: this.dailySpend,
+      dailyPnl: this.dailyPnl,
+      positions,
+      marketNotional: Object.fromEntries(this.marketNotional),
+      reservedSpend: sumReserved(Array.from(this.reservations.values()).filter((r) => r.side === 'BUY')),
+      reservedOrders: this.reservations.size,
+    };
+  }
+
+  // ===== Private Methods =====
+
+  private checkCommon(
+    increasesRisk: boolean,
+    notional: number,
+    reject: (limit: RiskLimit, reason: string) => never,
+    pending: Reservation[] = this.pendingReservations()
+  ): void {
+    this.rollDay();
+    if (this.killSwitch) reject('killSwitch', `Kill switch active: ${this.killSwitch.reason}`);
+    if (!increasesRisk) return;
+
+    const { maxDailySpend, maxDailyLoss } = this.limits;
+    if (maxDailyLoss !== undefined && -this.dailyPnl >= maxDailyLoss) {
+      reject('maxDailyLoss', `Daily loss ${(-this.dailyPnl).toFixed(2)} reached ${maxDailyLoss}`);
+    }
+    const spend = this.dailySpend + sumReserved(pending.filter((r) => r.side === 'BUY')) + notional;
+    if (maxDailySpend !== undefined && spend > maxDailySpend + EPSILON) {
+      reject('maxDailySpend', `Daily spend ${spend.toFixed(2)} would exceed ${maxDailySpend}`);
+    }
+  }
+
+  /** Unfilled reservations, leaving out the order being replaced */
+  private pendingReservations(replacingOrderId?: string): Reservation[] {
+    const excluded = replacingOrderId === undefined ? undefined : this.orderReservations.get(replacingOrderId);
+    return Array.from(this.reservations.entries())
+      .filter(([id]) => id !== excluded)
+      .map(([, reservation]) => reservation);
+  }
+
+  private reject(rejection: RiskRejection): never {
+    this.logger.warn('Risk check rejected', { ...rejection });
+    this.emit('rejected', rejection);
+    throw new PolymarketError(ErrorCode.RISK_LIMIT_EXCEEDED, `Risk limit ${rejection.limit}: ${rejection.reason}`);
+  }
+
+  private orderAmounts(order: RiskOrder): { size: number; notional: number } {
+    if ('size' in order) return { size: order.size, notional: order.size * (order.price ?? 1) };
+    // Market orders: BUY amounts are USDC, SELL amounts are shares
+    return order.side === 'BUY'
+      ? { size: order.amount / (order.price || MIN_PRICE), notional: order.amount }
+      : { size: order.amount, notional: order.amount * (order.price ?? 1) };
+  }
+
+  private addPosition(tokenId: string, size: number, cost: number): void {
+    const position = this.positions.get(tokenId) ?? { size: 0, cost: 0 };
+    this.positions.set(tokenId, { size: position.size + size, cost: position.cost + cost });
+    this.addMarketNotional(this.marketKey(tokenId), cost);
+  }
+
+  /**
+   * Sell / merge `size` shares for `proceeds`; the long part realizes PnL
+   * against the average cost, anything beyond goes short
+   */
+  private reducePosition(tokenId: string, size: number, proceeds: number): void {
+    const position = this.positions.get(tokenId) ?? { size: 0, cost: 0 };
+    const closed = Math.min(size, Math.max(0, position.size));
+    const releasedCost = closed > 0 ? position.cost * (closed / position.size) : 0;
+    if (closed > 0) this.dailyPnl += proceeds * (closed / size) - releasedCost;
+
+    this.positions.set(tokenId, { size: position.size - size, cost: position.cost - releasedCost });
+    this.addMarketNotional(this.marketKey(tokenId), -releasedCost);
+  }
+
+  private addMarketNotional(key: string, delta: number): void {
+    const next = (this.marketNotional.get(key) ?? 0) + delta;
+    this.marketNotional.set(key, next > EPSILON ? next : 0);
+  }
+
+  private marketKey(tokenId: string): string {
+    return this.tokenMarkets.get(tokenId) ?? tokenId;
+  }
+
+  private rollDay(): void {
+    const today = utcDay();
+    if (today === this.day) return;
+    this.day = today;
+    this.dailySpend = 0;
+    this.dailyPnl = 0;
+  }
+}
+
+/** USDC value of the unfilled part of reservations */
+function sumReserved(reservations: Reservation[]): number {
+  return reservations.reduce((total, r) => total + r.size * r.price, 0);
+}
+
+function utcDay(): string {
+  return new Date().toISOString().slice(0, 10);
+}
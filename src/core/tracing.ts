@@ -0,0 +1,181 @@
+/**
+ * Tracing Hooks
+ *
+ * Span-style hooks around outbound HTTP requests and on-chain transactions
+ * (name, kind, attributes, duration, outcome) for latency dashboards.
+ * Hooks are plain callbacks, so they can feed OpenTelemetry, Prometheus
+ * histograms or a simple log line.
+ *
+ * @example
+ * ```typescript
+ * const sdk = new PolymarketSDK({
+ *   tracer: {
+ *     onSpanEnd: (span) => histogram.observe(
+ *       { name: span.name, outcome: span.outcome },
+ *       span.durationMs
+ *     ),
+ *   },
+ * });
+ * ```
+ */
+
+import type { providers } from 'ethers';
+import type { LogFields } from './logger.js';
+import { getErrorMessage } from './error-classifier.js';
+import type { HttpTransport, HttpRequestInit, HttpResponse } from './transport.js';
+
+// ===== Types =====
+
+/**
+ * - `http`: outbound API request
+ * - `tx`: on-chain transaction (send + confirmation)
+ */
+export type SpanKind = 'http' | 'tx';
+
+export interface SpanStartEvent {
+  name: string;
+  kind: SpanKind;
+  attributes: LogFields;
+  /** Epoch ms */
+  startTime: number;
+}
+
+export interface SpanEndEvent extends SpanStartEvent {
+  durationMs: number;
+  outcome: 'ok' | 'error';
+  /** Error message when outcome is 'error' */
+  error?: string;
+}
+
+export interface Tracer {
+  onSpanStart?(span: SpanStartEvent): void;
+  onSpanEnd?(span: SpanEndEvent): void;
+}
+
+/**
+ * Handle passed to the traced function
+ */
+export interface Span {
+  readonly name: string;
+  setAttributes(attributes: LogFields): void;
+  /** Mark the span failed without throwing (e.g. rejected orders returned as results) */
+  setError(error: unknown): void;
+}
+
+// ===== Spans =====
+
+/**
+ * Run `fn` inside a span. Thrown errors mark the span failed and are rethrown.
+ * Exceptions from tracer hooks are swallowed so tracing never breaks a call.
+ */
+export async function traceSpan<T>(
+  tracer: Tracer | undefined,
+  name: string,
+  kind: SpanKind,
+  attributes: LogFields,
+  fn: (span: Span) => Promise<T>
+): Promise<T> {
+  const start: SpanStartEvent = { name, kind, attributes: { ...attributes }, startTime: Date.now() };
+  let error: string | undefined;
+  const span: Span = {
+    name,
+    setAttributes: (more) => Object.assign(start.attributes, more),
+    setError: (e) => {
+      error = getErrorMessage(e);
+    },
+  };
+
+  if (tracer?.onSpanStart) safeHook(() => tracer.onSpanStart!(start));
+  try {
+    return await fn(span);
+  } catch (e) {
+    span.setError(e);
+    throw e;
+  } finally {
+    if (tracer?.onSpanEnd) {
+      const end: SpanEndEvent = {
+        ...start,
+        durationMs: Date.now() - start.startTime,
+        outcome: error === undefined ? 'ok' : 'error',
+        ...(error !== undefined && { error }),
+      };
+      safeHook(() => tracer.onSpanEnd!(end));
+    }
+  }
+}
+
+/**
+ * Send a transaction and wait for its receipt inside a `tx` span
+ * (attributes gain txHash, blockNumber and gasUsed)
+ *
+ * @param send - Submits the transaction (e.g. `() => contract.approve(...)`)
+ */
+export async function traceTransaction(
+  tracer: Tracer | undefined,
+  name: string,
+  attributes: LogFields,
+  send: () => Promise<providers.TransactionResponse>,
+  confirmations?: number
+): Promise<providers.TransactionReceipt> {
+  return traceSpan(tracer, name, 'tx', attributes, async (span) => {
+    const tx = await send();
+    span.setAttributes({ txHash: tx.hash });
+    const receipt = await tx.wait(confirmations);
+    span.setAttributes({
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+    });
+    return receipt;
+  });
+}
+
+// ===== Tracing Transport =====
+
+/**
+ * Replace id-like path segments so span names stay low-cardinality
+ * (`/markets/0xabc…` → `/markets/:id`)
+ */
+function normalizePath(pathname: string): string {
+  return pathname
+    .split('/')
+    .map((segment) => (/^(0x[0-9a-fA-F]+|\d+)$/.test(segment) || segment.length > 40 ? ':id' : segment))
+    .join('/');
+}
+
+/**
+ * Transport wrapper that records an `http` span per request.
+ * Non-2xx responses are reported with outcome `error`.
+ */
+export class TracingTransport implements HttpTransport {
+  constructor(
+    private inner: HttpTransport,
+    private tracer: Tracer
+  ) {}
+
+  async request(url: string, init?: HttpRequestInit): Promise<HttpResponse> {
+    const method = (init?.method || 'GET').toUpperCase();
+    const parsed = new URL(url);
+    const path = normalizePath(parsed.pathname);
+
+    return traceSpan(
+      this.tracer,
+      `${method} ${parsed.hostname}${path}`,
+      'http',
+      { method, host: parsed.hostname, path },
+      async (span) => {
+        const response = await this.inner.request(url, init);
+        span.setAttributes({ status: response.status });
+        if (!response.ok) span.setError(`HTTP ${response.status}`);
+        return response;
+      }
+    );
+  }
+}
+
+function safeHook(hook: () => void): void {
+  try {
+    hook();
+  } catch {
+    // Tracing must never break the traced call
+  }
+}
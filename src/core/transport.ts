@@ -0,0 +1,245 @@
+/**
+ * HTTP Transport
+ *
+ * All API clients issue their HTTP requests through an `HttpTransport`
+ * instead of calling `fetch` directly. This makes it possible to:
+ * - Record real API responses to JSON fixtures (`RecordingTransport`)
+ * - Replay recorded fixtures offline in unit tests / CI (`ReplayTransport`)
+ * - Plug in a custom HTTP stack (proxies, custom agents, instrumentation)
+ *
+ * @example
+ * ```typescript
+ * // Record live responses once
+ * const sdk = new PolymarketSDK({
+ *   transport: new RecordingTransport({ fixturesDir: './fixtures' }),
+ * });
+ * await sdk.gammaApi.getTrendingMarkets(5);
+ *
+ * // Replay them later without network access
+ * const offline = new PolymarketSDK({
+ *   transport: new ReplayTransport({ fixturesDir: './fixtures' }),
+ * });
+ * ```
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { createHash } from 'crypto';
+import { PolymarketError, ErrorCode } from './errors.js';
+
+// ===== Types =====
+
+/**
+ * Request options accepted by a transport (subset of `RequestInit`)
+ */
+export interface HttpRequestInit {
+  method?: string;
+  headers?: Record<string, string>;
+  body?: string;
+  signal?: AbortSignal;
+}
+
+/**
+ * Response returned by a transport (subset of the Fetch API `Response`)
+ */
+export interface HttpResponse {
+  ok: boolean;
+  status: number;
+  headers?: { get(name: string): string | null };
+  json(): Promise<unknown>;
+  text?(): Promise<string>;
+}
+
+/**
+ * Pluggable HTTP transport used by all API clients
+ */
+export interface HttpTransport {
+  request(url: string, init?: HttpRequestInit): Promise<HttpResponse>;
+}
+
+/**
+ * A recorded request/response pair, as stored on disk
+ */
+export interface HttpFixture {
+  request: {
+    method: string;
+    url: string;
+    body?: string;
+  };
+  response: {
+    status: number;
+    headers?: Record<string, string>;
+    body: unknown;
+  };
+}
+
+// ===== Fetch Transport =====
+
+/**
+ * Default transport backed by the global `fetch`
+ */
+export class FetchTransport implements HttpTransport {
+  async request(url: string, init?: HttpRequestInit): Promise<HttpResponse> {
+    // Resolve `fetch` at call time so test doubles assigned to
+    // `global.fetch` after construction are still picked up
+    return fetch(url, init);
+  }
+}
+
+// ===== Fixture helpers =====
+
+/**
+ * Build the fixture file name for a request.
+ *
+ * The name is a readable slug of the URL path plus a short hash of
+ * method + full URL + body, so query variants never collide.
+ */
+export function getFixtureName(method: string, url: string, body?: string): string {
+  const parsed = new URL(url);
+  const slug = `${method.toUpperCase()}_${parsed.hostname}${parsed.pathname}`
+    .replace(/[^a-zA-Z0-9]+/g, '_')
+    .replace(/_+$/, '')
+    .slice(0, 80);
+  const hash = createHash('sha1')
+    .update(`${method.toUpperCase()} ${url}\n${body ?? ''}`)
+    .digest('hex')
+    .slice(0, 10);
+  return `${slug}_${hash}.json`;
+}
+
+function createFixtureResponse(fixture: HttpFixture): HttpResponse {
+  const headers = fixture.response.headers || {};
+  const lowerHeaders = Object.fromEntries(
+    Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])
+  );
+  const body = fixture.response.body;
+
+  return {
+    ok: fixture.response.status >= 200 && fixture.response.status < 300,
+    status: fixture.response.status,
+    headers: { get: (name: string) => lowerHeaders[name.toLowerCase()] ?? null },
+    json: async () => (typeof body === 'string' ? JSON.parse(body) : body),
+    text: async () => (typeof body === 'string' ? body : JSON.stringify(body)),
+  };
+}
+
+// ===== Recording Transport =====
+
+export interface RecordingTransportOptions {
+  /** Directory fixtures are written to (created if missing) */
+  fixturesDir: string;
+  /** Underlying transport that performs the real request (default: FetchTransport) */
+  inner?: HttpTransport;
+  /** Headers to persist in fixtures (default: content-type, retry-after) */
+  recordHeaders?: string[];
+}
+
+/**
+ * Transport that forwards requests to a real transport and writes every
+ * response to a JSON fixture for later replay.
+ */
+export class RecordingTransport implements HttpTransport {
+  private inner: HttpTransport;
+  private fixturesDir: string;
+  private recordHeaders: string[];
+
+  constructor(options: RecordingTransportOptions) {
+    this.inner = options.inner || new FetchTransport();
+    this.fixturesDir = options.fixturesDir;
+    this.recordHeaders = (options.recordHeaders || ['content-type', 'retry-after']).map((h) =>
+      h.toLowerCase()
+    );
+  }
+
+  async request(url: string, init?: HttpRequestInit): Promise<HttpResponse> {
+    const method = (init?.method || 'GET').toUpperCase();
+    const response = await this.inner.request(url, init);
+
+    // Read the body once, then hand back a replayable response
+    const raw = response.text ? await response.text() : JSON.stringify(await response.json());
+    let body: unknown = raw;
+    try {
+      body = JSON.parse(raw);
+    } catch {
+      // Non-JSON body, keep as text
+    }
+
+    const headers: Record<string, string> = {};
+    for (const name of this.recordHeaders) {
+      const value = response.headers?.get(name);
+      if (value != null) headers[name] = value;
+    }
+
+    const fixture: HttpFixture = {
+      request: { method, url, ...(init?.body !== undefined && { body: init.body }) },
+      response: { status: response.status, headers, body },
+    };
+
+    await fs.promises.mkdir(this.fixturesDir, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(this.fixturesDir, getFixtureName(method, url, init?.body)),
+      JSON.stringify(fixture, null, 2)
+    );
+
+    return createFixtureResponse(fixture);
+  }
+}
+
+// ===== Replay Transport =====
+
+export interface ReplayTransportOptions {
+  /** Directory containing fixtures written by RecordingTransport */
+  fixturesDir?: string;
+  /** In-memory fixtures (take precedence over fixturesDir) */
+  fixtures?: HttpFixture[];
+}
+
+/**
+ * Transport that serves previously recorded fixtures without network access.
+ *
+ * Requests without a matching fixture fail with `NETWORK_ERROR` so missing
+ * recordings surface loudly instead of silently hitting the live API.
+ */
+export class ReplayTransport implements HttpTransport {
+  private fixturesDir?: string;
+  private fixtures = new Map<string, HttpFixture>();
+
+  constructor(options: ReplayTransportOptions) {
+    this.fixturesDir = options.fixturesDir;
+    for (const fixture of options.fixtures || []) {
+      this.addFixture(fixture);
+    }
+  }
+
+  /**
+   * Register an in-memory fixture
+   */
+  addFixture(fixture: HttpFixture): void {
+    const { method, url, body } = fixture.request;
+    this.fixtures.set(getFixtureName(method, url, body), fixture);
+  }
+
+  async request(url: string, init?: HttpRequestInit): Promise<HttpResponse> {
+    const method = (init?.method || 'GET').toUpperCase();
+    const name = getFixtureName(method, url, init?.body);
+
+    let fixture = this.fixtures.get(name);
+    if (!fixture && this.fixturesDir) {
+      try {
+        const content = await fs.promises.readFile(path.join(this.fixturesDir, name), 'utf-8');
+        fixture = JSON.parse(content) as HttpFixture;
+      } catch {
+        // Fall through to the error below
+      }
+    }
+
+    if (!fixture) {
+      throw new PolymarketError(
+        ErrorCode.NETWORK_ERROR,
+        `No recorded fixture for ${method} ${url} (expected ${name})`
+      );
+    }
+
+    return createFixtureResponse(fixture);
+  }
+}
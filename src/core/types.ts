@@ -3,6 +3,13 @@
  */
 
 import type { CacheAdapter } from './cache-adapter-types.js';
+import type { HttpTransport } from './transport.js';
+import type { UnifiedCacheOptions } from './unified-cache.js';
+import type { RateLimiterOptions } from './rate-limiter.js';
+import type { Logger } from './logger.js';
+import type { Tracer } from './tracing.js';
+import type { ValidationMode } from './validation.js';
+import type { ActivityStoreOptions } from '../services/activity-store.js';
 
 /**
  * SDK Configuration Options
@@ -34,6 +41,12 @@ export interface PolySDKOptions {
    */
   cache?: CacheAdapter;
 
+  /**
+   * Cache behaviour: stale-while-revalidate window and per-key TTL overrides
+   * (applies to both the internal cache and an external adapter).
+   */
+  cacheOptions?: UnifiedCacheOptions;
+
   /**
    * Blockchain chain ID (default: 137 for Polygon mainnet)
    */
@@ -52,11 +65,74 @@ export interface PolySDKOptions {
     secret: string;
     passphrase: string;
   };
+
+  /**
+   * Optional HTTP transport shared by all API clients (default: global fetch).
+   * Use RecordingTransport / ReplayTransport to record and replay fixtures.
+   */
+  transport?: HttpTransport;
+
+  /**
+   * Rate limits, retry policies and circuit breaker settings per API
+   */
+  rateLimiter?: RateLimiterOptions;
+
+  /**
+   * Structured logger used by all clients and services (default: ConsoleLogger).
+   * Pass `silentLogger` to disable SDK logging.
+   */
+  logger?: Logger;
+
+  /**
+   * Tracing hooks called around every outbound HTTP request
+   * (name, duration, outcome) for latency dashboards
+   */
+  tracer?: Tracer;
+
+  /**
+   * Schema validation of API payloads. 'lenient' (default) returns the data
+   * and emits `invalidResponse` warnings; 'strict' throws INVALID_RESPONSE.
+   */
+  validation?: {
+    mode?: ValidationMode;
+  };
+
+  /**
+   * Keep a local per-wallet activity store (`sdk.activityStore`). Wallet
+   * profiles and period stats then sync only new records instead of
+   * re-paging the Data API. Pass `storage` to persist it.
+   */
+  activityStore?: ActivityStoreOptions;
 }
 
 // K-Line interval types
 export type KLineInterval = '30s' | '1m' | '5m' | '15m' | '30m' | '1h' | '4h' | '12h' | '1d';
 
+/**
+ * K-Line candle source
+ * - trades: aggregate Data API trades (candles only where trades happened)
+ * - priceHistory: CLOB price history (covers quiet periods, no volume)
+ * - merged: trade candles, with price history filling the buckets without trades
+ */
+export type KLineSource = 'trades' | 'priceHistory' | 'merged';
+
+export interface KLineOptions {
+  /** Max trades to aggregate (default: 1000 without a range, unlimited with one) */
+  limit?: number;
+  /** Token to chart (default: all trades for 'trades', the YES token otherwise) */
+  tokenId?: string;
+  /** Outcome to chart when no tokenId is given (0 = YES, 1 = NO) */
+  outcomeIndex?: number;
+  /** Candle source (default: 'trades') */
+  source?: KLineSource;
+  /** Range start (Unix ms; default for price history: 500 candles before endTime) */
+  startTime?: number;
+  /** Range end (Unix ms; default: now) */
+  endTime?: number;
+  /** Fill buckets without data with flat candles (default: false for 'trades', true otherwise) */
+  fillGaps?: boolean;
+}
+
 // K-Line candle data
 export interface KLineCandle {
   timestamp: number;
@@ -316,6 +392,8 @@ export interface BookUpdate {
   bids: Array<{ price: number; size: number }>;
   asks: Array<{ price: number; size: number }>;
   timestamp: number;
+  /** Server book hash, when known */
+  hash?: string;
 }
 
 // Unified market type (merged from Gamma and CLOB)
@@ -343,6 +421,49 @@ export interface UnifiedMarket {
   source: 'gamma' | 'clob' | 'merged';
 }
 
+// One outcome of an event: a child market with its own YES/NO token pair
+export interface UnifiedEventOutcome {
+  /** Outcome label within the event (Gamma groupItemTitle, falls back to the question) */
+  name: string;
+  conditionId: string;
+  slug: string;
+  question: string;
+  tokens: {
+    yes: { tokenId: string; price: number };
+    no: { tokenId: string; price: number };
+  };
+  /** Best bid / ask for YES (from Gamma API) */
+  bestBid?: number;
+  bestAsk?: number;
+  negRisk: boolean;
+  volume: number;
+  liquidity: number;
+  active: boolean;
+  closed: boolean;
+  acceptingOrders: boolean;
+  source: 'gamma' | 'merged';
+}
+
+// Unified event type (Gamma event with every child market merged with CLOB)
+export interface UnifiedEvent {
+  id: string;
+  slug: string;
+  title: string;
+  description?: string;
+  /** Outcomes are mutually exclusive: exactly one child market resolves YES */
+  negRisk: boolean;
+  outcomes: UnifiedEventOutcome[];
+  /**
+   * Sum of YES prices across outcomes. ~1 for a fairly priced neg-risk event;
+   * above 1 the YES side is overpriced, below 1 underpriced.
+   */
+  impliedProbabilitySum: number;
+  volume: number;
+  liquidity: number;
+  startDate?: Date;
+  endDate?: Date;
+}
+
 // Helper to convert interval to milliseconds
 export function getIntervalMs(interval: KLineInterval): number {
   const map: Record<KLineInterval, number> = {
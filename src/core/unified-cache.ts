@@ -11,6 +11,7 @@
 
 import type { CacheAdapter } from './cache-adapter-types.js';
 import { Cache, CACHE_TTL } from './cache.js';
+import { ConsoleLogger, errorFields, type Logger } from './logger.js';
 
 /**
  * Unified cache interface that works with both legacy Cache and CacheAdapter
@@ -19,42 +20,428 @@ import { Cache, CACHE_TTL } from './cache.js';
  * - Async API (compatible with CacheAdapter)
  * - Millisecond TTL (compatible with existing SDK code)
  * - getOrSet helper for cache-aside pattern
+ * - Concurrent getOrSet calls for the same key share one factory call
  */
 export interface UnifiedCache {
   get<T>(key: string): Promise<T | undefined>;
-  set<T>(key: string, value: T, ttlMs: number): Promise<void>;
-  getOrSet<T>(key: string, ttlMs: number, factory: () => Promise<T>): Promise<T>;
+  set<T>(key: string, value: T, ttlMs: number, options?: CacheEntryOptions<T>): Promise<void>;
+  getOrSet<T>(
+    key: string,
+    ttlMs: number,
+    factory: () => Promise<T>,
+    options?: CacheEntryOptions<T>
+  ): Promise<T>;
   invalidate(pattern: string): Promise<void>;
+  /** Remove every entry carrying any of the given tags */
+  invalidateTags(tags: string | string[]): Promise<void>;
+  /** Hit/miss/eviction/byte counters per key namespace */
+  getMetrics(): CacheMetrics;
+  resetMetrics(): void;
   clear(): void;
 }
 
 /**
- * Wraps the legacy Cache class to provide async interface
+ * Per-entry options for set / getOrSet
+ */
+export interface CacheEntryOptions<T> {
+  /**
+   * Entity tags for precise invalidation (see {@link CacheTags}).
+   * A function receives the value, so tags can depend on the fetched data.
+   */
+  tags?: string[] | ((value: T) => string[]);
+}
+
+/**
+ * Tag builders for the entities cached by the SDK
+ *
+ * @example
+ * ```typescript
+ * await cache.invalidateTags(CacheTags.market(conditionId));
+ * ```
+ */
+export const CacheTags = {
+  market: (conditionId: string) => `market:${conditionId.toLowerCase()}`,
+  token: (tokenId: string) => `token:${tokenId}`,
+  wallet: (address: string) => `wallet:${address.toLowerCase()}`,
+  event: (eventId: string) => `event:${eventId}`,
+};
+
+/**
+ * Counters for one key namespace
+ */
+export interface CacheNamespaceMetrics {
+  hits: number;
+  misses: number;
+  /** Entries that expired or were evicted by the backend */
+  evictions: number;
+  /** Entries removed through invalidate / invalidateTags */
+  invalidations: number;
+  /** Entries currently tracked */
+  entries: number;
+  /** Approximate serialized size of tracked entries */
+  bytes: number;
+}
+
+/**
+ * Metrics keyed by namespace (e.g. `clob:market`, `leaderboard:week`)
+ */
+export type CacheMetrics = Record<string, CacheNamespaceMetrics>;
+
+/**
+ * Options shared by all UnifiedCache implementations
+ */
+export interface UnifiedCacheOptions {
+  /**
+   * Stale-while-revalidate window in ms (default: 0 = disabled).
+   *
+   * When enabled, getOrSet serves an expired entry immediately for up to
+   * this long after expiry, while a single background refresh runs.
+   */
+  staleWhileRevalidateMs?: number;
+
+  /**
+   * Per-key TTL overrides in ms, keyed by cache key prefix.
+   * The longest matching prefix wins over the TTL passed by the caller
+   * (usually a CACHE_TTL constant).
+   *
+   * @example
+   * ```typescript
+   * { 'clob:market:': 5 * 60 * 1000, 'clob:book:': 1000 }
+   * ```
+   */
+  ttlOverrides?: Record<string, number>;
+
+  /**
+   * Map a key to its metrics namespace
+   * (default: first two `:`-separated segments, e.g. `clob:market`)
+   */
+  namespaceOf?: (key: string) => string;
+
+  /** Logger for background refresh failures and adapter limitations */
+  logger?: Logger;
+}
+
+/**
+ * Envelope stored when stale-while-revalidate is enabled, so the logical
+ * expiry survives in backends that only know about a single TTL.
+ */
+interface SwrEnvelope<T> {
+  __polySdkSwr: true;
+  value: T;
+  expiresAt: number;
+}
+
+function isSwrEnvelope<T>(value: unknown): value is SwrEnvelope<T> {
+  return (
+    typeof value === 'object' &&
+    value !== null &&
+    (value as SwrEnvelope<T>).__polySdkSwr === true
+  );
+}
+
+function defaultNamespaceOf(key: string): string {
+  return key.split(':').slice(0, 2).join(':');
+}
+
+function estimateBytes(value: unknown): number {
+  try {
+    return Buffer.byteLength(JSON.stringify(value) ?? '');
+  } catch {
+    return 0;
+  }
+}
+
+interface TrackedEntry {
+  tags: string[];
+  bytes: number;
+  /** When the backend drops the entry (unix ms) */
+  expiresAt: number;
+}
+
+/** How often writes sweep expired keys out of the tag index */
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Shared getOrSet logic: TTL overrides, in-flight coalescing,
+ * stale-while-revalidate, tags and metrics.
+ * Subclasses only provide raw storage access.
+ *
+ * @remarks
+ * The tag index and metrics live in this process. With a shared external
+ * adapter (e.g. Redis), tag invalidation only covers entries written by
+ * this instance.
  */
-export class LegacyCacheWrapper implements UnifiedCache {
-  constructor(private cache: Cache) { }
+abstract class BaseUnifiedCache implements UnifiedCache {
+  private inFlight: Map<string, Promise<unknown>> = new Map();
+  private staleWhileRevalidateMs: number;
+  private ttlOverrides: Array<[string, number]>;
+  private namespaceOf: (key: string) => string;
+  private entries: Map<string, TrackedEntry> = new Map();
+  private tagIndex: Map<string, Set<string>> = new Map();
+  private nextPruneAt = 0;
+  private metrics: CacheMetrics = {};
+  protected logger: Logger;
+
+  constructor(options: UnifiedCacheOptions = {}) {
+    this.logger = (options.logger ?? new ConsoleLogger()).child({ component: 'UnifiedCache' });
+    this.staleWhileRevalidateMs = options.staleWhileRevalidateMs || 0;
+    // Longest prefix first so the most specific override wins
+    this.ttlOverrides = Object.entries(options.ttlOverrides || {}).sort(
+      (a, b) => b[0].length - a[0].length
+    );
+    this.namespaceOf = options.namespaceOf || defaultNamespaceOf;
+  }
+
+  protected abstract rawGet(key: string): Promise<unknown>;
+  protected abstract rawSet(key: string, value: unknown, ttlMs: number): Promise<void>;
+  protected abstract rawDelete(key: string): Promise<void>;
+  protected abstract rawInvalidate(pattern: string): Promise<void>;
+  protected abstract rawClear(): void;
 
   async get<T>(key: string): Promise<T | undefined> {
-    return this.cache.get<T>(key);
+    const entry = await this.readEntry<T>(key);
+    return entry?.fresh ? entry.value : undefined;
   }
 
-  async set<T>(key: string, value: T, ttlMs: number): Promise<void> {
-    this.cache.set(key, value, ttlMs);
+  async set<T>(key: string, value: T, ttlMs: number, options?: CacheEntryOptions<T>): Promise<void> {
+    await this.write(key, value, this.resolveTtl(key, ttlMs), options);
   }
 
   async getOrSet<T>(
     key: string,
     ttlMs: number,
-    factory: () => Promise<T>
+    factory: () => Promise<T>,
+    options?: CacheEntryOptions<T>
   ): Promise<T> {
-    return this.cache.getOrSet(key, ttlMs, factory);
+    const ttl = this.resolveTtl(key, ttlMs);
+    const entry = await this.readEntry<T>(key);
+
+    if (entry) {
+      if (!entry.fresh) {
+        // Serve stale, refresh once in the background (errors keep the stale value)
+        this.refresh(key, ttl, factory, options).catch((error) =>
+          this.logger.debug('Background refresh failed, serving stale value', { key, ...errorFields(error) })
+        );
+      }
+      return entry.value;
+    }
+
+    return this.refresh(key, ttl, factory, options);
   }
 
   async invalidate(pattern: string): Promise<void> {
-    this.cache.invalidate(pattern);
+    for (const key of this.inFlight.keys()) {
+      if (key.includes(pattern)) this.inFlight.delete(key);
+    }
+    for (const key of [...this.entries.keys()]) {
+      if (key.includes(pattern)) this.untrack(key, 'invalidations');
+    }
+    await this.rawInvalidate(pattern);
+  }
+
+  async invalidateTags(tags: string | string[]): Promise<void> {
+    const keys = new Set<string>();
+    for (const tag of Array.isArray(tags) ? tags : [tags]) {
+      for (const key of this.tagIndex.get(tag) || []) keys.add(key);
+    }
+
+    for (const key of keys) {
+      this.inFlight.delete(key);
+      this.untrack(key, 'invalidations');
+      await this.rawDelete(key);
+    }
+  }
+
+  getMetrics(): CacheMetrics {
+    return Object.fromEntries(
+      Object.entries(this.metrics).map(([ns, m]) => [ns, { ...m }])
+    );
+  }
+
+  resetMetrics(): void {
+    for (const m of Object.values(this.metrics)) {
+      m.hits = 0;
+      m.misses = 0;
+      m.evictions = 0;
+      m.invalidations = 0;
+    }
   }
 
   clear(): void {
+    this.inFlight.clear();
+    this.entries.clear();
+    this.tagIndex.clear();
+    for (const m of Object.values(this.metrics)) {
+      m.entries = 0;
+      m.bytes = 0;
+    }
+    this.rawClear();
+  }
+
+  /**
+   * Resolve the effective TTL for a key (per-key override or caller TTL)
+   */
+  protected resolveTtl(key: string, ttlMs: number): number {
+    const override = this.ttlOverrides.find(([prefix]) => key.startsWith(prefix));
+    return override ? override[1] : ttlMs;
+  }
+
+  private nsMetrics(key: string): CacheNamespaceMetrics {
+    const ns = this.namespaceOf(key);
+    let m = this.metrics[ns];
+    if (!m) {
+      m = { hits: 0, misses: 0, evictions: 0, invalidations: 0, entries: 0, bytes: 0 };
+      this.metrics[ns] = m;
+    }
+    return m;
+  }
+
+  /**
+   * Drop a key from the tag index and metrics
+   */
+  private untrack(key: string, reason: 'evictions' | 'invalidations' | null): void {
+    const tracked = this.entries.get(key);
+    if (!tracked) return;
+    this.entries.delete(key);
+    for (const tag of tracked.tags) {
+      const keys = this.tagIndex.get(tag);
+      keys?.delete(key);
+      if (keys && keys.size === 0) this.tagIndex.delete(tag);
+    }
+    const m = this.nsMetrics(key);
+    m.entries--;
+    m.bytes -= tracked.bytes;
+    if (reason) m[reason]++;
+  }
+
+  private track<T>(key: string, value: T, storedTtlMs: number, options?: CacheEntryOptions<T>): void {
+    this.pruneExpired();
+    this.untrack(key, null);
+    const tags =
+      typeof options?.tags === 'function' ? options.tags(value) : options?.tags || [];
+    const bytes = estimateBytes(value);
+    this.entries.set(key, { tags, bytes, expiresAt: Date.now() + storedTtlMs });
+    for (const tag of tags) {
+      let keys = this.tagIndex.get(tag);
+      if (!keys) {
+        keys = new Set();
+        this.tagIndex.set(tag, keys);
+      }
+      keys.add(key);
+    }
+    const m = this.nsMetrics(key);
+    m.entries++;
+    m.bytes += bytes;
+  }
+
+  /**
+   * Untrack keys the backend has expired by now, so keys that are never
+   * read again do not stay in the tag index forever
+   */
+  private pruneExpired(): void {
+    const now = Date.now();
+    if (now < this.nextPruneAt) return;
+    this.nextPruneAt = now + PRUNE_INTERVAL_MS;
+    for (const [key, tracked] of [...this.entries]) {
+      if (tracked.expiresAt <= now) this.untrack(key, 'evictions');
+    }
+  }
+
+  private async readEntry<T>(key: string): Promise<{ value: T; fresh: boolean } | undefined> {
+    const raw = await this.rawGet(key);
+    const m = this.nsMetrics(key);
+    if (raw === undefined || raw === null) {
+      m.misses++;
+      // Written by us but gone from the backend: expired or evicted
+      this.untrack(key, 'evictions');
+      return undefined;
+    }
+    m.hits++;
+    if (isSwrEnvelope<T>(raw)) {
+      return { value: raw.value, fresh: Date.now() <= raw.expiresAt };
+    }
+    return { value: raw as T, fresh: true };
+  }
+
+  private async write<T>(
+    key: string,
+    value: T,
+    ttlMs: number,
+    options?: CacheEntryOptions<T>
+  ): Promise<void> {
+    // TTL <= 0: coalesce concurrent requests only, never store
+    if (ttlMs <= 0) return;
+    this.track(key, value, ttlMs + this.staleWhileRevalidateMs, options);
+
+    if (this.staleWhileRevalidateMs > 0) {
+      const envelope: SwrEnvelope<T> = {
+        __polySdkSwr: true,
+        value,
+        expiresAt: Date.now() + ttlMs,
+      };
+      await this.rawSet(key, envelope, ttlMs + this.staleWhileRevalidateMs);
+    } else {
+      await this.rawSet(key, value, ttlMs);
+    }
+  }
+
+  /**
+   * Run the factory once per key; concurrent callers share the same promise.
+   * A call is only written back while it is still the key's in-flight call,
+   * so results fetched before an invalidate / clear are never stored.
+   */
+  private refresh<T>(
+    key: string,
+    ttlMs: number,
+    factory: () => Promise<T>,
+    options?: CacheEntryOptions<T>
+  ): Promise<T> {
+    const pending = this.inFlight.get(key);
+    if (pending) return pending as Promise<T>;
+
+    const promise = Promise.resolve()
+      .then(factory)
+      .then(async (value) => {
+        if (this.inFlight.get(key) === promise) await this.write(key, value, ttlMs, options);
+        return value;
+      })
+      .finally(() => {
+        if (this.inFlight.get(key) === promise) this.inFlight.delete(key);
+      });
+
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+}
+
+/**
+ * Wraps the legacy Cache class to provide async interface
+ */
+export class LegacyCacheWrapper extends BaseUnifiedCache {
+  constructor(
+    private cache: Cache,
+    options?: UnifiedCacheOptions
+  ) {
+    super(options);
+  }
+
+  protected async rawGet(key: string): Promise<unknown> {
+    return this.cache.get(key);
+  }
+
+  protected async rawSet(key: string, value: unknown, ttlMs: number): Promise<void> {
+    this.cache.set(key, value, ttlMs);
+  }
+
+  protected async rawDelete(key: string): Promise<void> {
+    this.cache.delete(key);
+  }
+
+  protected async rawInvalidate(pattern: string): Promise<void> {
+    this.cache.invalidate(pattern);
+  }
+
+  protected rawClear(): void {
     this.cache.clear();
   }
 }
@@ -66,17 +453,21 @@ export class LegacyCacheWrapper implements UnifiedCache {
  * - Converts milliseconds to seconds for TTL
  * - Returns undefined instead of null for missing keys
  * - Implements getOrSet helper
- * - Implements pattern-based invalidation (limited support)
+ * - Implements pattern-based invalidation (only if the adapter supports it)
  */
-export class CacheAdapterWrapper implements UnifiedCache {
-  constructor(private adapter: CacheAdapter) { }
+export class CacheAdapterWrapper extends BaseUnifiedCache {
+  constructor(
+    private adapter: CacheAdapter,
+    options?: UnifiedCacheOptions
+  ) {
+    super(options);
+  }
 
-  async get<T>(key: string): Promise<T | undefined> {
-    const value = await this.adapter.get<T>(key);
-    return value ?? undefined;
+  protected async rawGet(key: string): Promise<unknown> {
+    return this.adapter.get(key);
   }
 
-  async set<T>(key: string, value: T, ttlMs: number): Promise<void> {
+  protected async rawSet(key: string, value: unknown, ttlMs: number): Promise<void> {
     // Convert milliseconds to seconds
     const ttlSeconds = Math.ceil(ttlMs / 1000);
 
@@ -90,50 +481,38 @@ export class CacheAdapterWrapper implements UnifiedCache {
     }
   }
 
-  async getOrSet<T>(
-    key: string,
-    ttlMs: number,
-    factory: () => Promise<T>
-  ): Promise<T> {
-    const cached = await this.adapter.get<T>(key);
-    if (cached !== null) return cached;
-
-    const value = await factory();
-    const ttlSeconds = Math.ceil(ttlMs / 1000);
-
-    // Check if this is a CacheManager
-    if ('getStats' in this.adapter) {
-      // This is a CacheManager
-      await (this.adapter as any).set(key, value, { ttl: ttlSeconds });
-    } else {
-      // This is a regular CacheAdapter
-      await this.adapter.set(key, value, ttlSeconds);
-    }
-    return value;
+  protected async rawDelete(key: string): Promise<void> {
+    await this.adapter.del(key);
   }
 
-  async invalidate(pattern: string): Promise<void> {
+  protected async rawInvalidate(pattern: string): Promise<void> {
+    if (this.adapter.invalidate) {
+      await this.adapter.invalidate(pattern);
+      return;
+    }
     // CacheAdapter doesn't have pattern matching
     // Best we can do is warn - this is a limitation
-    console.warn(
-      `invalidate(pattern="${pattern}") not fully supported with external cache adapter`
-    );
+    this.logger.warn('invalidate(pattern) not supported by this cache adapter', { pattern });
   }
 
-  clear(): void {
+  protected rawClear(): void {
     void this.adapter.clear?.();
   }
 }
 
 /**
  * Create a UnifiedCache from either legacy Cache or CacheAdapter
+ *
+ * @param cache - Legacy Cache or CacheAdapter (default: new in-memory Cache)
+ * @param options - Stale-while-revalidate and per-key TTL override options
  */
 export function createUnifiedCache(
-  cache?: CacheAdapter | Cache
+  cache?: CacheAdapter | Cache,
+  options?: UnifiedCacheOptions
 ): UnifiedCache {
   if (!cache) {
     // No cache provided, create default legacy cache
-    return new LegacyCacheWrapper(new Cache());
+    return new LegacyCacheWrapper(new Cache(), options);
   }
 
   // Check if it's a CacheAdapter (has async get method)
@@ -141,12 +520,12 @@ export function createUnifiedCache(
     const testResult = cache.get('test');
     if (testResult instanceof Promise) {
       // It's a CacheAdapter
-      return new CacheAdapterWrapper(cache as CacheAdapter);
+      return new CacheAdapterWrapper(cache as CacheAdapter, options);
     }
   }
 
   // It's a legacy Cache
-  return new LegacyCacheWrapper(cache as Cache);
+  return new LegacyCacheWrapper(cache as Cache, options);
 }
 
 // Re-export CACHE_TTL for convenience
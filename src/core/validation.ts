@@ -0,0 +1,257 @@
+/**
+ * Response Validation
+ *
+ * Declarative schemas for upstream API payloads, checked before the
+ * `normalize*` layer casts and defaults fields. Without this, an upstream
+ * schema change shows up downstream as zero prices or empty token IDs.
+ *
+ * Two modes:
+ * - `lenient` (default): data is still returned, but every violation emits an
+ *   `invalidResponse` event and a (deduplicated) warning log naming the field
+ * - `strict`: the first invalid payload throws `INVALID_RESPONSE`
+ *
+ * @example
+ * ```typescript
+ * const sdk = new PolymarketSDK({ validation: { mode: 'strict' } });
+ *
+ * // Or stay lenient and alert on drift
+ * sdk.validator.on('invalidResponse', (e) => {
+ *   alert(`${e.schema}: ${e.issues.map((i) => i.path).join(', ')}`);
+ * });
+ * ```
+ */
+
+import { EventEmitter } from 'events';
+import { PolymarketError, ErrorCode } from './errors.js';
+import { ConsoleLogger, type Logger } from './logger.js';
+
+// ===== Schema Types =====
+
+/**
+ * - `numeric`: number or numeric string (the APIs send prices as both)
+ * - `json-array`: array or JSON-encoded array string (Gamma `outcomes`)
+ */
+export type FieldType = 'string' | 'numeric' | 'boolean' | 'array' | 'json-array' | 'object';
+
+export interface FieldRule {
+  /** Accepted type(s) */
+  type: FieldType | FieldType[];
+  /** Field must be present and non-null (default: false) */
+  required?: boolean;
+  /** Strings and arrays must not be empty (default: false) */
+  nonEmpty?: boolean;
+  /** Allowed values */
+  oneOf?: readonly unknown[];
+  /** Alternative keys the upstream uses for the same field */
+  aliases?: readonly string[];
+  /** Schema for array items or a nested object */
+  items?: ResponseSchema;
+}
+
+export interface ResponseSchema {
+  /** Payload name used in errors and events (e.g. 'clob:market') */
+  name: string;
+  fields: Record<string, FieldRule>;
+}
+
+export interface ValidationIssue {
+  /** Field path inside the payload, e.g. `[3].tokens[0].token_id` */
+  path: string;
+  /** Human-readable expectation, e.g. 'non-empty string' */
+  expected: string;
+  /** Short description of the received value */
+  received: string;
+}
+
+export type ValidationMode = 'strict' | 'lenient';
+
+export interface InvalidResponseEvent {
+  schema: string;
+  mode: ValidationMode;
+  issues: ValidationIssue[];
+}
+
+// ===== Validation =====
+
+function describe(value: unknown): string {
+  if (value === undefined) return 'undefined';
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return `array(${value.length})`;
+  if (typeof value === 'string') return value.length > 40 ? `"${value.slice(0, 40)}…"` : `"${value}"`;
+  if (typeof value === 'object') return 'object';
+  return String(value);
+}
+
+function parseJsonArray(value: unknown): unknown[] | undefined {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string') return undefined;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+function matchesType(value: unknown, type: FieldType): boolean {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'numeric':
+      if (typeof value === 'number') return Number.isFinite(value);
+      return typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value));
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'json-array':
+      return parseJsonArray(value) !== undefined;
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+}
+
+function isEmpty(value: unknown, types: FieldType[]): boolean {
+  if (typeof value === 'string') return types.includes('json-array') ? parseJsonArray(value)?.length === 0 : value === '';
+  return Array.isArray(value) && value.length === 0;
+}
+
+/**
+ * Check one record against a schema. Returns every issue found (empty when valid).
+ */
+export function validateRecord(schema: ResponseSchema, record: unknown, path = ''): ValidationIssue[] {
+  if (typeof record !== 'object' || record === null || Array.isArray(record)) {
+    return [{ path: path || '(root)', expected: 'object', received: describe(record) }];
+  }
+
+  const data = record as Record<string, unknown>;
+  const issues: ValidationIssue[] = [];
+
+  for (const [key, rule] of Object.entries(schema.fields)) {
+    const sourceKey = [key, ...(rule.aliases ?? [])].find((k) => data[k] != null) ?? key;
+    const value = data[sourceKey];
+    const fieldPath = path ? `${path}.${sourceKey}` : sourceKey;
+    const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+
+    if (value == null) {
+      if (rule.required) {
+        issues.push({ path: fieldPath, expected: types.join(' | '), received: describe(value) });
+      }
+      continue;
+    }
+    if (!types.some((t) => matchesType(value, t))) {
+      issues.push({ path: fieldPath, expected: types.join(' | '), received: describe(value) });
+      continue;
+    }
+    if (rule.nonEmpty && isEmpty(value, types)) {
+      issues.push({ path: fieldPath, expected: `non-empty ${types.join(' | ')}`, received: describe(value) });
+      continue;
+    }
+    if (rule.oneOf && !rule.oneOf.includes(value)) {
+      issues.push({ path: fieldPath, expected: `one of ${rule.oneOf.join(', ')}`, received: describe(value) });
+      continue;
+    }
+    if (rule.items) {
+      if (Array.isArray(value)) {
+        value.forEach((item, i) => issues.push(...validateRecord(rule.items!, item, `${fieldPath}[${i}]`)));
+      } else if (types.includes('object')) {
+        issues.push(...validateRecord(rule.items, value, fieldPath));
+      }
+    }
+  }
+
+  return issues;
+}
+
+function formatIssue(issue: ValidationIssue): string {
+  return `${issue.path} expected ${issue.expected}, got ${issue.received}`;
+}
+
+/**
+ * `INVALID_RESPONSE` error carrying every issue found in the payload
+ */
+export class ResponseValidationError extends PolymarketError {
+  constructor(
+    public readonly schema: string,
+    public readonly issues: ValidationIssue[]
+  ) {
+    const more = issues.length > 1 ? ` (+${issues.length - 1} more)` : '';
+    super(ErrorCode.INVALID_RESPONSE, `Invalid ${schema} response: ${formatIssue(issues[0])}${more}`);
+    this.name = 'ResponseValidationError';
+  }
+}
+
+// ===== Response Validator =====
+
+export interface ResponseValidatorOptions {
+  /** 'strict' throws, 'lenient' warns (default: 'lenient') */
+  mode?: ValidationMode;
+  /** Logger for lenient-mode warnings (default: ConsoleLogger) */
+  logger?: Logger;
+}
+
+/**
+ * Shared by the API clients; emits `invalidResponse` for every invalid payload
+ */
+export class ResponseValidator extends EventEmitter {
+  readonly mode: ValidationMode;
+  private logger: Logger;
+  /** schema + path combinations already logged, to avoid flooding the log */
+  private reported = new Set<string>();
+
+  constructor(options: ResponseValidatorOptions = {}) {
+    super();
+    this.mode = options.mode ?? 'lenient';
+    this.logger = (options.logger ?? new ConsoleLogger()).child({ component: 'Validation' });
+  }
+
+  /**
+   * Validate a single-object payload
+   *
+   * @throws ResponseValidationError in strict mode
+   */
+  check(schema: ResponseSchema, payload: unknown): void {
+    this.report(schema, validateRecord(schema, payload));
+  }
+
+  /**
+   * Validate a list payload, returning it as an array.
+   * A non-array payload is itself an issue (lenient mode returns `[]`).
+   *
+   * @throws ResponseValidationError in strict mode
+   */
+  checkList(schema: ResponseSchema, payload: unknown): unknown[] {
+    if (!Array.isArray(payload)) {
+      this.report(schema, [{ path: '(root)', expected: 'array', received: describe(payload) }]);
+      return [];
+    }
+    this.report(
+      schema,
+      payload.flatMap((item, i) => validateRecord(schema, item, `[${i}]`))
+    );
+    return payload;
+  }
+
+  private report(schema: ResponseSchema, issues: ValidationIssue[]): void {
+    if (issues.length === 0) return;
+
+    const event: InvalidResponseEvent = { schema: schema.name, mode: this.mode, issues };
+    this.emit('invalidResponse', event);
+    if (this.mode === 'strict') {
+      throw new ResponseValidationError(schema.name, issues);
+    }
+
+    for (const issue of issues) {
+      // Dedupe on the field path without list indexes
+      const key = `${schema.name}:${issue.path.replace(/\[\d+\]/g, '[]')}`;
+      if (this.reported.has(key)) continue;
+      this.reported.add(key);
+      this.logger.warn('Unexpected API response field', {
+        schema: schema.name,
+        field: issue.path,
+        expected: issue.expected,
+        received: issue.received,
+      });
+    }
+  }
+}
@@ -10,16 +10,82 @@
 
 // Core infrastructure
 export { RateLimiter, ApiType } from './core/rate-limiter.js';
+export type {
+  RateLimiterOptions,
+  RateLimitedEvent,
+  RateLimiterStats,
+  RateLimiterEvents,
+  RetryEvent,
+} from './core/rate-limiter.js';
 export { Cache, CACHE_TTL } from './core/cache.js';
-export { PolymarketError, ErrorCode, withRetry } from './core/errors.js';
+export {
+  PolymarketError,
+  ErrorCode,
+  withRetry,
+  parseRetryAfter,
+  isRetryableError,
+  computeRetryDelay,
+  getRetryDelay,
+} from './core/errors.js';
+export type { Remediation, RemediationAction, RetryPolicy, JitterMode } from './core/errors.js';
+export { CircuitBreaker, CircuitState, isCircuitFailure } from './core/circuit-breaker.js';
+export { ConsoleLogger, silentLogger, errorFields } from './core/logger.js';
+export type { Logger, LogLevel, LogFields, ConsoleLoggerOptions } from './core/logger.js';
+export { traceSpan, traceTransaction, TracingTransport } from './core/tracing.js';
+export type { Tracer, Span, SpanKind, SpanStartEvent, SpanEndEvent } from './core/tracing.js';
+export { ResponseValidator, ResponseValidationError, validateRecord } from './core/validation.js';
+export type {
+  ResponseValidatorOptions,
+  ResponseSchema,
+  FieldRule,
+  FieldType,
+  ValidationIssue,
+  ValidationMode,
+  InvalidResponseEvent,
+} from './core/validation.js';
+export { API_SCHEMAS } from './core/api-schemas.js';
+export { paginate, flattenPages } from './core/pagination.js';
+export type { Page, PageCursor, PaginationOptions, PaginateParams } from './core/pagination.js';
+export type {
+  CircuitBreakerOptions,
+  CircuitBreakerSnapshot,
+  CircuitBreakerEvents,
+} from './core/circuit-breaker.js';
+export { classifyError, toPolymarketError, getErrorMessage } from './core/error-classifier.js';
+export type { ErrorContext, ErrorClassification } from './core/error-classifier.js';
 export * from './core/types.js';
 
 // Version
 export { SDK_VERSION } from './version.js';
 
 // Cache integration (new)
-export type { UnifiedCache } from './core/unified-cache.js';
-export { createUnifiedCache } from './core/unified-cache.js';
+export type {
+  UnifiedCache,
+  UnifiedCacheOptions,
+  CacheEntryOptions,
+  CacheMetrics,
+  CacheNamespaceMetrics,
+} from './core/unified-cache.js';
+export { createUnifiedCache, CacheTags } from './core/unified-cache.js';
+export type { CacheAdapter } from './core/cache-adapter-types.js';
+export { FileCacheAdapter } from './core/file-cache-adapter.js';
+export type { FileCacheAdapterOptions } from './core/file-cache-adapter.js';
+
+// HTTP transport (record/replay)
+export {
+  FetchTransport,
+  RecordingTransport,
+  ReplayTransport,
+  getFixtureName,
+} from './core/transport.js';
+export type {
+  HttpTransport,
+  HttpRequestInit,
+  HttpResponse,
+  HttpFixture,
+  RecordingTransportOptions,
+  ReplayTransportOptions,
+} from './core/transport.js';
 
 // API Clients
 export { DataApiClient } from './clients/data-api.js';
@@ -29,6 +95,9 @@ export type {
   Trade,
   LeaderboardEntry,
   LeaderboardPage,
+  ActivityIteratorOptions,
+  TradeIteratorOptions,
+  LeaderboardIteratorOptions,
 } from './clients/data-api.js';
 
 export { GammaApiClient } from './clients/gamma-api.js';
@@ -36,6 +105,8 @@ export type {
   GammaMarket,
   GammaEvent,
   MarketSearchParams,
+  MarketIteratorOptions,
+  GammaLookupOptions,
 } from './clients/gamma-api.js';
 
 export { ClobApiClient } from './clients/clob-api.js';
@@ -44,6 +115,10 @@ export type {
   ClobToken,
   Orderbook,
   OrderbookLevel,
+  TokenPrices,
+  PriceHistoryInterval,
+  PriceHistoryParams,
+  PricePoint,
 } from './clients/clob-api.js';
 
 // Services
@@ -54,11 +129,86 @@ export type {
   SellActivityResult,
 } from './services/wallet-service.js';
 
-export { MarketService, getIntervalMs as getIntervalMsService } from './services/market-service.js';
+export { MarketService, getIntervalMs as getIntervalMsService, resolveBinaryTokens } from './services/market-service.js';
+export { ActivityStore } from './services/activity-store.js';
+export type {
+  ActivityStoreOptions,
+  ActivitySyncState,
+  ActivitySyncResult,
+  ActivityQuery,
+} from './services/activity-store.js';
+export { TradeStreamPoller } from './services/trade-stream-poller.js';
+export type {
+  TradeStreamOptions,
+  TradeStreamStats,
+  TradeStreamEvents,
+} from './services/trade-stream-poller.js';
+export { MarketCatalog } from './services/market-catalog.js';
+export type {
+  MarketCatalogOptions,
+  CatalogMarket,
+  CatalogTokenInfo,
+  MarketResolvedEvent,
+  PriceMovedEvent,
+  CatalogSyncResult,
+  MarketCatalogEvents,
+} from './services/market-catalog.js';
+export { ResolutionWatcher } from './services/resolution-watcher.js';
+export type {
+  ResolutionPhase,
+  ResolutionReader,
+  ResolutionWatcherOptions,
+  ResolutionEvent,
+  ResolutionWatcherEvents,
+} from './services/resolution-watcher.js';
+
+export { OrderManager, isTerminalOrderStatus } from './services/order-manager.js';
+export type {
+  OrderGateway,
+  ManagedOrderStatus,
+  ManagedOrder,
+  OrderTransitionEvent,
+  OrderFillEvent,
+  OrderManagerOptions,
+  OrderManagerEvents,
+} from './services/order-manager.js';
+
+export {
+  OrderExecutor,
+  TwapExecutor,
+  IcebergExecutor,
+  PeggedOrderExecutor,
+} from './services/execution-algorithms.js';
+export type {
+  BookSource,
+  ExecutionAlgorithm,
+  ExecutionStatus,
+  ExecutionProgress,
+  ExecutionReport,
+  ExecutorOptions,
+  ExecutorEvents,
+  TwapParams,
+  IcebergParams,
+  PeggedOrderParams,
+} from './services/execution-algorithms.js';
 
 // Real-time
 export { WebSocketManager } from './clients/websocket-manager.js';
-export type { WebSocketManagerConfig, WebSocketManagerEvents } from './clients/websocket-manager.js';
+export type {
+  WebSocketManagerConfig,
+  WebSocketManagerEvents,
+  BookSnapshotSource,
+  BookGapEvent,
+} from './clients/websocket-manager.js';
+
+export { OrderBook } from './core/order-book.js';
+export type {
+  BookLevelUpdate,
+  BookSnapshot,
+  BookDelta,
+  BookGapReason,
+  BookDeltaResult,
+} from './core/order-book.js';
 
 export { RealtimeService } from './services/realtime-service.js';
 export type { Subscription, MarketSubscriptionHandlers } from './services/realtime-service.js';
@@ -87,7 +237,7 @@ export type {
 } from './services/arbitrage-service.js';
 
 // Trading
-export { TradingClient, POLYGON_MAINNET, POLYGON_AMOY } from './clients/trading-client.js';
+export { TradingClient, POLYGON_MAINNET, POLYGON_AMOY, MAX_BATCH_ORDERS } from './clients/trading-client.js';
 export type {
   Side,
   OrderType,
@@ -96,6 +246,7 @@ export type {
   MarketOrderParams,
   Order,
   OrderResult,
+  TokenMetadata,
   TradeInfo,
   TradingClientConfig,
   // Rewards types
@@ -104,6 +255,30 @@ export type {
   OrderScoring,
 } from './clients/trading-client.js';
 
+// Risk Engine
+export { RiskEngine } from './core/risk-engine.js';
+export type {
+  RiskLimits,
+  RiskLimit,
+  RiskOrder,
+  RiskRejection,
+  KillSwitchEvent,
+  RiskState,
+  RiskEngineOptions,
+  RiskEngineEvents,
+} from './core/risk-engine.js';
+
+// Paper Trading
+export { PaperExchange, PaperTradingClient, PaperCTFClient } from './clients/paper-trading.js';
+export type {
+  TradingBackend,
+  CTFBackend,
+  BookFeed,
+  PaperClientOptions,
+  PaperExchangeOptions,
+  PaperExchangeEvents,
+} from './clients/paper-trading.js';
+
 // CTF (Conditional Token Framework)
 // NOTE: USDC_CONTRACT is USDC.e (bridged), required for Polymarket CTF
 // NATIVE_USDC_CONTRACT is native USDC, NOT compatible with CTF
@@ -145,6 +320,8 @@ export type {
   ChainMonitorConfig,
   TransferEvent,
   ChainMonitorStats,
+  TransferMarketInfo,
+  TransferMarketLookup,
 } from './clients/chain-monitor-client.js';
 
 // Bridge (Cross-chain Deposits)
@@ -215,20 +392,52 @@ export {
 } from './utils/price-utils.js';
 export type { TickSize } from './utils/price-utils.js';
 
+// Orderbook Analytics
+export {
+  toBinaryBook,
+  getEffectiveLevels,
+  getEffectiveMid,
+  estimateFill,
+  getSlippageCurve,
+  getDepthBands,
+  getArbitrageDepth,
+  DEFAULT_DEPTH_BANDS,
+} from './utils/orderbook-analytics.js';
+export type {
+  BookLevel,
+  BinaryBook,
+  BookToken,
+  BookSide,
+  FillTarget,
+  FillEstimate,
+  DepthBand,
+  ArbitrageDepth,
+  ArbitrageLeg,
+} from './utils/orderbook-analytics.js';
+
 // NOTE: MCP tools have been moved to @catalyst-team/poly-mcp package
 // See packages/poly-mcp/
 
 // ===== Main SDK Class =====
 
-import { RateLimiter } from './core/rate-limiter.js';
+import { RateLimiter, type RateLimitedEvent, type RetryEvent } from './core/rate-limiter.js';
+import { ConsoleLogger, errorFields, type Logger } from './core/logger.js';
+import { TracingTransport } from './core/tracing.js';
+import { FetchTransport } from './core/transport.js';
+import { ResponseValidator, ResponseValidationError } from './core/validation.js';
 import { DataApiClient } from './clients/data-api.js';
 import { GammaApiClient } from './clients/gamma-api.js';
 import { ClobApiClient } from './clients/clob-api.js';
 import { WalletService } from './services/wallet-service.js';
-import { MarketService } from './services/market-service.js';
-import type { UnifiedMarket, ProcessedOrderbook, ArbitrageOpportunity, KLineInterval, KLineCandle, DualKLineData, PolySDKOptions } from './core/types.js';
+import { MarketService, resolveBinaryTokens } from './services/market-service.js';
+import { ActivityStore } from './services/activity-store.js';
+import { TradeStreamPoller, type TradeStreamOptions } from './services/trade-stream-poller.js';
+import { MarketCatalog, type MarketCatalogOptions } from './services/market-catalog.js';
+import { ResolutionWatcher, type ResolutionWatcherOptions } from './services/resolution-watcher.js';
+import type { UnifiedMarket, UnifiedEvent, UnifiedEventOutcome, ProcessedOrderbook, ArbitrageOpportunity, KLineInterval, KLineCandle, DualKLineData, PolySDKOptions } from './core/types.js';
 import { PolymarketError, ErrorCode } from './core/errors.js';
-import { createUnifiedCache, type UnifiedCache } from './core/unified-cache.js';
+import type { CircuitBreakerSnapshot } from './core/circuit-breaker.js';
+import { createUnifiedCache, CacheTags, type UnifiedCache, type CacheMetrics } from './core/unified-cache.js';
 
 // Re-export for backward compatibility
 export interface PolymarketSDKConfig extends PolySDKOptions { }
@@ -237,6 +446,10 @@ export class PolymarketSDK {
   // Infrastructure
   private rateLimiter: RateLimiter;
   private cache: UnifiedCache;
+  private logger: Logger;
+
+  /** Payload schema validator shared by all API clients (emits `invalidResponse`) */
+  public readonly validator: ResponseValidator;
 
   // API Clients
   public readonly dataApi: DataApiClient;
@@ -247,24 +460,42 @@ export class PolymarketSDK {
   public readonly wallets: WalletService;
   public readonly markets: MarketService;
 
+  /** Local wallet activity store, when enabled via `activityStore` options */
+  public readonly activityStore?: ActivityStore;
+
   constructor(config: PolymarketSDKConfig = {}) {
     // Initialize infrastructure
-    this.rateLimiter = new RateLimiter();
+    const logger = config.logger ?? new ConsoleLogger();
+    this.logger = logger;
+    this.rateLimiter = new RateLimiter(config.rateLimiter);
+    this.logRateLimiterEvents(logger.child({ component: 'RateLimiter' }));
 
     // Create unified cache (supports both legacy Cache and CacheAdapter)
-    this.cache = createUnifiedCache(config.cache);
+    this.cache = createUnifiedCache(config.cache, { logger, ...config.cacheOptions });
+
+    // One http span per request when a tracer is configured
+    const transport = config.tracer
+      ? new TracingTransport(config.transport ?? new FetchTransport(), config.tracer)
+      : config.transport;
+
+    this.validator = new ResponseValidator({ mode: config.validation?.mode, logger });
 
     // Initialize API clients
-    this.dataApi = new DataApiClient(this.rateLimiter, this.cache);
-    this.gammaApi = new GammaApiClient(this.rateLimiter, this.cache);
+    this.dataApi = new DataApiClient(this.rateLimiter, this.cache, transport, logger, this.validator);
+    this.gammaApi = new GammaApiClient(this.rateLimiter, this.cache, transport, this.validator);
     this.clobApi = new ClobApiClient(this.rateLimiter, this.cache, {
       chainId: config.chainId,
       signer: config.signer,
       creds: config.creds,
+      transport,
+      validator: this.validator,
     });
 
     // Initialize services
-    this.wallets = new WalletService(this.dataApi, this.cache);
+    if (config.activityStore) {
+      this.activityStore = new ActivityStore(this.dataApi, { logger, ...config.activityStore });
+    }
+    this.wallets = new WalletService(this.dataApi, this.cache, this.activityStore);
     this.markets = new MarketService(this.gammaApi, this.clobApi, this.dataApi, this.cache);
   }
 
@@ -323,7 +554,9 @@ export class PolymarketSDK {
       }
 
       return this.fromClobMarket(clobMarket);
-    } catch {
+    } catch (error) {
+      // Strict validation failures must not look like a missing market
+      if (error instanceof ResponseValidationError) throw error;
       throw new PolymarketError(
         ErrorCode.MARKET_NOT_FOUND,
         `Market not found: ${conditionId}`
@@ -331,6 +564,54 @@ export class PolymarketSDK {
     }
   }
 
+  // ===== Unified Event Access =====
+
+  /**
+   * Get an event with all of its outcome markets, each merged with CLOB data
+   * Numeric identifiers are Gamma event IDs, anything else is treated as a slug
+   *
+   * For neg-risk events (e.g. "Who will win the election?") every outcome is
+   * its own YES/NO market, and exactly one of them resolves YES.
+   */
+  async getEvent(slugOrId: string): Promise<UnifiedEvent> {
+    const gammaEvent = /^\d+$/.test(slugOrId)
+      ? await this.gammaApi.getEventById(slugOrId)
+      : await this.gammaApi.getEventBySlug(slugOrId);
+    if (!gammaEvent) {
+      throw new PolymarketError(
+        ErrorCode.MARKET_NOT_FOUND,
+        `Event not found: ${slugOrId}`
+      );
+    }
+
+    const outcomes = await Promise.all(
+      gammaEvent.markets.map(async (gammaMarket) => {
+        try {
+          const clobMarket = await this.clobApi.getMarket(gammaMarket.conditionId);
+          return this.toEventOutcome(gammaMarket, clobMarket);
+        } catch (error) {
+          if (error instanceof ResponseValidationError) throw error;
+          // CLOB enrichment failed, use Gamma only
+          return this.toEventOutcome(gammaMarket);
+        }
+      })
+    );
+
+    return {
+      id: gammaEvent.id,
+      slug: gammaEvent.slug,
+      title: gammaEvent.title,
+      description: gammaEvent.description,
+      negRisk: gammaEvent.negRisk ?? outcomes.some((o) => o.negRisk),
+      outcomes,
+      impliedProbabilitySum: outcomes.reduce((sum, o) => sum + o.tokens.yes.price, 0),
+      volume: gammaEvent.volume ?? outcomes.reduce((sum, o) => sum + o.volume, 0),
+      liquidity: gammaEvent.liquidity ?? outcomes.reduce((sum, o) => sum + o.liquidity, 0),
+      startDate: gammaEvent.startDate,
+      endDate: gammaEvent.endDate,
+    };
+  }
+
   // ===== Orderbook Analysis =====
 
   /**
@@ -374,30 +655,67 @@ export class PolymarketSDK {
     return null;
   }
 
+  // ===== Trade Streams =====
+
+  /**
+   * Create a trade stream for a market, a wallet, or all trades
+   * (not started - call `start()` after attaching listeners)
+   */
+  streamTrades(options: TradeStreamOptions = {}): TradeStreamPoller {
+    return new TradeStreamPoller(this.dataApi, { logger: this.logger, ...options });
+  }
+
+  // ===== Market Catalog =====
+
+  /**
+   * Create a local market catalog (not started - call `start()` after attaching listeners)
+   */
+  createMarketCatalog(options: MarketCatalogOptions = {}): MarketCatalog {
+    return new MarketCatalog(this.gammaApi, this.clobApi, { logger: this.logger, ...options });
+  }
+
+  /**
+   * Create a resolution watcher (pass a CTFClient as `ctf` to confirm payouts on-chain)
+   */
+  createResolutionWatcher(options: ResolutionWatcherOptions = {}): ResolutionWatcher {
+    return new ResolutionWatcher(this.gammaApi, { logger: this.logger, ...options });
+  }
+
   // ===== Helper Methods =====
 
+  private logRateLimiterEvents(logger: Logger): void {
+    this.rateLimiter.on('rateLimited', (event: RateLimitedEvent) =>
+      logger.warn('Rate limited', { ...event })
+    );
+    this.rateLimiter.on('retry', (event: RetryEvent) =>
+      logger.debug('Retrying request', {
+        api: event.api,
+        endpoint: event.endpoint,
+        attempt: event.attempt,
+        delayMs: Math.round(event.delayMs),
+        ...errorFields(event.error),
+      })
+    );
+    this.rateLimiter.on('circuitStateChange', (snapshot: CircuitBreakerSnapshot) => {
+      const fields = { api: snapshot.name, state: snapshot.state, lastError: snapshot.lastError };
+      if (snapshot.state === 'open') {
+        logger.error('Circuit opened, failing fast', fields);
+      } else {
+        logger.info('Circuit state changed', fields);
+      }
+    });
+  }
+
   private mergeMarkets(
     gamma: import('./clients/gamma-api.js').GammaMarket,
     clob: import('./clients/clob-api.js').ClobMarket
   ): UnifiedMarket {
-    const yesToken = clob.tokens.find((t) => t.outcome === 'Yes');
-    const noToken = clob.tokens.find((t) => t.outcome === 'No');
-
     return {
       conditionId: clob.conditionId,
       slug: gamma.slug,
       question: clob.question,
       description: clob.description || gamma.description,
-      tokens: {
-        yes: {
-          tokenId: yesToken?.tokenId || '',
-          price: yesToken?.price || gamma.outcomePrices[0] || 0.5,
-        },
-        no: {
-          tokenId: noToken?.tokenId || '',
-          price: noToken?.price || gamma.outcomePrices[1] || 0.5,
-        },
-      },
+      tokens: resolveBinaryTokens(gamma, clob),
       volume: gamma.volume,
       volume24hr: gamma.volume24hr,
       liquidity: gamma.liquidity,
@@ -418,10 +736,7 @@ export class PolymarketSDK {
       slug: gamma.slug,
       question: gamma.question,
       description: gamma.description,
-      tokens: {
-        yes: { tokenId: '', price: gamma.outcomePrices[0] || 0.5 },
-        no: { tokenId: '', price: gamma.outcomePrices[1] || 0.5 },
-      },
+      tokens: resolveBinaryTokens(gamma),
       volume: gamma.volume,
       volume24hr: gamma.volume24hr,
       liquidity: gamma.liquidity,
@@ -437,18 +752,12 @@ export class PolymarketSDK {
   private fromClobMarket(
     clob: import('./clients/clob-api.js').ClobMarket
   ): UnifiedMarket {
-    const yesToken = clob.tokens.find((t) => t.outcome === 'Yes');
-    const noToken = clob.tokens.find((t) => t.outcome === 'No');
-
     return {
       conditionId: clob.conditionId,
       slug: clob.marketSlug,
       question: clob.question,
       description: clob.description,
-      tokens: {
-        yes: { tokenId: yesToken?.tokenId || '', price: yesToken?.price || 0.5 },
-        no: { tokenId: noToken?.tokenId || '', price: noToken?.price || 0.5 },
-      },
+      tokens: resolveBinaryTokens(undefined, clob),
       volume: 0, // CLOB doesn't have volume
       volume24hr: undefined,
       liquidity: 0,
@@ -461,6 +770,28 @@ export class PolymarketSDK {
     };
   }
 
+  private toEventOutcome(
+    gamma: import('./clients/gamma-api.js').GammaMarket,
+    clob?: import('./clients/clob-api.js').ClobMarket
+  ): UnifiedEventOutcome {
+    return {
+      name: gamma.groupItemTitle || gamma.question,
+      conditionId: gamma.conditionId,
+      slug: gamma.slug,
+      question: gamma.question,
+      tokens: resolveBinaryTokens(gamma, clob),
+      bestBid: gamma.bestBid,
+      bestAsk: gamma.bestAsk,
+      negRisk: clob?.negRisk ?? gamma.negRisk ?? false,
+      volume: gamma.volume,
+      liquidity: gamma.liquidity,
+      active: clob?.active ?? gamma.active,
+      closed: clob?.closed ?? gamma.closed,
+      acceptingOrders: clob?.acceptingOrders ?? !gamma.closed,
+      source: clob ? 'merged' : 'gamma',
+    };
+  }
+
   // ===== Cache Management =====
 
   /**
@@ -472,8 +803,48 @@ export class PolymarketSDK {
 
   /**
    * Invalidate cache for a specific market
+   * (CLOB and Gamma entries tagged with the market's conditionId, plus any key
+   * containing it: the tag index is per process, so entries a persistent
+   * adapter kept from earlier runs are only reached by key)
+   */
+  async invalidateMarketCache(conditionId: string): Promise<void> {
+    await this.cache.invalidateTags(CacheTags.market(conditionId));
+    await this.cache.invalidate(conditionId);
+  }
+
+  /**
+   * Invalidate a Gamma event and every market entry tagged with its eventId
+   */
+  async invalidateEventCache(eventId: string): Promise<void> {
+    await this.cache.invalidateTags(CacheTags.event(eventId));
+  }
+
+  /**
+   * Invalidate all cache entries tagged with the given tags
+   *
+   * @example
+   * ```typescript
+   * await sdk.invalidateCacheTags([CacheTags.token(tokenId), CacheTags.wallet(address)]);
+   * ```
+   */
+  async invalidateCacheTags(tags: string | string[]): Promise<void> {
+    await this.cache.invalidateTags(tags);
+  }
+
+  /**
+   * Cache hit/miss/eviction/byte counters per namespace (e.g. `clob:market`),
+   * useful for tuning CACHE_TTL / ttlOverrides
+   */
+  getCacheMetrics(): CacheMetrics {
+    return this.cache.getMetrics();
+  }
+
+  /**
+   * Circuit breaker state per API (`closed` / `open` / `half-open`).
+   * An open circuit means requests to that API currently fail fast with
+   * `ErrorCode.CIRCUIT_OPEN`.
    */
-  invalidateMarketCache(conditionId: string): void {
-    this.cache.invalidate(conditionId);
+  getCircuitStates(): CircuitBreakerSnapshot[] {
+    return this.rateLimiter.getCircuitStates();
   }
 }
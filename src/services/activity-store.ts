@@ -0,0 +1,264 @@
+/**
+ * Activity Store
+ *
+ * Local per-wallet copy of Data API activity (trades, redemptions, splits, ...).
+ * The first sync backfills `backfillDays` of history; later syncs only fetch
+ * records newer than the last one stored, so period stats for large wallets
+ * no longer re-page 100k records per call.
+ *
+ * Records are kept in memory and, when a `storage` adapter is given, persisted
+ * per wallet (e.g. `FileCacheAdapter` to survive restarts, Redis to share).
+ *
+ * @example
+ * ```typescript
+ * const store = new ActivityStore(sdk.dataApi, {
+ *   storage: new FileCacheAdapter({ directory: './data', namespace: 'activity' }),
+ * });
+ *
+ * await store.sync(address);
+ * const trades = await store.query(address, { type: 'TRADE', since: Date.now() - 7 * DAY });
+ * ```
+ */
+
+import type { DataApiClient, Activity } from '../clients/data-api.js';
+import type { CacheAdapter } from '../core/cache-adapter-types.js';
+import { silentLogger, type Logger } from '../core/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ===== Types =====
+
+export interface ActivityStoreOptions {
+  /** Persistence for synced wallets (default: memory only) */
+  storage?: CacheAdapter;
+  /** History fetched on a wallet's first sync (default: 30 days) */
+  backfillDays?: number;
+  /** Records kept per wallet; the oldest are dropped beyond this (default: 100000) */
+  maxRecords?: number;
+  /** Records per Data API request (default: 500) */
+  pageSize?: number;
+  /** `sync` is a no-op if the wallet was synced more recently than this (default: 60000ms) */
+  minSyncIntervalMs?: number;
+  /** Wallets kept in memory when `storage` is set; others are re-read on demand (default: 20) */
+  maxWalletsInMemory?: number;
+  logger?: Logger;
+}
+
+export interface ActivitySyncState {
+  address: string;
+  /** Newest stored record (epoch ms) - incremental syncs start here */
+  newestTimestamp: number | null;
+  /** Oldest stored record (epoch ms) */
+  oldestTimestamp: number | null;
+  /** False if older activity exists upstream than what is stored */
+  historyComplete: boolean;
+  /** Last successful sync (epoch ms) */
+  lastSyncedAt: number | null;
+  recordCount: number;
+}
+
+export interface ActivityQuery {
+  /** Oldest record to include (epoch ms) */
+  since?: number;
+  /** Newest record to include (epoch ms) */
+  until?: number;
+  type?: Activity['type'] | Activity['type'][];
+  /** Maximum records, newest first */
+  limit?: number;
+}
+
+export interface ActivitySyncResult {
+  /** Records added by this sync */
+  added: number;
+  /** False when skipped because of `minSyncIntervalMs` */
+  synced: boolean;
+  state: ActivitySyncState;
+}
+
+interface WalletRecord {
+  state: ActivitySyncState;
+  /** Newest first */
+  activities: Activity[];
+}
+
+/**
+ * Identity of an activity record (the Data API has no record id; one
+ * transaction can produce several records)
+ */
+function activityKey(a: Activity): string {
+  return [a.transactionHash, a.type, a.asset, a.side, a.size, a.price].join(':');
+}
+
+// ===== Store =====
+
+export class ActivityStore {
+  private wallets = new Map<string, WalletRecord>();
+  private inflight = new Map<string, Promise<ActivitySyncResult>>();
+  private storage?: CacheAdapter;
+  private backfillDays: number;
+  private maxRecords: number;
+  private pageSize: number;
+  private minSyncIntervalMs: number;
+  private maxWalletsInMemory: number;
+  private logger: Logger;
+
+  constructor(
+    private dataApi: DataApiClient,
+    options: ActivityStoreOptions = {}
+  ) {
+    this.storage = options.storage;
+    this.backfillDays = options.backfillDays ?? 30;
+    this.maxRecords = options.maxRecords ?? 100_000;
+    this.pageSize = options.pageSize ?? 500;
+    this.minSyncIntervalMs = options.minSyncIntervalMs ?? 60_000;
+    this.maxWalletsInMemory = options.maxWalletsInMemory ?? 20;
+    this.logger = (options.logger ?? silentLogger).child({ component: 'ActivityStore' });
+  }
+
+  /**
+   * Fetch activity newer than the last stored record (or backfill on first sync).
+   * Concurrent calls for the same wallet share one sync.
+   *
+   * @param options.force - Ignore `minSyncIntervalMs`
+   */
+  async sync(address: string, options: { force?: boolean } = {}): Promise<ActivitySyncResult> {
+    const key = address.toLowerCase();
+    const pending = this.inflight.get(key);
+    if (pending) return pending;
+
+    const promise = this.doSync(key, options.force ?? false).finally(() => {
+      this.inflight.delete(key);
+    });
+    this.inflight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Stored activity for a wallet, newest first (does not sync)
+   */
+  async query(address: string, query: ActivityQuery = {}): Promise<Activity[]> {
+    const record = await this.load(address.toLowerCase());
+    if (!record) return [];
+
+    const types = query.type === undefined ? null : new Set([query.type].flat());
+    const result: Activity[] = [];
+    for (const activity of record.activities) {
+      if (query.until !== undefined && activity.timestamp > query.until) continue;
+      // Sorted newest first, so everything after this is older still
+      if (query.since !== undefined && activity.timestamp < query.since) break;
+      if (types && !types.has(activity.type)) continue;
+      result.push(activity);
+      if (query.limit !== undefined && result.length >= query.limit) break;
+    }
+    return result;
+  }
+
+  /**
+   * Sync state, or null if the wallet has never been synced
+   */
+  async getSyncState(address: string): Promise<ActivitySyncState | null> {
+    const record = await this.load(address.toLowerCase());
+    return record ? { ...record.state } : null;
+  }
+
+  /**
+   * Drop a wallet's stored activity
+   */
+  async remove(address: string): Promise<void> {
+    const key = address.toLowerCase();
+    this.wallets.delete(key);
+    await this.storage?.del(this.storageKey(key));
+  }
+
+  // ===== Private Methods =====
+
+  private async doSync(address: string, force: boolean): Promise<ActivitySyncResult> {
+    const existing = await this.load(address);
+    const state = existing?.state;
+    if (!force && state?.lastSyncedAt && Date.now() - state.lastSyncedAt < this.minSyncIntervalMs) {
+      return { added: 0, synced: false, state: { ...state } };
+    }
+
+    const incremental = state?.newestTimestamp != null;
+    // Incremental syncs re-read the newest stored second and dedupe it
+    const since = incremental ? state!.newestTimestamp! : Date.now() - this.backfillDays * DAY_MS;
+    const known = new Set(
+      (existing?.activities ?? [])
+        .filter((a) => a.timestamp === state?.newestTimestamp)
+        .map(activityKey)
+    );
+
+    // Collect first and merge at the end, so a failed sync never leaves a gap
+    const fresh: Activity[] = [];
+    let hasMore = false;
+    for await (const page of this.dataApi.iterateActivityPages(address, {
+      since,
+      pageSize: this.pageSize,
+      ...(!incremental && { maxRecords: this.maxRecords }),
+    })) {
+      for (const activity of page.items) {
+        if (!known.has(activityKey(activity))) fresh.push(activity);
+      }
+      hasMore = page.hasMore;
+    }
+
+    let activities = fresh.concat(existing?.activities ?? []);
+    let historyComplete = incremental ? state!.historyComplete : !hasMore;
+    if (activities.length > this.maxRecords) {
+      activities = activities.slice(0, this.maxRecords);
+      historyComplete = false;
+    }
+
+    const record: WalletRecord = {
+      activities,
+      state: {
+        address,
+        newestTimestamp: activities[0]?.timestamp ?? state?.newestTimestamp ?? null,
+        oldestTimestamp: activities[activities.length - 1]?.timestamp ?? null,
+        historyComplete,
+        lastSyncedAt: Date.now(),
+        recordCount: activities.length,
+      },
+    };
+    this.remember(address, record);
+    await this.storage?.set(this.storageKey(address), record);
+
+    this.logger.debug('Synced wallet activity', {
+      address,
+      added: fresh.length,
+      total: activities.length,
+      mode: incremental ? 'incremental' : 'backfill',
+    });
+    return { added: fresh.length, synced: true, state: { ...record.state } };
+  }
+
+  private async load(address: string): Promise<WalletRecord | null> {
+    const cached = this.wallets.get(address);
+    if (cached) {
+      this.remember(address, cached);
+      return cached;
+    }
+    if (!this.storage) return null;
+
+    const stored = await this.storage.get<WalletRecord>(this.storageKey(address));
+    if (stored) this.remember(address, stored);
+    return stored;
+  }
+
+  /**
+   * Keep a wallet in memory; Map order doubles as LRU order. Without storage
+   * memory is the only copy, so nothing is evicted.
+   */
+  private remember(address: string, record: WalletRecord): void {
+    this.wallets.delete(address);
+    this.wallets.set(address, record);
+    if (!this.storage) return;
+    while (this.wallets.size > this.maxWalletsInMemory) {
+      this.wallets.delete(this.wallets.keys().next().value!);
+    }
+  }
+
+  private storageKey(address: string): string {
+    return `activity-store:${address}`;
+  }
+}
@@ -20,14 +20,21 @@
  */
 
 import { EventEmitter } from 'events';
-import { WebSocketManager } from '../clients/websocket-manager.js';
+import { WebSocketManager, type BookGapEvent } from '../clients/websocket-manager.js';
 import { CTFClient, type TokenIds } from '../clients/ctf-client.js';
 import { TradingClient } from '../clients/trading-client.js';
-import { GammaApiClient } from '../clients/gamma-api.js';
-import { ClobApiClient } from '../clients/clob-api.js';
-import { RateLimiter } from '../core/rate-limiter.js';
+import { PaperCTFClient, PaperTradingClient, type PaperExchange, type CTFBackend, type TradingBackend } from '../clients/paper-trading.js';
+import { GammaApiClient, type GammaMarket } from '../clients/gamma-api.js';
+import { ClobApiClient, type Orderbook } from '../clients/clob-api.js';
+import { RateLimiter, ApiType } from '../core/rate-limiter.js';
 import { createUnifiedCache } from '../core/unified-cache.js';
 import { getEffectivePrices } from '../utils/price-utils.js';
+import { getArbitrageDepth, type ArbitrageLeg } from '../utils/orderbook-analytics.js';
+import { resolveBinaryTokens } from './market-service.js';
+import { OrderManager, isTerminalOrderStatus, type ManagedOrder } from './order-manager.js';
+import type { RiskEngine } from '../core/risk-engine.js';
+import { ConsoleLogger, silentLogger, errorFields, type Logger } from '../core/logger.js';
+import type { Tracer } from '../core/tracing.js';
 import type { BookUpdate } from '../core/types.js';
 
 // ===== Types =====
@@ -48,6 +55,10 @@ export interface ArbitrageMarketConfig {
 export interface ArbitrageServiceConfig {
   /** Private key for trading (optional for monitor-only mode) */
   privateKey?: string;
+  /** Trade on this simulated exchange instead (no private key or USDC needed) */
+  paper?: PaperExchange;
+  /** Pre-trade limits for every order, split and merge */
+  riskEngine?: RiskEngine;
   /** RPC URL for CTF operations */
   rpcUrl?: string;
   /** Minimum profit threshold (default: 0.005 = 0.5%) */
@@ -62,6 +73,10 @@ export interface ArbitrageServiceConfig {
   autoExecute?: boolean;
   /** Enable logging (default: true) */
   enableLogging?: boolean;
+  /** Logger (default: ConsoleLogger); ignored when enableLogging is false */
+  logger?: Logger;
+  /** Tracing hooks for CLOB calls and CTF transactions */
+  tracer?: Tracer;
   /** Cooldown between executions in ms (default: 5000) */
   executionCooldown?: number;
 
@@ -143,7 +158,13 @@ export interface ScanCriteria {
   maxVolume24h?: number;
   /** Keywords to filter markets (optional) */
   keywords?: string[];
-  /** Maximum number of markets to scan (default: 100) */
+  /** Only markets with this Gamma tag ID (optional) */
+  tagId?: number | string;
+  /** Minimum current liquidity in USDC (optional) */
+  minLiquidity?: number;
+  /** Only markets ending before this date (optional) */
+  endDateMax?: Date | string;
+  /** Maximum number of markets to check orderbooks for (default: 100) */
   limit?: number;
 }
 
@@ -209,6 +230,8 @@ export interface ArbitrageOpportunity {
   maxBalanceSize: number;
   /** Recommended trade size */
   recommendedSize: number;
+  /** USDC and worst price per leg at `recommendedSize` (deeper levels cost more than the top of book) */
+  legs: { yes: ArbitrageLeg; no: ArbitrageLeg };
   /** Estimated profit in USDC */
   estimatedProfit: number;
   /** Description */
@@ -225,6 +248,8 @@ export interface ArbitrageExecutionResult {
   txHashes: string[];
   error?: string;
   executionTimeMs: number;
+  /** Both legs, as reconciled against the CLOB */
+  orders?: ManagedOrder[];
 }
 
 export interface ArbitrageServiceEvents {
@@ -243,12 +268,19 @@ export interface ArbitrageServiceEvents {
 
 export class ArbitrageService extends EventEmitter {
   private wsManager: WebSocketManager;
-  private ctf: CTFClient | null = null;
-  private tradingClient: TradingClient | null = null;
+  private ctf: CTFBackend | null = null;
+  private tradingClient: TradingBackend | null = null;
+  private orderManager: OrderManager | null = null;
+  private paper: PaperExchange | null = null;
+  private riskEngine: RiskEngine | null = null;
   private rateLimiter: RateLimiter;
 
   private market: ArbitrageMarketConfig | null = null;
-  private config: Omit<Required<ArbitrageServiceConfig>, 'privateKey' | 'rpcUrl' | 'rebalanceInterval'> & {
+  private logger: Logger;
+  private config: Omit<
+    Required<ArbitrageServiceConfig>,
+    'privateKey' | 'paper' | 'riskEngine' | 'rpcUrl' | 'rebalanceInterval' | 'logger' | 'tracer'
+  > & {
     privateKey?: string;
     rpcUrl?: string;
     rebalanceIntervalMs: number;
@@ -312,24 +344,47 @@ export class ArbitrageService extends EventEmitter {
       autoFixImbalance: config.autoFixImbalance ?? true,
     };
 
+    this.logger = this.config.enableLogging
+      ? (config.logger ?? new ConsoleLogger()).child({ component: 'ArbitrageService' })
+      : silentLogger;
     this.rateLimiter = new RateLimiter();
-    this.wsManager = new WebSocketManager({ enableLogging: false });
+    this.wsManager = new WebSocketManager({
+      enableLogging: false,
+      // Resync local books from REST when a WebSocket gap is detected
+      snapshotSource: new ClobApiClient(this.rateLimiter, createUnifiedCache()),
+    });
+
+    this.riskEngine = config.riskEngine ?? null;
 
     // Initialize trading clients if private key provided
-    if (this.config.privateKey) {
+    if (config.paper) {
+      this.paper = config.paper;
+      this.ctf = new PaperCTFClient(config.paper, { riskEngine: config.riskEngine });
+      this.tradingClient = new PaperTradingClient(config.paper, { riskEngine: config.riskEngine });
+      this.orderManager = new OrderManager(this.tradingClient, { logger: this.logger });
+      // Registered first so fills see the same book the opportunity was found on
+      config.paper.connect(this.wsManager);
+    } else if (this.config.privateKey) {
       this.ctf = new CTFClient({
         privateKey: this.config.privateKey,
         rpcUrl: this.config.rpcUrl,
+        tracer: config.tracer,
+        riskEngine: config.riskEngine,
       });
 
       this.tradingClient = new TradingClient(this.rateLimiter, {
         privateKey: this.config.privateKey,
         chainId: 137,
+        logger: this.logger,
+        tracer: config.tracer,
+        riskEngine: config.riskEngine,
       });
+      this.orderManager = new OrderManager(this.tradingClient, { logger: this.logger });
     }
 
     // Set up WebSocket event handlers
     this.wsManager.on('bookUpdate', this.handleBookUpdate.bind(this));
+    this.wsManager.on('bookGap', this.handleBookGap.bind(this));
     this.wsManager.on('error', (error) => this.emit('error', error));
   }
 
@@ -344,6 +399,9 @@ export class ArbitrageService extends EventEmitter {
     }
 
     this.market = market;
+    const tokenIds = { yesTokenId: market.yesTokenId, noTokenId: market.noTokenId };
+    this.paper?.registerMarket(market.conditionId, tokenIds);
+    this.riskEngine?.registerMarket(market.conditionId, tokenIds);
     this.isRunning = true;
     this.stats.startTime = Date.now();
 
@@ -351,6 +409,7 @@ export class ArbitrageService extends EventEmitter {
     this.log(`Condition ID: ${market.conditionId.slice(0, 20)}...`);
     this.log(`Profit Threshold: ${(this.config.profitThreshold * 100).toFixed(2)}%`);
     this.log(`Auto Execute: ${this.config.autoExecute ? 'YES' : 'NO'}`);
+    if (this.paper) this.log('Paper Trading: orders and CTF operations are simulated');
 
     // Initialize trading client
     if (this.tradingClient) {
@@ -466,17 +525,26 @@ export class ArbitrageService extends EventEmitter {
     const shortProfit = shortRevenue - 1;
 
     // Calculate sizes with safety factor to prevent partial fills
-    // Use min of both sides * safety factor to ensure both orders can fill
+    // Walk both legs (incl. mirrored liquidity) while each pair still clears the threshold
     const safetyFactor = this.config.sizeSafetyFactor;
-    const orderbookLongSize = Math.min(yesAsks[0]?.size || 0, noAsks[0]?.size || 0) * safetyFactor;
-    const orderbookShortSize = Math.min(yesBids[0]?.size || 0, noBids[0]?.size || 0) * safetyFactor;
+    const minProfitRate = this.config.profitThreshold;
+    const orderbookLongSize = getArbitrageDepth(this.orderbook, 'long', { minProfitRate }).size * safetyFactor;
+    const orderbookShortSize = getArbitrageDepth(this.orderbook, 'short', { minProfitRate }).size * safetyFactor;
     const heldPairs = Math.min(this.balance.yesTokens, this.balance.noTokens);
     const balanceLongSize = longCost > 0 ? this.balance.usdc / longCost : 0;
 
     // Check long arb
     if (longProfit > this.config.profitThreshold) {
-      const maxSize = Math.min(orderbookLongSize, balanceLongSize * safetyFactor, this.config.maxTradeSize);
-      if (maxSize >= this.config.minTradeSize) {
+      let depth = getArbitrageDepth(this.orderbook, 'long', {
+        minProfitRate,
+        maxSize: Math.min(orderbookLongSize, this.config.maxTradeSize),
+      });
+      // Deeper levels cost more than the top of book: shrink to what the balance pays for
+      const budget = this.balance.usdc * safetyFactor;
+      if (depth.cost > budget) {
+        depth = getArbitrageDepth(this.orderbook, 'long', { minProfitRate, maxSize: (depth.size * budget) / depth.cost });
+      }
+      if (depth.size >= this.config.minTradeSize) {
         return {
           type: 'long',
           profitRate: longProfit,
@@ -489,8 +557,9 @@ export class ArbitrageService extends EventEmitter {
           },
           maxOrderbookSize: orderbookLongSize,
           maxBalanceSize: balanceLongSize,
-          recommendedSize: maxSize,
-          estimatedProfit: longProfit * maxSize,
+          recommendedSize: depth.size,
+          legs: { yes: depth.yes, no: depth.no },
+          estimatedProfit: depth.profit,
           description: `Buy YES @ ${effective.effectiveBuyYes.toFixed(4)} + NO @ ${effective.effectiveBuyNo.toFixed(4)}, Merge for $1`,
           timestamp: Date.now(),
         };
@@ -500,7 +569,8 @@ export class ArbitrageService extends EventEmitter {
     // Check short arb
     if (shortProfit > this.config.profitThreshold) {
       const maxSize = Math.min(orderbookShortSize, heldPairs, this.config.maxTradeSize);
-      if (maxSize >= this.config.minTradeSize && heldPairs >= this.config.minTokenReserve) {
+      const depth = getArbitrageDepth(this.orderbook, 'short', { minProfitRate, maxSize });
+      if (depth.size >= this.config.minTradeSize && heldPairs >= this.config.minTokenReserve) {
         return {
           type: 'short',
           profitRate: shortProfit,
@@ -513,8 +583,9 @@ export class ArbitrageService extends EventEmitter {
           },
           maxOrderbookSize: orderbookShortSize,
           maxBalanceSize: heldPairs,
-          recommendedSize: maxSize,
-          estimatedProfit: shortProfit * maxSize,
+          recommendedSize: depth.size,
+          legs: { yes: depth.yes, no: depth.no },
+          estimatedProfit: depth.profit,
           description: `Sell YES @ ${effective.effectiveSellYes.toFixed(4)} + NO @ ${effective.effectiveSellNo.toFixed(4)}`,
           timestamp: Date.now(),
         };
@@ -727,7 +798,7 @@ export class ArbitrageService extends EventEmitter {
       this.emit('rebalance', rebalanceResult);
       return rebalanceResult;
     } catch (error: any) {
-      this.log(`   ❌ Failed: ${error.message}`);
+      this.logger.error('Rebalance failed', { action: rebalanceAction.type, ...errorFields(error) });
       const rebalanceResult: RebalanceResult = {
         success: false,
         action: rebalanceAction,
@@ -784,10 +855,10 @@ export class ArbitrageService extends EventEmitter {
     this.log(`   Paired: ${pairedTokens.toFixed(6)} (can merge → $${pairedTokens.toFixed(2)} USDC)`);
 
     if (unpairedYes > 0.001) {
-      this.log(`   ⚠️ Unpaired YES: ${unpairedYes.toFixed(6)}`);
+      this.logger.warn('Unpaired YES tokens', { market: targetMarket.name, amount: unpairedYes });
     }
     if (unpairedNo > 0.001) {
-      this.log(`   ⚠️ Unpaired NO: ${unpairedNo.toFixed(6)}`);
+      this.logger.warn('Unpaired NO tokens', { market: targetMarket.name, amount: unpairedNo });
     }
 
     const result: SettleResult = {
@@ -819,7 +890,7 @@ export class ArbitrageService extends EventEmitter {
         this.log(`   ✅ Recovered: $${mergeAmount.toFixed(2)} USDC`);
       } catch (error: any) {
         result.error = error.message;
-        this.log(`   ❌ Merge failed: ${error.message}`);
+        this.logger.error('Merge failed', { market: targetMarket.name, amount: mergeAmount, ...errorFields(error) });
       }
     } else if (pairedTokens >= 1) {
       this.log(`   💡 Run settlePosition(market, true) to recover $${pairedTokens.toFixed(2)} USDC`);
@@ -1044,7 +1115,7 @@ export class ArbitrageService extends EventEmitter {
             success: false,
             error: error.message,
           });
-          this.log(`   ❌ Redeem failed: ${error.message}`);
+          this.logger.error('Redeem failed', { market: market.name, ...errorFields(error) });
         }
       }
     } else {
@@ -1079,7 +1150,7 @@ export class ArbitrageService extends EventEmitter {
             success: false,
             error: error.message,
           });
-          this.log(`   ❌ Merge failed: ${error.message}`);
+          this.logger.error('Merge failed', { market: market.name, amount: mergeAmount, ...errorFields(error) });
           // Update unpaired amounts since merge failed
           unpairedYes = yesBalance;
           unpairedNo = noBalance;
@@ -1118,7 +1189,7 @@ export class ArbitrageService extends EventEmitter {
             success: false,
             error: error.message,
           });
-          this.log(`   ❌ Sell YES failed: ${error.message}`);
+          this.logger.error('Sell YES failed', { market: market.name, ...errorFields(error) });
         }
       }
 
@@ -1153,7 +1224,7 @@ export class ArbitrageService extends EventEmitter {
             success: false,
             error: error.message,
           });
-          this.log(`   ❌ Sell NO failed: ${error.message}`);
+          this.logger.error('Sell NO failed', { market: market.name, ...errorFields(error) });
         }
       }
     }
@@ -1205,15 +1276,15 @@ export class ArbitrageService extends EventEmitter {
   private handleBookUpdate(update: BookUpdate): void {
     if (!this.market) return;
 
+    // Levels come from the manager's local OrderBook, already sorted best first
     const { assetId, bids, asks } = update;
 
-    type PriceLevel = { price: number; size: number };
     if (assetId === this.market.yesTokenId) {
-      this.orderbook.yesBids = bids.sort((a: PriceLevel, b: PriceLevel) => b.price - a.price);
-      this.orderbook.yesAsks = asks.sort((a: PriceLevel, b: PriceLevel) => a.price - b.price);
+      this.orderbook.yesBids = bids;
+      this.orderbook.yesAsks = asks;
     } else if (assetId === this.market.noTokenId) {
-      this.orderbook.noBids = bids.sort((a: PriceLevel, b: PriceLevel) => b.price - a.price);
-      this.orderbook.noAsks = asks.sort((a: PriceLevel, b: PriceLevel) => a.price - b.price);
+      this.orderbook.noBids = bids;
+      this.orderbook.noAsks = asks;
     }
 
     this.orderbook.lastUpdate = Date.now();
@@ -1223,6 +1294,21 @@ export class ArbitrageService extends EventEmitter {
     this.checkAndHandleOpportunity();
   }
 
+  /**
+   * Drop a token's levels after a WebSocket gap, so no opportunity is found
+   * (or executed) on an out-of-date book; the resync's bookUpdate refills them
+   */
+  private handleBookGap(event: BookGapEvent): void {
+    if (!this.market) return;
+    if (event.assetId === this.market.yesTokenId) {
+      this.orderbook.yesBids = [];
+      this.orderbook.yesAsks = [];
+    } else if (event.assetId === this.market.noTokenId) {
+      this.orderbook.noBids = [];
+      this.orderbook.noAsks = [];
+    }
+  }
+
   private checkAndHandleOpportunity(): void {
     const opportunity = this.checkOpportunity();
 
@@ -1230,10 +1316,11 @@ export class ArbitrageService extends EventEmitter {
       this.stats.opportunitiesDetected++;
       this.emit('opportunity', opportunity);
 
-      this.log(`\n${'!'.repeat(60)}`);
-      this.log(`${opportunity.type.toUpperCase()} ARB: ${opportunity.description}`);
-      this.log(`Profit: ${opportunity.profitPercent.toFixed(2)}%, Size: ${opportunity.recommendedSize.toFixed(2)}, Est: $${opportunity.estimatedProfit.toFixed(2)}`);
-      this.log('!'.repeat(60));
+      this.logger.info(`${opportunity.type.toUpperCase()} ARB: ${opportunity.description}`, {
+        profitPercent: Number(opportunity.profitPercent.toFixed(2)),
+        size: Number(opportunity.recommendedSize.toFixed(2)),
+        estimatedProfit: Number(opportunity.estimatedProfit.toFixed(2)),
+      });
 
       // Auto-execute if enabled and cooldown has passed
       if (this.config.autoExecute && !this.isExecuting) {
@@ -1277,7 +1364,10 @@ export class ArbitrageService extends EventEmitter {
 
     if (Math.abs(imbalance) <= this.config.imbalanceThreshold) return;
 
-    this.log(`\n⚠️ Imbalance detected after execution: ${imbalance > 0 ? 'YES' : 'NO'} excess = ${Math.abs(imbalance).toFixed(2)}`);
+    this.logger.warn('Imbalance detected after execution', {
+      excessSide: imbalance > 0 ? 'YES' : 'NO',
+      excess: Math.abs(imbalance),
+    });
 
     // Sell the excess tokens to restore balance
     const sellAmount = Math.floor(Math.abs(imbalance) * 0.9 * 1e6) / 1e6; // Sell 90% to be safe
@@ -1308,7 +1398,7 @@ export class ArbitrageService extends EventEmitter {
         }
       }
     } catch (error: any) {
-      this.log(`   ❌ Failed to fix imbalance: ${error.message}`);
+      this.logger.error('Failed to fix imbalance', errorFields(error));
     }
   }
 
@@ -1347,8 +1437,9 @@ export class ArbitrageService extends EventEmitter {
     this.log(`\nExecuting Long Arb (Buy → Merge)...`);
 
     try {
-      const { buyYes, buyNo } = opportunity.effectivePrices;
-      const requiredUsdc = (buyYes + buyNo) * size;
+      // Each leg pays for `size` shares across the levels it walks, capped at its worst price
+      const { yes, no } = opportunity.legs;
+      const requiredUsdc = yes.cost + no.cost;
 
       if (this.balance.usdc < requiredUsdc) {
         return {
@@ -1364,29 +1455,31 @@ export class ArbitrageService extends EventEmitter {
 
       // Buy both tokens in parallel
       this.log(`  1. Buying tokens in parallel...`);
-      const [buyYesResult, buyNoResult] = await Promise.all([
-        this.tradingClient!.createMarketOrder({
+      const orders = await this.confirmLegs([
+        this.orderManager!.submitMarket({
           tokenId: this.market!.yesTokenId,
           side: 'BUY',
-          amount: size * buyYes,
+          amount: yes.cost,
+          price: yes.worstPrice,
           orderType: 'FOK',
         }),
-        this.tradingClient!.createMarketOrder({
+        this.orderManager!.submitMarket({
           tokenId: this.market!.noTokenId,
           side: 'BUY',
-          amount: size * buyNo,
+          amount: no.cost,
+          price: no.worstPrice,
           orderType: 'FOK',
         }),
       ]);
+      const [yesFilled, noFilled] = orders.map((order) => order.filledSize);
 
       const outcomes = this.market!.outcomes || ['YES', 'NO'];
-      this.log(`     ${outcomes[0]}: ${buyYesResult.success ? '✓' : '✗'}, ${outcomes[1]}: ${buyNoResult.success ? '✓' : '✗'}`);
+      this.log(`     ${outcomes[0]}: ${this.formatLeg(orders[0], yesFilled)}, ${outcomes[1]}: ${this.formatLeg(orders[1], noFilled)}`);
 
-      // If one succeeded and the other failed, we have an imbalance - fix it
-      if (!buyYesResult.success || !buyNoResult.success) {
-        // Check if partial execution created imbalance
-        if (buyYesResult.success !== buyNoResult.success) {
-          this.log(`  ⚠️ Partial execution detected - attempting to fix imbalance...`);
+      // If one leg filled and the other did not, we have an imbalance - fix it
+      if (yesFilled <= 0 || noFilled <= 0) {
+        if (yesFilled > 0 || noFilled > 0) {
+          this.logger.warn('Partial execution detected, attempting to fix imbalance', { arbType: 'long', yesFilled, noFilled });
           await this.fixImbalanceIfNeeded();
         }
         return {
@@ -1395,8 +1488,9 @@ export class ArbitrageService extends EventEmitter {
           size,
           profit: 0,
           txHashes,
-          error: `Order(s) failed: YES=${buyYesResult.errorMsg}, NO=${buyNoResult.errorMsg}`,
+          error: `Order(s) failed: YES=${orders[0].error ?? orders[0].status}, NO=${orders[1].error ?? orders[1].status}`,
           executionTimeMs: Date.now() - startTime,
+          orders,
         };
       }
 
@@ -1409,7 +1503,7 @@ export class ArbitrageService extends EventEmitter {
       // Update balance to get accurate token counts
       await this.updateBalance();
       const heldPairs = Math.min(this.balance.yesTokens, this.balance.noTokens);
-      const mergeSize = Math.floor(Math.min(size, heldPairs) * 1e6) / 1e6;
+      const mergeSize = Math.floor(Math.min(yesFilled, noFilled, heldPairs) * 1e6) / 1e6;
 
       if (mergeSize >= this.config.minTradeSize) {
         this.log(`  2. Merging ${mergeSize.toFixed(2)} pairs...`);
@@ -1422,7 +1516,7 @@ export class ArbitrageService extends EventEmitter {
           txHashes.push(mergeResult.txHash);
           this.log(`     TX: ${mergeResult.txHash}`);
 
-          const profit = opportunity.profitRate * mergeSize;
+          const profit = (1 - requiredUsdc / size) * mergeSize;
           this.log(`  ✅ Long Arb completed! Profit: ~$${profit.toFixed(2)}`);
 
           return {
@@ -1432,9 +1526,10 @@ export class ArbitrageService extends EventEmitter {
             profit,
             txHashes,
             executionTimeMs: Date.now() - startTime,
+            orders,
           };
         } catch (mergeError: any) {
-          this.log(`  ⚠️ Merge failed: ${mergeError.message}`);
+          this.logger.error('Merge failed after buying tokens', errorFields(mergeError));
           return {
             success: false,
             type: 'long',
@@ -1443,6 +1538,7 @@ export class ArbitrageService extends EventEmitter {
             txHashes,
             error: `Merge failed: ${mergeError.message}`,
             executionTimeMs: Date.now() - startTime,
+            orders,
           };
         }
       }
@@ -1455,6 +1551,7 @@ export class ArbitrageService extends EventEmitter {
         txHashes,
         error: `Insufficient pairs for merge: ${heldPairs.toFixed(2)}`,
         executionTimeMs: Date.now() - startTime,
+        orders,
       };
     } catch (error: any) {
       return {
@@ -1491,56 +1588,63 @@ export class ArbitrageService extends EventEmitter {
         };
       }
 
-      // Sell both tokens in parallel
+      // Sell both tokens in parallel, each no lower than the worst level it walks
       this.log(`  1. Selling pre-held tokens in parallel...`);
-      const [sellYesResult, sellNoResult] = await Promise.all([
-        this.tradingClient!.createMarketOrder({
+      const { yes, no } = opportunity.legs;
+      const orders = await this.confirmLegs([
+        this.orderManager!.submitMarket({
           tokenId: this.market!.yesTokenId,
           side: 'SELL',
           amount: size,
+          price: yes.worstPrice,
           orderType: 'FOK',
         }),
-        this.tradingClient!.createMarketOrder({
+        this.orderManager!.submitMarket({
           tokenId: this.market!.noTokenId,
           side: 'SELL',
           amount: size,
+          price: no.worstPrice,
           orderType: 'FOK',
         }),
       ]);
+      const [yesFilled, noFilled] = orders.map((order) => order.filledSize);
 
       const outcomes = this.market!.outcomes || ['YES', 'NO'];
-      this.log(`     ${outcomes[0]}: ${sellYesResult.success ? '✓' : '✗'}, ${outcomes[1]}: ${sellNoResult.success ? '✓' : '✗'}`);
-
-      // If one succeeded and the other failed, we have an imbalance
-      if (!sellYesResult.success || !sellNoResult.success) {
-        // Check if partial execution created imbalance
-        if (sellYesResult.success !== sellNoResult.success) {
-          this.log(`  ⚠️ Partial execution detected - imbalance created`);
-          // Note: For short arb, we just sold one side, creating imbalance
-          // The rebalancer will fix this on next cycle
-          await this.fixImbalanceIfNeeded();
-        }
+      this.log(`     ${outcomes[0]}: ${this.formatLeg(orders[0], yesFilled)}, ${outcomes[1]}: ${this.formatLeg(orders[1], noFilled)}`);
+
+      // Legs that sold different sizes leave an imbalance
+      if (Math.abs(yesFilled - noFilled) > 1e-6) {
+        this.logger.warn('Partial execution detected, imbalance created', { arbType: 'short', yesFilled, noFilled });
+        // Note: For short arb, we just sold one side, creating imbalance
+        // The rebalancer will fix this on next cycle
+        await this.fixImbalanceIfNeeded();
+      }
+
+      const soldPairs = Math.min(yesFilled, noFilled);
+      if (soldPairs <= 0) {
         return {
           success: false,
           type: 'short',
           size,
           profit: 0,
           txHashes,
-          error: `Order(s) failed: YES=${sellYesResult.errorMsg}, NO=${sellNoResult.errorMsg}`,
+          error: `Order(s) failed: YES=${orders[0].error ?? orders[0].status}, NO=${orders[1].error ?? orders[1].status}`,
           executionTimeMs: Date.now() - startTime,
+          orders,
         };
       }
 
-      const profit = opportunity.profitRate * size;
+      const profit = ((yes.cost + no.cost) / size - 1) * soldPairs;
       this.log(`  ✅ Short Arb completed! Profit: ~$${profit.toFixed(2)}`);
 
       return {
         success: true,
         type: 'short',
-        size,
+        size: soldPairs,
         profit,
         txHashes,
         executionTimeMs: Date.now() - startTime,
+        orders,
       };
     } catch (error: any) {
       return {
@@ -1555,10 +1659,27 @@ export class ArbitrageService extends EventEmitter {
     }
   }
 
+  /**
+   * Wait for both legs, then reconcile once more if either was accepted without
+   * a confirmed fill. Only the CLOB-reported `filledSize` counts; a leg that is
+   * still unconfirmed afterwards is treated as unfilled.
+   */
+  private async confirmLegs(legs: Promise<ManagedOrder>[]): Promise<ManagedOrder[]> {
+    const orders = await Promise.all(legs);
+    const unconfirmed = (order: ManagedOrder) =>
+      order.orderId && order.filledSize <= 0 && !isTerminalOrderStatus(order.status);
+    if (!orders.some(unconfirmed)) return orders;
+
+    await this.orderManager!.reconcile();
+    return orders.map((order) => this.orderManager!.getOrder(order.clientOrderId) ?? order);
+  }
+
+  private formatLeg(order: ManagedOrder, filledSize: number): string {
+    return filledSize > 0 ? `✓ ${filledSize.toFixed(2)} (${order.status})` : `✗ (${order.status})`;
+  }
+
   private log(message: string): void {
-    if (this.config.enableLogging) {
-      console.log(`[ArbitrageService] ${message}`);
-    }
+    this.logger.info(message);
   }
 
   // ===== Market Scanning Methods =====
@@ -1591,6 +1712,9 @@ export class ArbitrageService extends EventEmitter {
       minVolume24h = 1000,
       maxVolume24h,
       keywords = [],
+      tagId,
+      minLiquidity,
+      endDateMax,
       limit = 100,
     } = criteria;
 
@@ -1601,53 +1725,78 @@ export class ArbitrageService extends EventEmitter {
     const gammaApi = new GammaApiClient(this.rateLimiter, cache);
     const clobApi = new ClobApiClient(this.rateLimiter, cache);
 
-    // Fetch active markets from Gamma API
-    const markets = await gammaApi.getMarkets({
+    // Walk active markets by 24h volume (highest first) across all Gamma pages
+    const markets = gammaApi.iterateMarkets({
       active: true,
       closed: false,
-      limit,
+      order: 'volume24hr',
+      ascending: false,
+      tagId,
+      liquidityMin: minLiquidity,
+      endDateMax,
     });
 
-    this.log(`Found ${markets.length} active markets`);
+    // Collect candidates first, then fetch all their books in batch requests
+    const candidates: Array<{ gammaMarket: GammaMarket; volume24h: number; yesTokenId: string; noTokenId: string }> = [];
 
-    const results: ScanResult[] = [];
+    for await (const gammaMarket of markets) {
+      if (candidates.length >= limit) break;
 
-    for (const gammaMarket of markets) {
-      try {
-        // Filter by volume
-        const volume24h = gammaMarket.volume24hr || 0;
-        if (volume24h < minVolume24h) continue;
-        if (maxVolume24h && volume24h > maxVolume24h) continue;
-
-        // Filter by keywords
-        if (keywords.length > 0) {
-          const marketText = `${gammaMarket.question} ${gammaMarket.description || ''}`.toLowerCase();
-          const hasKeyword = keywords.some((kw) => marketText.includes(kw.toLowerCase()));
-          if (!hasKeyword) continue;
-        }
+      // Filter by volume (sorted descending, so the rest are below the minimum too)
+      const volume24h = gammaMarket.volume24hr || 0;
+      if (volume24h < minVolume24h) break;
+      if (maxVolume24h && volume24h > maxVolume24h) continue;
 
-        // Skip non-binary markets
-        if (!gammaMarket.conditionId || gammaMarket.outcomes?.length !== 2) continue;
+      // Filter by keywords
+      if (keywords.length > 0) {
+        const marketText = `${gammaMarket.question} ${gammaMarket.description || ''}`.toLowerCase();
+        const hasKeyword = keywords.some((kw) => marketText.includes(kw.toLowerCase()));
+        if (!hasKeyword) continue;
+      }
 
-        // Get CLOB market data for token IDs
-        let clobMarket;
+      // Skip non-binary markets
+      if (!gammaMarket.conditionId || gammaMarket.outcomes?.length !== 2) continue;
+
+      // Token IDs come from Gamma; fall back to CLOB market data when missing
+      let { yes, no } = resolveBinaryTokens(gammaMarket);
+      if (!yes.tokenId || !no.tokenId) {
         try {
-          clobMarket = await clobApi.getMarket(gammaMarket.conditionId);
+          ({ yes, no } = resolveBinaryTokens(gammaMarket, await clobApi.getMarket(gammaMarket.conditionId)));
         } catch {
           continue; // Skip if CLOB data not available
         }
+        if (!yes.tokenId || !no.tokenId) continue;
+      }
 
-        const yesToken = clobMarket.tokens.find((t) => t.outcome === 'Yes');
-        const noToken = clobMarket.tokens.find((t) => t.outcome === 'No');
-        if (!yesToken || !noToken) continue;
+      candidates.push({ gammaMarket, volume24h, yesTokenId: yes.tokenId, noTokenId: no.tokenId });
+    }
 
-        // Get orderbook data
-        let orderbook;
-        try {
-          orderbook = await clobApi.getProcessedOrderbook(gammaMarket.conditionId);
-        } catch {
-          continue; // Skip if orderbook not available
-        }
+    const results: ScanResult[] = [];
+    const scanned = candidates.length;
+
+    // Don't hammer CLOB while its circuit is open
+    if (!this.rateLimiter.isAvailable(ApiType.CLOB_API)) {
+      const circuit = this.rateLimiter.getCircuitState(ApiType.CLOB_API);
+      this.logger.warn('CLOB circuit open, skipping scan', { lastError: circuit?.lastError, candidates: scanned });
+      return results;
+    }
+
+    let books: Map<string, Orderbook>;
+    try {
+      books = await clobApi.getOrderbooks(candidates.flatMap((c) => [c.yesTokenId, c.noTokenId]));
+    } catch (error) {
+      this.logger.warn('Batch orderbook fetch failed, skipping scan', { candidates: scanned, ...errorFields(error) });
+      return results;
+    }
+
+    for (const { gammaMarket, volume24h, yesTokenId, noTokenId } of candidates) {
+      try {
+        // Skip if orderbook not available
+        const yesBook = books.get(yesTokenId);
+        const noBook = books.get(noTokenId);
+        if (!yesBook || !noBook) continue;
+
+        const orderbook = clobApi.processOrderbooks(yesBook, noBook, yesTokenId, noTokenId);
 
         const { effectivePrices, longArbProfit, shortArbProfit } = orderbook.summary;
 
@@ -1680,8 +1829,8 @@ export class ArbitrageService extends EventEmitter {
         const marketConfig: ArbitrageMarketConfig = {
           name: gammaMarket.question.slice(0, 60) + (gammaMarket.question.length > 60 ? '...' : ''),
           conditionId: gammaMarket.conditionId,
-          yesTokenId: yesToken.tokenId,
-          noTokenId: noToken.tokenId,
+          yesTokenId,
+          noTokenId,
           outcomes: gammaMarket.outcomes as [string, string],
         };
 
@@ -1727,7 +1876,7 @@ export class ArbitrageService extends EventEmitter {
       return b.score - a.score;
     });
 
-    this.log(`Found ${results.filter((r) => r.arbType !== 'none').length} markets with arbitrage opportunities`);
+    this.log(`Checked ${scanned} markets, found ${results.filter((r) => r.arbType !== 'none').length} with arbitrage opportunities`);
 
     return results;
   }
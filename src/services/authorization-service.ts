@@ -17,6 +17,9 @@ import {
   NEG_RISK_ADAPTER,
   USDC_CONTRACT,
 } from '../clients/ctf-client.js';
+import { traceTransaction, type Tracer } from '../core/tracing.js';
+import { classifyError } from '../core/error-classifier.js';
+import type { ErrorCode, Remediation } from '../core/errors.js';
 
 // Contract addresses
 const CTF_EXCHANGE = '0x4bFb41d5B3570DeFd03C39a9A4D8dE6Bd8B8982E';
@@ -56,6 +59,10 @@ export interface ApprovalTxResult {
   txHash?: string;
   success: boolean;
   error?: string;
+  /** Classified failure reason (see classifyError) */
+  errorCode?: ErrorCode;
+  /** Suggested fix for the failure, if known */
+  remediation?: Remediation;
 }
 
 export interface ApprovalsResult {
@@ -68,6 +75,8 @@ export interface ApprovalsResult {
 
 export interface AuthorizationServiceConfig {
   provider?: ethers.providers.Provider;
+  /** Tracing hooks, one `tx` span per approval transaction */
+  tracer?: Tracer;
 }
 
 // Contracts that need ERC20 approval
@@ -85,6 +94,20 @@ const ERC1155_OPERATORS = [
   { name: 'Neg Risk Adapter', address: NEG_RISK_ADAPTER },
 ];
 
+/**
+ * Failed approval with the revert classified (e.g. FUND_GAS when the wallet has no POL)
+ */
+function failedApproval(contract: string, err: unknown): ApprovalTxResult {
+  const failure = classifyError(err);
+  return {
+    contract,
+    success: false,
+    error: failure.message,
+    errorCode: failure.code,
+    remediation: failure.remediation,
+  };
+}
+
 /**
  * Service for managing trading authorizations on Polymarket
  *
@@ -107,10 +130,12 @@ const ERC1155_OPERATORS = [
 export class AuthorizationService {
   private signer: ethers.Wallet;
   private provider: ethers.providers.Provider;
+  private tracer?: Tracer;
 
   constructor(signer: ethers.Wallet, config: AuthorizationServiceConfig = {}) {
     this.signer = signer;
     this.provider = config.provider || signer.provider || new ethers.providers.JsonRpcProvider('https://polygon-rpc.com');
+    this.tracer = config.tracer;
   }
 
   /**
@@ -219,21 +244,18 @@ export class AuthorizationService {
       }
 
       try {
-        const tx = await usdc.approve(spender.address, ethers.constants.MaxUint256, {
-          gasPrice: adjustedGasPrice,
-        });
-        await tx.wait();
+        const receipt = await traceTransaction(this.tracer, 'usdc.approve', { spender: spender.address }, () =>
+          usdc.approve(spender.address, ethers.constants.MaxUint256, {
+            gasPrice: adjustedGasPrice,
+          })
+        );
         erc20Results.push({
           contract: spender.name,
-          txHash: tx.hash,
+          txHash: receipt.transactionHash,
           success: true,
         });
       } catch (err) {
-        erc20Results.push({
-          contract: spender.name,
-          success: false,
-          error: err instanceof Error ? err.message : 'Unknown error',
-        });
+        erc20Results.push(failedApproval(spender.name, err));
       }
     }
 
@@ -253,22 +275,23 @@ export class AuthorizationService {
       }
 
       try {
-        const tx = await conditionalTokens.setApprovalForAll(operator.address, true, {
-          gasPrice: adjustedGasPrice,
-          gasLimit: 100000,
-        });
-        await tx.wait();
+        const receipt = await traceTransaction(
+          this.tracer,
+          'ctf.setApprovalForAll',
+          { operator: operator.address, approved: true },
+          () =>
+            conditionalTokens.setApprovalForAll(operator.address, true, {
+              gasPrice: adjustedGasPrice,
+              gasLimit: 100000,
+            })
+        );
         erc1155Results.push({
           contract: operator.name,
-          txHash: tx.hash,
+          txHash: receipt.transactionHash,
           success: true,
         });
       } catch (err) {
-        erc1155Results.push({
-          contract: operator.name,
-          success: false,
-          error: err instanceof Error ? err.message : 'Unknown error',
-        });
+        erc1155Results.push(failedApproval(operator.name, err));
       }
     }
 
@@ -304,21 +327,18 @@ export class AuthorizationService {
     const gasPrice = await this.provider.getGasPrice();
 
     try {
-      const tx = await usdc.approve(spenderAddress, amount, {
-        gasPrice: gasPrice.mul(150).div(100),
-      });
-      await tx.wait();
+      const receipt = await traceTransaction(this.tracer, 'usdc.approve', { spender: spenderAddress }, () =>
+        usdc.approve(spenderAddress, amount, {
+          gasPrice: gasPrice.mul(150).div(100),
+        })
+      );
       return {
         contract: spenderAddress,
-        txHash: tx.hash,
+        txHash: receipt.transactionHash,
         success: true,
       };
     } catch (err) {
-      return {
-        contract: spenderAddress,
-        success: false,
-        error: err instanceof Error ? err.message : 'Unknown error',
-      };
+      return failedApproval(spenderAddress, err);
     }
   }
 
@@ -336,22 +356,23 @@ export class AuthorizationService {
     const gasPrice = await this.provider.getGasPrice();
 
     try {
-      const tx = await conditionalTokens.setApprovalForAll(operatorAddress, approved, {
-        gasPrice: gasPrice.mul(150).div(100),
-        gasLimit: 100000,
-      });
-      await tx.wait();
+      const receipt = await traceTransaction(
+        this.tracer,
+        'ctf.setApprovalForAll',
+        { operator: operatorAddress, approved },
+        () =>
+          conditionalTokens.setApprovalForAll(operatorAddress, approved, {
+            gasPrice: gasPrice.mul(150).div(100),
+            gasLimit: 100000,
+          })
+      );
       return {
         contract: operatorAddress,
-        txHash: tx.hash,
+        txHash: receipt.transactionHash,
         success: true,
       };
     } catch (err) {
-      return {
-        contract: operatorAddress,
-        success: false,
-        error: err instanceof Error ? err.message : 'Unknown error',
-      };
+      return failedApproval(operatorAddress, err);
     }
   }
 }
@@ -0,0 +1,489 @@
+/**
+ * Execution Algorithms
+ *
+ * Work a large order into a thin book in child limit orders instead of one
+ * FOK that fails or walks the book:
+ * - TwapExecutor: equal slices over a time window, each priced at the touch
+ * - IcebergExecutor: one visible clip at a time at a fixed price
+ * - PeggedOrderExecutor: a limit order that follows the best price on its
+ *   side until filled, or until the touch moves past a price cap
+ *
+ * Child orders go through an OrderManager, so progress comes from CLOB fills
+ * rather than post results. The average price is the size-weighted child
+ * limit price; price improvement on a match is not visible to the client.
+ * Each child must meet the market's minimum order size, so pick `slices` /
+ * `clipSize` accordingly.
+ *
+ * @example
+ * ```typescript
+ * const twap = new TwapExecutor(tradingClient, wsManager, {
+ *   tokenId,
+ *   side: 'BUY',
+ *   size: 500,
+ *   durationMs: 10 * 60_000,
+ *   slices: 20,
+ *   limitPrice: 0.55,
+ * });
+ * twap.on('progress', (p) => console.log(`${p.filledSize}/${p.targetSize} @ ${p.averagePrice}`));
+ *
+ * const report = await twap.start();
+ * console.log(report.status, report.averagePrice);
+ * ```
+ */
+
+import { EventEmitter } from 'events';
+import type { Side } from '../clients/trading-client.js';
+import type { BookUpdate } from '../core/types.js';
+import { PolymarketError, ErrorCode } from '../core/errors.js';
+import { ConsoleLogger, errorFields, type Logger } from '../core/logger.js';
+import {
+  OrderManager,
+  isTerminalOrderStatus,
+  type OrderGateway,
+  type ManagedOrder,
+  type OrderFillEvent,
+} from './order-manager.js';
+
+// ===== Types =====
+
+/** Live books, levels sorted best first (WebSocketManager, PaperExchange) */
+export interface BookSource {
+  getBook(assetId: string): BookUpdate | undefined;
+}
+
+export type ExecutionAlgorithm = 'twap' | 'iceberg' | 'pegged';
+
+/**
+ * - filled: the whole size executed
+ * - partial / unfilled: stopped early (window elapsed, price cap) with / without fills
+ * - cancelled: stopped by `cancel()`
+ * - failed: a child order was rejected or cancelled elsewhere
+ */
+export type ExecutionStatus = 'idle' | 'running' | 'filled' | 'partial' | 'unfilled' | 'cancelled' | 'failed';
+
+export interface ExecutionProgress {
+  algorithm: ExecutionAlgorithm;
+  tokenId: string;
+  side: Side;
+  status: ExecutionStatus;
+  /** Shares to execute */
+  targetSize: number;
+  filledSize: number;
+  remainingSize: number;
+  /** Size-weighted child price (0 before the first fill) */
+  averagePrice: number;
+  /** USDC spent (BUY) or received (SELL) */
+  notional: number;
+  /** Child orders posted so far */
+  childOrders: number;
+}
+
+export interface ExecutionReport extends ExecutionProgress {
+  /** Unix ms */
+  startedAt: number;
+  /** Unix ms */
+  finishedAt: number;
+  /** Why the run stopped before filling, e.g. 'window elapsed' */
+  reason?: string;
+  orders: ManagedOrder[];
+}
+
+export interface ExecutorOptions {
+  /** Time between fill checks / re-pricing (default: 2000ms) */
+  pollIntervalMs?: number;
+  /** Share an OrderManager with the rest of the app (default: a private one) */
+  orderManager?: OrderManager;
+  logger?: Logger;
+}
+
+export interface ExecutorEvents {
+  /** A child order was posted */
+  order: (order: ManagedOrder) => void;
+  /** A child order (partly) filled */
+  progress: (progress: ExecutionProgress) => void;
+  done: (report: ExecutionReport) => void;
+  error: (error: Error) => void;
+}
+
+interface BaseParams {
+  tokenId: string;
+  side: Side;
+  /** Shares to execute */
+  size: number;
+}
+
+export interface TwapParams extends BaseParams {
+  /** Window to spread the size over */
+  durationMs: number;
+  /** Number of equal slices (default: 10) */
+  slices?: number;
+  /** Never pay more (BUY) / accept less (SELL) than this */
+  limitPrice?: number;
+}
+
+export interface IcebergParams extends BaseParams {
+  /** Limit price of every clip */
+  price: number;
+  /** Visible size; the next clip is posted once the current one fills */
+  clipSize: number;
+}
+
+export interface PeggedOrderParams extends BaseParams {
+  /** Stop once the peg would need a worse price than this */
+  priceCap: number;
+  /** Price added to (BUY) / taken from (SELL) the best price on our side (default: 0, join) */
+  offset?: number;
+}
+
+/** Sizes / prices closer than this are the same */
+const EPSILON = 1e-6;
+
+/** Round down to the 2 size decimals the CLOB accepts */
+function floorSize(size: number): number {
+  return Math.floor(size * 100 + EPSILON) / 100;
+}
+
+// ===== Base Executor =====
+
+export abstract class OrderExecutor extends EventEmitter {
+  protected orders: OrderManager;
+  protected logger: Logger;
+  private pollIntervalMs: number;
+  /** Child clientOrderId → limit price */
+  private children = new Map<string, number>();
+  private working: string | null = null;
+  private filledSize = 0;
+  private notional = 0;
+  private status: ExecutionStatus = 'idle';
+  private finishing = false;
+  protected startedAt = 0;
+  private timer: ReturnType<typeof setTimeout> | null = null;
+  private ticking: Promise<void> | null = null;
+  private cancelRequested = false;
+  private done: Promise<ExecutionReport> | null = null;
+  private resolveDone: ((report: ExecutionReport) => void) | null = null;
+
+  constructor(
+    readonly algorithm: ExecutionAlgorithm,
+    trading: OrderGateway,
+    protected params: BaseParams,
+    options: ExecutorOptions = {}
+  ) {
+    super();
+    this.pollIntervalMs = options.pollIntervalMs ?? 2000;
+    this.orders = options.orderManager ?? new OrderManager(trading, { logger: options.logger });
+    this.logger = (options.logger ?? new ConsoleLogger()).child({ component: 'OrderExecutor', algorithm });
+  }
+
+  /**
+   * Start working the order; resolves with the final report
+   */
+  start(): Promise<ExecutionReport> {
+    if (!this.done) {
+      if (!(this.params.size > 0)) {
+        return Promise.reject(new PolymarketError(ErrorCode.ORDER_FAILED, `Invalid execution size: ${this.params.size}`));
+      }
+      this.status = 'running';
+      this.startedAt = Date.now();
+      this.orders.on('fill', this.onFill);
+      this.done = new Promise((resolve) => (this.resolveDone = resolve));
+      this.logger.info('Execution started', { tokenId: this.params.tokenId, side: this.params.side, size: this.params.size });
+      void this.tick();
+    }
+    return this.done;
+  }
+
+  /**
+   * Stop and cancel the working child order
+   */
+  async cancel(): Promise<ExecutionReport> {
+    if (!this.done) throw new PolymarketError(ErrorCode.ORDER_FAILED, 'Execution was not started');
+    this.cancelRequested = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    await this.ticking;
+    if (this.status === 'running') await this.finish('cancelled');
+    return this.done;
+  }
+
+  getProgress(): ExecutionProgress {
+    return {
+      algorithm: this.algorithm,
+      tokenId: this.params.tokenId,
+      side: this.params.side,
+      status: this.status,
+      targetSize: this.params.size,
+      filledSize: this.filledSize,
+      remainingSize: this.remainingSize,
+      averagePrice: this.filledSize > EPSILON ? this.notional / this.filledSize : 0,
+      notional: this.notional,
+      childOrders: this.children.size,
+    };
+  }
+
+  // ===== Algorithm Hooks =====
+
+  /** One decision per poll: post, re-price or finish */
+  protected abstract step(): Promise<void>;
+
+  protected get remainingSize(): number {
+    return Math.max(0, this.params.size - this.filledSize);
+  }
+
+  /** Latest state of the working child order, or null if none was posted */
+  protected getWorking(): ManagedOrder | null {
+    return this.working ? this.orders.getOrder(this.working) : null;
+  }
+
+  /** Best price on one side of the live book */
+  protected bestPrice(books: BookSource, side: 'bid' | 'ask'): number | undefined {
+    const book = books.getBook(this.params.tokenId);
+    return (side === 'bid' ? book?.bids : book?.asks)?.[0]?.price;
+  }
+
+  /**
+   * Post a child limit order; a rejection ends the run as failed
+   */
+  protected async place(price: number, size: number): Promise<ManagedOrder | null> {
+    size = floorSize(Math.min(size, this.remainingSize));
+    if (size <= 0) return null;
+
+    const order = await this.orders.submit({ tokenId: this.params.tokenId, side: this.params.side, price, size });
+    this.children.set(order.clientOrderId, price);
+    this.working = order.clientOrderId;
+    if (order.status === 'rejected') {
+      await this.finish('failed', order.error ?? 'Child order rejected');
+      return null;
+    }
+    this.emit('order', order);
+    // Matched on submit: the manager's fill event came before the order was ours
+    if (order.filledSize > EPSILON) this.recordFill(order.filledSize, price);
+    return order;
+  }
+
+  /** Cancel the working child order, if it is still open */
+  protected async cancelWorking(): Promise<void> {
+    const working = this.getWorking();
+    if (working && !isTerminalOrderStatus(working.status)) {
+      await this.orders.cancel(working.clientOrderId);
+    }
+  }
+
+  /**
+   * Cancel the working order and settle the run. A run whose size executed
+   * always reports `filled`; `stopped` becomes `partial` or `unfilled`.
+   */
+  protected async finish(status: 'filled' | 'cancelled' | 'failed' | 'stopped', reason?: string): Promise<void> {
+    if (this.status !== 'running' || this.finishing) return;
+    this.finishing = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    try {
+      await this.cancelWorking();
+    } catch (error) {
+      this.reportError('Cancelling the working order failed', error);
+    }
+    this.orders.off('fill', this.onFill);
+
+    if (this.remainingSize <= EPSILON) this.status = 'filled';
+    else if (status === 'stopped' || status === 'filled') this.status = this.filledSize > EPSILON ? 'partial' : 'unfilled';
+    else this.status = status;
+
+    const report: ExecutionReport = {
+      ...this.getProgress(),
+      startedAt: this.startedAt,
+      finishedAt: Date.now(),
+      reason: this.status === 'filled' ? undefined : reason,
+      orders: Array.from(this.children.keys())
+        .map((id) => this.orders.getOrder(id))
+        .filter((o): o is ManagedOrder => o !== null),
+    };
+    this.logger.info('Execution finished', {
+      status: report.status,
+      filledSize: report.filledSize,
+      averagePrice: report.averagePrice,
+      reason: report.reason,
+    });
+    this.emit('done', report);
+    this.resolveDone?.(report);
+  }
+
+  // ===== Private Methods =====
+
+  private onFill = (event: OrderFillEvent): void => {
+    const price = this.children.get(event.order.clientOrderId);
+    if (price !== undefined) this.recordFill(event.fillSize, price);
+  };
+
+  private recordFill(size: number, price: number): void {
+    this.filledSize += size;
+    this.notional += size * price;
+    this.emit('progress', this.getProgress());
+  }
+
+  private tick(): Promise<void> {
+    this.timer = null;
+    this.ticking = this.runStep().finally(() => {
+      this.ticking = null;
+      if (this.status === 'running' && !this.cancelRequested) {
+        this.timer = setTimeout(() => void this.tick(), this.pollIntervalMs);
+      }
+    });
+    return this.ticking;
+  }
+
+  private async runStep(): Promise<void> {
+    if (this.status !== 'running' || this.cancelRequested) return;
+    try {
+      if (this.working) await this.orders.reconcile();
+      if (this.remainingSize <= EPSILON) {
+        await this.finish('filled');
+        return;
+      }
+      await this.step();
+    } catch (error) {
+      this.reportError('Execution step failed', error);
+    }
+  }
+
+  private reportError(message: string, error: unknown): void {
+    this.logger.warn(message, { tokenId: this.params.tokenId, ...errorFields(error) });
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error instanceof Error ? error : new Error(String(error)));
+    }
+  }
+}
+
+// ===== TWAP =====
+
+/**
+ * Split `size` into equal slices over `durationMs`. Each slice is a limit
+ * order at the opposite touch (capped at `limitPrice`); whatever a slice
+ * leaves unfilled is cancelled and rolled into the next one.
+ */
+export class TwapExecutor extends OrderExecutor {
+  private slices: number;
+  private slice = 0;
+
+  constructor(
+    trading: OrderGateway,
+    private books: BookSource,
+    private twap: TwapParams,
+    options: ExecutorOptions = {}
+  ) {
+    super('twap', trading, twap, options);
+    this.slices = Math.max(1, Math.floor(twap.slices ?? 10));
+  }
+
+  protected async step(): Promise<void> {
+    const elapsed = Date.now() - this.startedAt;
+    if (elapsed >= this.twap.durationMs) {
+      await this.finish('stopped', 'window elapsed');
+      return;
+    }
+
+    const due = Math.min(this.slices, Math.floor((elapsed / this.twap.durationMs) * this.slices) + 1);
+    if (due === this.slice) return;
+
+    const touch = this.bestPrice(this.books, this.twap.side === 'BUY' ? 'ask' : 'bid');
+    // No book yet: retry the slice on the next poll
+    if (touch === undefined) return;
+
+    const cap = this.twap.limitPrice;
+    const price = cap === undefined ? touch : this.twap.side === 'BUY' ? Math.min(touch, cap) : Math.max(touch, cap);
+
+    await this.cancelWorking();
+    this.slice = due;
+    const target = (this.twap.size * due) / this.slices;
+    await this.place(price, target - (this.twap.size - this.remainingSize));
+  }
+}
+
+// ===== Iceberg =====
+
+/**
+ * Show at most `clipSize` at `price`; post the next clip once the current
+ * one has filled.
+ */
+export class IcebergExecutor extends OrderExecutor {
+  constructor(
+    trading: OrderGateway,
+    private iceberg: IcebergParams,
+    options: ExecutorOptions = {}
+  ) {
+    super('iceberg', trading, iceberg, options);
+  }
+
+  protected async step(): Promise<void> {
+    const working = this.getWorking();
+    if (working && !isTerminalOrderStatus(working.status)) return;
+    if (working && working.status !== 'filled') {
+      await this.finish('failed', `clip ${working.status}`);
+      return;
+    }
+    await this.place(this.iceberg.price, this.iceberg.clipSize);
+  }
+}
+
+// ===== Pegged Order =====
+
+/**
+ * Keep one limit order at the best price on its own side (plus `offset`),
+ * re-pricing as the touch moves, until filled or until the peg would cross
+ * `priceCap`.
+ */
+export class PeggedOrderExecutor extends OrderExecutor {
+  constructor(
+    trading: OrderGateway,
+    private books: BookSource,
+    private peg: PeggedOrderParams,
+    options: ExecutorOptions = {}
+  ) {
+    super('pegged', trading, peg, options);
+  }
+
+  protected async step(): Promise<void> {
+    const buy = this.peg.side === 'BUY';
+    const working = this.getWorking();
+    const touch = this.touch(working);
+    if (touch === undefined) return;
+
+    const offset = this.peg.offset ?? 0;
+    const target = Number((buy ? touch + offset : touch - offset).toFixed(6));
+    if (buy ? target > this.peg.priceCap + EPSILON : target < this.peg.priceCap - EPSILON) {
+      await this.finish('stopped', 'price cap reached');
+      return;
+    }
+
+    if (working && !isTerminalOrderStatus(working.status)) {
+      if (Math.abs((working.price ?? 0) - target) < EPSILON) return;
+      // Cancel first: the cancel's reconcile shows what filled, so the
+      // replacement is sized to what is actually left
+      await this.cancelWorking();
+      if (this.remainingSize <= EPSILON) return;
+    } else if (working && working.status !== 'filled') {
+      await this.finish('failed', `order ${working.status}`);
+      return;
+    }
+    await this.place(target, this.remainingSize);
+  }
+
+  /**
+   * Best price on our side without the working order: the live book shows it
+   * too, and pegging to it would outbid ourselves up to the cap. A level that
+   * only holds our order is skipped.
+   */
+  private touch(working: ManagedOrder | null): number | undefined {
+    const book = this.books.getBook(this.peg.tokenId);
+    const levels = (this.peg.side === 'BUY' ? book?.bids : book?.asks) ?? [];
+    const own = working && !isTerminalOrderStatus(working.status) ? working : null;
+    return levels.find((level) => {
+      const ours = own && Math.abs(level.price - (own.price ?? 0)) < EPSILON ? own.remainingSize : 0;
+      return level.size - ours > EPSILON;
+    })?.price;
+  }
+}
@@ -0,0 +1,429 @@
+/**
+ * Market Catalog
+ *
+ * Local index of Gamma markets and their CLOB token IDs, refreshed
+ * periodically. Each refresh walks every matching Gamma page and diffs the
+ * result against the index:
+ *
+ * - `marketListed`   - a market appeared that was not indexed before
+ * - `marketClosed`   - an indexed market stopped trading
+ * - `marketResolved` - a closed market settled on a winning outcome
+ * - `priceMoved`     - the YES price moved `priceMoveThreshold` since the last event
+ *
+ * Markets that drop out of the walk are looked up individually to learn
+ * whether they closed, least recently checked first. Closed markets are
+ * re-checked until they resolve, UMA reports them resolved, or
+ * `maxResolutionWaitMs` passes. They stay indexed, so token lookups (e.g.
+ * for ChainMonitor redemptions) keep working after resolution.
+ *
+ * @example
+ * ```typescript
+ * const catalog = sdk.createMarketCatalog({
+ *   query: { tagId: 21 },
+ *   filter: (m) => /bitcoin|btc/i.test(m.question),
+ * });
+ * catalog.on('marketListed', (market) => console.log('New market:', market.question));
+ * catalog.on('marketResolved', ({ market, winningOutcome }) => console.log(market.question, '->', winningOutcome));
+ * await catalog.start();
+ *
+ * catalog.lookupToken(tokenId); // { conditionId, question, outcome, ... }
+ * ```
+ */
+
+import { EventEmitter } from 'events';
+import type { GammaApiClient, GammaMarket, MarketIteratorOptions } from '../clients/gamma-api.js';
+import type { ClobApiClient } from '../clients/clob-api.js';
+import type { CacheAdapter } from '../core/cache-adapter-types.js';
+import { ConsoleLogger, errorFields, type Logger } from '../core/logger.js';
+
+// ===== Types =====
+
+export interface MarketCatalogOptions {
+  /** Gamma search for the markets to index (default: all open markets) */
+  query?: MarketIteratorOptions;
+  /** Client-side predicate; only matching markets are indexed */
+  filter?: (market: GammaMarket) => boolean;
+  /** Time between refreshes (default: 300000ms) */
+  refreshIntervalMs?: number;
+  /** Absolute YES price change that triggers `priceMoved` (default: 0.05) */
+  priceMoveThreshold?: number;
+  /** Individual lookups per refresh for markets that left the walk (default: 100) */
+  maxLookupsPerRefresh?: number;
+  /** Stop re-checking a closed market that has not resolved after this long (default: 7 days) */
+  maxResolutionWaitMs?: number;
+  /** Emit `marketListed` for every market on the very first sync (default: false) */
+  emitInitialListings?: boolean;
+  /** Persists the index across restarts (default: memory only) */
+  storage?: CacheAdapter;
+  /** Storage key suffix (default: 'default') */
+  name?: string;
+  logger?: Logger;
+}
+
+export interface CatalogMarket {
+  /** Gamma market ID */
+  id: string;
+  conditionId: string;
+  slug: string;
+  question: string;
+  /** Outcome label within a multi-outcome event */
+  groupItemTitle?: string;
+  outcomes: string[];
+  /** CLOB token IDs, same order as `outcomes` */
+  tokenIds: string[];
+  /** Prices, same order as `outcomes` */
+  prices: number[];
+  negRisk: boolean;
+  active: boolean;
+  closed: boolean;
+  /** First seen closed (epoch ms) */
+  closedAt?: number;
+  /** UMA oracle status from Gamma (e.g. 'proposed', 'resolved') */
+  umaResolutionStatus?: string;
+  /** Winning outcome index once resolved */
+  winningOutcomeIndex?: number;
+  volume24hr?: number;
+  liquidity: number;
+  /** End date (epoch ms) */
+  endDate: number;
+  /** First indexed (epoch ms) */
+  listedAt: number;
+  /** Last refreshed (epoch ms) */
+  updatedAt: number;
+}
+
+export interface CatalogTokenInfo {
+  conditionId: string;
+  question: string;
+  slug: string;
+  outcome: string;
+  outcomeIndex: number;
+  market: CatalogMarket;
+}
+
+export interface MarketResolvedEvent {
+  market: CatalogMarket;
+  winningOutcome: string;
+  winningTokenId: string;
+}
+
+export interface PriceMovedEvent {
+  market: CatalogMarket;
+  /** YES price at the previous `priceMoved` (or listing) */
+  previousPrice: number;
+  price: number;
+  change: number;
+}
+
+export interface CatalogSyncResult {
+  listed: number;
+  closed: number;
+  resolved: number;
+  priceMoved: number;
+  /** Markets in the index after the sync */
+  total: number;
+  durationMs: number;
+}
+
+export interface MarketCatalogEvents {
+  marketListed: (market: CatalogMarket) => void;
+  marketClosed: (market: CatalogMarket) => void;
+  marketResolved: (event: MarketResolvedEvent) => void;
+  priceMoved: (event: PriceMovedEvent) => void;
+  synced: (result: CatalogSyncResult) => void;
+  error: (error: Error) => void;
+}
+
+interface StoredCatalog {
+  markets: CatalogMarket[];
+  /** conditionId -> YES price at the last `priceMoved` */
+  priceBaselines: Record<string, number>;
+}
+
+/** A closed market settles when one outcome is priced at (close to) 1 */
+const RESOLVED_PRICE = 0.99;
+
+// ===== Catalog =====
+
+export class MarketCatalog extends EventEmitter {
+  private markets = new Map<string, CatalogMarket>();
+  private tokens = new Map<string, { conditionId: string; outcomeIndex: number }>();
+  private priceBaselines = new Map<string, number>();
+  private options: Required<Pick<MarketCatalogOptions,
+    'refreshIntervalMs' | 'priceMoveThreshold' | 'maxLookupsPerRefresh' | 'maxResolutionWaitMs' | 'emitInitialListings' | 'name'>>;
+  private logger: Logger;
+  private loaded = false;
+  private running = false;
+  private timer: ReturnType<typeof setTimeout> | null = null;
+  private inflight: Promise<CatalogSyncResult> | null = null;
+  /** conditionId -> last individual lookup (epoch ms), so lookups rotate */
+  private lastLookupAt = new Map<string, number>();
+
+  constructor(
+    private gammaApi: GammaApiClient,
+    private clobApi: ClobApiClient,
+    private config: MarketCatalogOptions = {}
+  ) {
+    super();
+    this.options = {
+      refreshIntervalMs: config.refreshIntervalMs ?? 5 * 60 * 1000,
+      priceMoveThreshold: config.priceMoveThreshold ?? 0.05,
+      maxLookupsPerRefresh: config.maxLookupsPerRefresh ?? 100,
+      maxResolutionWaitMs: config.maxResolutionWaitMs ?? 7 * 24 * 60 * 60 * 1000,
+      emitInitialListings: config.emitInitialListings ?? false,
+      name: config.name ?? 'default',
+    };
+    this.logger = (config.logger ?? new ConsoleLogger()).child({ component: 'MarketCatalog' });
+  }
+
+  /**
+   * Load the persisted index, sync, then refresh every `refreshIntervalMs`
+   */
+  async start(): Promise<CatalogSyncResult> {
+    this.running = true;
+    try {
+      return await this.refresh();
+    } finally {
+      this.schedule();
+    }
+  }
+
+  stop(): void {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Walk all matching Gamma pages and emit diffs against the index.
+   * Concurrent calls share one refresh.
+   */
+  async refresh(): Promise<CatalogSyncResult> {
+    if (!this.inflight) {
+      this.inflight = this.doRefresh().finally(() => {
+        this.inflight = null;
+      });
+    }
+    return this.inflight;
+  }
+
+  getMarket(conditionId: string): CatalogMarket | undefined {
+    return this.markets.get(conditionId);
+  }
+
+  getMarkets(options: { includeClosed?: boolean } = {}): CatalogMarket[] {
+    const all = Array.from(this.markets.values());
+    return options.includeClosed ? all : all.filter((m) => !m.closed);
+  }
+
+  /**
+   * Market and outcome a CLOB token belongs to, or null if not indexed
+   */
+  lookupToken(tokenId: string): CatalogTokenInfo | null {
+    const ref = this.tokens.get(tokenId);
+    const market = ref && this.markets.get(ref.conditionId);
+    if (!ref || !market) return null;
+    return {
+      conditionId: market.conditionId,
+      question: market.question,
+      slug: market.slug,
+      outcome: market.outcomes[ref.outcomeIndex] ?? '',
+      outcomeIndex: ref.outcomeIndex,
+      market,
+    };
+  }
+
+  get size(): number {
+    return this.markets.size;
+  }
+
+  // ===== Private Methods =====
+
+  private async doRefresh(): Promise<CatalogSyncResult> {
+    const startedAt = Date.now();
+    await this.load();
+    const initial = this.markets.size === 0;
+    const emitListings = !initial || this.options.emitInitialListings;
+    const result: CatalogSyncResult = { listed: 0, closed: 0, resolved: 0, priceMoved: 0, total: 0, durationMs: 0 };
+
+    try {
+      const seen = new Set<string>();
+      const filter = this.config.filter;
+      for await (const gamma of this.gammaApi.iterateMarkets({ active: true, closed: false, ...this.config.query })) {
+        if (!gamma.conditionId || (filter && !filter(gamma))) continue;
+        seen.add(gamma.conditionId);
+        await this.apply(gamma, result, emitListings);
+      }
+
+      // Open (or closed but unresolved) markets that left the walk: find out why
+      const lastLookup = (m: CatalogMarket) => this.lastLookupAt.get(m.conditionId) ?? m.updatedAt;
+      const stale = Array.from(this.markets.values())
+        .filter((m) => !seen.has(m.conditionId) && this.awaitsResolution(m, startedAt))
+        .sort((a, b) => lastLookup(a) - lastLookup(b))
+        .slice(0, this.options.maxLookupsPerRefresh);
+      for (const market of stale) {
+        this.lastLookupAt.set(market.conditionId, Date.now());
+        const gamma = await this.gammaApi.getMarketByConditionId(market.conditionId, { fresh: true });
+        if (gamma) await this.apply(gamma, result, emitListings);
+      }
+    } catch (error) {
+      // Keep what was applied; a partial walk never marks markets closed
+      this.logger.warn('Catalog refresh failed', errorFields(error));
+      await this.persist();
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error instanceof Error ? error : new Error(String(error)));
+      }
+      throw error;
+    }
+
+    await this.persist();
+    result.total = this.markets.size;
+    result.durationMs = Date.now() - startedAt;
+    this.logger.debug('Catalog synced', { ...result });
+    this.emit('synced', result);
+    return result;
+  }
+
+  /**
+   * Whether a market that left the walk still needs individual lookups
+   */
+  private awaitsResolution(market: CatalogMarket, now: number): boolean {
+    if (market.winningOutcomeIndex !== undefined) return false;
+    if (!market.closed) return true;
+    // Settled without a winner (e.g. 50/50), or closed for too long to keep polling
+    if (market.umaResolutionStatus?.toLowerCase() === 'resolved') return false;
+    return now - (market.closedAt ?? market.updatedAt) < this.options.maxResolutionWaitMs;
+  }
+
+  private async apply(gamma: GammaMarket, result: CatalogSyncResult, emitListings: boolean): Promise<void> {
+    const previous = this.markets.get(gamma.conditionId);
+    const market = await this.toCatalogMarket(gamma, previous);
+    this.markets.set(market.conditionId, market);
+    market.tokenIds.forEach((tokenId, outcomeIndex) => {
+      this.tokens.set(tokenId, { conditionId: market.conditionId, outcomeIndex });
+    });
+
+    const price = market.prices[0] ?? 0;
+    if (!previous) {
+      this.priceBaselines.set(market.conditionId, price);
+      if (emitListings) {
+        result.listed++;
+        this.emit('marketListed', market);
+      }
+      return;
+    }
+
+    if (market.closed && !previous.closed) {
+      result.closed++;
+      this.emit('marketClosed', market);
+    }
+
+    if (market.winningOutcomeIndex !== undefined && previous.winningOutcomeIndex === undefined) {
+      const event: MarketResolvedEvent = {
+        market,
+        winningOutcome: market.outcomes[market.winningOutcomeIndex] ?? '',
+        winningTokenId: market.tokenIds[market.winningOutcomeIndex] ?? '',
+      };
+      result.resolved++;
+      this.emit('marketResolved', event);
+      return;
+    }
+
+    const baseline = this.priceBaselines.get(market.conditionId) ?? price;
+    const change = price - baseline;
+    if (!market.closed && Math.abs(change) >= this.options.priceMoveThreshold) {
+      const event: PriceMovedEvent = { market, previousPrice: baseline, price, change };
+      this.priceBaselines.set(market.conditionId, price);
+      result.priceMoved++;
+      this.emit('priceMoved', event);
+    }
+  }
+
+  private async toCatalogMarket(gamma: GammaMarket, previous?: CatalogMarket): Promise<CatalogMarket> {
+    let tokenIds = gamma.clobTokenIds ?? previous?.tokenIds ?? [];
+    if (tokenIds.length === 0) {
+      // Gamma occasionally omits clobTokenIds; fall back to the CLOB market
+      try {
+        const clob = await this.clobApi.getMarket(gamma.conditionId);
+        tokenIds = gamma.outcomes.map(
+          (outcome, i) => clob.tokens.find((t) => t.outcome === outcome)?.tokenId ?? clob.tokens[i]?.tokenId ?? ''
+        );
+      } catch (error) {
+        this.logger.debug('No CLOB tokens for market', { conditionId: gamma.conditionId, ...errorFields(error) });
+      }
+    }
+
+    const winner = gamma.closed ? gamma.outcomePrices.findIndex((p) => p >= RESOLVED_PRICE) : -1;
+    const now = Date.now();
+    return {
+      id: gamma.id,
+      conditionId: gamma.conditionId,
+      slug: gamma.slug,
+      question: gamma.question,
+      groupItemTitle: gamma.groupItemTitle,
+      outcomes: gamma.outcomes,
+      tokenIds,
+      prices: gamma.outcomePrices,
+      negRisk: gamma.negRisk ?? false,
+      active: gamma.active,
+      closed: gamma.closed,
+      closedAt: gamma.closed ? previous?.closedAt ?? now : undefined,
+      umaResolutionStatus: gamma.umaResolutionStatus,
+      winningOutcomeIndex: winner >= 0 ? winner : undefined,
+      volume24hr: gamma.volume24hr,
+      liquidity: gamma.liquidity,
+      endDate: gamma.endDate.getTime(),
+      listedAt: previous?.listedAt ?? now,
+      updatedAt: now,
+    };
+  }
+
+  private schedule(): void {
+    if (!this.running) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.refresh()
+        .catch(() => {
+          // Reported through logger / 'error' in doRefresh
+        })
+        .finally(() => this.schedule());
+    }, this.options.refreshIntervalMs);
+  }
+
+  private async load(): Promise<void> {
+    if (this.loaded) return;
+    this.loaded = true;
+    const stored = await this.config.storage?.get<StoredCatalog>(this.storageKey());
+    if (!stored) return;
+
+    for (const market of stored.markets) {
+      this.markets.set(market.conditionId, market);
+      market.tokenIds.forEach((tokenId, outcomeIndex) => {
+        this.tokens.set(tokenId, { conditionId: market.conditionId, outcomeIndex });
+      });
+    }
+    for (const [conditionId, price] of Object.entries(stored.priceBaselines)) {
+      this.priceBaselines.set(conditionId, price);
+    }
+    this.logger.debug('Loaded catalog', { markets: this.markets.size });
+  }
+
+  private async persist(): Promise<void> {
+    if (!this.config.storage) return;
+    const stored: StoredCatalog = {
+      markets: Array.from(this.markets.values()),
+      priceBaselines: Object.fromEntries(this.priceBaselines),
+    };
+    try {
+      await this.config.storage.set(this.storageKey(), stored);
+    } catch (error) {
+      this.logger.warn('Failed to persist market catalog', errorFields(error));
+    }
+  }
+
+  private storageKey(): string {
+    return `market-catalog:${this.options.name}`;
+  }
+}
@@ -2,18 +2,21 @@
  * Market Service
  *
  * Provides enhanced market analysis features:
- * - K-Line aggregation from trade data
+ * - K-Line aggregation from trade data and CLOB price history
  * - Dual token K-Lines (YES + NO)
  * - Spread analysis
  * - Market signal detection
  */
 
 import { DataApiClient, Trade } from '../clients/data-api.js';
-import { GammaApiClient, GammaMarket } from '../clients/gamma-api.js';
-import { ClobApiClient, ClobMarket } from '../clients/clob-api.js';
+import { GammaApiClient, GammaMarket, type MarketSearchParams, type MarketIteratorOptions } from '../clients/gamma-api.js';
+import { ClobApiClient, ClobMarket, type PricePoint } from '../clients/clob-api.js';
 import type { UnifiedCache } from '../core/unified-cache.js';
 import { PolymarketError, ErrorCode } from '../core/errors.js';
-import type { UnifiedMarket, ProcessedOrderbook, ArbitrageOpportunity, KLineInterval, KLineCandle, DualKLineData, SpreadDataPoint, RealtimeSpreadAnalysis } from '../core/types.js';
+import type { UnifiedMarket, ProcessedOrderbook, ArbitrageOpportunity, KLineInterval, KLineCandle, KLineOptions, DualKLineData, SpreadDataPoint, RealtimeSpreadAnalysis } from '../core/types.js';
+
+/** Price-history lookback when no startTime is given, in candles */
+const DEFAULT_HISTORY_CANDLES = 500;
 
 export class MarketService {
   constructor(
@@ -104,23 +107,75 @@ export class MarketService {
 
   /**
    * Get K-Line candles for a market (single token)
+   *
+   * By default candles are aggregated from the last `limit` trades. Use
+   * `source: 'merged'` to fill quiet periods from CLOB price history, and
+   * `startTime` / `endTime` for an explicit range.
+   *
+   * @example
+   * ```typescript
+   * const candles = await markets.getKLines(conditionId, '1h', {
+   *   source: 'merged',
+   *   startTime: Date.now() - 7 * 24 * 60 * 60 * 1000,
+   * });
+   * ```
    */
   async getKLines(
     conditionId: string,
     interval: KLineInterval,
-    options?: { limit?: number; tokenId?: string; outcomeIndex?: number }
+    options: KLineOptions = {}
   ): Promise<KLineCandle[]> {
-    const trades = await this.dataApi.getTradesByMarket(conditionId, options?.limit || 1000);
+    const source = options.source ?? 'trades';
+    const intervalMs = getIntervalMs(interval);
+    const hasRange = options.startTime !== undefined || options.endTime !== undefined;
+
+    // Price history is per token, so merged candles must chart a single token
+    let tokenId = options.tokenId;
+    if (!tokenId && source !== 'trades') {
+      const market = await this.getMarket(conditionId);
+      tokenId = options.outcomeIndex === 1 ? market.tokens.no.tokenId : market.tokens.yes.tokenId;
+    }
+
+    let candles: KLineCandle[] = [];
+    if (source !== 'priceHistory') {
+      const trades = hasRange
+        ? await this.collectTrades(conditionId, options.startTime, options.endTime, options.limit)
+        : await this.dataApi.getTradesByMarket(conditionId, options.limit || 1000);
+
+      // Filter by token/outcome if specified
+      let filteredTrades = trades;
+      if (tokenId) {
+        filteredTrades = trades.filter((t) => t.asset === tokenId);
+      } else if (options.outcomeIndex !== undefined) {
+        filteredTrades = trades.filter((t) => t.outcomeIndex === options.outcomeIndex);
+      }
+      candles = this.aggregateToKLines(filteredTrades, interval);
+    }
+
+    const endTime = options.endTime ?? (source === 'trades' ? undefined : Date.now());
+    // Without a start, history sources cover the last DEFAULT_HISTORY_CANDLES intervals;
+    // older trade candles are clipped too, or gap filling would span the whole trade history
+    const startTime = options.startTime ?? (source === 'trades' ? undefined : endTime! - DEFAULT_HISTORY_CANDLES * intervalMs);
+    if (source !== 'trades' && tokenId) {
+      const points = await this.clobApi.getPriceHistory(tokenId, {
+        startTime,
+        endTime,
+        fidelity: Math.max(1, Math.round(intervalMs / 60_000)),
+      });
+      // Trade candles win; price history only fills buckets without trades
+      const byTime = new Map(this.pricePointsToKLines(points, interval).map((c) => [c.timestamp, c]));
+      for (const candle of candles) byTime.set(candle.timestamp, candle);
+      candles = Array.from(byTime.values()).sort((a, b) => a.timestamp - b.timestamp);
+    }
 
-    // Filter by token/outcome if specified
-    let filteredTrades = trades;
-    if (options?.tokenId) {
-      filteredTrades = trades.filter((t) => t.asset === options.tokenId);
-    } else if (options?.outcomeIndex !== undefined) {
-      filteredTrades = trades.filter((t) => t.outcomeIndex === options.outcomeIndex);
+    if (startTime !== undefined) {
+      const start = Math.floor(startTime / intervalMs) * intervalMs;
+      candles = candles.filter((c) => c.timestamp >= start);
     }
+    if (endTime !== undefined) candles = candles.filter((c) => c.timestamp <= endTime);
 
-    return this.aggregateToKLines(filteredTrades, interval);
+    const fillGaps = options.fillGaps ?? source !== 'trades';
+    return fillGaps ? this.fillKLineGaps(candles, interval, endTime) : candles;
   }
 
   /**
@@ -209,6 +264,86 @@ export class MarketService {
     return candles.sort((a, b) => a.timestamp - b.timestamp);
   }
 
+  /**
+   * Aggregate price history points into K-Line candles (no volume)
+   */
+  private pricePointsToKLines(points: PricePoint[], interval: KLineInterval): KLineCandle[] {
+    const intervalMs = getIntervalMs(interval);
+    const candles = new Map<number, KLineCandle>();
+
+    // Points are sorted oldest first, so the first / last point of a bucket are open / close
+    for (const { timestamp, price } of points) {
+      const bucketTime = Math.floor(timestamp / intervalMs) * intervalMs;
+      const candle = candles.get(bucketTime);
+      if (!candle) {
+        candles.set(bucketTime, {
+          timestamp: bucketTime,
+          open: price,
+          high: price,
+          low: price,
+          close: price,
+          volume: 0,
+          tradeCount: 0,
+          buyVolume: 0,
+          sellVolume: 0,
+        });
+      } else {
+        candle.high = Math.max(candle.high, price);
+        candle.low = Math.min(candle.low, price);
+        candle.close = price;
+      }
+    }
+
+    return Array.from(candles.values());
+  }
+
+  /**
+   * Insert flat candles (previous close, no volume) into empty buckets,
+   * up to `endTime` when given
+   */
+  private fillKLineGaps(candles: KLineCandle[], interval: KLineInterval, endTime?: number): KLineCandle[] {
+    if (candles.length === 0) return candles;
+    const intervalMs = getIntervalMs(interval);
+    const last = endTime !== undefined
+      ? Math.floor(endTime / intervalMs) * intervalMs
+      : candles[candles.length - 1].timestamp;
+
+    const filled: KLineCandle[] = [];
+    let next = 0;
+    for (let timestamp = candles[0].timestamp; timestamp <= last; timestamp += intervalMs) {
+      if (candles[next]?.timestamp === timestamp) {
+        filled.push(candles[next++]);
+        continue;
+      }
+      const close = filled[filled.length - 1].close;
+      filled.push({
+        timestamp,
+        open: close,
+        high: close,
+        low: close,
+        close,
+        volume: 0,
+        tradeCount: 0,
+        buyVolume: 0,
+        sellVolume: 0,
+      });
+    }
+    return filled;
+  }
+
+  private async collectTrades(
+    conditionId: string,
+    since?: number,
+    until?: number,
+    maxRecords?: number
+  ): Promise<Trade[]> {
+    const trades: Trade[] = [];
+    for await (const trade of this.dataApi.iterateTrades({ market: conditionId, since, until, maxRecords })) {
+      trades.push(trade);
+    }
+    return trades;
+  }
+
   /**
    * Analyze historical spread from trade close prices (for backtesting)
    *
@@ -365,16 +500,29 @@ export class MarketService {
   }
 
   /**
-   * Search markets
+   * Search markets across all Gamma result pages
+   *
+   * `limit` caps the number of matches returned; without it the whole
+   * matching catalog is walked (use `iterateMarkets` to stream instead).
    */
-  async searchMarkets(params: {
-    active?: boolean;
-    closed?: boolean;
-    limit?: number;
-    offset?: number;
-    order?: string;
-  }): Promise<GammaMarket[]> {
-    return this.gammaApi.getMarkets(params);
+  async searchMarkets(params: MarketSearchParams = {}): Promise<GammaMarket[]> {
+    const { limit, offset, ...filters } = params;
+    const markets: GammaMarket[] = [];
+    for await (const market of this.gammaApi.iterateMarkets({
+      ...filters,
+      maxRecords: limit,
+      ...(offset && { cursor: { offset } }),
+    })) {
+      markets.push(market);
+    }
+    return markets;
+  }
+
+  /**
+   * Stream markets matching a search, one Gamma page at a time
+   */
+  iterateMarkets(options: MarketIteratorOptions = {}): AsyncGenerator<GammaMarket> {
+    return this.gammaApi.iterateMarkets(options);
   }
 
   // ===== Market Signal Detection =====
@@ -450,18 +598,12 @@ export class MarketService {
   // ===== Helper Methods =====
 
   private mergeMarkets(gamma: GammaMarket, clob: ClobMarket): UnifiedMarket {
-    const yesToken = clob.tokens.find((t) => t.outcome === 'Yes');
-    const noToken = clob.tokens.find((t) => t.outcome === 'No');
-
     return {
       conditionId: clob.conditionId,
       slug: gamma.slug,
       question: clob.question,
       description: clob.description || gamma.description,
-      tokens: {
-        yes: { tokenId: yesToken?.tokenId || '', price: yesToken?.price || gamma.outcomePrices[0] || 0.5 },
-        no: { tokenId: noToken?.tokenId || '', price: noToken?.price || gamma.outcomePrices[1] || 0.5 },
-      },
+      tokens: resolveBinaryTokens(gamma, clob),
       volume: gamma.volume,
       volume24hr: gamma.volume24hr,
       liquidity: gamma.liquidity,
@@ -482,10 +624,7 @@ export class MarketService {
       slug: gamma.slug,
       question: gamma.question,
       description: gamma.description,
-      tokens: {
-        yes: { tokenId: '', price: gamma.outcomePrices[0] || 0.5 },
-        no: { tokenId: '', price: gamma.outcomePrices[1] || 0.5 },
-      },
+      tokens: resolveBinaryTokens(gamma),
       volume: gamma.volume,
       volume24hr: gamma.volume24hr,
       liquidity: gamma.liquidity,
@@ -501,18 +640,12 @@ export class MarketService {
   }
 
   private fromClobMarket(clob: ClobMarket): UnifiedMarket {
-    const yesToken = clob.tokens.find((t) => t.outcome === 'Yes');
-    const noToken = clob.tokens.find((t) => t.outcome === 'No');
-
     return {
       conditionId: clob.conditionId,
       slug: clob.marketSlug,
       question: clob.question,
       description: clob.description,
-      tokens: {
-        yes: { tokenId: yesToken?.tokenId || '', price: yesToken?.price || 0.5 },
-        no: { tokenId: noToken?.tokenId || '', price: noToken?.price || 0.5 },
-      },
+      tokens: resolveBinaryTokens(undefined, clob),
       volume: 0,
       volume24hr: undefined,
       liquidity: 0,
@@ -528,6 +661,24 @@ export class MarketService {
 
 // ===== Utility Functions =====
 
+/**
+ * YES / NO tokens of a binary market, matched by outcome name and falling
+ * back to position for markets whose outcomes are not Yes/No (e.g. "Up" /
+ * "Down", team names). Position follows Gamma's `outcomes` order.
+ */
+export function resolveBinaryTokens(gamma?: GammaMarket, clob?: ClobMarket): UnifiedMarket['tokens'] {
+  const pick = (name: 'yes' | 'no', position: number) => {
+    const token = clob?.tokens.find((t) => t.outcome.toLowerCase() === name) ?? clob?.tokens[position];
+    const outcomes = gamma?.outcomes.map((o) => o.toLowerCase()) ?? [];
+    const index = outcomes.includes(name) ? outcomes.indexOf(name) : position;
+    return {
+      tokenId: token?.tokenId || gamma?.clobTokenIds?.[index] || '',
+      price: token?.price ?? gamma?.outcomePrices[index] ?? 0.5,
+    };
+  };
+  return { yes: pick('yes', 0), no: pick('no', 1) };
+}
+
 export function getIntervalMs(interval: KLineInterval): number {
   const map: Record<KLineInterval, number> = {
     '30s': 30 * 1000,
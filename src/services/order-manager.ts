@@ -0,0 +1,395 @@
+/**
+ * Order Manager
+ *
+ * Tracks orders placed through a TradingClient from submission to a final
+ * state, so callers can see what actually executed instead of trusting the
+ * `success` flag of the post:
+ *
+ *   pending → live → partially_filled → filled
+ *                  ↘ cancelled / expired
+ *   pending → rejected
+ *
+ * The local state is reconciled against the CLOB (`getOrder`) right after
+ * each submit / cancel and every `reconcileIntervalMs` while started.
+ * Terminal states (filled, cancelled, expired, rejected) never change.
+ *
+ * @example
+ * ```typescript
+ * const orders = new OrderManager(tradingClient);
+ * orders.on('fill', (e) => console.log(`${e.order.clientOrderId} +${e.fillSize}`));
+ * orders.on('transition', (e) => console.log(`${e.from} → ${e.to}`));
+ * await orders.start();
+ *
+ * const order = await orders.submit({ tokenId, side: 'BUY', price: 0.45, size: 100 });
+ * // ... later
+ * await orders.cancel(order.clientOrderId);
+ * ```
+ */
+
+import { EventEmitter } from 'events';
+import type {
+  TradingClient,
+  Order,
+  OrderParams,
+  MarketOrderParams,
+  OrderResult,
+  Side,
+  OrderType,
+} from '../clients/trading-client.js';
+import { PolymarketError, ErrorCode } from '../core/errors.js';
+import { ConsoleLogger, errorFields, type Logger } from '../core/logger.js';
+
+// ===== Types =====
+
+/** The TradingClient methods the manager needs */
+export type OrderGateway = Pick<TradingClient, 'createOrder' | 'createMarketOrder' | 'cancelOrder' | 'getOrder'>;
+
+export type ManagedOrderStatus =
+  | 'pending'
+  | 'live'
+  | 'partially_filled'
+  | 'filled'
+  | 'cancelled'
+  | 'expired'
+  | 'rejected';
+
+export interface ManagedOrder {
+  /** Local ID, assigned on submit */
+  clientOrderId: string;
+  /** CLOB order ID, once the post is accepted */
+  orderId?: string;
+  tokenId: string;
+  side: Side;
+  kind: 'limit' | 'market';
+  orderType: OrderType;
+  /** Limit price (market orders: the worst price, if given) */
+  price?: number;
+  /** USDC amount for market BUY orders, shares for market SELL orders */
+  amount?: number;
+  /** Shares ordered (market orders: known once reconciled) */
+  originalSize: number;
+  /** Shares matched so far */
+  filledSize: number;
+  remainingSize: number;
+  status: ManagedOrderStatus;
+  /** GTD expiration (unix seconds) */
+  expiration?: number;
+  /** Trade IDs linked to this order */
+  associateTrades: string[];
+  /** Unix ms */
+  createdAt: number;
+  /** Unix ms of the last local change */
+  updatedAt: number;
+  /** Post / cancel failure */
+  error?: string;
+  errorCode?: ErrorCode;
+}
+
+export interface OrderTransitionEvent {
+  order: ManagedOrder;
+  from: ManagedOrderStatus;
+  to: ManagedOrderStatus;
+}
+
+export interface OrderFillEvent {
+  order: ManagedOrder;
+  /** Shares matched since the previous fill event */
+  fillSize: number;
+  /** Total shares matched */
+  filledSize: number;
+}
+
+export interface OrderManagerOptions {
+  /** Time between reconciliations while started (default: 5000ms) */
+  reconcileIntervalMs?: number;
+  /** Fetch the order from the CLOB right after submit / cancel (default: true) */
+  reconcileOnSubmit?: boolean;
+  /** How long terminal orders are kept for lookups; pruned on submit and reconcile (default: 1 hour) */
+  retentionMs?: number;
+  logger?: Logger;
+}
+
+export interface OrderManagerEvents {
+  transition: (event: OrderTransitionEvent) => void;
+  fill: (event: OrderFillEvent) => void;
+  error: (error: Error) => void;
+}
+
+const TERMINAL_STATUSES: ReadonlySet<ManagedOrderStatus> = new Set(['filled', 'cancelled', 'expired', 'rejected']);
+
+/** Sizes closer than this are the same */
+const SIZE_EPSILON = 1e-6;
+
+export function isTerminalOrderStatus(status: ManagedOrderStatus): boolean {
+  return TERMINAL_STATUSES.has(status);
+}
+
+// ===== Order Manager =====
+
+export class OrderManager extends EventEmitter {
+  private orders = new Map<string, ManagedOrder>();
+  /** CLOB order ID → clientOrderId */
+  private orderIds = new Map<string, string>();
+  private sequence = 0;
+  private reconcileIntervalMs: number;
+  private reconcileOnSubmit: boolean;
+  private retentionMs: number;
+  private logger: Logger;
+  private running = false;
+  private timer: ReturnType<typeof setTimeout> | null = null;
+  private reconciling: Promise<void> | null = null;
+
+  constructor(
+    private gateway: OrderGateway,
+    options: OrderManagerOptions = {}
+  ) {
+    super();
+    this.reconcileIntervalMs = options.reconcileIntervalMs ?? 5000;
+    this.reconcileOnSubmit = options.reconcileOnSubmit ?? true;
+    this.retentionMs = options.retentionMs ?? 3_600_000;
+    this.logger = (options.logger ?? new ConsoleLogger()).child({ component: 'OrderManager' });
+  }
+
+  // ===== Submission =====
+
+  /**
+   * Post a limit order and track it
+   */
+  async submit(params: OrderParams): Promise<ManagedOrder> {
+    const order = this.track({
+      tokenId: params.tokenId,
+      side: params.side,
+      kind: 'limit',
+      orderType: params.orderType ?? 'GTC',
+      price: params.price,
+      originalSize: params.size,
+      remainingSize: params.size,
+      expiration: params.expiration || undefined,
+    });
+    return this.post(order, () => this.gateway.createOrder(params));
+  }
+
+  /**
+   * Post a market (FOK / FAK) order and track it
+   */
+  async submitMarket(params: MarketOrderParams): Promise<ManagedOrder> {
+    const order = this.track({
+      tokenId: params.tokenId,
+      side: params.side,
+      kind: 'market',
+      orderType: params.orderType ?? 'FOK',
+      price: params.price,
+      amount: params.amount,
+      originalSize: 0,
+      remainingSize: 0,
+    });
+    return this.post(order, () => this.gateway.createMarketOrder(params));
+  }
+
+  /**
+   * Cancel an order by clientOrderId or CLOB order ID
+   */
+  async cancel(id: string): Promise<ManagedOrder> {
+    const order = this.find(id);
+    if (!order) {
+      throw new PolymarketError(ErrorCode.ORDER_FAILED, `Cancel failed: unknown order ${id}`);
+    }
+    if (isTerminalOrderStatus(order.status) || !order.orderId) return { ...order };
+
+    const result = await this.gateway.cancelOrder(order.orderId);
+    if (this.reconcileOnSubmit) await this.reconcileOrder(order);
+    // The CLOB confirmed the cancel but the lookup did not (yet) show it
+    if (result.success && !isTerminalOrderStatus(order.status)) this.transition(order, 'cancelled');
+    return { ...order };
+  }
+
+  // ===== Access =====
+
+  /**
+   * Look up an order by clientOrderId or CLOB order ID
+   */
+  getOrder(id: string): ManagedOrder | null {
+    const order = this.find(id);
+    return order ? { ...order } : null;
+  }
+
+  getOrders(filter: { tokenId?: string; status?: ManagedOrderStatus | ManagedOrderStatus[]; open?: boolean } = {}): ManagedOrder[] {
+    const statuses = filter.status ? [filter.status].flat() : undefined;
+    return Array.from(this.orders.values())
+      .filter((o) => !filter.tokenId || o.tokenId === filter.tokenId)
+      .filter((o) => !statuses || statuses.includes(o.status))
+      .filter((o) => filter.open === undefined || filter.open !== isTerminalOrderStatus(o.status))
+      .map((o) => ({ ...o }));
+  }
+
+  // ===== Reconciliation =====
+
+  /**
+   * Reconcile immediately, then every `reconcileIntervalMs`
+   */
+  async start(): Promise<void> {
+    if (this.running) return;
+    this.running = true;
+    await this.reconcile();
+  }
+
+  stop(): void {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Refresh every open order from the CLOB. Concurrent calls share one pass.
+   */
+  async reconcile(): Promise<void> {
+    if (!this.reconciling) {
+      if (this.timer) {
+        clearTimeout(this.timer);
+        this.timer = null;
+      }
+      this.reconciling = this.reconcileAll().finally(() => {
+        this.reconciling = null;
+        this.schedule();
+      });
+    }
+    return this.reconciling;
+  }
+
+  // ===== Private Methods =====
+
+  private track(
+    fields: Omit<ManagedOrder, 'clientOrderId' | 'status' | 'filledSize' | 'associateTrades' | 'createdAt' | 'updatedAt'>
+  ): ManagedOrder {
+    // Managers that are never started (e.g. ArbitrageService) only prune here
+    this.prune();
+    const now = Date.now();
+    const order: ManagedOrder = {
+      clientOrderId: `om-${now.toString(36)}-${++this.sequence}`,
+      status: 'pending',
+      filledSize: 0,
+      associateTrades: [],
+      createdAt: now,
+      updatedAt: now,
+      ...fields,
+    };
+    this.orders.set(order.clientOrderId, order);
+    return order;
+  }
+
+  private async post(order: ManagedOrder, send: () => Promise<OrderResult>): Promise<ManagedOrder> {
+    let result: OrderResult;
+    try {
+      result = await send();
+    } catch (error) {
+      result = { success: false, errorMsg: error instanceof Error ? error.message : String(error) };
+    }
+
+    if (!result.success || !result.orderId) {
+      order.error = result.errorMsg ?? 'Order was not accepted';
+      order.errorCode = result.errorCode;
+      this.transition(order, 'rejected');
+      return { ...order };
+    }
+
+    order.orderId = result.orderId;
+    this.orderIds.set(result.orderId, order.clientOrderId);
+    this.transition(order, 'live');
+    if (this.reconcileOnSubmit) await this.reconcileOrder(order);
+    return { ...order };
+  }
+
+  private async reconcileAll(): Promise<void> {
+    for (const order of Array.from(this.orders.values())) {
+      if (!isTerminalOrderStatus(order.status) && order.orderId) {
+        await this.reconcileOrder(order);
+      }
+    }
+    this.prune();
+  }
+
+  private async reconcileOrder(order: ManagedOrder): Promise<void> {
+    if (!order.orderId) return;
+    try {
+      const remote = await this.gateway.getOrder(order.orderId);
+      // Not (yet) visible on the CLOB: keep the local state until it is
+      if (remote) this.apply(order, remote);
+    } catch (error) {
+      this.logger.warn('Order reconciliation failed', { orderId: order.orderId, ...errorFields(error) });
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  }
+
+  private apply(order: ManagedOrder, remote: Order): void {
+    if (isTerminalOrderStatus(order.status)) return;
+
+    if (remote.originalSize > 0) order.originalSize = remote.originalSize;
+    if (remote.associateTrades.length > 0) order.associateTrades = remote.associateTrades;
+    if (remote.expiration) order.expiration = remote.expiration;
+
+    // Matched size only grows; a smaller value is a stale read
+    const fillSize = remote.filledSize - order.filledSize;
+    if (fillSize > SIZE_EPSILON) {
+      order.filledSize = remote.filledSize;
+      order.updatedAt = Date.now();
+    }
+    order.remainingSize = Math.max(0, order.originalSize - order.filledSize);
+
+    const status = this.remoteStatus(order, remote.status);
+    if (fillSize > SIZE_EPSILON) {
+      this.emit('fill', { order: { ...order, status }, fillSize, filledSize: order.filledSize });
+    }
+    if (status !== order.status) this.transition(order, status);
+  }
+
+  /**
+   * Map a CLOB order status (LIVE, MATCHED, CANCELED, ...) to a lifecycle state
+   */
+  private remoteStatus(order: ManagedOrder, remoteStatus: string): ManagedOrderStatus {
+    const status = remoteStatus.toUpperCase();
+    const fullyFilled = order.originalSize > 0 && order.remainingSize <= SIZE_EPSILON;
+
+    if (status === 'MATCHED' || fullyFilled) return 'filled';
+    if (status.startsWith('CANCELED') || status.startsWith('CANCELLED')) {
+      return order.expiration && order.expiration * 1000 <= Date.now() ? 'expired' : 'cancelled';
+    }
+    if (status === 'INVALID') return 'rejected';
+    // LIVE / DELAYED / UNMATCHED
+    return order.filledSize > SIZE_EPSILON ? 'partially_filled' : 'live';
+  }
+
+  private transition(order: ManagedOrder, to: ManagedOrderStatus): void {
+    const from = order.status;
+    if (from === to || isTerminalOrderStatus(from)) return;
+    order.status = to;
+    order.updatedAt = Date.now();
+    this.logger.debug('Order status changed', { clientOrderId: order.clientOrderId, orderId: order.orderId, from, to });
+    this.emit('transition', { order: { ...order }, from, to });
+  }
+
+  private find(id: string): ManagedOrder | undefined {
+    return this.orders.get(id) ?? this.orders.get(this.orderIds.get(id) ?? '');
+  }
+
+  private prune(): void {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const [clientOrderId, order] of this.orders) {
+      if (isTerminalOrderStatus(order.status) && order.updatedAt < cutoff) {
+        this.orders.delete(clientOrderId);
+        if (order.orderId) this.orderIds.delete(order.orderId);
+      }
+    }
+  }
+
+  private schedule(): void {
+    if (!this.running) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      void this.reconcile();
+    }, this.reconcileIntervalMs);
+  }
+}
@@ -8,7 +8,11 @@
  */
 
 import { WebSocketManager } from '../clients/websocket-manager.js';
+import { ClobApiClient } from '../clients/clob-api.js';
+import { RateLimiter } from '../core/rate-limiter.js';
+import { createUnifiedCache } from '../core/unified-cache.js';
 import type { PriceUpdate, BookUpdate } from '../core/types.js';
+import type { OrderBook } from '../core/order-book.js';
 
 export interface Subscription {
   id: string;
@@ -29,7 +33,12 @@ export class RealtimeService {
   private subscriptionIdCounter = 0;
 
   constructor(wsManager?: WebSocketManager) {
-    this.wsManager = wsManager || new WebSocketManager();
+    this.wsManager =
+      wsManager ||
+      new WebSocketManager({
+        // Resync local books from REST when a WebSocket gap is detected
+        snapshotSource: new ClobApiClient(new RateLimiter(), createUnifiedCache()),
+      });
   }
 
   // ===== Market Subscriptions =====
@@ -155,12 +164,19 @@ export class RealtimeService {
   }
 
   /**
-   * Get cached order book for an asset
+   * Get cached order book for an asset (undefined while it is out of sync)
    */
   getBook(assetId: string): BookUpdate | undefined {
     return this.wsManager.getBook(assetId);
   }
 
+  /**
+   * Get the live local order book (O(1) best bid / ask, sorted depth)
+   */
+  getOrderBook(assetId: string): OrderBook | undefined {
+    return this.wsManager.getOrderBook(assetId);
+  }
+
   // ===== State Management =====
 
   /**
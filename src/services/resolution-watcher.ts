@@ -0,0 +1,238 @@
+/**
+ * Resolution Watcher
+ *
+ * Tracks a set of conditionIds (open positions, watched markets) through
+ * settlement and emits an event each time one moves to a new phase:
+ *
+ *   open → closed → proposed ⇄ disputed → resolved
+ *
+ * Phases up to `disputed` come from Gamma (`closed` / `umaResolutionStatus`).
+ * `resolved` is taken from the on-chain payout vector when a CTF reader is
+ * configured - that is what `redeem` needs - and from Gamma otherwise.
+ *
+ * @example
+ * ```typescript
+ * const watcher = sdk.createResolutionWatcher({ ctf });
+ * watcher.watch(positions.map((p) => p.conditionId));
+ *
+ * watcher.on('resolved', async (event) => {
+ *   if (event.tokenIds) await ctf.redeemByTokenIds(event.conditionId, event.tokenIds);
+ * });
+ * await watcher.start();
+ * ```
+ */
+
+import { EventEmitter } from 'events';
+import type { GammaApiClient, GammaMarket } from '../clients/gamma-api.js';
+import type { MarketResolution, TokenIds } from '../clients/ctf-client.js';
+import { ConsoleLogger, errorFields, type Logger } from '../core/logger.js';
+import { resolveBinaryTokens } from './market-service.js';
+
+// ===== Types =====
+
+export type ResolutionPhase = 'open' | 'closed' | 'proposed' | 'disputed' | 'resolved';
+
+/** On-chain payout reader (CTFClient satisfies this) */
+export interface ResolutionReader {
+  getMarketResolution(conditionId: string): Promise<MarketResolution>;
+}
+
+export interface ResolutionWatcherOptions {
+  /** On-chain payout reader; without it `resolved` relies on Gamma alone */
+  ctf?: ResolutionReader;
+  /** Time between checks (default: 60000ms) */
+  pollIntervalMs?: number;
+  /** Stop watching a market once it resolves (default: true) */
+  unwatchOnResolve?: boolean;
+  logger?: Logger;
+}
+
+export interface ResolutionEvent {
+  conditionId: string;
+  phase: ResolutionPhase;
+  previousPhase: ResolutionPhase;
+  question?: string;
+  /** Winning side, once resolved */
+  winningOutcome?: 'YES' | 'NO';
+  /** Winning outcome name (e.g. "Yes", "Up", a team name), once resolved */
+  winningOutcomeName?: string;
+  /** YES / NO token IDs, ready for `CTFClient.redeemByTokenIds` */
+  tokenIds?: TokenIds;
+  /** On-chain payouts (only with a CTF reader) */
+  resolution?: MarketResolution;
+}
+
+export interface ResolutionWatcherEvents {
+  closed: (event: ResolutionEvent) => void;
+  proposed: (event: ResolutionEvent) => void;
+  disputed: (event: ResolutionEvent) => void;
+  resolved: (event: ResolutionEvent) => void;
+  error: (error: Error) => void;
+}
+
+/** Gamma settles prices at 1 / 0 once resolved */
+const RESOLVED_PRICE = 0.99;
+
+// ===== Watcher =====
+
+export class ResolutionWatcher extends EventEmitter {
+  private phases = new Map<string, ResolutionPhase>();
+  private pollIntervalMs: number;
+  private unwatchOnResolve: boolean;
+  private logger: Logger;
+  private running = false;
+  private timer: ReturnType<typeof setTimeout> | null = null;
+  private checking: Promise<void> | null = null;
+
+  constructor(
+    private gammaApi: GammaApiClient,
+    private options: ResolutionWatcherOptions = {}
+  ) {
+    super();
+    this.pollIntervalMs = options.pollIntervalMs ?? 60_000;
+    this.unwatchOnResolve = options.unwatchOnResolve ?? true;
+    this.logger = (options.logger ?? new ConsoleLogger()).child({ component: 'ResolutionWatcher' });
+  }
+
+  /**
+   * Start watching markets (already watched ones keep their phase)
+   */
+  watch(conditionIds: string | string[]): void {
+    for (const conditionId of [conditionIds].flat()) {
+      if (!this.phases.has(conditionId)) this.phases.set(conditionId, 'open');
+    }
+  }
+
+  unwatch(conditionIds: string | string[]): void {
+    for (const conditionId of [conditionIds].flat()) {
+      this.phases.delete(conditionId);
+    }
+  }
+
+  getPhase(conditionId: string): ResolutionPhase | undefined {
+    return this.phases.get(conditionId);
+  }
+
+  getWatched(): string[] {
+    return Array.from(this.phases.keys());
+  }
+
+  /**
+   * Check immediately, then every `pollIntervalMs`
+   */
+  async start(): Promise<void> {
+    if (this.running) return;
+    this.running = true;
+    await this.check();
+  }
+
+  stop(): void {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Check every watched market once. Concurrent calls share one check.
+   */
+  async check(): Promise<void> {
+    if (!this.checking) {
+      if (this.timer) {
+        clearTimeout(this.timer);
+        this.timer = null;
+      }
+      this.checking = this.checkAll().finally(() => {
+        this.checking = null;
+        this.schedule();
+      });
+    }
+    return this.checking;
+  }
+
+  // ===== Private Methods =====
+
+  private async checkAll(): Promise<void> {
+    for (const conditionId of this.getWatched()) {
+      try {
+        await this.checkMarket(conditionId);
+      } catch (error) {
+        this.logger.warn('Resolution check failed', { conditionId, ...errorFields(error) });
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', error instanceof Error ? error : new Error(String(error)));
+        }
+      }
+    }
+  }
+
+  private async checkMarket(conditionId: string): Promise<void> {
+    const previousPhase = this.phases.get(conditionId);
+    if (!previousPhase) return;
+
+    const market = await this.gammaApi.getMarketByConditionId(conditionId, { fresh: true });
+    let phase = market ? this.gammaPhase(market) : previousPhase;
+
+    // Payouts can only be reported once trading has stopped
+    let resolution: MarketResolution | undefined;
+    if (this.options.ctf && phase !== 'open') {
+      resolution = await this.options.ctf.getMarketResolution(conditionId);
+      phase = resolution.isResolved ? 'resolved' : phase === 'resolved' ? 'proposed' : phase;
+    }
+
+    // Unwatched while the request was in flight
+    if (phase === previousPhase || !this.phases.has(conditionId)) return;
+    this.phases.set(conditionId, phase);
+
+    const event: ResolutionEvent = {
+      conditionId,
+      phase,
+      previousPhase,
+      question: market?.question,
+      ...(market && { tokenIds: this.tokenIds(market) }),
+      ...(phase === 'resolved' && this.winner(market, resolution)),
+      resolution,
+    };
+    this.logger.info('Market resolution phase changed', { conditionId, previousPhase, phase });
+    if (phase !== 'open') this.emit(phase, event);
+
+    if (phase === 'resolved' && this.unwatchOnResolve) this.phases.delete(conditionId);
+  }
+
+  private gammaPhase(market: GammaMarket): ResolutionPhase {
+    const status = market.umaResolutionStatus?.toLowerCase();
+    if (status === 'resolved') return 'resolved';
+    if (status === 'disputed') return 'disputed';
+    if (status === 'proposed') return 'proposed';
+    if (!market.closed) return 'open';
+    // Closed markets without a UMA status (e.g. older markets) settle via prices
+    return market.outcomePrices.some((p) => p >= RESOLVED_PRICE) ? 'resolved' : 'closed';
+  }
+
+  private winner(
+    market: GammaMarket | null,
+    resolution?: MarketResolution
+  ): Pick<ResolutionEvent, 'winningOutcome' | 'winningOutcomeName'> {
+    const index = resolution
+      ? resolution.winningOutcome === 'YES' ? 0 : resolution.winningOutcome === 'NO' ? 1 : -1
+      : market?.outcomePrices.findIndex((p) => p >= RESOLVED_PRICE) ?? -1;
+    if (index < 0) return {};
+    return {
+      winningOutcome: index === 0 ? 'YES' : 'NO',
+      winningOutcomeName: market?.outcomes[index],
+    };
+  }
+
+  private tokenIds(market: GammaMarket): TokenIds | undefined {
+    const { yes, no } = resolveBinaryTokens(market);
+    return yes.tokenId && no.tokenId ? { yesTokenId: yes.tokenId, noTokenId: no.tokenId } : undefined;
+  }
+
+  private schedule(): void {
+    if (!this.running) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      void this.check();
+    }, this.pollIntervalMs);
+  }
+}
@@ -6,6 +6,7 @@
  */
 
 import { ethers, Contract, BigNumber } from 'ethers';
+import { traceTransaction, type Tracer } from '../core/tracing.js';
 
 // QuickSwap V3 Contracts on Polygon
 export const QUICKSWAP_ROUTER = '0xf5b509bB0909a69B1c207E495f687a596C168E12';
@@ -147,14 +148,20 @@ export interface TransferResult {
   gasUsed: string;
 }
 
+export interface SwapServiceConfig {
+  /** Tracing hooks, one `tx` span per transaction */
+  tracer?: Tracer;
+}
+
 export class SwapService {
   private signer: ethers.Wallet;
   private provider: ethers.providers.Provider;
   private router: Contract;
   private quoter: Contract;
   private factory: Contract;
+  private tracer?: Tracer;
 
-  constructor(signer: ethers.Wallet) {
+  constructor(signer: ethers.Wallet, config: SwapServiceConfig = {}) {
     // Use signer's provider if available, otherwise create a default Polygon provider
     this.provider = signer.provider || new ethers.providers.JsonRpcProvider('https://polygon-rpc.com');
     // Ensure signer is connected to the provider
@@ -162,6 +169,7 @@ export class SwapService {
     this.router = new Contract(QUICKSWAP_ROUTER, QUICKSWAP_ROUTER_ABI, this.signer);
     this.quoter = new Contract(QUICKSWAP_QUOTER, QUICKSWAP_QUOTER_ABI, this.provider);
     this.factory = new Contract(QUICKSWAP_FACTORY, QUICKSWAP_FACTORY_ABI, this.provider);
+    this.tracer = config.tracer;
   }
 
   /**
@@ -417,8 +425,9 @@ export class SwapService {
     const currentAllowance = await tokenContract.allowance(this.signer.address, QUICKSWAP_ROUTER);
 
     if (currentAllowance.lt(amountInWei)) {
-      const approveTx = await tokenContract.approve(QUICKSWAP_ROUTER, ethers.constants.MaxUint256, gasOptions);
-      await approveTx.wait();
+      await traceTransaction(this.tracer, 'erc20.approve', { token: tokenInAddress, spender: QUICKSWAP_ROUTER }, () =>
+        tokenContract.approve(QUICKSWAP_ROUTER, ethers.constants.MaxUint256, gasOptions)
+      );
     }
 
     // Execute multi-hop swap
@@ -430,8 +439,12 @@ export class SwapService {
       amountOutMinimum: 0, // For simplicity; in production use quote with slippage
     };
 
-    const tx = await this.router.exactInput(swapParams, { ...gasOptions, gasLimit: 500000 });
-    const receipt = await tx.wait();
+    const receipt = await traceTransaction(
+      this.tracer,
+      'swap.exactInput',
+      { tokenIn: upperTokenIn, tokenOut: upperTokenOut, amountIn },
+      () => this.router.exactInput(swapParams, { ...gasOptions, gasLimit: 500000 })
+    );
 
     // Get actual output amount
     const tokenOutAddress = addresses[addresses.length - 1];
@@ -512,8 +525,9 @@ export class SwapService {
     const wmatic = new Contract(WMATIC, WMATIC_ABI, this.signer);
     const gasOptions = await this.getGasOptions();
 
-    const tx = await wmatic.deposit({ value: amountWei, ...gasOptions });
-    const receipt = await tx.wait();
+    const receipt = await traceTransaction(this.tracer, 'wmatic.deposit', { amount }, () =>
+      wmatic.deposit({ value: amountWei, ...gasOptions })
+    );
 
     return {
       success: true,
@@ -534,8 +548,9 @@ export class SwapService {
     const wmatic = new Contract(WMATIC, WMATIC_ABI, this.signer);
     const gasOptions = await this.getGasOptions();
 
-    const tx = await wmatic.withdraw(amountWei, gasOptions);
-    const receipt = await tx.wait();
+    const receipt = await traceTransaction(this.tracer, 'wmatic.withdraw', { amount }, () =>
+      wmatic.withdraw(amountWei, gasOptions)
+    );
 
     return {
       success: true,
@@ -596,8 +611,9 @@ export class SwapService {
     const currentAllowance = await tokenContract.allowance(this.signer.address, QUICKSWAP_ROUTER);
 
     if (currentAllowance.lt(amountInWei)) {
-      const approveTx = await tokenContract.approve(QUICKSWAP_ROUTER, ethers.constants.MaxUint256, gasOptions);
-      await approveTx.wait();
+      await traceTransaction(this.tracer, 'erc20.approve', { token: tokenInAddress, spender: QUICKSWAP_ROUTER }, () =>
+        tokenContract.approve(QUICKSWAP_ROUTER, ethers.constants.MaxUint256, gasOptions)
+      );
     }
 
     // Calculate min output with slippage
@@ -636,8 +652,12 @@ export class SwapService {
       limitSqrtPrice: 0,
     };
 
-    const tx = await this.router.exactInputSingle(swapParams, { ...gasOptions, gasLimit: 300000 });
-    const receipt = await tx.wait();
+    const receipt = await traceTransaction(
+      this.tracer,
+      'swap.exactInputSingle',
+      { tokenIn: upperTokenIn, tokenOut: upperTokenOut, amountIn },
+      () => this.router.exactInputSingle(swapParams, { ...gasOptions, gasLimit: 300000 })
+    );
 
     // Get actual output amount
     const tokenOutContract = new Contract(tokenOutAddress, ERC20_ABI, this.provider);
@@ -798,13 +818,14 @@ export class SwapService {
 
     const gasOptions = await this.getGasOptions();
 
-    const tx = await this.signer.sendTransaction({
-      to,
-      value: amountWei,
-      ...gasOptions,
-      gasLimit: 21000, // Standard ETH transfer gas limit
-    });
-    const receipt = await tx.wait();
+    const receipt = await traceTransaction(this.tracer, 'matic.transfer', { to, amount }, () =>
+      this.signer.sendTransaction({
+        to,
+        value: amountWei,
+        ...gasOptions,
+        gasLimit: 21000, // Standard ETH transfer gas limit
+      })
+    );
 
     return {
       success: true,
@@ -841,11 +862,12 @@ export class SwapService {
 
     const gasOptions = await this.getGasOptions();
 
-    const tx = await contract.transfer(to, amountWei, {
-      ...gasOptions,
-      gasLimit: 100000, // ERC20 transfer gas limit (USDC.e needs ~71k)
-    });
-    const receipt = await tx.wait();
+    const receipt = await traceTransaction(this.tracer, 'erc20.transfer', { token: upperToken, to, amount }, () =>
+      contract.transfer(to, amountWei, {
+        ...gasOptions,
+        gasLimit: 100000, // ERC20 transfer gas limit (USDC.e needs ~71k)
+      })
+    );
 
     return {
       success: true,
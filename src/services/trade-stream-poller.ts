@@ -0,0 +1,331 @@
+/**
+ * Trade Stream Poller
+ *
+ * Tails trades for a market, a wallet or the whole exchange by polling the
+ * Data API, and emits each new trade once, oldest first.
+ *
+ * - Market / global streams poll `getTrades`; wallet streams poll `getActivity`
+ * - Dedup by trade identity (transaction hash + fill) within a lookback window
+ *   below the high-water mark (newest emitted timestamp), so trades indexed
+ *   late are still emitted once
+ * - Polling speeds up while trades are flowing and backs off when idle
+ * - With a `storage` adapter the high-water mark survives restarts, so trades
+ *   that happened while the process was down are emitted on the next start
+ *
+ * @example
+ * ```typescript
+ * const stream = new TradeStreamPoller(sdk.dataApi, { user: whaleAddress });
+ * stream.on('trade', (trade) => {
+ *   console.log(`${trade.side} ${trade.size} @ ${trade.price} in ${trade.title}`);
+ * });
+ * await stream.start();
+ * ```
+ */
+
+import { EventEmitter } from 'events';
+import type { DataApiClient, Trade, Activity } from '../clients/data-api.js';
+import type { CacheAdapter } from '../core/cache-adapter-types.js';
+import { ConsoleLogger, errorFields, type Logger } from '../core/logger.js';
+
+// ===== Types =====
+
+export interface TradeStreamOptions {
+  /** Only trades in this market (conditionId) */
+  market?: string;
+  /** Only trades by this wallet (polls the wallet's activity) */
+  user?: string;
+  /**
+   * Where to start when there is no persisted high-water mark:
+   * 'now' (default) emits only trades after start, a timestamp (epoch ms)
+   * also emits the trades since then
+   */
+  startFrom?: 'now' | number;
+  /** Fastest polling interval, used while trades are flowing (default: 2000ms) */
+  minIntervalMs?: number;
+  /** Slowest polling interval, reached after idle polls (default: 30000ms) */
+  maxIntervalMs?: number;
+  /** Records per request (default: 100) */
+  pageSize?: number;
+  /** Extra pages fetched per poll to close a gap after a burst or restart (default: 5) */
+  maxCatchUpPages?: number;
+  /** How far below the high-water mark late trades are still picked up (default: 60000ms) */
+  lookbackMs?: number;
+  /** Persists the high-water mark (default: memory only) */
+  storage?: CacheAdapter;
+  /** Storage key suffix (default: derived from market / user) */
+  streamId?: string;
+  logger?: Logger;
+}
+
+export interface TradeStreamStats {
+  running: boolean;
+  /** Newest emitted trade (epoch ms) */
+  highWaterMark: number | null;
+  tradesEmitted: number;
+  polls: number;
+  errors: number;
+  currentIntervalMs: number;
+  lastPollAt: number | null;
+}
+
+export interface TradeStreamEvents {
+  trade: (trade: Trade) => void;
+  /** All trades found by one poll, oldest first */
+  trades: (trades: Trade[]) => void;
+  error: (error: Error) => void;
+  started: () => void;
+  stopped: () => void;
+}
+
+interface StreamCheckpoint {
+  highWaterMark: number;
+  /** Trade identity -> timestamp for trades within `lookbackMs` of the mark */
+  seen: Record<string, number>;
+}
+
+/** Trade identity (the Data API has no trade id; one transaction can contain several fills) */
+function tradeKey(t: Trade): string {
+  return [t.transactionHash, t.asset, t.side, t.size, t.price].join(':');
+}
+
+function activityToTrade(a: Activity, user: string): Trade {
+  return {
+    market: a.conditionId,
+    asset: a.asset,
+    side: a.side,
+    price: a.price,
+    size: a.size,
+    outcome: a.outcome,
+    outcomeIndex: a.outcomeIndex ?? (a.outcome === 'Yes' ? 0 : 1),
+    timestamp: a.timestamp,
+    transactionHash: a.transactionHash,
+    proxyWallet: user,
+    title: a.title,
+    slug: a.slug,
+    name: a.name,
+  };
+}
+
+// ===== Poller =====
+
+export class TradeStreamPoller extends EventEmitter {
+  private options: Required<Omit<TradeStreamOptions, 'market' | 'user' | 'storage' | 'streamId' | 'logger'>>;
+  private logger: Logger;
+  private checkpoint: StreamCheckpoint | null = null;
+  private running = false;
+  private timer: ReturnType<typeof setTimeout> | null = null;
+  private polling: Promise<void> | null = null;
+  private intervalMs: number;
+  private stats = { tradesEmitted: 0, polls: 0, errors: 0, lastPollAt: null as number | null };
+
+  constructor(
+    private dataApi: DataApiClient,
+    private config: TradeStreamOptions = {}
+  ) {
+    super();
+    this.options = {
+      startFrom: config.startFrom ?? 'now',
+      minIntervalMs: config.minIntervalMs ?? 2000,
+      maxIntervalMs: config.maxIntervalMs ?? 30_000,
+      pageSize: config.pageSize ?? 100,
+      maxCatchUpPages: config.maxCatchUpPages ?? 5,
+      lookbackMs: config.lookbackMs ?? 60_000,
+    };
+    this.intervalMs = this.options.minIntervalMs;
+    this.logger = (config.logger ?? new ConsoleLogger()).child({
+      component: 'TradeStream',
+      stream: this.streamId(),
+    });
+  }
+
+  /**
+   * Load the persisted high-water mark and start polling
+   */
+  async start(): Promise<void> {
+    if (this.running) return;
+    this.running = true;
+
+    const stored = await this.config.storage?.get<StreamCheckpoint>(this.storageKey());
+    if (stored) {
+      this.checkpoint = stored;
+    } else if (typeof this.options.startFrom === 'number') {
+      this.checkpoint = { highWaterMark: this.options.startFrom, seen: {} };
+    }
+
+    this.emit('started');
+    await this.pollNow();
+  }
+
+  /**
+   * Stop polling (waits for an in-flight poll to finish)
+   */
+  async stop(): Promise<void> {
+    if (!this.running) return;
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    await this.polling;
+    this.emit('stopped');
+  }
+
+  /**
+   * Poll immediately instead of waiting for the timer
+   */
+  async pollNow(): Promise<void> {
+    if (this.polling) return this.polling;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.polling = this.poll().finally(() => {
+      this.polling = null;
+      this.schedule();
+    });
+    return this.polling;
+  }
+
+  getStats(): TradeStreamStats {
+    return {
+      running: this.running,
+      highWaterMark: this.checkpoint?.highWaterMark ?? null,
+      tradesEmitted: this.stats.tradesEmitted,
+      polls: this.stats.polls,
+      errors: this.stats.errors,
+      currentIntervalMs: this.intervalMs,
+      lastPollAt: this.stats.lastPollAt,
+    };
+  }
+
+  // ===== Private Methods =====
+
+  private async poll(): Promise<void> {
+    this.stats.polls++;
+    this.stats.lastPollAt = Date.now();
+
+    try {
+      const fresh = await this.fetchNewTrades();
+      if (this.checkpoint === null) {
+        // First poll with startFrom 'now': only record where the stream begins
+        const newest = fresh[0]?.timestamp ?? Date.now();
+        this.checkpoint = this.nextCheckpoint(fresh, { highWaterMark: newest, seen: {} });
+        await this.persist();
+        return;
+      }
+
+      if (fresh.length > 0) {
+        fresh.sort((a, b) => a.timestamp - b.timestamp);
+        this.checkpoint = this.nextCheckpoint(fresh, this.checkpoint);
+        await this.persist();
+        this.stats.tradesEmitted += fresh.length;
+        for (const trade of fresh) this.emit('trade', trade);
+        this.emit('trades', fresh);
+      }
+      this.adaptInterval(fresh.length > 0);
+    } catch (error) {
+      this.stats.errors++;
+      this.adaptInterval(false);
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error instanceof Error ? error : new Error(String(error)));
+      } else {
+        this.logger.warn('Trade poll failed', errorFields(error));
+      }
+    }
+  }
+
+  /**
+   * Unseen trades, newest first. Pages further back until the lookback
+   * window below the high-water mark is reached (bounded by maxCatchUpPages).
+   */
+  private async fetchNewTrades(): Promise<Trade[]> {
+    const mark = this.checkpoint;
+    const known = new Set(Object.keys(mark?.seen ?? {}));
+    // Nothing emitted yet (e.g. startFrom timestamp): start exactly at the mark
+    const floor = mark && (known.size > 0 ? mark.highWaterMark - this.options.lookbackMs : mark.highWaterMark);
+    const fresh: Trade[] = [];
+    const { pageSize, maxCatchUpPages } = this.options;
+    // Activity can't be filtered by market upstream; filter here so page lengths stay raw
+    const { user, market } = this.config;
+    const otherMarket = (trade: Trade) => Boolean(user && market && trade.market !== market);
+
+    for (let page = 0; page <= maxCatchUpPages; page++) {
+      const batch = await this.fetchPage(page * pageSize, pageSize);
+      for (const trade of batch) {
+        if (floor != null && trade.timestamp < floor) return fresh;
+        if (otherMarket(trade)) continue;
+        const key = tradeKey(trade);
+        // Also dedupes records shifted onto the next page by trades arriving mid-poll
+        if (known.has(key)) continue;
+        known.add(key);
+        fresh.push(trade);
+      }
+      // No mark yet: one page is enough to find the newest trade
+      if (!mark || batch.length < pageSize) return fresh;
+    }
+
+    this.logger.warn('Trade stream gap: more new trades than catch-up pages allow', {
+      fetched: fresh.length,
+      maxCatchUpPages,
+    });
+    return fresh;
+  }
+
+  /**
+   * One unfiltered page, newest first (a short page means the end of the feed)
+   */
+  private async fetchPage(offset: number, limit: number): Promise<Trade[]> {
+    const { market, user } = this.config;
+    if (user) {
+      const activity = await this.dataApi.getActivity(user, { limit, offset, type: 'TRADE' });
+      return activity.map((a) => activityToTrade(a, user));
+    }
+    return this.dataApi.getTrades({ limit, offset, market });
+  }
+
+  private nextCheckpoint(trades: Trade[], previous: StreamCheckpoint): StreamCheckpoint {
+    const highWaterMark = trades.reduce((max, t) => Math.max(max, t.timestamp), previous.highWaterMark);
+    const floor = highWaterMark - this.options.lookbackMs;
+    const seen: Record<string, number> = {};
+    for (const [key, timestamp] of Object.entries(previous.seen)) {
+      if (timestamp >= floor) seen[key] = timestamp;
+    }
+    for (const trade of trades) {
+      if (trade.timestamp >= floor) seen[tradeKey(trade)] = trade.timestamp;
+    }
+    return { highWaterMark, seen };
+  }
+
+  private adaptInterval(active: boolean): void {
+    const { minIntervalMs, maxIntervalMs } = this.options;
+    this.intervalMs = active
+      ? Math.max(minIntervalMs, Math.floor(this.intervalMs / 2))
+      : Math.min(maxIntervalMs, Math.ceil(this.intervalMs * 1.5));
+  }
+
+  private schedule(): void {
+    if (!this.running) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      void this.pollNow();
+    }, this.intervalMs);
+  }
+
+  private async persist(): Promise<void> {
+    if (!this.config.storage || !this.checkpoint) return;
+    try {
+      await this.config.storage.set(this.storageKey(), this.checkpoint);
+    } catch (error) {
+      this.logger.warn('Failed to persist trade stream checkpoint', errorFields(error));
+    }
+  }
+
+  private streamId(): string {
+    const { streamId, market, user } = this.config;
+    return streamId ?? [user?.toLowerCase() ?? 'all', market ?? 'all'].join(':');
+  }
+
+  private storageKey(): string {
+    return `trade-stream:${this.streamId()}`;
+  }
+}
@@ -11,6 +11,7 @@
 import { DataApiClient, Position, Activity, LeaderboardEntry, LeaderboardPage } from '../clients/data-api.js';
 import type { UnifiedCache } from '../core/unified-cache.js';
 import { CACHE_TTL } from '../core/unified-cache.js';
+import type { ActivityStore } from './activity-store.js';
 
 export interface WalletProfile {
   address: string;
@@ -43,10 +44,57 @@ export interface SellActivityResult {
   shouldExit: boolean;
 }
 
+/** 时间段统计的累计值 */
+interface PeriodTotals {
+  tradeCount: number;
+  buyVolume: number;
+  sellVolume: number;
+  sellCount: number;
+  winningSells: number;
+  redemptionCount: number;
+  redemptionValue: number;
+  winningRedemptions: number;
+}
+
+function createPeriodTotals(): PeriodTotals {
+  return {
+    tradeCount: 0,
+    buyVolume: 0,
+    sellVolume: 0,
+    sellCount: 0,
+    winningSells: 0,
+    redemptionCount: 0,
+    redemptionValue: 0,
+    winningRedemptions: 0,
+  };
+}
+
+function addToPeriodTotals(totals: PeriodTotals, activity: Activity): void {
+  if (activity.type === 'TRADE') {
+    totals.tradeCount++;
+    if (activity.side === 'BUY') {
+      totals.buyVolume += activity.usdcSize || activity.size * activity.price;
+    } else if (activity.side === 'SELL') {
+      totals.sellVolume += activity.usdcSize || activity.size * activity.price;
+      totals.sellCount++;
+      if (activity.price > 0.5) totals.winningSells++;
+    }
+  } else if (activity.type === 'REDEEM') {
+    totals.redemptionCount++;
+    totals.redemptionValue += activity.size || 0;
+    if ((activity.size || 0) > 0) totals.winningRedemptions++;
+  }
+}
+
 export class WalletService {
+  /**
+   * @param activityStore - When set, profiles and period stats read synced
+   *   activity from the local store instead of re-paging the Data API
+   */
   constructor(
     private dataApi: DataApiClient,
-    private cache: UnifiedCache
+    private cache: UnifiedCache,
+    private activityStore?: ActivityStore
   ) { }
 
   // ===== Wallet Analysis =====
@@ -57,7 +105,7 @@ export class WalletService {
   async getWalletProfile(address: string): Promise<WalletProfile> {
     const [positions, activities] = await Promise.all([
       this.dataApi.getPositions(address),
-      this.dataApi.getActivity(address, { limit: 1000 }),
+      this.getRecentActivity(address, 1000),
     ]);
 
     const totalPnL = positions.reduce((sum, p) => sum + (p.cashPnl || 0), 0);
@@ -97,92 +145,41 @@ export class WalletService {
     winRate: number;
     smartScore: number;
   }> {
-    // 30天前的时间戳（作为拉取数据的截止点）
-    const thirtyDaysAgo = Date.now() - (30 * 24 * 60 * 60 * 1000);
-    const PAGE_SIZE = 500;
-    const MAX_RECORDS = 100000; // 最大拉取上限
-
-    // 分页拉取交易记录 (TRADE)
-    let allTrades: Activity[] = [];
-    let tradesTruncated = false;
-    let offset = 0;
-
-    while (true) {
-      const batch = await this.dataApi.getActivity(address, { limit: PAGE_SIZE, offset, type: 'TRADE' });
-      if (!batch || batch.length === 0) break;
-
-      allTrades.push(...batch);
-
-      // 检查是否已经拉取到30天之前的数据
-      const oldestInBatch = batch[batch.length - 1];
-      if (oldestInBatch && oldestInBatch.timestamp < thirtyDaysAgo) {
-        tradesTruncated = true;
-        break;
-      }
-
-      if (batch.length < PAGE_SIZE) break;
-
-      // 达到最大上限
-      if (allTrades.length >= MAX_RECORDS) {
-        tradesTruncated = true;
-        break;
-      }
-
-      offset += PAGE_SIZE;
-
-      // 防止请求过快
-      await new Promise(r => setTimeout(r, 200));
-    }
-
-    // 分页拉取结算记录 (REDEEM) - 独立使用 30 天限制，不受 trades 时间窗口约束
-    // 这很重要：用户可能在更早之前开仓，而赎回发生在近 30 天内
-    let allRedemptions: Activity[] = [];
-    let redemptionsTruncated = false;
-    offset = 0;
-
-    while (true) {
-      const batch = await this.dataApi.getActivity(address, { limit: PAGE_SIZE, offset, type: 'REDEEM' });
-      if (!batch || batch.length === 0) break;
-
-      allRedemptions.push(...batch);
-
-      const oldestInBatch = batch[batch.length - 1];
-      // 使用 30 天作为独立截止点
-      if (oldestInBatch && oldestInBatch.timestamp < thirtyDaysAgo) {
-        redemptionsTruncated = true;
-        break;
-      }
-
-      if (batch.length < PAGE_SIZE) break;
-
-      // Redemptions 也有上限
-      if (allRedemptions.length >= MAX_RECORDS) {
-        redemptionsTruncated = true;
-        break;
-      }
-
-      offset += PAGE_SIZE;
-      await new Promise(r => setTimeout(r, 200));
-    }
-
-    const isTruncated = tradesTruncated || redemptionsTruncated;
-
     // 按时间过滤
     const now = Date.now();
     const sinceTimestamp = periodDays > 0 ? now - periodDays * 24 * 60 * 60 * 1000 : 0;
-    const filteredTrades = allTrades.filter(a => a.timestamp >= sinceTimestamp);
-    const filteredRedemptions = allRedemptions.filter(a => a.timestamp >= sinceTimestamp);
+    const totals = createPeriodTotals();
+    let isTruncated: boolean;
+
+    if (this.activityStore) {
+      // 本地存储：只增量同步新记录，再按时间段查询
+      const { state } = await this.activityStore.sync(address);
+      const records = await this.activityStore.query(address, {
+        since: sinceTimestamp,
+        type: ['TRADE', 'REDEEM'],
+      });
+      for (const record of records) addToPeriodTotals(totals, record);
+      // 本地历史不完整且未覆盖所选时间段
+      isTruncated = !state.historyComplete && (state.oldestTimestamp ?? now) > sinceTimestamp;
+    } else {
+      isTruncated = await this.accumulateRecentActivity(address, sinceTimestamp, totals);
+    }
 
-    const buys = filteredTrades.filter(a => a.side === 'BUY');
-    const sells = filteredTrades.filter(a => a.side === 'SELL');
+    const {
+      tradeCount,
+      buyVolume,
+      sellVolume,
+      sellCount,
+      winningSells,
+      redemptionCount,
+      redemptionValue,
+      winningRedemptions,
+    } = totals;
 
     // === 计算交易量 ===
-    const buyVolume = buys.reduce((sum, t) => sum + (t.usdcSize || t.size * t.price), 0);
-    const sellVolume = sells.reduce((sum, t) => sum + (t.usdcSize || t.size * t.price), 0);
     const volume = buyVolume + sellVolume;
 
     // === 计算 PnL ===
-    const redemptionValue = filteredRedemptions.reduce((sum, r) => sum + (r.size || 0), 0);
     const realizedPnl = sellVolume + redemptionValue - buyVolume;
 
     // === 获取当前持仓估值 ===
@@ -197,35 +194,76 @@ export class WalletService {
     const pnl = realizedPnl + unrealizedPnl;
 
     // === 计算胜率 ===
-    let winCount = 0;
-    let totalClosedPositions = sells.length + filteredRedemptions.length;
-
-    for (const sell of sells) {
-      if (sell.price > 0.5) {
-        winCount++;
-      }
-    }
-    winCount += filteredRedemptions.filter(r => (r.size || 0) > 0).length;
+    const winCount = winningSells + winningRedemptions;
+    const totalClosedPositions = sellCount + redemptionCount;
 
     const winRate = totalClosedPositions > 0 ? winCount / totalClosedPositions : 0.5;
 
     // === 计算评分 ===
     const roi = volume > 0 ? (pnl / volume) * 100 : 0;
-    const activityScore = Math.min(20, (filteredTrades.length / 10));
+    const activityScore = Math.min(20, (tradeCount / 10));
     const roiScore = Math.min(30, Math.max(-30, roi * 3));
     const smartScore = Math.round(Math.max(0, Math.min(100, 50 + roiScore + activityScore)));
 
     return {
       pnl,
       volume,
-      tradeCount: filteredTrades.length,
-      // 如果数据被截断（因30天限制或5W上限），显示 "> XXXX"
-      tradeCountDisplay: isTruncated ? `> ${filteredTrades.length}` : undefined,
+      tradeCount,
+      // 如果数据被截断（历史未拉全），显示 "> XXXX"
+      tradeCountDisplay: isTruncated ? `> ${tradeCount}` : undefined,
       winRate: Math.max(0, Math.min(1, winRate)),
       smartScore,
     };
   }
 
+  /**
+   * Latest activity, from the local store if the wallet is already tracked there
+   * (an untracked wallet is not backfilled just for this)
+   */
+  private async getRecentActivity(address: string, limit: number): Promise<Activity[]> {
+    if (this.activityStore && (await this.activityStore.getSyncState(address))) {
+      await this.activityStore.sync(address);
+      return this.activityStore.query(address, { limit });
+    }
+    return this.dataApi.getActivity(address, { limit });
+  }
+
+  /**
+   * 从 Data API 分页拉取近 30 天的 TRADE / REDEEM 记录并累计（不保留全部记录）
+   * @returns 是否被截断（超出30天或达到10W上限）
+   */
+  private async accumulateRecentActivity(
+    address: string,
+    sinceTimestamp: number,
+    totals: PeriodTotals
+  ): Promise<boolean> {
+    // 30天前的时间戳（作为拉取数据的截止点）
+    const thirtyDaysAgo = Date.now() - (30 * 24 * 60 * 60 * 1000);
+    const PAGE_SIZE = 500;
+    const MAX_RECORDS = 100000; // 最大拉取上限
+    let truncated = false;
+
+    // TRADE 与 REDEEM 各自独立使用 30 天限制
+    // 这很重要：用户可能在更早之前开仓，而赎回发生在近 30 天内
+    // 请求节奏由 RateLimiter 的 /activity 桶控制（遇到 429 自动退避）
+    for (const type of ['TRADE', 'REDEEM'] as const) {
+      for await (const page of this.dataApi.iterateActivityPages(address, {
+        type,
+        since: thirtyDaysAgo,
+        pageSize: PAGE_SIZE,
+        maxRecords: MAX_RECORDS,
+      })) {
+        for (const activity of page.items) {
+          if (activity.timestamp >= sinceTimestamp) addToPeriodTotals(totals, activity);
+        }
+        // 还有更早的数据（超出30天或达到上限）
+        if (page.hasMore) truncated = true;
+      }
+    }
+
+    return truncated;
+  }
+
   /**
    * Get positions for a wallet
    */
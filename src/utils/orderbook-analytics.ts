@@ -0,0 +1,324 @@
+/**
+ * Orderbook Analytics for Polymarket Trading
+ *
+ * Size-aware helpers that walk the book instead of looking at the top level:
+ * - Fill estimates (VWAP, worst price, slippage vs mid) for a size or USDC amount
+ * - Slippage curves over a list of sizes
+ * - Depth inside price bands around the mid
+ * - Arbitrage sizing across both legs
+ *
+ * All helpers work on "effective" levels, the same way `getEffectivePrices`
+ * does: buying YES @ P is equivalent to selling NO @ (1-P), so the YES asks
+ * are merged with the mirrored NO bids (and so on for the other sides).
+ * The same order shows up in both books, so a price present in both is
+ * counted once (largest size) rather than summed.
+ *
+ * 详细文档见: docs/01-polymarket-orderbook-arbitrage.md
+ */
+
+// ===== Types =====
+
+export interface BookLevel {
+  price: number;
+  size: number;
+}
+
+/** Both sides of a binary market (same shape as ArbitrageService's OrderbookState) */
+export interface BinaryBook {
+  yesBids: BookLevel[];
+  yesAsks: BookLevel[];
+  noBids: BookLevel[];
+  noAsks: BookLevel[];
+}
+
+export type BookToken = 'YES' | 'NO';
+export type BookSide = 'BUY' | 'SELL';
+
+/** Walk until `size` shares, or `amount` USDC, are filled */
+export type FillTarget = { size: number } | { amount: number };
+
+export interface FillEstimate {
+  token: BookToken;
+  side: BookSide;
+  /** Shares the book can fill (up to the target) */
+  filledSize: number;
+  /** USDC paid (BUY) or received (SELL) */
+  cost: number;
+  /** Volume-weighted average price (0 if nothing fills) */
+  vwap: number;
+  bestPrice: number;
+  /** Price of the deepest level touched */
+  worstPrice: number;
+  /** Effective mid price of the token */
+  mid: number;
+  /** How much worse than mid the VWAP is, in price units (positive = worse) */
+  slippage: number;
+  slippagePercent: number;
+  /** Whether the whole target can be filled */
+  fullyFillable: boolean;
+  levelsUsed: number;
+}
+
+export interface DepthBand {
+  /** Distance from mid, in price units (0.01 = 1 cent) */
+  band: number;
+  /** Shares bid within [mid - band, mid] */
+  bidSize: number;
+  /** Shares offered within [mid, mid + band] */
+  askSize: number;
+  /** USDC value of bidSize */
+  bidValue: number;
+  /** USDC value of askSize */
+  askValue: number;
+}
+
+export interface ArbitrageLeg {
+  /** USDC paid (long) or received (short) on this leg */
+  cost: number;
+  /** Price of the last level used: the limit that fills the whole leg */
+  worstPrice: number;
+}
+
+export interface ArbitrageDepth {
+  type: 'long' | 'short';
+  /** Pairs that can be traded while each pair still clears `minProfitRate` */
+  size: number;
+  /** USDC paid for the pairs (long) or received for them (short) */
+  cost: number;
+  /** Profit over the whole size, before fees */
+  profit: number;
+  /** Average profit per pair */
+  profitRate: number;
+  /** Profit on the last (worst) pair */
+  marginalProfitRate: number;
+  /** What each leg trades at this size */
+  yes: ArbitrageLeg;
+  no: ArbitrageLeg;
+}
+
+export const DEFAULT_DEPTH_BANDS = [0.01, 0.02, 0.05];
+
+/** Levels closer than this are treated as the same price */
+const PRICE_EPSILON = 1e-9;
+
+// ===== Effective Levels =====
+
+/**
+ * Build a BinaryBook from the two CLOB orderbooks of a market
+ */
+export function toBinaryBook(
+  yesBook: { bids: BookLevel[]; asks: BookLevel[] },
+  noBook: { bids: BookLevel[]; asks: BookLevel[] }
+): BinaryBook {
+  return { yesBids: yesBook.bids, yesAsks: yesBook.asks, noBids: noBook.bids, noAsks: noBook.asks };
+}
+
+/**
+ * Levels available to trade one token on one side, including mirrored liquidity
+ *
+ * - BUY YES:  YES asks + NO bids @ (1-P)
+ * - SELL YES: YES bids + NO asks @ (1-P)
+ * - BUY NO:   NO asks + YES bids @ (1-P)
+ * - SELL NO:  NO bids + YES asks @ (1-P)
+ *
+ * @returns Levels sorted best first (asks ascending, bids descending)
+ */
+export function getEffectiveLevels(book: BinaryBook, token: BookToken, side: BookSide): BookLevel[] {
+  const yes = token === 'YES';
+  const direct = side === 'BUY' ? (yes ? book.yesAsks : book.noAsks) : (yes ? book.yesBids : book.noBids);
+  const mirror = side === 'BUY' ? (yes ? book.noBids : book.yesBids) : (yes ? book.noAsks : book.yesAsks);
+
+  const byPrice = new Map<string, BookLevel>();
+  const add = (price: number, size: number) => {
+    if (!(size > 0)) return;
+    const key = price.toFixed(6);
+    const existing = byPrice.get(key);
+    // Same order mirrored into both books: keep the larger view, don't double count
+    if (!existing || size > existing.size) byPrice.set(key, { price: Number(key), size });
+  };
+  for (const level of direct) add(level.price, level.size);
+  for (const level of mirror) add(1 - level.price, level.size);
+
+  const levels = Array.from(byPrice.values());
+  return side === 'BUY'
+    ? levels.sort((a, b) => a.price - b.price)
+    : levels.sort((a, b) => b.price - a.price);
+}
+
+/**
+ * Effective mid price of a token (falls back to the one-sided best price)
+ */
+export function getEffectiveMid(book: BinaryBook, token: BookToken): number {
+  const bestAsk = getEffectiveLevels(book, token, 'BUY')[0]?.price;
+  const bestBid = getEffectiveLevels(book, token, 'SELL')[0]?.price;
+  if (bestAsk !== undefined && bestBid !== undefined) return (bestAsk + bestBid) / 2;
+  return bestAsk ?? bestBid ?? 0;
+}
+
+// ===== Fill Estimates =====
+
+/**
+ * Walk the effective book for a target size or USDC amount
+ *
+ * @example
+ * ```typescript
+ * const book = toBinaryBook(
+ *   await clob.getOrderbook(yesTokenId),
+ *   await clob.getOrderbook(noTokenId)
+ * );
+ * const fill = estimateFill(book, 'YES', 'BUY', { amount: 500 });
+ * console.log(`VWAP ${fill.vwap.toFixed(4)}, slippage ${fill.slippagePercent.toFixed(2)}%`);
+ * ```
+ */
+export function estimateFill(
+  book: BinaryBook,
+  token: BookToken,
+  side: BookSide,
+  target: FillTarget
+): FillEstimate {
+  const levels = getEffectiveLevels(book, token, side);
+  const mid = getEffectiveMid(book, token);
+  const bySize = 'size' in target;
+  let remaining = bySize ? target.size : target.amount;
+
+  let filledSize = 0;
+  let cost = 0;
+  let worstPrice = 0;
+  let levelsUsed = 0;
+
+  for (const level of levels) {
+    if (remaining <= PRICE_EPSILON) break;
+    const take = bySize ? Math.min(level.size, remaining) : Math.min(level.size, remaining / level.price);
+    if (take <= 0) continue;
+
+    filledSize += take;
+    cost += take * level.price;
+    remaining -= bySize ? take : take * level.price;
+    worstPrice = level.price;
+    levelsUsed++;
+  }
+
+  const vwap = filledSize > 0 ? cost / filledSize : 0;
+  const slippage = filledSize > 0 ? (side === 'BUY' ? vwap - mid : mid - vwap) : 0;
+
+  return {
+    token,
+    side,
+    filledSize,
+    cost,
+    vwap,
+    bestPrice: levels[0]?.price ?? 0,
+    worstPrice,
+    mid,
+    slippage,
+    slippagePercent: mid > 0 ? (slippage / mid) * 100 : 0,
+    fullyFillable: remaining <= PRICE_EPSILON,
+    levelsUsed,
+  };
+}
+
+/**
+ * Fill estimates for increasing sizes (shares)
+ *
+ * @example
+ * ```typescript
+ * for (const point of getSlippageCurve(book, 'NO', 'SELL', [100, 500, 1000])) {
+ *   console.log(point.filledSize, point.vwap, point.slippagePercent);
+ * }
+ * ```
+ */
+export function getSlippageCurve(
+  book: BinaryBook,
+  token: BookToken,
+  side: BookSide,
+  sizes: number[]
+): FillEstimate[] {
+  return sizes.map((size) => estimateFill(book, token, side, { size }));
+}
+
+/**
+ * Liquidity within ±band of the effective mid (default ±1/2/5 cents)
+ */
+export function getDepthBands(
+  book: BinaryBook,
+  token: BookToken,
+  bands: number[] = DEFAULT_DEPTH_BANDS
+): DepthBand[] {
+  const asks = getEffectiveLevels(book, token, 'BUY');
+  const bids = getEffectiveLevels(book, token, 'SELL');
+  const mid = getEffectiveMid(book, token);
+
+  return bands.map((band) => {
+    const bidLevels = bids.filter((l) => l.price >= mid - band - PRICE_EPSILON);
+    const askLevels = asks.filter((l) => l.price <= mid + band + PRICE_EPSILON);
+    return {
+      band,
+      bidSize: bidLevels.reduce((sum, l) => sum + l.size, 0),
+      askSize: askLevels.reduce((sum, l) => sum + l.size, 0),
+      bidValue: bidLevels.reduce((sum, l) => sum + l.price * l.size, 0),
+      askValue: askLevels.reduce((sum, l) => sum + l.price * l.size, 0),
+    };
+  });
+}
+
+// ===== Arbitrage Sizing =====
+
+/**
+ * Walk both legs of a long (buy YES + buy NO) or short (sell YES + sell NO)
+ * arbitrage together and size it to the depth where each extra pair still
+ * clears `minProfitRate`.
+ *
+ * At size 0 the marginal profit equals the top-of-book profit from
+ * `getEffectivePrices`. Past the first level each leg trades at more than
+ * one price: `yes` / `no` give the USDC and worst price to order each leg with.
+ */
+export function getArbitrageDepth(
+  book: BinaryBook,
+  type: 'long' | 'short',
+  options: { minProfitRate?: number; maxSize?: number } = {}
+): ArbitrageDepth {
+  const minProfitRate = options.minProfitRate ?? 0;
+  const maxSize = options.maxSize ?? Infinity;
+  const side: BookSide = type === 'long' ? 'BUY' : 'SELL';
+  // Copies, since sizes are consumed as we walk
+  const yes = getEffectiveLevels(book, 'YES', side).map((l) => ({ ...l }));
+  const no = getEffectiveLevels(book, 'NO', side).map((l) => ({ ...l }));
+
+  let size = 0;
+  let cost = 0;
+  let marginalProfitRate = 0;
+  const legs = { yes: { cost: 0, worstPrice: 0 }, no: { cost: 0, worstPrice: 0 } };
+  let i = 0;
+  let j = 0;
+
+  while (i < yes.length && j < no.length && maxSize - size > PRICE_EPSILON) {
+    const pairPrice = yes[i].price + no[j].price;
+    const margin = type === 'long' ? 1 - pairPrice : pairPrice - 1;
+    if (margin <= minProfitRate) break;
+
+    const take = Math.min(yes[i].size, no[j].size, maxSize - size);
+    size += take;
+    cost += take * pairPrice;
+    marginalProfitRate = margin;
+    legs.yes.cost += take * yes[i].price;
+    legs.yes.worstPrice = yes[i].price;
+    legs.no.cost += take * no[j].price;
+    legs.no.worstPrice = no[j].price;
+
+    yes[i].size -= take;
+    no[j].size -= take;
+    if (yes[i].size <= PRICE_EPSILON) i++;
+    if (no[j].size <= PRICE_EPSILON) j++;
+  }
+
+  const profit = type === 'long' ? size - cost : cost - size;
+  return {
+    type,
+    size,
+    cost,
+    profit,
+    profitRate: size > 0 ? profit / size : 0,
+    marginalProfitRate,
+    ...legs,
+  };
+}
@@ -1,8 +1,33 @@
 // SDK 模块版本号
 // 每次 src (SDK) 代码变更时更新此版本
-export const SDK_VERSION = '0.2.2';
+export const SDK_VERSION = '0.2.27';
 
 // 更新日志
+// 0.2.27 - 执行算法：TwapExecutor、IcebergExecutor、PeggedOrderExecutor
+// 0.2.26 - TradingClient 批量下单 createOrders、改单 replaceOrder，按 token 缓存市场参数
+// 0.2.25 - 新增 RiskEngine 下单前风控（名义金额/持仓/每日支出与亏损/挂单数限制）与 kill switch
+// 0.2.24 - 新增模拟交易 PaperExchange / PaperTradingClient / PaperCTFClient，ArbitrageService 支持 paper 模式
+// 0.2.23 - 新增 OrderManager 订单生命周期跟踪与对账，套利按实际成交量执行
+// 0.2.22 - 本地 L2 订单簿 OrderBook：WebSocket 快照与增量、缺口检测与 REST 重新同步
+// 0.2.21 - CLOB 价格历史 getPriceHistory，K 线支持 priceHistory/merged 数据源、时间范围与空档填充
+// 0.2.20 - ClobApiClient 批量接口 getOrderbooks/getPrices/getMidpoints，套利扫描改用批量订单簿
+// 0.2.19 - 按数量的订单簿分析：VWAP、滑点曲线、深度区间与套利深度
+// 0.2.18 - 新增 ResolutionWatcher 结算监听（proposed/disputed/resolved 事件），Gamma 市场新增 umaResolutionStatus
+// 0.2.17 - 新增 MarketCatalog 本地市场目录（上架/关闭/结算/价格变动事件），ChainMonitor 支持 tokenId 关联市场
+// 0.2.16 - Gamma 市场搜索新增标签、文本、结束日期、流动性/成交量、negRisk 过滤及 iterateMarkets 全量分页
+// 0.2.15 - 新增 UnifiedEvent 与 getEvent() 多结果事件模型，二元市场代币按位置匹配
+// 0.2.14 - 新增 TradeStreamPoller 成交流轮询（去重、自适应间隔、高水位持久化）
+// 0.2.13 - 钱包活动本地存储（增量同步，按时间/类型查询）
+// 0.2.12 - Data API 异步迭代器分页（活动/成交/排行榜，支持时间边界与游标续读）
+// 0.2.11 - API 响应 schema 校验（strict / lenient 模式）
+// 0.2.10 - 结构化日志与请求/交易追踪钩子
+// 0.2.9 - 按 ApiType 的熔断器与带抖动的重试策略
+// 0.2.8 - CLOB/链上错误分类为具体 ErrorCode 并附带修复建议
+// 0.2.7 - 缓存标签精确失效 (invalidateTags) 与按命名空间的命中/未命中/淘汰/字节统计
+// 0.2.6 - FileCacheAdapter 磁盘持久化缓存（TTL、容量上限、命名空间）
+// 0.2.5 - 缓存并发请求合并、stale-while-revalidate 与按 key 前缀的 TTL 覆盖
+// 0.2.4 - 自适应限流：按端点分桶，429/Retry-After 自动退避，限流统计事件
+// 0.2.3 - 可插拔HTTP传输层，支持录制/回放测试夹具
 // 0.2.2 - PnL计算修正，包含REDEMPTION和未实现盈亏，单次API调用聚合
 // 0.2.1 - PnL计算修正
 // 0.2.0 - 初始版本
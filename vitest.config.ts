@@ -1,6 +1,24 @@
-import { defineConfig } from 'vitest/config';
+import { defineConfig, type Plugin } from 'vitest/config';
+import { existsSync } from 'fs';
+import * as path from 'path';
+
+/**
+ * src/ still contains compiled .js files next to the .ts sources.
+ * Resolve relative `./foo.js` imports to `./foo.ts` when it exists so
+ * tests always run against the TypeScript sources.
+ */
+export const preferTsSources: Plugin = {
+  name: 'prefer-ts-sources',
+  enforce: 'pre',
+  resolveId(source, importer) {
+    if (!importer || !source.startsWith('.') || !source.endsWith('.js')) return null;
+    const candidate = path.resolve(path.dirname(importer), source.replace(/\.js$/, '.ts'));
+    return existsSync(candidate) ? candidate : null;
+  },
+};
 
 export default defineConfig({
+  plugins: [preferTsSources],
   test: {
     globals: true,
     environment: 'node',
@@ -1,6 +1,8 @@
 import { defineConfig } from 'vitest/config';
+import { preferTsSources } from './vitest.config';
 
 export default defineConfig({
+  plugins: [preferTsSources],
   test: {
     globals: true,
     environment: 'node',